@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * sync-server.js — optional sync server for progress, user words and settings.
+ *
+ * Keeps one merged copy of each learner's data in a JSON file. Devices POST
+ * their data and get the merged result back; conflicts are resolved per
+ * record by timestamp (src/js/sync-merge.js, shared with the browser client).
+ * Data is kept per space — the app uses one per learner profile.
+ *
+ * Endpoints:
+ *   GET  /api/sync/:space   → stored state
+ *   POST /api/sync/:space   → merge the posted state into the stored one, respond with the result
+ *   (/api/sync without a space is the 'default' space)
+ *
+ * Every request must carry the shared token in an X-Sync-Token header (the
+ * app's "Sync token" setting). Listens on 127.0.0.1 unless --host says
+ * otherwise — pass --host 0.0.0.0 to reach it from other devices on the LAN.
+ * --origin limits which web origins may call it from a browser.
+ *
+ * Usage:
+ *   npm run sync-server                      # prints a random token
+ *   npm run sync-server -- --token <secret>  # or SYNC_TOKEN=<secret>
+ *   npm run sync-server -- --host 0.0.0.0 --port 8787 --data sync-data.json --origin http://192.168.1.10:5173
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { mergeSyncState, emptySyncState } from '../src/js/sync-merge.js';
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const DEFAULT_SPACE = 'default';
+const ROUTE = /^\/api\/sync(?:\/([^/]+))?\/?$/;
+const SPACE = /^[\p{L}\p{N}_-]{1,64}$/u;
+const TOKEN_HEADER = 'x-sync-token';
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+
+/** @returns {Object<string, import('../src/js/sync-merge.js').SyncState>} space → state */
+function readSpaces(dataFile) {
+  try {
+    const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    // Files written before spaces existed hold a single state
+    return data.spaces ?? { [DEFAULT_SPACE]: data };
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Could not read ${dataFile}, starting empty:`, err.message);
+    return {};
+  }
+}
+
+function writeSpaces(dataFile, spaces) {
+  // Write then rename so a crash never leaves a half-written file
+  const tmp = `${dataFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ spaces }));
+  fs.renameSync(tmp, dataFile);
+}
+
+// ---------------------------------------------------------------------------
+// HTTP
+// ---------------------------------------------------------------------------
+
+/**
+ * CORS headers for a request: any origin when no list is configured (the
+ * token still gates every request), otherwise only the listed ones.
+ */
+function corsHeaders(req, origins) {
+  const allow = {
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Sync-Token',
+  };
+  if (!origins) return { ...allow, 'Access-Control-Allow-Origin': '*' };
+  const origin = req.headers.origin;
+  return origin && origins.includes(origin)
+    ? { ...allow, 'Access-Control-Allow-Origin': origin, Vary: 'Origin' }
+    : { Vary: 'Origin' };
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/** Constant-time comparison of the request's token with the server's. */
+function hasToken(req, token) {
+  const given = Buffer.from(String(req.headers[TOKEN_HEADER] ?? ''));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('request too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function parseState(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw Object.assign(new Error('body is not JSON'), { status: 400 });
+  }
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  if (!isObject(data) || (data.progress !== undefined && !isObject(data.progress))
+    || (data.userWords !== undefined && !Array.isArray(data.userWords))) {
+    throw Object.assign(new Error('body is not a sync state'), { status: 400 });
+  }
+  return data;
+}
+
+/**
+ * @param {{ dataFile: string, token: string, origins?: string[]|null }} options -
+ *   `token` every request must send in X-Sync-Token; `origins` the web origins
+ *   allowed to call from a browser (null = any)
+ * @returns {http.Server} not yet listening
+ */
+export function createSyncServer({ dataFile, token, origins = null }) {
+  if (!token) throw new Error('createSyncServer: a token is required');
+  const spaces = readSpaces(dataFile);
+
+  return http.createServer(async (req, res) => {
+    const cors = corsHeaders(req, origins);
+    const reply = (status, body) => send(res, status, body, cors);
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method === 'OPTIONS') return reply(204);
+    if (!hasToken(req, token)) return reply(401, { error: 'missing or wrong sync token' });
+    const match = ROUTE.exec(pathname);
+    if (!match) return reply(404, { error: 'not found' });
+
+    let space = DEFAULT_SPACE;
+    try {
+      if (match[1]) space = decodeURIComponent(match[1]);
+    } catch {
+      space = '';
+    }
+    if (!SPACE.test(space)) return reply(400, { error: 'invalid space name' });
+
+    try {
+      if (req.method === 'GET') return reply(200, spaces[space] ?? emptySyncState());
+      if (req.method !== 'POST') return reply(405, { error: 'method not allowed' });
+
+      const incoming = parseState(await readBody(req));
+      spaces[space] = mergeSyncState(spaces[space] ?? emptySyncState(), incoming);
+      writeSpaces(dataFile, spaces);
+      return reply(200, spaces[space]);
+    } catch (err) {
+      if (!err.status) console.error('Sync request failed:', err);
+      return reply(err.status ?? 500, { error: err.status ? err.message : 'internal error' });
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const getFlag = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx !== -1 && args[idx + 1] ? args[idx + 1] : null;
+  };
+
+  const port = Number(getFlag('--port') ?? process.env.PORT ?? 8787);
+  const host = getFlag('--host') ?? '127.0.0.1';
+  const dataFile = path.resolve(getFlag('--data') ?? 'sync-data.json');
+  const origins = getFlag('--origin')?.split(',').map((o) => o.trim()).filter(Boolean) ?? null;
+  const givenToken = getFlag('--token') ?? process.env.SYNC_TOKEN;
+  const token = givenToken || crypto.randomBytes(18).toString('base64url');
+
+  createSyncServer({ dataFile, token, origins }).listen(port, host, () => {
+    console.log(`Sync server on http://${host}:${port}/api/sync/<space> — data in ${dataFile}`);
+    if (!givenToken) console.log(`Sync token: ${token} (enter it under "Sync token" in the app; pass --token to keep one across restarts)`);
+  });
+}
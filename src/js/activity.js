@@ -0,0 +1,190 @@
+// activity.js — daily activity, streaks with freezes, and the daily goal.
+// Pure functions over the progress data (progress.js keeps `daily`,
+// `streakDays`, `longestStreak`, `lastSessionDate` and `streakFreezes`).
+// Dates are ISO 'YYYY-MM-DD' strings, the same as session dates.
+// Vanilla ES module, no framework dependencies.
+
+import { addDays } from './scheduler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Heatmap shade count; level 0 is "no activity". */
+export const HEATMAP_LEVELS = 4;
+
+/**
+ * @typedef {Object} DayActivity
+ * @property {number} answers  - words answered
+ * @property {number} seconds  - time spent in finished sessions
+ * @property {boolean} [frozen] - missed day covered by a streak freeze
+ *
+ * @typedef {Object<string, DayActivity>} DailyActivity - ISO date → activity
+ */
+
+// ---------------------------------------------------------------------------
+// Dates
+// ---------------------------------------------------------------------------
+
+// Days are added with scheduler.js's addDays(), so streaks and reviews count
+// days the same way.
+
+/** @returns {number} whole days from `from` to `to` (negative if `to` is earlier) */
+export function dayDiff(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+// ---------------------------------------------------------------------------
+// Daily activity
+// ---------------------------------------------------------------------------
+
+/**
+ * Rebuild daily activity from the session history — for progress saved
+ * before daily activity was tracked.
+ * @param {Array} sessions
+ * @returns {DailyActivity}
+ */
+export function dailyFromSessions(sessions = []) {
+  const daily = {};
+  for (const session of sessions) {
+    if (!session.date) continue;
+    const date = session.date.slice(0, 10);
+    const day = daily[date] ?? { answers: 0, seconds: 0 };
+    day.answers += session.total ?? 0;
+    day.seconds += session.durationSeconds ?? 0;
+    daily[date] = day;
+  }
+  return daily;
+}
+
+/**
+ * Add answers and/or time to one day.
+ * @param {DailyActivity} daily - updated in place
+ * @param {string} date
+ * @param {{ answers?: number, seconds?: number }} amounts
+ */
+export function addActivity(daily, date, { answers = 0, seconds = 0 }) {
+  const day = daily[date] ?? { answers: 0, seconds: 0 };
+  daily[date] = { ...day, answers: day.answers + answers, seconds: day.seconds + seconds };
+}
+
+// ---------------------------------------------------------------------------
+// Streaks
+// ---------------------------------------------------------------------------
+
+/**
+ * Freezes still available in the month of `today`.
+ * @param {{ streakFreezes?: { month: string|null, used: number } }} progress
+ * @param {string} today
+ * @param {number} allowance - freezes per calendar month (settings.streakFreezes)
+ */
+export function freezesLeft(progress, today, allowance) {
+  const { month, used } = progress.streakFreezes ?? { month: null, used: 0 };
+  return Math.max(0, allowance - (month === today.slice(0, 7) ? used : 0));
+}
+
+/**
+ * Streak after practising on `today`. Up to the month's remaining freezes
+ * cover missed days since the last session: the streak continues (frozen days
+ * don't add to it) and those days are returned so they can be marked.
+ *
+ * @param {Object} progress - streakDays, longestStreak, lastSessionDate, streakFreezes
+ * @param {string} today
+ * @param {number} allowance
+ * @returns {{ streakDays: number, longestStreak: number, lastSessionDate: string,
+ *   streakFreezes: { month: string, used: number }, frozenDays: string[] }}
+ */
+export function advanceStreak(progress, today, allowance) {
+  const month = today.slice(0, 7);
+  const freezes = progress.streakFreezes?.month === month ? progress.streakFreezes : { month, used: 0 };
+  const last = progress.lastSessionDate;
+  let streakDays = progress.streakDays ?? 0;
+  const frozenDays = [];
+
+  if (!last || streakDays === 0) {
+    streakDays = 1;
+  } else if (last !== today) {
+    const missed = dayDiff(last, today) - 1;
+    if (missed <= 0) {
+      streakDays += 1;
+    } else if (missed <= freezesLeft(progress, today, allowance)) {
+      for (let i = 1; i <= missed; i++) frozenDays.push(addDays(last, i));
+      streakDays += 1;
+    } else {
+      streakDays = 1;
+    }
+  }
+
+  return {
+    streakDays,
+    longestStreak: Math.max(progress.longestStreak ?? 0, streakDays),
+    lastSessionDate: today,
+    streakFreezes: { month, used: freezes.used + frozenDays.length },
+    frozenDays,
+  };
+}
+
+/**
+ * The streak as of `today`: the stored streak while it can still be continued
+ * (practised today or yesterday, or the gap fits the remaining freezes), else 0.
+ */
+export function currentStreak(progress, today, allowance) {
+  if (!progress.lastSessionDate || !progress.streakDays) return 0;
+  const missed = dayDiff(progress.lastSessionDate, today) - 1;
+  return missed <= freezesLeft(progress, today, allowance) ? progress.streakDays : 0;
+}
+
+// ---------------------------------------------------------------------------
+// Heatmap and daily goal
+// ---------------------------------------------------------------------------
+
+/**
+ * Calendar grid for the heatmap: `weeks` columns of Monday–Sunday, ending
+ * with the week that contains `today`. Days after today are `future`.
+ *
+ * @param {DailyActivity} daily
+ * @param {string} today
+ * @param {number} [weeks]
+ * @returns {Array<Array<{ date: string, answers: number, seconds: number, frozen: boolean, level: number, future: boolean }>>}
+ */
+export function buildHeatmap(daily, today, weeks = 53) {
+  const weekday = (new Date(Date.parse(today)).getUTCDay() + 6) % 7; // Monday = 0
+  const start = addDays(today, -weekday - (weeks - 1) * 7);
+
+  let max = 0;
+  for (let i = 0; i < weeks * 7; i++) {
+    max = Math.max(max, daily[addDays(start, i)]?.answers ?? 0);
+  }
+
+  const grid = [];
+  for (let w = 0; w < weeks; w++) {
+    const column = [];
+    for (let d = 0; d < 7; d++) {
+      const date = addDays(start, w * 7 + d);
+      const day = daily[date];
+      const answers = day?.answers ?? 0;
+      column.push({
+        date,
+        answers,
+        seconds: day?.seconds ?? 0,
+        frozen: Boolean(day?.frozen),
+        level: answers > 0 ? Math.ceil((answers / max) * HEATMAP_LEVELS) : 0,
+        future: date > today,
+      });
+    }
+    grid.push(column);
+  }
+  return grid;
+}
+
+/**
+ * Today's progress towards the daily goal.
+ * @param {DailyActivity} daily
+ * @param {string} today
+ * @param {{ type: 'answers'|'minutes', target: number }} goal
+ * @returns {{ type: string, done: number, target: number, ratio: number, met: boolean }}
+ */
+export function goalProgress(daily, today, { type, target }) {
+  const day = daily[today];
+  const done = type === 'minutes' ? Math.floor((day?.seconds ?? 0) / 60) : (day?.answers ?? 0);
+  const ratio = target > 0 ? Math.min(1, done / target) : 1;
+  return { type, done, target, ratio, met: done >= target };
+}
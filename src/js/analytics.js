@@ -0,0 +1,262 @@
+// analytics.js — learning statistics for the stats screen. Trends come from
+// the answer log (progress.js queryAnswers): accuracy over time, words learned
+// by mastery level, accuracy per mode, and a forgetting curve. Only counted
+// attempts are used — the first answer to each presented word, the same ones
+// that update progress. Confusions (word A answered as B) and Spelling mode's
+// letter errors also come from the log; the vocabulary breakdown works on
+// progress records.
+// Vanilla ES module, no framework dependencies.
+
+import { dayDiff } from './activity.js';
+import { addDays } from './scheduler.js';
+import { computeMasteryLevel } from './progress.js';
+import { spellingErrors, countLetterErrors } from './spelling.js';
+import { DIFFICULTY_MIN, DIFFICULTY_MAX, normalizeFilter, matchesFilter, collectFacets } from './session-config.js';
+
+/** Levels a word can reach once answered, lowest first. */
+export const LEARNED_LEVELS = ['learning', 'known', 'mastered'];
+
+/**
+ * Forgetting-curve buckets: days since the word's previous answer.
+ * Same-day repeats (0 days) say nothing about retention and are left out.
+ */
+export const RETENTION_BUCKETS = [
+  { label: '1', minDays: 1, maxDays: 1 },
+  { label: '2', minDays: 2, maxDays: 2 },
+  { label: '3–6', minDays: 3, maxDays: 6 },
+  { label: '7–13', minDays: 7, maxDays: 13 },
+  { label: '14–29', minDays: 14, maxDays: 29 },
+  { label: '30+', minDays: 30, maxDays: Infinity },
+];
+
+/**
+ * @typedef {Object} AccuracyPoint
+ * @property {string} key      - ISO date, week start (Monday) or mode
+ * @property {number} total
+ * @property {number} correct
+ * @property {number} accuracy - 0–100, rounded
+ */
+
+// Logs written before `counted` existed only held counted attempts
+const isCounted = (answer) => answer.counted !== false;
+
+const skillOf = (answer) => answer.skill ?? 'recognition';
+
+function accuracyPoint(key, total, correct) {
+  return { key, total, correct, accuracy: total === 0 ? 0 : Math.round((correct / total) * 100) };
+}
+
+/** @returns {string} ISO date of the Monday on or before `date` */
+export function weekStart(date) {
+  const weekday = (new Date(Date.parse(date)).getUTCDay() + 6) % 7;
+  return addDays(date, -weekday);
+}
+
+function groupAccuracy(answers, keyOf) {
+  const groups = new Map();
+  for (const answer of answers) {
+    if (!isCounted(answer)) continue;
+    const key = keyOf(answer);
+    const group = groups.get(key) ?? { total: 0, correct: 0 };
+    group.total++;
+    if (answer.correct) group.correct++;
+    groups.set(key, group);
+  }
+  return [...groups].map(([key, { total, correct }]) => accuracyPoint(key, total, correct));
+}
+
+/**
+ * Accuracy per day or per week (keyed by the week's Monday), oldest first.
+ * Days without answers are absent.
+ *
+ * @param {Array} answers - answer log, oldest first
+ * @param {'day'|'week'} [period]
+ * @returns {AccuracyPoint[]}
+ */
+export function accuracyOverTime(answers, period = 'day') {
+  const keyOf = period === 'week' ? (a) => weekStart(a.date) : (a) => a.date;
+  return groupAccuracy(answers, keyOf).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Accuracy per game mode, most answered first.
+ * @param {Array} answers
+ * @returns {AccuracyPoint[]}
+ */
+export function accuracyByMode(answers) {
+  return groupAccuracy(answers.filter((a) => a.mode), (a) => a.mode)
+    .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Words per mastery level at the end of each day with answers, replaying the
+ * log through the same rule as progress.js. Words answered before the log
+ * existed are not counted.
+ *
+ * @param {Array} answers - oldest first
+ * @param {string} [skill]
+ * @returns {Array<{ date: string, learning: number, known: number, mastered: number }>}
+ */
+export function masteryOverTime(answers, skill = 'recognition') {
+  const words = new Map();   // wordId → { total, correct, level }
+  const counts = { learning: 0, known: 0, mastered: 0 };
+  const points = [];
+
+  for (const answer of answers) {
+    if (!isCounted(answer) || skillOf(answer) !== skill) continue;
+
+    const word = words.get(answer.wordId) ?? { total: 0, correct: 0, level: null };
+    if (word.level) counts[word.level]--;
+    word.total++;
+    if (answer.correct) word.correct++;
+    word.level = computeMasteryLevel(word.total, word.correct);
+    counts[word.level]++;
+    words.set(answer.wordId, word);
+
+    const last = points[points.length - 1];
+    if (last?.date === answer.date) Object.assign(last, counts);
+    else points.push({ date: answer.date, ...counts });
+  }
+  return points;
+}
+
+/**
+ * Recall rate against days since the word was last answered (per skill):
+ * one entry per RETENTION_BUCKETS bucket, including empty ones.
+ *
+ * @param {Array} answers - oldest first
+ * @returns {Array<AccuracyPoint & { label: string }>}
+ */
+export function forgettingCurve(answers) {
+  const lastSeen = new Map();   // skill|wordId → ISO date
+  const buckets = RETENTION_BUCKETS.map(() => ({ total: 0, correct: 0 }));
+
+  for (const answer of answers) {
+    if (!isCounted(answer)) continue;
+    const id = `${skillOf(answer)}|${answer.wordId}`;
+    const previous = lastSeen.get(id);
+    lastSeen.set(id, answer.date);
+    if (!previous) continue;
+
+    const days = dayDiff(previous, answer.date);
+    const index = RETENTION_BUCKETS.findIndex((b) => days >= b.minDays && days <= b.maxDays);
+    if (index === -1) continue;
+    buckets[index].total++;
+    if (answer.correct) buckets[index].correct++;
+  }
+
+  return RETENTION_BUCKETS.map((bucket, i) => ({
+    label: bucket.label,
+    ...accuracyPoint(bucket.label, buckets[i].total, buckets[i].correct),
+  }));
+}
+
+/**
+ * Confusions in the answer log — a word answered with another word (a wrong
+ * quiz option or match pairing, `confusedWith`) — most frequent first. Every
+ * attempt counts, not only the first per word.
+ *
+ * @param {Array} answers - oldest first
+ * @returns {Array<{ wordId: string, confusedWith: string, count: number, lastDate: string }>}
+ */
+export function confusionPairs(answers) {
+  const pairs = new Map();
+  for (const answer of answers) {
+    if (answer.correct || !answer.confusedWith) continue;
+    const id = `${answer.wordId}|${answer.confusedWith}`;
+    const pair = pairs.get(id) ?? { wordId: answer.wordId, confusedWith: answer.confusedWith, count: 0, lastDate: '' };
+    pair.count++;
+    if (answer.date > pair.lastDate) pair.lastDate = answer.date;
+    pairs.set(id, pair);
+  }
+  return [...pairs.values()].sort((a, b) => b.count - a.count || b.lastDate.localeCompare(a.lastDate));
+}
+
+/**
+ * Letters misspelled in Spelling mode — ć typed as č, a letter left out or
+ * added — most frequent first. Every attempt counts, not only the first per word.
+ *
+ * @param {Array} answers
+ * @returns {Array<{ expected: string, given: string, count: number }>} '' for a missing side
+ */
+export function letterErrorPairs(answers) {
+  return countLetterErrors(answers
+    .filter((answer) => answer.mode === 'spelling')
+    .flatMap((answer) => spellingErrors(answer.given ?? '', answer.expected ?? '', answer.direction?.split('-')[0])));
+}
+
+/**
+ * Session config for a confusion drill (engine session.confusions): both words
+ * of every pair are played, each with the other among its options.
+ *
+ * @param {Array<{ wordId: string, confusedWith: string }>} pairs
+ * @returns {{ wordIds: string[], confusions: Object<string, string[]> }}
+ */
+export function buildConfusionDrill(pairs) {
+  const confusions = {};
+  const link = (a, b) => {
+    confusions[a] ??= [];
+    if (!confusions[a].includes(b)) confusions[a].push(b);
+  };
+  for (const { wordId, confusedWith } of pairs) {
+    link(wordId, confusedWith);
+    link(confusedWith, wordId);
+  }
+  return { wordIds: Object.keys(confusions), confusions };
+}
+
+/**
+ * @typedef {Object} BreakdownRow
+ * @property {string} key         - category, tag, or difficulty ('1'–'5')
+ * @property {Object} filter      - partial SessionFilter selecting the slice's words
+ * @property {number} words       - vocabulary entries in the slice
+ * @property {{ new: number, learning: number, known: number, mastered: number }} levels
+ * @property {number} total       - attempts on those words
+ * @property {number} correct
+ * @property {number} accuracy    - 0–100, rounded
+ */
+
+function slicesOf(entries, dimension) {
+  if (dimension === 'difficulty') {
+    const slices = [];
+    for (let d = DIFFICULTY_MIN; d <= DIFFICULTY_MAX; d++) {
+      slices.push([String(d), { minDifficulty: d, maxDifficulty: d }]);
+    }
+    return slices;
+  }
+  const facets = collectFacets(entries);
+  return dimension === 'tag'
+    ? facets.tags.map((tag) => [tag, { tags: [tag] }])
+    : facets.categories.map((category) => [category, { categories: [category] }]);
+}
+
+/**
+ * Mastery distribution and accuracy per category, tag or difficulty. Slices
+ * are selected with the session filter stored on each row (matchesFilter), so
+ * practising a row plays exactly the words it counts. Empty slices are left out.
+ *
+ * @param {Array} entries - vocabulary entries
+ * @param {Object} records - wordId → progress record, one skill
+ * @param {'category'|'tag'|'difficulty'} dimension
+ * @returns {BreakdownRow[]}
+ */
+export function breakdownBy(entries, records, dimension) {
+  return slicesOf(entries, dimension)
+    .map(([key, filter]) => {
+      const normalized = normalizeFilter(filter);
+      const levels = { new: 0, learning: 0, known: 0, mastered: 0 };
+      let words = 0;
+      let total = 0;
+      let correct = 0;
+      for (const entry of entries) {
+        if (!matchesFilter(entry, normalized)) continue;
+        const record = records[entry.id];
+        words++;
+        levels[record?.masteryLevel ?? 'new']++;
+        total += record?.total ?? 0;
+        correct += record?.correct ?? 0;
+      }
+      return { ...accuracyPoint(key, total, correct), filter, words, levels };
+    })
+    .filter((row) => row.words > 0);
+}
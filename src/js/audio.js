@@ -0,0 +1,251 @@
+// audio.js — speech output behind a pluggable provider.
+// The default provider wraps the Web Speech API (speechSynthesis) and plays
+// recorded pronunciations (audio URLs) with an <audio> element; tests and
+// other environments swap it with setAudioProvider(). Voices are chosen per
+// language in settings (`voices`), falling back to the first matching voice.
+// Vanilla ES module, no framework dependencies.
+
+import { getSettings } from './settings.js';
+
+/** BCP 47 tags spoken for each vocabulary language. */
+export const LANG_TAGS = { en: 'en-US', sr: 'sr-RS', ru: 'ru-RU' };
+
+/**
+ * Voice language prefixes usable for each vocabulary language, best first.
+ * Serbian voices are rare; Croatian and Bosnian ones read Latin Serbian well.
+ */
+export const VOICE_LANGS = { en: ['en'], sr: ['sr', 'hr', 'bs'], ru: ['ru'] };
+
+/** Speech rates for normal and slow playback. */
+export const NORMAL_RATE = 1;
+export const SLOW_RATE = 0.6;
+
+/** How long to wait for the browser to load its voice list. */
+const VOICES_TIMEOUT_MS = 1500;
+
+/**
+ * A pronunciation that is a recording rather than an IPA transcription. IPA is
+ * often written between slashes, so a leading '/' alone doesn't make a URL.
+ */
+const AUDIO_URL_RE = /^(https?:\/\/|data:audio\/)|\.(mp3|ogg|oga|opus|wav|m4a|webm)(\?.*)?$/i;
+
+/**
+ * @typedef {Object} Voice
+ * @property {string} id    - stable identifier (Web Speech: voiceURI)
+ * @property {string} name
+ * @property {string} lang  - BCP 47 tag, e.g. 'en-GB'
+ *
+ * @typedef {Object} SpeakOptions
+ * @property {string} lang        - BCP 47 tag
+ * @property {number} [rate]
+ * @property {string} [voiceId]   - Voice.id; the provider picks one when missing
+ *
+ * @typedef {Object} AudioProvider
+ * @property {function(): boolean} isAvailable
+ * @property {function(): Promise<Voice[]>} getVoices - every installed voice
+ * @property {function(string, SpeakOptions): Promise<void>} speak - resolves when done
+ * @property {function(): void} stop
+ * @property {function(string, { rate?: number }): Promise<void>} [playUrl] - recorded audio; optional
+ *
+ * @typedef {Object} AudioPart
+ * @property {string} [text]  - spoken with synthesis
+ * @property {string} lang    - vocabulary language of the text
+ * @property {string} [url]   - recording played instead of the text when possible
+ */
+
+/**
+ * Web Speech provider. Takes the synthesis object, utterance constructor and
+ * audio element constructor so it can run against fakes.
+ *
+ * @param {SpeechSynthesis} [synth]
+ * @param {typeof SpeechSynthesisUtterance} [Utterance]
+ * @param {typeof Audio} [AudioElement] - without it recordings are not played
+ * @returns {AudioProvider}
+ */
+export function createSpeechProvider(
+  synth = globalThis.speechSynthesis,
+  Utterance = globalThis.SpeechSynthesisUtterance,
+  AudioElement = globalThis.Audio,
+) {
+  const native = () => synth?.getVoices() ?? [];
+  const toVoice = (v) => ({ id: v.voiceURI, name: v.name, lang: v.lang });
+  let recording = null;
+
+  const playUrl = (url, { rate = NORMAL_RATE } = {}) => new Promise((resolve, reject) => {
+    recording?.pause();
+    synth?.cancel();
+    const audio = new AudioElement(url);
+    recording = audio;
+    audio.playbackRate = rate;
+    // 'pause' also fires when playback ends, and when stop() cuts it short
+    audio.onpause = () => resolve();
+    audio.onended = () => resolve();
+    audio.onerror = () => reject(new Error(`Audio failed: ${url}`));
+    audio.play().catch(reject);
+  });
+
+  return {
+    ...(AudioElement && { playUrl }),
+
+    isAvailable: () => Boolean(synth && Utterance),
+
+    getVoices() {
+      if (!synth) return Promise.resolve([]);
+      const loaded = native();
+      if (loaded.length > 0) return Promise.resolve(loaded.map(toVoice));
+
+      // Chrome fills the list asynchronously and announces it with 'voiceschanged'
+      return new Promise((resolve) => {
+        const done = () => {
+          synth.removeEventListener?.('voiceschanged', done);
+          clearTimeout(timer);
+          resolve(native().map(toVoice));
+        };
+        const timer = setTimeout(done, VOICES_TIMEOUT_MS);
+        synth.addEventListener?.('voiceschanged', done);
+      });
+    },
+
+    speak(text, { lang, rate = NORMAL_RATE, voiceId = null }) {
+      if (!synth || !Utterance) return Promise.reject(new Error('Speech synthesis is not available'));
+      return new Promise((resolve, reject) => {
+        const utterance = new Utterance(text);
+        utterance.lang = lang;
+        utterance.rate = rate;
+        const voice = voiceId ? native().find((v) => v.voiceURI === voiceId) : null;
+        if (voice) utterance.voice = voice;
+        utterance.onend = () => resolve();
+        utterance.onerror = (e) => {
+          // A newer speak() or stop() interrupting this one is not a failure
+          if (e.error === 'interrupted' || e.error === 'canceled') resolve();
+          else reject(new Error(`Speech failed: ${e.error}`));
+        };
+        recording?.pause();
+        synth.cancel();
+        synth.speak(utterance);
+      });
+    },
+
+    stop() {
+      recording?.pause();
+      synth?.cancel();
+    },
+  };
+}
+
+let provider = null;
+
+/** Bumped by every play and stop, so a sequence notices it was superseded. */
+let generation = 0;
+
+/**
+ * Replace the audio provider (tests, other platforms). null restores Web Speech.
+ * @param {AudioProvider|null} next
+ */
+export function setAudioProvider(next) {
+  provider?.stop();
+  provider = next;
+}
+
+/** @returns {AudioProvider} */
+export function getAudioProvider() {
+  provider ??= createSpeechProvider();
+  return provider;
+}
+
+/** @returns {boolean} whether anything can be spoken */
+export function isAudioAvailable() {
+  return getAudioProvider().isAvailable();
+}
+
+/** @returns {boolean} whether recorded pronunciations can be played */
+export function canPlayUrls() {
+  return typeof getAudioProvider().playUrl === 'function';
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} whether a pronunciation value is an audio URL (else IPA)
+ */
+export function isAudioUrl(value) {
+  return typeof value === 'string' && AUDIO_URL_RE.test(value.trim());
+}
+
+/**
+ * An entry's pronunciation in one language (`pronunciation: { en: '…' }`).
+ * @param {Object} entry
+ * @param {string} [lang] - defaults to the term's language
+ * @returns {string|null} IPA transcription or audio URL
+ */
+export function pronunciationOf(entry, lang = entry?.source_language) {
+  return entry?.pronunciation?.[lang]?.trim() || null;
+}
+
+/**
+ * Voices that can speak a vocabulary language, best-matching language first.
+ * @param {string} lang - 'en', 'sr' or 'ru'
+ * @returns {Promise<Voice[]>}
+ */
+export async function listVoices(lang) {
+  const prefixes = VOICE_LANGS[lang] ?? [lang];
+  const rank = (voice) => prefixes.indexOf(voice.lang.toLowerCase().split(/[-_]/)[0]);
+  const voices = await getAudioProvider().getVoices();
+  return voices
+    .filter((voice) => rank(voice) !== -1)
+    .sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Speak text in a vocabulary language with the learner's voice for it
+ * (settings `voices[lang]`), else the best available voice.
+ *
+ * @param {string} text
+ * @param {string} lang - 'en', 'sr' or 'ru'
+ * @param {{ slow?: boolean }} [options]
+ * @returns {Promise<boolean>} false when audio is unavailable
+ */
+export function speak(text, lang, options) {
+  return playParts([{ text, lang }], options);
+}
+
+/**
+ * Play parts one after another — a part's recording if it has one and it
+ * plays, its text through synthesis otherwise. Starting another playback or
+ * stopSpeaking() ends the sequence.
+ *
+ * @param {AudioPart[]} parts
+ * @param {{ slow?: boolean }} [options]
+ * @returns {Promise<boolean>} whether anything was played
+ */
+export async function playParts(parts, { slow = false } = {}) {
+  const audio = getAudioProvider();
+  const run = ++generation;
+  const rate = slow ? SLOW_RATE : NORMAL_RATE;
+  let played = false;
+
+  for (const { text, lang, url } of parts) {
+    if (run !== generation) break;
+    if (url && audio.playUrl) {
+      try {
+        await audio.playUrl(url, { rate });
+        played = true;
+        continue;
+      } catch (err) {
+        console.warn('Recorded pronunciation failed, using speech instead:', err);
+      }
+    }
+    if (!text || !audio.isAvailable()) continue;
+
+    const voiceId = getSettings().voices?.[lang] || (await listVoices(lang))[0]?.id || null;
+    if (run !== generation) break;
+    await audio.speak(text, { lang: LANG_TAGS[lang] ?? lang, rate, voiceId });
+    played = true;
+  }
+  return played;
+}
+
+/** Stop whatever is being spoken. */
+export function stopSpeaking() {
+  generation++;
+  provider?.stop();
+}
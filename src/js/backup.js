@@ -0,0 +1,274 @@
+// backup.js — versioned backup of everything the learner owns: progress,
+// settings and user words. Import validates the file, previews the changes and
+// applies them either merged into the current data or replacing it.
+// Vanilla ES module, no framework dependencies.
+
+import { loadProgress, saveProgress, skillRecords } from './progress.js';
+import { getSettings, resetSettings, updateSettings } from './settings.js';
+import { loadUserWords, saveUserWords } from './ui/add-words.js';
+import { mergeSessions, mergeDaily, mergeStreakFreezes } from './sync-merge.js';
+import { LOCAL_SETTINGS } from './sync.js';
+
+export const BACKUP_FORMAT = 'language-study-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * @typedef {Object} Backup
+ * @property {string} format     - BACKUP_FORMAT
+ * @property {number} version    - BACKUP_VERSION it was written with
+ * @property {string} createdAt  - ISO timestamp
+ * @property {Object} progress   - loadProgress() shape
+ * @property {Object|null} settings - null when the file carried none (bare progress export)
+ * @property {Array} userWords
+ *
+ * @typedef {'merge'|'replace'} ImportMode
+ */
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+/** Settings without the device-only ones (LOCAL_SETTINGS: sync credentials, voices). */
+function portableSettings(settings) {
+  const portable = { ...settings };
+  for (const key of LOCAL_SETTINGS) delete portable[key];
+  return portable;
+}
+
+/** @returns {Backup} */
+export function createBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    progress: loadProgress(),
+    settings: portableSettings(getSettings()),
+    userWords: loadUserWords(),
+  };
+}
+
+/** @returns {string} pretty-printed backup JSON, suitable for a file download */
+export function exportBackup() {
+  return JSON.stringify(createBackup(), null, 2);
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function validateProgress(progress) {
+  if (!isObject(progress)) throw new Error('progress is missing');
+  for (const key of ['words', 'production']) {
+    if (progress[key] === undefined) continue;
+    if (!isObject(progress[key])) throw new Error(`progress.${key} must be an object`);
+    for (const [wordId, record] of Object.entries(progress[key])) {
+      if (!isObject(record) || typeof record.total !== 'number' || typeof record.correct !== 'number') {
+        throw new Error(`invalid record for ${wordId}`);
+      }
+    }
+  }
+  if (progress.sessions !== undefined && !Array.isArray(progress.sessions)) {
+    throw new Error('progress.sessions must be an array');
+  }
+}
+
+/**
+ * Parse and validate a backup file. A bare exportProgress() file (progress only)
+ * is accepted too.
+ * @param {string} text
+ * @returns {Backup}
+ * @throws {Error} with a short reason when the file is not a usable backup
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('not a JSON file');
+  }
+  if (!isObject(data)) throw new Error('not a backup file');
+
+  // Progress export from before backups existed
+  if (data.format === undefined && isObject(data.words)) {
+    validateProgress(data);
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: null,
+      progress: data,
+      settings: null,
+      userWords: [],
+    };
+  }
+
+  if (data.format !== BACKUP_FORMAT) throw new Error('not a backup file');
+  if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+    throw new Error(`unsupported backup version ${data.version}`);
+  }
+  validateProgress(data.progress);
+  if (data.settings !== undefined && data.settings !== null && !isObject(data.settings)) {
+    throw new Error('settings must be an object');
+  }
+  if (data.userWords !== undefined && !Array.isArray(data.userWords)) {
+    throw new Error('userWords must be an array');
+  }
+  if ((data.userWords ?? []).some((word) => !isObject(word) || typeof word.id !== 'string')) {
+    throw new Error('every user word needs an id');
+  }
+
+  return {
+    format: data.format,
+    version: data.version,
+    createdAt: data.createdAt ?? null,
+    progress: data.progress,
+    settings: data.settings ?? null,
+    userWords: data.userWords ?? [],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Merge
+// ---------------------------------------------------------------------------
+
+function latest(a, b) {
+  if (!a) return b ?? null;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+/**
+ * Merge one word record: the later `updatedAt` wins, as in sync
+ * (mergeRecordMaps() in sync-merge.js); when neither record has one, the side
+ * with more attempts does. The current record wins ties. lastSeen is the later
+ * of the two.
+ */
+export function mergeWordRecord(current, incoming) {
+  if (!current) return { ...incoming };
+  if (!incoming) return { ...current };
+  const winner = current.updatedAt || incoming.updatedAt
+    ? ((incoming.updatedAt ?? '') > (current.updatedAt ?? '') ? incoming : current)
+    : (incoming.total > current.total ? incoming : current);
+  return { ...winner, lastSeen: latest(current.lastSeen, incoming.lastSeen) };
+}
+
+/**
+ * Merge two progress objects (loadProgress() shape).
+ * @param {Object} current
+ * @param {Object} incoming
+ * @returns {Object}
+ */
+export function mergeProgress(current, incoming) {
+  const merged = {
+    ...current,
+    sessions: mergeSessions(current.sessions, incoming.sessions),
+    streakDays: Math.max(current.streakDays ?? 0, incoming.streakDays ?? 0),
+    longestStreak: Math.max(current.longestStreak ?? 0, incoming.longestStreak ?? 0),
+    lastSessionDate: latest(current.lastSessionDate, incoming.lastSessionDate),
+    streakFreezes: mergeStreakFreezes(current.streakFreezes, incoming.streakFreezes),
+    daily: mergeDaily(current.daily, incoming.daily),
+  };
+
+  for (const skill of ['recognition', 'production']) {
+    const ours = skillRecords(current, skill);
+    const theirs = skillRecords(incoming, skill);
+    const records = { ...ours };
+    for (const [wordId, record] of Object.entries(theirs)) {
+      records[wordId] = mergeWordRecord(ours[wordId], record);
+    }
+    merged[skill === 'production' ? 'production' : 'words'] = records;
+  }
+
+  return merged;
+}
+
+// ---------------------------------------------------------------------------
+// Import plan
+// ---------------------------------------------------------------------------
+
+function countWordChanges(before, after) {
+  const counts = { added: 0, updated: 0, removed: 0 };
+  for (const skill of ['recognition', 'production']) {
+    const old = skillRecords(before, skill);
+    const next = skillRecords(after, skill);
+    for (const [wordId, record] of Object.entries(next)) {
+      if (!old[wordId]) counts.added++;
+      else if (JSON.stringify(old[wordId]) !== JSON.stringify(record)) counts.updated++;
+    }
+    for (const wordId of Object.keys(old)) {
+      if (!next[wordId]) counts.removed++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Work out what importing a backup would do, without changing anything.
+ * Merge keeps current settings and current user words on id clashes; replace
+ * takes everything from the backup (settings only if the backup has them).
+ * Device-only settings (LOCAL_SETTINGS) always stay as they are.
+ *
+ * @param {Backup} backup
+ * @param {ImportMode} mode
+ * @param {{ progress: Object, settings: Object, userWords: Array }} [current] - defaults to stored data
+ * @returns {{ mode: ImportMode, result: { progress: Object, settings: Object, userWords: Array },
+ *   preview: { words: { added: number, updated: number, removed: number }, sessions: { before: number, after: number },
+ *   userWords: { added: number, removed: number }, settings: string[] } }}
+ */
+export function planImport(backup, mode, current = {
+  progress: loadProgress(),
+  settings: getSettings(),
+  userWords: loadUserWords(),
+}) {
+  const replace = mode === 'replace';
+
+  const progress = replace
+    ? { ...current.progress, words: {}, production: {}, sessions: [], ...backup.progress }
+    : mergeProgress(current.progress, backup.progress);
+
+  const deviceSettings = Object.fromEntries(LOCAL_SETTINGS
+    .filter((key) => key in current.settings)
+    .map((key) => [key, current.settings[key]]));
+  const settings = replace && backup.settings
+    ? { ...portableSettings(backup.settings), ...deviceSettings }
+    : { ...current.settings };
+
+  const currentIds = new Set(current.userWords.map((w) => w.id));
+  const userWords = replace
+    ? [...backup.userWords]
+    : [...current.userWords, ...backup.userWords.filter((w) => !currentIds.has(w.id))];
+  const nextIds = new Set(userWords.map((w) => w.id));
+
+  return {
+    mode: replace ? 'replace' : 'merge',
+    result: { progress, settings, userWords },
+    preview: {
+      words: countWordChanges(current.progress, progress),
+      sessions: {
+        before: current.progress.sessions?.length ?? 0,
+        after: progress.sessions?.length ?? 0,
+      },
+      userWords: {
+        added: userWords.filter((w) => !currentIds.has(w.id)).length,
+        removed: current.userWords.filter((w) => !nextIds.has(w.id)).length,
+      },
+      settings: Object.keys({ ...current.settings, ...settings })
+        .filter((key) => JSON.stringify(current.settings[key]) !== JSON.stringify(settings[key])),
+    },
+  };
+}
+
+/**
+ * Write a planned import to storage.
+ * @param {ReturnType<typeof planImport>} plan
+ */
+export function applyImport(plan) {
+  const { progress, settings, userWords } = plan.result;
+  saveProgress(progress);
+  saveUserWords(userWords);
+  if (plan.preview.settings.length > 0) {
+    resetSettings();
+    updateSettings(settings);
+  }
+}
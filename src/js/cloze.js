@@ -0,0 +1,172 @@
+// cloze.js — "fill the gap" exercises built from entry example sentences.
+// Finds the term in one of its examples — inflected forms too, by stem and
+// known endings — and splits the sentence around it.
+// Vanilla ES module, no framework dependencies.
+
+import { splitAlternatives, normalizeAlternative, foldSerbian } from './engine.js';
+
+/** Words shorter than this only match exactly; shorter stems are too ambiguous. */
+const MIN_STEM_WORD = 4;
+
+/** Stems keep at least this many letters. */
+const MIN_STEM = 3;
+
+/** Letters a Serbian form may drop from the end of the word: kuća → kuć|i, raditi → radi|m. */
+const MAX_DROPPED = 2;
+
+/** English endings any word takes: works, worked, working, worker, work's. */
+const EN_ENDINGS = ['s', 'es', 'ed', 'ing', 'er', 'ers', 'est', "'s"];
+
+/** Serbian case, person, tense and participle endings, folded (no diacritics). */
+const SR_ENDINGS = [
+  '', 'a', 'e', 'i', 'o', 'u', 'om', 'em', 'ama', 'ima', 'ju',
+  'ov', 'ova', 'ove', 'ovi', 'ovima', 'ev', 'eva', 'eve', 'evi', 'evima',
+  'og', 'oga', 'ome', 'omu', 'emu', 'oj', 'im', 'ih',
+  'm', 's', 'mo', 'te', 'h', 'hu', 'smo', 'ste', 'ti', 'ci',
+  'ao', 'la', 'lo', 'li', 'le', 'io', 'ila', 'ilo', 'ili', 'ile', 'eo', 'ela', 'elo', 'eli', 'ele',
+  'is', 'imo', 'ite', 'es', 'emo', 'ete', 'am', 'as', 'amo', 'ate', 'aju',
+  'jem', 'jes', 'je', 'jemo', 'jete', 'n', 'na', 'no', 'ni', 'ne', 'en', 'ena', 'eno', 'eni', 'ene',
+];
+
+/**
+ * Longest term that is blanked, in words, and how many words of the sentence
+ * must stay visible — some "terms" are whole phrases or sentences.
+ */
+const MAX_GAP_WORDS = 4;
+const MIN_CONTEXT_WORDS = 2;
+
+/** A word, with inner apostrophes and hyphens: "don't", "well-known". */
+const WORD_RE = /[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu;
+
+/**
+ * @typedef {Object} Cloze
+ * @property {string} sentence           - the example, in the word's own language
+ * @property {string} before             - text before the gap
+ * @property {string} answer             - the term as it appears in the sentence (maybe inflected)
+ * @property {string} after              - text after the gap
+ * @property {string|null} translation   - the same example in the hint language, else Russian
+ * @property {string|null} translationLang
+ */
+
+/**
+ * Words of a text with their positions; punctuation and spacing are skipped.
+ * @param {string} text
+ * @returns {Array<{ text: string, start: number, end: number }>}
+ */
+export function tokenize(text) {
+  return [...text.matchAll(WORD_RE)].map((m) => ({ text: m[0], start: m.index, end: m.index + m[0].length }));
+}
+
+/** Case- and apostrophe-insensitive; Serbian also script- and diacritics-insensitive. */
+function fold(text, lang) {
+  const plain = text.replace(/’/g, "'");
+  return lang === 'sr' ? foldSerbian(plain) : plain.toLowerCase();
+}
+
+/**
+ * Stems of a (folded) term word, each with the endings its inflected forms
+ * add. English also drops a final e or y and doubles a final consonant
+ * (care → caring, study → studies, stop → stopped); Serbian drops up to
+ * MAX_DROPPED letters. Other languages only match exactly.
+ *
+ * @returns {Array<[string, string[]]>}
+ */
+function inflections(word, lang) {
+  if (lang === 'en') {
+    const forms = [[word, EN_ENDINGS]];
+    if (word.endsWith('e')) forms.push([word, ['d', 'r', 'rs', 'st']], [word.slice(0, -1), ['ing']]);
+    if (/[^aeiou]y$/.test(word)) forms.push([word.slice(0, -1), ['ies', 'ied', 'ier', 'iest']]);
+    if (/[^aeiou][aeiou][^aeiouwxy]$/.test(word)) forms.push([word + word.at(-1), ['ed', 'ing', 'er', 'est']]);
+    return forms;
+  }
+  if (lang === 'sr') {
+    const forms = [];
+    for (let dropped = 0; dropped <= MAX_DROPPED && word.length - dropped >= MIN_STEM; dropped++) {
+      forms.push([word.slice(0, word.length - dropped), SR_ENDINGS]);
+    }
+    return forms;
+  }
+  return [];
+}
+
+/**
+ * How well a sentence word matches a term word (both folded).
+ * @returns {number} 2 = the same word, 1 = an inflected form of it, 0 = no match
+ */
+function wordMatch(token, word, lang) {
+  if (token === word) return 2;
+  if (word.length < MIN_STEM_WORD) return 0;
+  const inflected = inflections(word, lang)
+    .some(([stem, endings]) => token.startsWith(stem) && endings.includes(token.slice(stem.length)));
+  return inflected ? 1 : 0;
+}
+
+/**
+ * Find a term in a sentence. Every comma/semicolon/slash-separated alternative
+ * of the term is tried ("teach / taught"), without parenthesized parts or a
+ * leading article / "to" (as for answers); a multi-word term must appear as
+ * consecutive words. Exact forms beat inflected ones, longer matches beat
+ * shorter ones, and the first occurrence wins a tie.
+ *
+ * @param {string} sentence
+ * @param {string} term
+ * @param {string} lang - the sentence's language
+ * @returns {{ start: number, end: number, text: string }|null} null also when the term
+ *   is longer than MAX_GAP_WORDS or would leave fewer than MIN_CONTEXT_WORDS visible
+ */
+export function findTerm(sentence, term, lang) {
+  const tokens = tokenize(sentence);
+  const folded = tokens.map((token) => fold(token.text, lang));
+  let best = null;
+
+  for (const alternative of splitAlternatives(term).flatMap((alt) => alt.split('/'))) {
+    const words = tokenize(normalizeAlternative(alternative, lang)).map((word) => fold(word.text, lang));
+    if (words.length === 0 || words.length > MAX_GAP_WORDS) continue;
+    if (tokens.length - words.length < MIN_CONTEXT_WORDS) continue;
+
+    for (let i = 0; i + words.length <= tokens.length; i++) {
+      let score = 0;
+      for (let j = 0; j < words.length; j++) {
+        const match = wordMatch(folded[i + j], words[j], lang);
+        if (match === 0) {
+          score = 0;
+          break;
+        }
+        score += match;
+      }
+      if (score > (best?.score ?? 0)) {
+        best = { score, start: tokens[i].start, end: tokens[i + words.length - 1].end };
+      }
+    }
+  }
+
+  return best && { start: best.start, end: best.end, text: sentence.slice(best.start, best.end) };
+}
+
+/**
+ * Cloze exercises for an entry: one per example sentence (in the word's own
+ * language) that contains the term.
+ *
+ * @param {Object} entry
+ * @param {{ hintLang: string, fallbackLang?: string }} langs - where sentence translations come from
+ * @returns {Cloze[]}
+ */
+export function buildClozes(entry, { hintLang, fallbackLang = 'ru' }) {
+  const lang = entry.source_language;
+  const sentences = entry.examples?.[lang] ?? [];
+
+  return sentences.flatMap((sentence, i) => {
+    const found = sentence && entry.term ? findTerm(sentence, entry.term, lang) : null;
+    if (!found) return [];
+
+    const translationLang = [hintLang, fallbackLang].find((l) => l !== lang && entry.examples?.[l]?.[i]) ?? null;
+    return [{
+      sentence,
+      before: sentence.slice(0, found.start),
+      answer: found.text,
+      after: sentence.slice(found.end),
+      translation: translationLang ? entry.examples[translationLang][i] : null,
+      translationLang,
+    }];
+  });
+}
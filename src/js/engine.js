@@ -4,17 +4,29 @@
  * Responsibilities:
  * - Load vocabulary JSON and filter by language direction
  * - Manage session state (score, streak, hints, words)
- * - Shuffle all playable words (Fisher-Yates) for infinite sessions
+ * - Apply session setup (word filters, session length)
+ * - Order sessions with the SM-2 scheduler: due reviews first, then the rest
+ *   shuffled (Fisher-Yates); "due" sessions serve only reviews + new-word quota
+ * - Two skills: recognition (term → translation) and production (translation → term)
  * - Implement two-tier hint system (sister language → Russian fallback)
+ * - Report one result per presented word to the progress sink, and every attempt to the answer sink
+ * - For targeted sessions (session.wordIds), report accuracy before/after on those words
+ * - Record which word a wrong answer was mistaken for (confusions), and serve
+ *   confusable words for confusion drills (session.confusions)
+ * - Serialize the running session so it can be resumed after a reload
  * - Emit events for UI decoupling
  */
 
 import { EventEmitter } from './event-emitter.js';
 import { getSettings } from './settings.js';
+import { buildReviewQueue, countNewToday, todayISO } from './scheduler.js';
+import { applyFilter } from './session-config.js';
 
 /**
  * @typedef {'en'|'sr'|'ru'} Lang
  * @typedef {'en-sr'|'sr-en'} Direction  learning target - hint language
+ * @typedef {'all'|'due'} SessionType    every playable word, or only today's reviews
+ * @typedef {'recognition'|'production'} Skill  prompt with the term / prompt with a translation
  */
 
 export class GameEngine extends EventEmitter {
@@ -22,27 +34,64 @@ export class GameEngine extends EventEmitter {
    * @param {Object} options
    * @param {Array} options.entries - vocabulary entries
    * @param {string} options.direction - 'en-sr' (learn English, hint Serbian) or 'sr-en' (learn Serbian, hint English)
+   * @param {string} [options.mode] - game mode id, forwarded to the progress sink
+   * @param {Skill} [options.skill] - 'recognition' (default) or 'production'
+   * @param {function} [options.progressSink] - called with every recorded word result
+   * @param {function} [options.answerSink] - called with every answer attempt (see logAttempt)
+   * @param {Object} [options.wordProgress] - wordId → progress record (with SM-2 schedule) for `skill`
+   * @param {Object} [options.session] - session config
+   * @param {SessionType} [options.session.type] - defaults to 'all'
+   * @param {number} [options.session.length] - max words per session, 0 = unlimited
+   * @param {Object} [options.session.filter] - SessionFilter (see session-config.js)
+   * @param {string[]} [options.session.wordIds] - targeted session: play exactly these words
+   *   and include a focus report (see getFocusReport) in the session summary
+   * @param {Object<string, string[]>} [options.session.confusions] - confusion drill: wordId →
+   *   ids of words it gets mixed up with, offered as its quiz options (see getConfusables)
+   * @param {Object} [options.resume] - snapshot from serialize(); the first startSession()
+   *   restores it instead of building a new queue
    */
-  constructor({ entries, direction = 'en-sr' }) {
+  constructor({
+    entries, direction = 'en-sr', mode = null, skill = 'recognition',
+    progressSink = null, answerSink = null, wordProgress = {}, session = {}, resume = null,
+  }) {
     super();
     this.allEntries = entries;
     this.direction = direction;
+    this.mode = mode;
+    this.skill = skill;
+    this.progressSink = progressSink;
+    this.answerSink = answerSink;
+    this.wordProgress = wordProgress;
+    this.sessionConfig = { type: 'all', length: 0, filter: null, wordIds: null, confusions: null, ...session };
+    this._resume = resume;
 
     // Derived from direction
     this.targetLang = direction.split('-')[0]; // language being learned
     this.hintLang = direction.split('-')[1];   // sister language for first hint
     this.fallbackLang = 'ru';                  // always Russian as final fallback
 
+    this.wordFilter = null;
     this.session = null;
   }
 
   /**
-   * Filter entries that have the required translations for this direction.
+   * Narrow the playable entries for a mode that can't play every word
+   * (Cloze needs an example sentence containing the term). Call before startSession().
+   * @param {function(Object): boolean|null} predicate - null plays every word again
+   */
+  setWordFilter(predicate) {
+    this.wordFilter = predicate;
+  }
+
+  /**
+   * Filter entries that have the required translations for this direction
+   * (and pass the mode's word filter, if any).
    */
   getPlayableEntries() {
     return this.allEntries.filter((entry) => {
       // Must belong to the target language
       if (entry.source_language !== this.targetLang) return false;
+      if (this.wordFilter && !this.wordFilter(entry)) return false;
       // Must have the target language term
       const hasTerm = entry.term && entry.term.length > 0;
       // Must have at least one translation to show
@@ -51,6 +100,79 @@ export class GameEngine extends EventEmitter {
     });
   }
 
+  /**
+   * Words the given word is confused with in a confusion drill, for use as
+   * quiz distractors. Empty outside drills.
+   * @param {string} wordId
+   * @returns {Array} entries
+   */
+  getConfusables(wordId) {
+    const ids = this.sessionConfig.confusions?.[wordId] ?? [];
+    return ids.map((id) => this.allEntries.find((e) => e.id === id)).filter(Boolean);
+  }
+
+  /**
+   * Language the prompt is shown in: the target language for recognition;
+   * the sister language (Russian if missing) for production.
+   * @param {Object} [entry] - defaults to the current word
+   * @returns {Lang}
+   */
+  getPromptLang(entry = this.getCurrentWord()) {
+    if (this.skill !== 'production') return this.targetLang;
+    return entry?.translations[this.hintLang] ? this.hintLang : this.fallbackLang;
+  }
+
+  /**
+   * Text shown to the learner for a word.
+   * @param {Object} [entry] - defaults to the current word
+   * @returns {string}
+   */
+  getPrompt(entry = this.getCurrentWord()) {
+    if (!entry) return '';
+    if (this.skill !== 'production') return entry.term;
+    return entry.translations[this.getPromptLang(entry)] || entry.term;
+  }
+
+  /**
+   * Answer checkAnswer() compares against: the sister-language translation
+   * for recognition, the target-language term for production.
+   * @param {Object} [entry] - defaults to the current word
+   * @returns {string}
+   */
+  getExpected(entry = this.getCurrentWord()) {
+    if (!entry) return '';
+    if (this.skill === 'production') return entry.term;
+    return entry.translations[this.hintLang] || entry.term;
+  }
+
+  /**
+   * Language of the answer checkAnswer() expects (the term's language when
+   * the translation is missing and the term is used instead).
+   * @param {Object} [entry] - defaults to the current word
+   * @param {Lang} [targetLang] - translation being checked, defaults to hintLang
+   * @returns {Lang}
+   */
+  getExpectedLang(entry = this.getCurrentWord(), targetLang = this.hintLang) {
+    if (this.skill === 'production') return this.targetLang;
+    return entry?.translations[targetLang] ? targetLang : this.targetLang;
+  }
+
+  /**
+   * Options checkAnswer() passes to matchAnswer() — Serbian answers are
+   * script-agnostic, with diacritics optional unless the setting requires them.
+   * @param {Object} [entry] - defaults to the current word
+   * @param {Lang} [targetLang]
+   * @returns {{ lang: Lang, serbian: boolean, strictDiacritics: boolean }}
+   */
+  getMatchOptions(entry = this.getCurrentWord(), targetLang = this.hintLang) {
+    const lang = this.getExpectedLang(entry, targetLang);
+    return {
+      lang,
+      serbian: lang === 'sr',
+      strictDiacritics: Boolean(getSettings().strictDiacritics),
+    };
+  }
+
   /**
    * Fisher-Yates shuffle — returns a new shuffled copy of the array.
    * @param {Array} arr
@@ -65,22 +187,74 @@ export class GameEngine extends EventEmitter {
     return shuffled;
   }
 
+  /**
+   * Order playable entries for a session using the scheduler.
+   *   'all' — due reviews (most overdue first), then everything else shuffled
+   *   'due' — due reviews, then up to today's remaining new-word quota
+   * @param {Array} playable
+   * @param {SessionType} type
+   * @returns {Array}
+   */
+  buildQueue(playable, type) {
+    const today = todayISO();
+
+    if (type === 'due') {
+      const { newWordsPerDay } = getSettings();
+      const newLimit = Math.max(0, newWordsPerDay - countNewToday(this.wordProgress, today));
+      const { due, fresh } = buildReviewQueue(playable, this.wordProgress, { today, newLimit });
+      return [...due, ...this.shuffleEntries(fresh)];
+    }
+
+    const { due, fresh, later } = buildReviewQueue(playable, this.wordProgress, { today });
+    return [...due, ...this.shuffleEntries([...fresh, ...later])];
+  }
+
   /**
    * Start a new game session.
    * @param {string[]} [filterIds] - if provided, only include entries with these IDs
+   *   (an explicit id list always plays as an 'all' session over exactly those words,
+   *   ignoring the configured filter and length)
    */
   startSession(filterIds) {
+    if (this._resume && !filterIds?.length) {
+      const snapshot = this._resume;
+      this._resume = null;
+      return this.restoreSession(snapshot);
+    }
+
+    // A targeted session plays its configured ids whenever no explicit list is given
+    const focusIds = !filterIds?.length && this.sessionConfig.wordIds?.length
+      ? this.sessionConfig.wordIds
+      : null;
+    const ids = focusIds || filterIds;
+
     let playable = this.getPlayableEntries();
     if (playable.length === 0) {
       throw new Error('No playable entries for this language direction');
     }
 
-    if (filterIds && filterIds.length > 0) {
-      const idSet = new Set(filterIds);
+    const hasIds = Boolean(ids && ids.length > 0);
+    if (hasIds) {
+      const idSet = new Set(ids);
       playable = playable.filter((e) => idSet.has(e.id));
+    } else if (this.sessionConfig.filter) {
+      playable = applyFilter(playable, this.sessionConfig.filter);
+      if (playable.length === 0) {
+        throw new Error('No words match the session filters');
+      }
     }
 
-    const words = this.shuffleEntries(playable);
+    const type = hasIds ? 'all' : this.sessionConfig.type;
+    let words = this.buildQueue(playable, type);
+    if (type === 'due' && words.length === 0) {
+      throw new Error('No words due for review');
+    }
+    if (words.length === 0) {
+      throw new Error('All matching words are suspended or buried');
+    }
+    if (!hasIds && this.sessionConfig.length > 0) {
+      words = words.slice(0, this.sessionConfig.length);
+    }
 
     this.session = {
       words,
@@ -94,17 +268,126 @@ export class GameEngine extends EventEmitter {
       elapsedTime: 0,
       totalAnswered: 0,
       totalCorrect: 0,
+      wordShownAt: 0,       // when the current word was presented
+      resultRecorded: false, // progress already recorded for current word
+      focusResults: focusIds ? new Map() : null, // wordId → { correct, total } this session
+      modeState: null,      // mode-specific state persisted with the session (see setModeState)
+      resumed: false,
     };
 
     this.emit('session:started', {
       totalWords: words.length,
       direction: this.direction,
+      type,
     });
 
     this._emitWordLoaded();
     return this.getCurrentWord();
   }
 
+  /**
+   * Plain-JSON snapshot of the running session (words stored by id), or null.
+   * Written to storage after every change — see the `session:updated` event.
+   * @returns {Object|null}
+   */
+  serialize() {
+    if (!this.session) return null;
+    const s = this.session;
+    return {
+      direction: this.direction,
+      mode: this.mode,
+      skill: this.skill,
+      sessionConfig: { ...this.sessionConfig },
+      session: {
+        wordIds: s.words.map((w) => w.id),
+        currentIndex: s.currentIndex,
+        score: s.score,
+        streak: s.streak,
+        bestStreak: s.bestStreak,
+        hintsUsed: [...s.hintsUsed],
+        wrongWords: [...s.wrongWords],
+        elapsedTime: Date.now() - s.startTime,
+        totalAnswered: s.totalAnswered,
+        totalCorrect: s.totalCorrect,
+        resultRecorded: s.resultRecorded,
+        focusResults: s.focusResults ? [...s.focusResults] : null,
+        modeState: s.modeState,
+      },
+    };
+  }
+
+  /**
+   * Continue a session from a serialize() snapshot. Words no longer in the
+   * vocabulary are dropped; a word already answered before the snapshot was
+   * taken is skipped, so the learner lands on the next one.
+   * @param {Object} snapshot
+   * @returns {Object|null} the current word
+   */
+  restoreSession(snapshot) {
+    const saved = snapshot?.session;
+    if (!saved || !Array.isArray(saved.wordIds)) {
+      throw new Error('Invalid saved session');
+    }
+
+    const byId = new Map(this.allEntries.map((e) => [e.id, e]));
+    const words = [];
+    let currentIndex = saved.currentIndex;
+    saved.wordIds.forEach((id, i) => {
+      const entry = byId.get(id);
+      if (entry) words.push(entry);
+      else if (i < saved.currentIndex) currentIndex--;
+    });
+    if (saved.resultRecorded) currentIndex++;
+    if (currentIndex >= words.length) {
+      throw new Error('Saved session has no words left');
+    }
+
+    this.session = {
+      words,
+      currentIndex,
+      score: saved.score,
+      streak: saved.streak,
+      bestStreak: saved.bestStreak,
+      hintsUsed: new Map(saved.hintsUsed),
+      wrongWords: [...saved.wrongWords],
+      startTime: Date.now() - saved.elapsedTime,
+      elapsedTime: 0,
+      totalAnswered: saved.totalAnswered,
+      totalCorrect: saved.totalCorrect,
+      wordShownAt: 0,
+      resultRecorded: false,
+      focusResults: saved.focusResults ? new Map(saved.focusResults) : null,
+      modeState: saved.modeState ?? null,
+      resumed: true,
+    };
+
+    this.emit('session:started', {
+      totalWords: words.length,
+      direction: this.direction,
+      type: this.sessionConfig.type,
+      resumed: true,
+    });
+
+    this._emitWordLoaded();
+    return this.getCurrentWord();
+  }
+
+  /**
+   * Store mode-specific state (e.g. a mistakes list or match round) with the
+   * session so it survives serialize()/restoreSession().
+   * @param {Object} state - plain JSON
+   */
+  setModeState(state) {
+    if (!this.session) return;
+    this.session.modeState = state;
+    this.emit('session:updated');
+  }
+
+  /** Mode-specific state of the current (possibly resumed) session, or null. */
+  getModeState() {
+    return this.session?.modeState ?? null;
+  }
+
   /**
    * Get the current word in session (pure getter — no side effects).
    */
@@ -124,18 +407,28 @@ export class GameEngine extends EventEmitter {
     const { words, currentIndex } = this.session;
     if (currentIndex >= words.length) return;
     const entry = words[currentIndex];
+
+    // Reset per-presentation tracking (re-inserted words get a fresh attempt)
+    this.session.wordShownAt = Date.now();
+    this.session.resultRecorded = false;
+
     this.emit('word:loaded', {
       index: currentIndex,
       total: words.length,
       term: entry.term,
+      prompt: this.getPrompt(entry),
+      promptLang: this.getPromptLang(entry),
       type: entry.type,
       id: entry.id,
     });
+    this.emit('session:updated');
   }
 
   /**
    * Get hint for the current word.
    * First call → sister language hint, second call → Russian fallback.
+   * In production the prompt already is a translation, so only the one
+   * not used as the prompt is offered (Russian, unless the prompt is Russian).
    * @returns {{ level: number, text: string, lang: string } | null}
    */
   getHint() {
@@ -146,27 +439,31 @@ export class GameEngine extends EventEmitter {
     const currentHints = this.session.hintsUsed.get(entry.id) || 0;
     let hint = null;
 
+    const production = this.skill === 'production';
+    const sisterText = production ? null : entry.translations[this.hintLang];
+    const fallbackText = production && this.getPromptLang(entry) === this.fallbackLang
+      ? null
+      : entry.translations[this.fallbackLang];
+
     if (currentHints === 0) {
       // First hint: sister language
-      const text = entry.translations[this.hintLang];
-      if (text) {
-        hint = { level: 1, text, lang: this.hintLang };
+      if (sisterText) {
+        hint = { level: 1, text: sisterText, lang: this.hintLang };
       } else {
         // Skip to fallback if sister language missing
-        const fallbackText = entry.translations[this.fallbackLang];
         if (fallbackText) {
           // Mark as level 2 — no more hints after this
           hint = { level: 2, text: fallbackText, lang: this.fallbackLang };
           this.session.hintsUsed.set(entry.id, 2);
           this.emit('hint:revealed', { ...hint, wordId: entry.id });
+          this.emit('session:updated');
           return hint;
         }
       }
     } else if (currentHints === 1) {
       // Second hint: Russian fallback (only if first hint was sister language)
-      const text = entry.translations[this.fallbackLang];
-      if (text) {
-        hint = { level: 2, text, lang: this.fallbackLang };
+      if (fallbackText) {
+        hint = { level: 2, text: fallbackText, lang: this.fallbackLang };
       }
     }
     // After level 2, no more hints
@@ -174,6 +471,7 @@ export class GameEngine extends EventEmitter {
     if (hint) {
       this.session.hintsUsed.set(entry.id, currentHints + 1);
       this.emit('hint:revealed', { ...hint, wordId: entry.id });
+      this.emit('session:updated');
     }
 
     return hint;
@@ -197,22 +495,54 @@ export class GameEngine extends EventEmitter {
   /**
    * Check an answer against the current word.
    * @param {string} answer - the user's answer
-   * @param {string} [targetLang] - which translation to check against
-   * @returns {{ correct: boolean, expected: string, hintsUsed: number }}
+   * @param {string} [targetLang] - which translation to check against; the word's own
+   *   language checks against the term itself (Listening)
+   * Any comma/semicolon-separated alternative of the expected translation is accepted
+   * (see matchAnswer), as is the whole string. Serbian may be typed in either script;
+   * `diacritics` marks an answer accepted without its diacritics.
+   * @param {Object} [options]
+   * @param {string|null} [options.chosenId] - multiple choice: id of the word whose option was
+   *   picked. The answer is correct only if it is the current word; any other id is logged
+   *   as a confusion (`confusedWith`).
+   * @param {string|null} [options.expected] - compare against this text instead of the
+   *   translation or term (Cloze: the term's form in the sentence)
+   * @returns {{ correct: boolean, expected: string, matched: string|null, others: string[],
+   *   diacritics: boolean, hintsUsed: number, responseMs: number }}
    */
-  checkAnswer(answer, targetLang) {
+  checkAnswer(answer, targetLang, { chosenId = null, expected: expectedText = null } = {}) {
     if (!this.session) return null;
     const entry = this.getCurrentWord();
     if (!entry) return null;
 
     const checkLang = targetLang || this.hintLang;
-    const expected = entry.translations[checkLang] || entry.term;
+    const expected = expectedText ?? (this.skill === 'production' || checkLang === entry.source_language
+      ? entry.term
+      : entry.translations[checkLang] || entry.term);
     const hintsUsed = this.session.hintsUsed.get(entry.id) || 0;
 
-    const correct = normalizeForComparison(answer) === normalizeForComparison(expected);
+    const match = matchAnswer(answer, expected, 2, this.getMatchOptions(entry, checkLang));
+    const correct = chosenId ? chosenId === entry.id : match.exact;
+    const confusedWith = chosenId && !correct ? chosenId : null;
+    const responseMs = Date.now() - this.session.wordShownAt;
 
     this.session.totalAnswered++;
 
+    // Only the first attempt at a presented word counts towards progress
+    const counted = !this.session.resultRecorded;
+    if (counted) {
+      this.session.resultRecorded = true;
+      this.recordResult(entry.id, correct, { hintsUsed, responseMs });
+    }
+    this.logAttempt(entry.id, correct, {
+      given: answer,
+      expected,
+      distance: match.distance,
+      hintsUsed,
+      responseMs,
+      counted,
+      confusedWith,
+    });
+
     if (correct) {
       this.session.totalCorrect++;
       this.session.streak++;
@@ -228,9 +558,13 @@ export class GameEngine extends EventEmitter {
 
       this.emit('answer:correct', {
         wordId: entry.id,
+        matched: match.matched,
+        diacritics: match.diacritics,
         points,
         streak: this.session.streak,
         score: this.session.score,
+        hintsUsed,
+        responseMs,
       });
     } else {
       this.session.streak = 0;
@@ -255,10 +589,143 @@ export class GameEngine extends EventEmitter {
         wordId: entry.id,
         expected,
         given: answer,
+        hintsUsed,
+        responseMs,
       });
     }
 
-    return { correct, expected, hintsUsed };
+    this.emit('session:updated');
+    return {
+      correct,
+      expected,
+      matched: match.matched,
+      others: match.others,
+      diacritics: match.diacritics,
+      hintsUsed,
+      responseMs,
+    };
+  }
+
+  /**
+   * Report a word result to the progress sink.
+   * Called by checkAnswer() and directly by modes that don't answer through it (match).
+   * @param {string} wordId
+   * @param {boolean} correct
+   * @param {Object} [details]
+   * @param {number} [details.hintsUsed]
+   * @param {number|null} [details.responseMs] - time from word shown to answer
+   * @returns {Object} the recorded result
+   */
+  recordResult(wordId, correct, { hintsUsed = 0, responseMs = null } = {}) {
+    const result = {
+      wordId,
+      correct,
+      hintsUsed,
+      responseMs,
+      mode: this.mode,
+      direction: this.direction,
+      skill: this.skill,
+    };
+
+    if (this.progressSink) this.progressSink(result);
+    this.emit('result:recorded', result);
+
+    const focusResults = this.session?.focusResults;
+    if (focusResults) {
+      const tally = focusResults.get(wordId) || { correct: 0, total: 0 };
+      tally.total++;
+      if (correct) tally.correct++;
+      focusResults.set(wordId, tally);
+    }
+
+    if (this.session) this.emit('session:updated');
+    return result;
+  }
+
+  /**
+   * Report one answer attempt — every try, including retries that don't count
+   * towards progress — to the answer sink (the answer log).
+   * Called by checkAnswer() and directly by modes that don't answer through it (match).
+   * @param {string} wordId
+   * @param {boolean} correct
+   * @param {Object} [details]
+   * @param {string} [details.given] - what the learner answered
+   * @param {string} [details.expected] - the accepted answer
+   * @param {number|null} [details.distance] - edit distance to the closest alternative; null if not measured
+   * @param {number} [details.hintsUsed]
+   * @param {number|null} [details.responseMs]
+   * @param {boolean} [details.counted] - this attempt was also reported via recordResult()
+   * @param {string|null} [details.confusedWith] - id of the word the answer belonged to, when a
+   *   wrong answer picked another word (quiz option, match pairing)
+   * @returns {Object} the logged attempt
+   */
+  logAttempt(wordId, correct, {
+    given = '', expected = '', distance = null, hintsUsed = 0, responseMs = null, counted = false,
+    confusedWith = null,
+  } = {}) {
+    const attempt = {
+      wordId,
+      correct,
+      given,
+      expected,
+      distance: Number.isFinite(distance) ? distance : null,
+      hintsUsed,
+      responseMs,
+      counted,
+      confusedWith,
+      mode: this.mode,
+      direction: this.direction,
+      skill: this.skill,
+      timestamp: Date.now(),
+    };
+
+    if (this.answerSink) this.answerSink(attempt);
+    this.emit('answer:logged', attempt);
+    return attempt;
+  }
+
+  /**
+   * Improvement on the targeted words of a session started with session.wordIds.
+   * "Before" comes from the word progress the engine was created with; "after"
+   * adds this session's results on top.
+   * @returns {{ words: number, answered: number, correct: number,
+   *   accuracyBefore: number, accuracyAfter: number, improved: number } | null}
+   */
+  getFocusReport() {
+    const focusResults = this.session?.focusResults;
+    if (!focusResults) return null;
+
+    const ids = new Set(this.session.words.map((w) => w.id));
+    let beforeCorrect = 0;
+    let beforeTotal = 0;
+    let answered = 0;
+    let correct = 0;
+    let improved = 0;
+
+    for (const id of ids) {
+      const prev = this.wordProgress[id] || {};
+      const prevCorrect = prev.correct ?? 0;
+      const prevTotal = prev.total ?? 0;
+      const now = focusResults.get(id) || { correct: 0, total: 0 };
+
+      beforeCorrect += prevCorrect;
+      beforeTotal += prevTotal;
+      answered += now.total;
+      correct += now.correct;
+
+      if (now.total > 0 && percent(prevCorrect + now.correct, prevTotal + now.total) > percent(prevCorrect, prevTotal)) {
+        improved++;
+      }
+    }
+
+    return {
+      words: ids.size,
+      answered,
+      correct,
+      accuracyBefore: percent(beforeCorrect, beforeTotal),
+      accuracyAfter: percent(beforeCorrect + correct, beforeTotal + answered),
+      improved,
+    };
   }
 
   /**
@@ -295,7 +762,9 @@ export class GameEngine extends EventEmitter {
         : 0,
       bestStreak: this.session.bestStreak,
       wrongWords: [...this.session.wrongWords],
+      wordIds: [...new Set(this.session.words.map((w) => w.id))],
       elapsedTime: this.session.elapsedTime,
+      focus: this.getFocusReport(),
     };
 
     this.emit('session:ended', summary);
@@ -305,6 +774,10 @@ export class GameEngine extends EventEmitter {
   }
 }
 
+function percent(num, den) {
+  return den === 0 ? 0 : Math.round((num / den) * 100);
+}
+
 /**
  * Normalize a string for answer comparison.
  */
@@ -348,6 +821,129 @@ export function fuzzyMatch(answer, expected, maxDistance = 2) {
   return { exact: false, close: dist <= maxDistance, distance: dist };
 }
 
+/**
+ * Split a translation into its accepted alternatives on commas/semicolons,
+ * ignoring separators inside parentheses: "zdravo, ćao" → ['zdravo', 'ćao'].
+ */
+export function splitAlternatives(text) {
+  if (!text) return [];
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    if ((ch === ',' || ch === ';') && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+/**
+ * Leading words that may be omitted in English: articles and the infinitive "to".
+ * Only English — in Serbian "to" and "a" are words of their own.
+ */
+export const OPTIONAL_PREFIX = /^(?:the|an?|to)\s+/i;
+
+/**
+ * Normalize one alternative for lenient comparison: parenthesized parts
+ * ("(to) go", "kuća (f)") are optional, and so is a leading article / "to"
+ * when the text is English.
+ *
+ * @param {string} str
+ * @param {string} [lang] - language of the text
+ * @returns {string}
+ */
+export function normalizeAlternative(str, lang) {
+  const normalized = normalizeForComparison(str.replace(/\([^)]*\)/g, ' '));
+  return lang === 'en' ? normalized.replace(OPTIONAL_PREFIX, '') : normalized;
+}
+
+/**
+ * Closest alternative to an (already normalized) answer, or null.
+ * @param {string} given
+ * @param {string[]} alternatives - as written
+ * @param {function(string): string} normalize - applied to each alternative
+ * @returns {{ alt: string, distance: number }|null}
+ */
+function closestAlternative(given, alternatives, normalize) {
+  let best = null;
+  if (!given) return best;
+  for (const alt of alternatives) {
+    const target = normalize(alt);
+    if (!target) continue;
+    const distance = levenshtein(given, target);
+    if (!best || distance < best.distance) best = { alt, distance };
+    if (distance === 0) break;
+  }
+  return best;
+}
+
+/**
+ * Compare an answer against every alternative of an expected translation.
+ * `matched` is the alternative (as written) the answer hit — or the closest one
+ * when it missed — and `others` the remaining alternatives.
+ *
+ * With `serbian`, Cyrillic and Latin are interchangeable and an answer that is
+ * right except for diacritics ("ASCII Serbian": c for č/ć, s for š, z for ž, dj for đ)
+ * is flagged with `diacritics: true` — accepted, or only `close` under `strictDiacritics`.
+ * A leading article / "to" is optional when `lang` is 'en' (see OPTIONAL_PREFIX).
+ *
+ * @param {string} answer
+ * @param {string} expected - full translation, possibly a list
+ * @param {number} [maxDistance] - Levenshtein threshold for `close`
+ * @param {{ lang?: string, serbian?: boolean, strictDiacritics?: boolean }} [options]
+ * @returns {{ exact: boolean, close: boolean, distance: number, matched: string|null,
+ *   others: string[], diacritics: boolean }}
+ */
+export function matchAnswer(answer, expected, maxDistance = 2, { lang, serbian = false, strictDiacritics = false } = {}) {
+  const alternatives = splitAlternatives(expected);
+  const script = serbian ? serbianCyrillicToLatin : (str) => str;
+  const normalize = (str) => normalizeAlternative(str, lang);
+
+  // The whole string always counts (quiz and flashcards answer with the full label)
+  if (normalizeForComparison(script(answer)) === normalizeForComparison(script(expected))) {
+    return { exact: true, close: true, distance: 0, matched: expected, others: [], diacritics: false };
+  }
+
+  const given = normalize(script(answer));
+  const best = closestAlternative(given, alternatives, (alt) => normalize(script(alt)));
+
+  if (!best) {
+    return { exact: false, close: false, distance: Infinity, matched: null, others: alternatives, diacritics: false };
+  }
+
+  const others = (matched) => alternatives.filter((alt) => alt !== matched);
+
+  if (serbian && best.distance > 0) {
+    const folded = closestAlternative(foldSerbian(given), alternatives, (alt) => foldSerbian(normalize(script(alt))));
+    if (folded?.distance === 0) {
+      return {
+        exact: !strictDiacritics,
+        close: true,
+        distance: strictDiacritics ? levenshtein(given, normalize(script(folded.alt))) : 0,
+        matched: folded.alt,
+        others: others(folded.alt),
+        diacritics: true,
+      };
+    }
+  }
+
+  return {
+    exact: best.distance === 0,
+    close: best.distance <= maxDistance,
+    distance: best.distance,
+    matched: best.alt,
+    others: others(best.alt),
+    diacritics: false,
+  };
+}
+
 /**
  * Transliterate Serbian Cyrillic to Latin for comparison.
  */
@@ -371,3 +967,15 @@ export function serbianCyrillicToLatin(text) {
     .join('');
 }
 
+/** Serbian Latin diacritics and their keyboard-friendly ASCII spellings. */
+const SERBIAN_ASCII = { 'č': 'c', 'ć': 'c', 'š': 's', 'ž': 'z', 'đ': 'dj' };
+
+/**
+ * Reduce Serbian text (either script) to lowercase ASCII: "Đorđe" / "Ђорђе" → "djordje".
+ */
+export function foldSerbian(text) {
+  return serbianCyrillicToLatin(text)
+    .toLowerCase()
+    .replace(/[čćšžđ]/g, (ch) => SERBIAN_ASCII[ch]);
+}
+
@@ -1,6 +1,6 @@
 /**
  * Internationalization — UI strings in Russian, English, and Serbian.
- * Active language is determined by the `uiLanguage` setting in localStorage.
+ * Active language is determined by the active profile's `uiLanguage` setting (settings.js storedUiLanguage).
  *
  * Usage:
  *   import { t, fmt, langLabel, uiLang } from '../i18n.js';
@@ -8,6 +8,8 @@
  *   fmt('already_exists', { term })  // interpolated string
  */
 
+import { storedUiLanguage } from './settings.js';
+
 // ---------------------------------------------------------------------------
 // Translation maps
 // ---------------------------------------------------------------------------
@@ -54,6 +56,9 @@ const translations = {
     correct_answer: 'Правильно! ✓',
     answer_is: 'Ответ:',
     close_answer: 'Почти! Ответ:',
+    also_accepted: 'Также верно:',
+    correct_no_diacritics: 'Верно, но без диакритики:',
+    diacritics_required: 'Не хватает диакритики:',
     type_answer_first: 'Сначала напиши ответ.',
     review_these: 'Повтори эти слова:',
     you_said: 'ты написал:',
@@ -68,6 +73,8 @@ const translations = {
     // Menu / Settings
     words_available: 'слов доступно',
     repeat_forgotten: 'Повторять забытые слова',
+    strict_diacritics: 'Требовать č, ć, š, ž, đ',
+    auto_play: 'Озвучивать слова автоматически',
     ui_language: 'Язык интерфейса',
     lang_en: 'Английский',
     lang_sr: 'Сербский',
@@ -77,6 +84,11 @@ const translations = {
     app_subtitle: 'Учи английский и сербский в игровой форме',
     direction_label: 'Направление',
     game_mode_label: 'Режим игры',
+    skill_label: 'Тренировка',
+    skill_recognition: 'Узнавание',
+    skill_production: 'Воспроизведение',
+    skill_recognition_desc: 'Слово → перевод',
+    skill_production_desc: 'Перевод → слово',
     mode_flashcards: 'Карточки',
     mode_flashcards_desc: 'Переворачивай и запоминай',
     mode_quiz: 'Тест',
@@ -85,6 +97,14 @@ const translations = {
     mode_typing_desc: 'Напиши перевод',
     mode_match: 'Пары',
     mode_match_desc: 'Соедини слово с переводом',
+    mode_listening: 'Аудирование',
+    mode_listening_desc: 'Услышь слово — выбери или напиши его',
+    mode_cloze: 'Вставь слово',
+    mode_cloze_desc: 'Дополни предложение из примеров',
+    mode_sentence: 'Собери предложение',
+    mode_sentence_desc: 'Расставь слова примера по порядку',
+    mode_spelling: 'Диктант',
+    mode_spelling_desc: 'Услышь слово или прочитай перевод — напиши его',
     days: 'дней',
     learned: 'изучено',
     mastered_stat: 'освоено',
@@ -92,11 +112,88 @@ const translations = {
     loading: 'Загрузка…',
     export_excel: 'Экспорт в Excel',
 
+    // Daily review queue
+    daily_review: 'Повторение на сегодня',
+    reviews_due: 'к повторению',
+    new_words_left: 'новых',
+    minutes_short: 'мин',
+    start_reviews: 'Начать повторение',
+    all_caught_up: 'На сегодня всё повторено!',
+    new_per_day: 'Новых слов в день',
+
+    // Daily goal & streak
+    daily_goal: 'Цель на день',
+    goal_type_answers: 'Ответы',
+    goal_type_minutes: 'Минуты',
+    goal_unit_answers: 'ответов',
+    goal_unit_minutes: 'мин',
+    goal_progress: '{done} из {target} {unit}',
+    goal_met: 'Цель выполнена',
+    streak_freezes: 'Пропусков в месяц без потери серии',
+    longest_streak: 'Лучшая серия',
+    freezes_left: 'Заморозки серии в этом месяце: {count} из {total}',
+    activity_title: 'Активность за год',
+    heatmap_day: '{date}: {answers} ответов, {minutes} мин',
+    heatmap_frozen: 'заморозка',
+    heatmap_less: 'Меньше',
+    heatmap_more: 'Больше',
+
+    // Resume session
+    resume_title: 'Незавершённая сессия',
+    resume_session: 'Продолжить',
+    discard_session: 'Сбросить',
+    resume_position: 'слово {position} из {total}',
+
+    // Sync
+    sync_server: 'Сервер синхронизации',
+    sync_token: 'Токен синхронизации',
+    sync_id: 'ID синхронизации',
+    sync_id_hint: 'Введите один и тот же ID синхронизации на всех устройствах этого профиля.',
+    sync_now: 'Синхронизировать',
+    sync_running: 'Синхронизация…',
+    sync_ok: 'Синхронизировано',
+    sync_failed: 'Не удалось синхронизировать',
+
+    // Session setup
+    session_setup: 'Настройка сессии',
+    session_length: 'Слов за сессию',
+    difficulty_label: 'Сложность',
+    word_source: 'Слова',
+    source_all: 'Все',
+    source_user: 'Мои',
+    source_builtin: 'Встроенные',
+    categories_label: 'Категории',
+    tags_filter_label: 'Теги',
+    session_matches: 'Подходит слов: {count}',
+    start_failed: 'Не удалось начать: с этими настройками нет слов для игры. Приостановленные и отложенные слова не попадают в сессии.',
+    reset_filters: 'Сбросить фильтры',
+
+    // Targeted practice
+    practice_title: 'Тренировка слабых слов',
+    choose_mode: 'Выбери режим',
+    cancel: 'Отмена',
+    focus_title: 'Целевые слова',
+    focus_result: 'Правильно: {correct} из {answered} ({words} слов)',
+    focus_accuracy: 'Точность: {before}% → {after}%',
+    focus_improved: 'Улучшилось слов: {count}',
+
     // Tab bar
     tab_game: 'Игра',
     tab_stats: 'Статистика',
     tab_words: 'Слова',
 
+    // Profiles
+    profiles_title: 'Профили',
+    profile_default: 'Основной',
+    profile_active: 'активный',
+    profile_switch: 'Выбрать',
+    profile_rename: 'Переименовать',
+    profile_rename_prompt: 'Новое имя профиля:',
+    profile_new_placeholder: 'Имя нового профиля',
+    profile_add: 'Добавить',
+    profile_delete_confirm: 'Удалить профиль «{name}» вместе с его прогрессом и словами?',
+    close: 'Закрыть',
+
     // Error
     error_loading: 'Ошибка загрузки',
 
@@ -111,18 +208,54 @@ const translations = {
     overall_accuracy: 'общая точность',
     last_sessions: 'Последние сессии',
     bar_chart_label: 'График точности последних сессий',
+    trends_title: 'Динамика',
+    trends_empty: 'Графики появятся после первых ответов.',
+    period_day: 'По дням',
+    period_week: 'По неделям',
+    chart_accuracy_time: 'Точность по времени',
+    chart_words_learned: 'Изученные слова по уровням',
+    chart_mode_accuracy: 'Точность по режимам',
+    chart_forgetting: 'Кривая забывания',
+    forgetting_axis: 'Доля верных ответов по числу дней с прошлого повторения',
+    chart_point: '{label}: {correct} из {total} ({accuracy}%)',
+    breakdown_title: 'По категориям и сложности',
+    breakdown_empty: 'У слов нет таких пометок.',
+    col_words: 'Слов',
+    col_mastery: 'Уровни',
+    practice_slice: 'Нажми, чтобы потренировать эти слова',
+    practice_slice_title: 'Тренировка: {name}',
+    confusions_title: 'Часто путаю',
+    no_confusions: 'Путаницы пока не было.',
+    confusion_count: '×{count}',
+    drill_confusions: 'Разобрать эти пары',
     no_sessions: 'Сессий пока нет.',
     streak: 'Серия',
     last_session: 'Последняя сессия',
     words_to_review_heading: 'Слова для повторения',
     no_words_review: 'Все слова освоены — отлично!',
     practice_these: 'Повторить',
+    last_seen: 'Последний раз',
+    show_examples: 'Примеры',
+    no_examples: 'Примеров нет',
     recent_sessions: 'Последние сессии',
     col_date: 'Дата',
     col_score: 'Очки',
     col_duration: 'Время',
     actions: 'Действия',
-    export_json: 'Экспорт JSON',
+    export_json: 'Экспорт резервной копии',
+    import_backup: 'Импорт резервной копии',
+    backup_invalid: 'Файл не подходит',
+    backup_created: 'Копия от',
+    import_preview: 'Что изменится',
+    import_merge: 'Объединить',
+    import_replace: 'Заменить',
+    import_words: 'Слова: {added} новых, {updated} обновлено, {removed} удалено',
+    import_sessions: 'Сессии: {before} → {after}',
+    import_user_words: 'Мои слова: +{added}, −{removed}',
+    import_settings_changed: 'Настройки изменятся:',
+    import_settings_unchanged: 'Настройки не изменятся',
+    import_apply: 'Импортировать',
+    import_replace_confirm: 'Заменить текущий прогресс данными из файла? Это нельзя отменить.',
     reset_progress: 'Сбросить прогресс',
     reset_confirm: 'Сбросить весь прогресс? Это нельзя отменить.',
     months: ['Янв', 'Фев', 'Мар', 'Апр', 'Май', 'Июн', 'Июл', 'Авг', 'Сен', 'Окт', 'Ноя', 'Дек'],
@@ -167,6 +300,73 @@ const translations = {
     file_read_error: 'Не удалось прочитать файл.',
     no_words_export: 'Нет слов для экспорта.',
     delete_confirm: 'Удалить «{term}»?',
+
+    // Word page
+    word_back: 'Назад',
+    word_not_found: 'Этого слова нет в словаре.',
+    word_translations: 'Переводы',
+    word_examples: 'Примеры',
+    word_explanation: 'Пояснение',
+    word_category: 'Категория',
+    word_tags: 'Теги',
+    word_progress: 'Прогресс и расписание',
+    word_next_review: 'Следующее повторение',
+    word_interval: 'Интервал',
+    word_interval_days: '{days} дн.',
+    word_ease: 'Лёгкость',
+    word_reps: 'Повторений подряд',
+    word_lapses: 'Забываний',
+    word_not_scheduled: 'Ещё не изучалось',
+    word_history: 'История ответов',
+    word_no_history: 'Ответов пока нет.',
+    word_col_mode: 'Режим',
+    word_col_answer: 'Ответ',
+    word_suspend: 'Приостановить',
+    word_unsuspend: 'Вернуть в игру',
+    word_bury: 'Отложить до завтра',
+    word_unbury: 'Не откладывать',
+    word_mark_known: 'Я это знаю',
+    word_suspended: 'Приостановлено — не попадает в сессии.',
+    word_buried: 'Отложено до {date}.',
+
+    // Listening / audio
+    listen_prompt: 'Какое слово прозвучало?',
+    listen_play: 'Прослушать',
+    listen_replay: 'Ещё раз',
+    listen_slow: 'Медленно',
+    answer_choose: 'Выбрать',
+    answer_type: 'Написать',
+    type_heard: 'Напиши услышанное слово…',
+    listen_close: 'Почти! Послушай ещё раз и попробуй снова.',
+    audio_unavailable: 'Этот браузер не умеет озвучивать текст.',
+    audio_failed: 'Не удалось воспроизвести слово.',
+    voice_label: 'Голос: {lang}',
+    voice_default: 'По умолчанию',
+
+    // Fill the gap
+    cloze_prompt: 'Какое слово пропущено?',
+    type_gap: 'Напиши пропущенное слово…',
+    cloze_base_form: 'Слово верное — теперь поставь его в форму, которая нужна предложению.',
+    cloze_close: 'Почти! Проверь написание и попробуй ещё раз.',
+    cloze_no_examples: 'Для этого языка пока нет слов с примерами предложений.',
+
+    // Build the sentence
+    sentence_prompt: 'Переведи, расставив слова по порядку:',
+    sentence_tap: 'Нажимай на слова ниже',
+    sentence_check: 'Проверить',
+    sentence_clear: 'Сбросить',
+    sentence_no_examples: 'Для этого языка пока нет слов с переведёнными примерами.',
+
+    // Spelling
+    spelling_prompt: 'Напиши слово:',
+    type_spelling: 'Напиши слово по буквам…',
+    spelling_try_again: 'Не совсем — отмеченные буквы неверны. Осталось попыток: {left}',
+    letters_session: 'Обрати внимание на буквы:',
+    letters_title: 'Ошибки в написании',
+    no_letter_errors: 'Ошибок в написании пока нет.',
+    letter_wrong: '{given} вместо {expected}',
+    letter_missing: 'пропущено {expected}',
+    letter_extra: 'лишнее {given}',
   },
 
   // ── English ─────────────────────────────────────────────────────────────
@@ -206,6 +406,9 @@ const translations = {
     correct_answer: 'Correct! ✓',
     answer_is: 'Answer:',
     close_answer: 'Close! Answer:',
+    also_accepted: 'Also accepted:',
+    correct_no_diacritics: 'Correct, but mind the diacritics:',
+    diacritics_required: 'Missing diacritics:',
     type_answer_first: 'Type your answer first.',
     review_these: 'Review these words:',
     you_said: 'you typed:',
@@ -218,6 +421,8 @@ const translations = {
 
     words_available: 'words available',
     repeat_forgotten: 'Repeat forgotten words',
+    strict_diacritics: 'Require č, ć, š, ž, đ',
+    auto_play: 'Play words automatically',
     ui_language: 'Interface language',
     lang_en: 'English',
     lang_sr: 'Serbian',
@@ -226,6 +431,11 @@ const translations = {
     app_subtitle: 'Learn English and Serbian through games',
     direction_label: 'Direction',
     game_mode_label: 'Game mode',
+    skill_label: 'Practice',
+    skill_recognition: 'Recognition',
+    skill_production: 'Production',
+    skill_recognition_desc: 'Word → translation',
+    skill_production_desc: 'Translation → word',
     mode_flashcards: 'Flashcards',
     mode_flashcards_desc: 'Flip and memorize',
     mode_quiz: 'Quiz',
@@ -234,6 +444,14 @@ const translations = {
     mode_typing_desc: 'Type the translation',
     mode_match: 'Match',
     mode_match_desc: 'Match word with translation',
+    mode_listening: 'Listening',
+    mode_listening_desc: 'Hear the word, then pick or type it',
+    mode_cloze: 'Fill the gap',
+    mode_cloze_desc: 'Complete example sentences',
+    mode_sentence: 'Build the sentence',
+    mode_sentence_desc: 'Put the words of an example in order',
+    mode_spelling: 'Spelling',
+    mode_spelling_desc: 'Hear the word or read its translation, then spell it',
     days: 'days',
     learned: 'learned',
     mastered_stat: 'mastered',
@@ -241,10 +459,80 @@ const translations = {
     loading: 'Loading…',
     export_excel: 'Export to Excel',
 
+    daily_review: "Today's reviews",
+    reviews_due: 'due',
+    new_words_left: 'new',
+    minutes_short: 'min',
+    start_reviews: 'Start reviews',
+    all_caught_up: 'All caught up for today!',
+    new_per_day: 'New words per day',
+
+    daily_goal: 'Daily goal',
+    goal_type_answers: 'Answers',
+    goal_type_minutes: 'Minutes',
+    goal_unit_answers: 'answers',
+    goal_unit_minutes: 'min',
+    goal_progress: '{done} of {target} {unit}',
+    goal_met: 'Goal reached',
+    streak_freezes: 'Streak freezes per month',
+    longest_streak: 'Longest streak',
+    freezes_left: 'Streak freezes left this month: {count} of {total}',
+    activity_title: 'Activity this year',
+    heatmap_day: '{date}: {answers} answers, {minutes} min',
+    heatmap_frozen: 'freeze',
+    heatmap_less: 'Less',
+    heatmap_more: 'More',
+
+    resume_title: 'Unfinished session',
+    resume_session: 'Resume session',
+    discard_session: 'Discard',
+    resume_position: 'word {position} of {total}',
+
+    sync_server: 'Sync server',
+    sync_token: 'Sync token',
+    sync_id: 'Sync ID',
+    sync_id_hint: 'Enter the same sync ID on every device of this profile.',
+    sync_now: 'Sync now',
+    sync_running: 'Syncing…',
+    sync_ok: 'Synced',
+    sync_failed: 'Sync failed',
+
+    session_setup: 'Session setup',
+    session_length: 'Words per session',
+    difficulty_label: 'Difficulty',
+    word_source: 'Words',
+    source_all: 'All',
+    source_user: 'Mine',
+    source_builtin: 'Built-in',
+    categories_label: 'Categories',
+    tags_filter_label: 'Tags',
+    session_matches: 'Matching words: {count}',
+    start_failed: "Couldn't start: no words to play with these settings. Suspended and buried words are left out of sessions.",
+    reset_filters: 'Reset filters',
+
+    practice_title: 'Practice weak words',
+    choose_mode: 'Choose a mode',
+    cancel: 'Cancel',
+    focus_title: 'Focus words',
+    focus_result: 'Correct: {correct} of {answered} ({words} words)',
+    focus_accuracy: 'Accuracy: {before}% → {after}%',
+    focus_improved: 'Words improved: {count}',
+
     tab_game: 'Game',
     tab_stats: 'Stats',
     tab_words: 'Words',
 
+    profiles_title: 'Profiles',
+    profile_default: 'Main',
+    profile_active: 'active',
+    profile_switch: 'Switch',
+    profile_rename: 'Rename',
+    profile_rename_prompt: 'New profile name:',
+    profile_new_placeholder: 'New profile name',
+    profile_add: 'Add',
+    profile_delete_confirm: 'Delete profile "{name}" with all its progress and words?',
+    close: 'Close',
+
     error_loading: 'Loading error',
 
     stats_title: 'Statistics',
@@ -257,18 +545,54 @@ const translations = {
     overall_accuracy: 'overall accuracy',
     last_sessions: 'Last sessions',
     bar_chart_label: 'Bar chart of recent session accuracy',
+    trends_title: 'Trends',
+    trends_empty: 'Charts appear once you have answered some words.',
+    period_day: 'Daily',
+    period_week: 'Weekly',
+    chart_accuracy_time: 'Accuracy over time',
+    chart_words_learned: 'Words learned by level',
+    chart_mode_accuracy: 'Accuracy by mode',
+    chart_forgetting: 'Forgetting curve',
+    forgetting_axis: 'Recall rate by days since the last review',
+    chart_point: '{label}: {correct} of {total} ({accuracy}%)',
+    breakdown_title: 'By category and difficulty',
+    breakdown_empty: 'No words are labelled this way.',
+    col_words: 'Words',
+    col_mastery: 'Mastery',
+    practice_slice: 'Click to practice these words',
+    practice_slice_title: 'Practice: {name}',
+    confusions_title: 'Commonly confused',
+    no_confusions: 'No mix-ups recorded yet.',
+    confusion_count: '×{count}',
+    drill_confusions: 'Drill these pairs',
     no_sessions: 'No sessions recorded yet.',
     streak: 'Streak',
     last_session: 'Last session',
     words_to_review_heading: 'Words to review',
     no_words_review: 'No words need review — great work!',
     practice_these: 'Practice these',
+    last_seen: 'Last seen',
+    show_examples: 'Examples',
+    no_examples: 'No examples',
     recent_sessions: 'Recent sessions',
     col_date: 'Date',
     col_score: 'Score',
     col_duration: 'Duration',
     actions: 'Actions',
-    export_json: 'Export JSON',
+    export_json: 'Export backup',
+    import_backup: 'Import backup',
+    backup_invalid: "Can't use this file",
+    backup_created: 'Backup from',
+    import_preview: 'What will change',
+    import_merge: 'Merge',
+    import_replace: 'Replace',
+    import_words: 'Words: {added} new, {updated} updated, {removed} removed',
+    import_sessions: 'Sessions: {before} → {after}',
+    import_user_words: 'My words: +{added}, −{removed}',
+    import_settings_changed: 'Settings that change:',
+    import_settings_unchanged: 'Settings stay as they are',
+    import_apply: 'Import',
+    import_replace_confirm: 'Replace your current progress with the backup? This cannot be undone.',
     reset_progress: 'Reset progress',
     reset_confirm: 'Reset all progress? This cannot be undone.',
     months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
@@ -312,6 +636,68 @@ const translations = {
     file_read_error: 'Could not read the file.',
     no_words_export: 'No user words to export.',
     delete_confirm: 'Delete "{term}"?',
+
+    word_back: 'Back',
+    word_not_found: 'This word is not in the vocabulary.',
+    word_translations: 'Translations',
+    word_examples: 'Examples',
+    word_explanation: 'Explanation',
+    word_category: 'Category',
+    word_tags: 'Tags',
+    word_progress: 'Progress and schedule',
+    word_next_review: 'Next review',
+    word_interval: 'Interval',
+    word_interval_days: '{days} d',
+    word_ease: 'Ease',
+    word_reps: 'Reviews in a row',
+    word_lapses: 'Lapses',
+    word_not_scheduled: 'Not studied yet',
+    word_history: 'Answer history',
+    word_no_history: 'No answers recorded yet.',
+    word_col_mode: 'Mode',
+    word_col_answer: 'Answer',
+    word_suspend: 'Suspend',
+    word_unsuspend: 'Unsuspend',
+    word_bury: 'Bury until tomorrow',
+    word_unbury: 'Unbury',
+    word_mark_known: 'Mark as known',
+    word_suspended: 'Suspended — left out of every session.',
+    word_buried: 'Buried until {date}.',
+
+    listen_prompt: 'Which word did you hear?',
+    listen_play: 'Play',
+    listen_replay: 'Replay',
+    listen_slow: 'Slower',
+    answer_choose: 'Choose',
+    answer_type: 'Type',
+    type_heard: 'Type the word you heard…',
+    listen_close: 'Almost! Listen again and try once more.',
+    audio_unavailable: 'Speech is not available in this browser.',
+    audio_failed: 'Could not play the word.',
+    voice_label: 'Voice: {lang}',
+    voice_default: 'Default',
+
+    cloze_prompt: 'Which word fills the gap?',
+    type_gap: 'Type the missing word…',
+    cloze_base_form: 'Right word — now put it in the form the sentence needs.',
+    cloze_close: 'Almost! Check the spelling and try once more.',
+    cloze_no_examples: 'No words with example sentences for this language yet.',
+
+    sentence_prompt: 'Translate by putting the words in order:',
+    sentence_tap: 'Tap the words below',
+    sentence_check: 'Check',
+    sentence_clear: 'Clear',
+    sentence_no_examples: 'No words with translated example sentences for this language yet.',
+
+    spelling_prompt: 'Spell the word:',
+    type_spelling: 'Spell the word…',
+    spelling_try_again: 'Not quite — the marked letters are off. Tries left: {left}',
+    letters_session: 'Letters to watch:',
+    letters_title: 'Spelling slips',
+    no_letter_errors: 'No spelling slips recorded yet.',
+    letter_wrong: '{given} instead of {expected}',
+    letter_missing: '{expected} left out',
+    letter_extra: 'extra {given}',
   },
 
   // ── Serbian ─────────────────────────────────────────────────────────────
@@ -351,6 +737,9 @@ const translations = {
     correct_answer: 'Tačno! ✓',
     answer_is: 'Odgovor:',
     close_answer: 'Blizu! Odgovor:',
+    also_accepted: 'Takođe tačno:',
+    correct_no_diacritics: 'Tačno, ali bez dijakritika:',
+    diacritics_required: 'Nedostaju dijakritici:',
     type_answer_first: 'Prvo napiši odgovor.',
     review_these: 'Ponovi ove reči:',
     you_said: 'napisao si:',
@@ -363,6 +752,8 @@ const translations = {
 
     words_available: 'reči dostupno',
     repeat_forgotten: 'Ponavljaj zaboravljene reči',
+    strict_diacritics: 'Zahtevaj č, ć, š, ž, đ',
+    auto_play: 'Automatski izgovaraj reči',
     ui_language: 'Jezik interfejsa',
     lang_en: 'Engleski',
     lang_sr: 'Srpski',
@@ -371,6 +762,11 @@ const translations = {
     app_subtitle: 'Uči engleski i srpski kroz igre',
     direction_label: 'Smer',
     game_mode_label: 'Režim igre',
+    skill_label: 'Vežba',
+    skill_recognition: 'Prepoznavanje',
+    skill_production: 'Produkcija',
+    skill_recognition_desc: 'Reč → prevod',
+    skill_production_desc: 'Prevod → reč',
     mode_flashcards: 'Kartice',
     mode_flashcards_desc: 'Okreni i zapamti',
     mode_quiz: 'Kviz',
@@ -379,6 +775,14 @@ const translations = {
     mode_typing_desc: 'Napiši prevod',
     mode_match: 'Parovi',
     mode_match_desc: 'Spoji reč sa prevodom',
+    mode_listening: 'Slušanje',
+    mode_listening_desc: 'Čuj reč, pa je izaberi ili napiši',
+    mode_cloze: 'Popuni prazninu',
+    mode_cloze_desc: 'Dopuni rečenice iz primera',
+    mode_sentence: 'Složi rečenicu',
+    mode_sentence_desc: 'Poređaj reči iz primera',
+    mode_spelling: 'Diktat',
+    mode_spelling_desc: 'Čuj reč ili pročitaj prevod, pa je napiši',
     days: 'dana',
     learned: 'naučeno',
     mastered_stat: 'savladano',
@@ -386,10 +790,80 @@ const translations = {
     loading: 'Učitavanje…',
     export_excel: 'Izvoz u Excel',
 
+    daily_review: 'Današnje ponavljanje',
+    reviews_due: 'za ponavljanje',
+    new_words_left: 'novih',
+    minutes_short: 'min',
+    start_reviews: 'Počni ponavljanje',
+    all_caught_up: 'Za danas je sve ponovljeno!',
+    new_per_day: 'Novih reči dnevno',
+
+    daily_goal: 'Dnevni cilj',
+    goal_type_answers: 'Odgovori',
+    goal_type_minutes: 'Minuti',
+    goal_unit_answers: 'odgovora',
+    goal_unit_minutes: 'min',
+    goal_progress: '{done} od {target} {unit}',
+    goal_met: 'Cilj ispunjen',
+    streak_freezes: 'Zamrzavanja niza mesečno',
+    longest_streak: 'Najduži niz',
+    freezes_left: 'Preostala zamrzavanja ovog meseca: {count} od {total}',
+    activity_title: 'Aktivnost tokom godine',
+    heatmap_day: '{date}: {answers} odgovora, {minutes} min',
+    heatmap_frozen: 'zamrzavanje',
+    heatmap_less: 'Manje',
+    heatmap_more: 'Više',
+
+    resume_title: 'Nezavršena sesija',
+    resume_session: 'Nastavi',
+    discard_session: 'Odbaci',
+    resume_position: 'reč {position} od {total}',
+
+    sync_server: 'Server za sinhronizaciju',
+    sync_token: 'Token za sinhronizaciju',
+    sync_id: 'ID sinhronizacije',
+    sync_id_hint: 'Unesite isti ID sinhronizacije na svim uređajima ovog profila.',
+    sync_now: 'Sinhronizuj',
+    sync_running: 'Sinhronizacija…',
+    sync_ok: 'Sinhronizovano',
+    sync_failed: 'Sinhronizacija nije uspela',
+
+    session_setup: 'Podešavanje sesije',
+    session_length: 'Reči po sesiji',
+    difficulty_label: 'Težina',
+    word_source: 'Reči',
+    source_all: 'Sve',
+    source_user: 'Moje',
+    source_builtin: 'Ugrađene',
+    categories_label: 'Kategorije',
+    tags_filter_label: 'Tagovi',
+    session_matches: 'Odgovarajućih reči: {count}',
+    start_failed: 'Nije moguće početi: sa ovim podešavanjima nema reči za igru. Pauzirane i odložene reči ne ulaze u sesije.',
+    reset_filters: 'Poništi filtere',
+
+    practice_title: 'Vežbanje slabih reči',
+    choose_mode: 'Izaberi režim',
+    cancel: 'Otkaži',
+    focus_title: 'Ciljne reči',
+    focus_result: 'Tačno: {correct} od {answered} ({words} reči)',
+    focus_accuracy: 'Tačnost: {before}% → {after}%',
+    focus_improved: 'Poboljšanih reči: {count}',
+
     tab_game: 'Igra',
     tab_stats: 'Statistika',
     tab_words: 'Reči',
 
+    profiles_title: 'Profili',
+    profile_default: 'Glavni',
+    profile_active: 'aktivan',
+    profile_switch: 'Izaberi',
+    profile_rename: 'Preimenuj',
+    profile_rename_prompt: 'Novo ime profila:',
+    profile_new_placeholder: 'Ime novog profila',
+    profile_add: 'Dodaj',
+    profile_delete_confirm: 'Obrisati profil „{name}" sa celim napretkom i rečima?',
+    close: 'Zatvori',
+
     error_loading: 'Greška učitavanja',
 
     stats_title: 'Statistika',
@@ -402,18 +876,54 @@ const translations = {
     overall_accuracy: 'ukupna tačnost',
     last_sessions: 'Poslednje sesije',
     bar_chart_label: 'Grafik tačnosti poslednjih sesija',
+    trends_title: 'Napredak kroz vreme',
+    trends_empty: 'Grafikoni se pojavljuju posle prvih odgovora.',
+    period_day: 'Po danima',
+    period_week: 'Po nedeljama',
+    chart_accuracy_time: 'Tačnost kroz vreme',
+    chart_words_learned: 'Naučene reči po nivou',
+    chart_mode_accuracy: 'Tačnost po režimu',
+    chart_forgetting: 'Kriva zaboravljanja',
+    forgetting_axis: 'Udeo tačnih odgovora po broju dana od poslednjeg ponavljanja',
+    chart_point: '{label}: {correct} od {total} ({accuracy}%)',
+    breakdown_title: 'Po kategoriji i težini',
+    breakdown_empty: 'Nijedna reč nema ovakvu oznaku.',
+    col_words: 'Reči',
+    col_mastery: 'Nivoi',
+    practice_slice: 'Klikni da vežbaš ove reči',
+    practice_slice_title: 'Vežbanje: {name}',
+    confusions_title: 'Često mešam',
+    no_confusions: 'Još nema zabuna.',
+    confusion_count: '×{count}',
+    drill_confusions: 'Vežbaj ove parove',
     no_sessions: 'Još nema sesija.',
     streak: 'Niz',
     last_session: 'Poslednja sesija',
     words_to_review_heading: 'Reči za ponavljanje',
     no_words_review: 'Sve reči savladane — odlično!',
     practice_these: 'Vežbaj ove',
+    last_seen: 'Poslednji put',
+    show_examples: 'Primeri',
+    no_examples: 'Nema primera',
     recent_sessions: 'Poslednje sesije',
     col_date: 'Datum',
     col_score: 'Poeni',
     col_duration: 'Trajanje',
     actions: 'Radnje',
-    export_json: 'Izvoz JSON',
+    export_json: 'Izvezi rezervnu kopiju',
+    import_backup: 'Uvezi rezervnu kopiju',
+    backup_invalid: 'Ovaj fajl nije ispravan',
+    backup_created: 'Kopija od',
+    import_preview: 'Šta će se promeniti',
+    import_merge: 'Spoji',
+    import_replace: 'Zameni',
+    import_words: 'Reči: {added} novih, {updated} ažurirano, {removed} uklonjeno',
+    import_sessions: 'Sesije: {before} → {after}',
+    import_user_words: 'Moje reči: +{added}, −{removed}',
+    import_settings_changed: 'Podešavanja koja se menjaju:',
+    import_settings_unchanged: 'Podešavanja ostaju ista',
+    import_apply: 'Uvezi',
+    import_replace_confirm: 'Zameniti trenutni napredak rezervnom kopijom? Ovo se ne može poništiti.',
     reset_progress: 'Resetuj napredak',
     reset_confirm: 'Resetovati sav napredak? Ovo se ne može poništiti.',
     months: ['Jan', 'Feb', 'Mar', 'Apr', 'Maj', 'Jun', 'Jul', 'Avg', 'Sep', 'Okt', 'Nov', 'Dec'],
@@ -457,6 +967,68 @@ const translations = {
     file_read_error: 'Nije moguće pročitati fajl.',
     no_words_export: 'Nema reči za izvoz.',
     delete_confirm: 'Obrisati „{term}"?',
+
+    word_back: 'Nazad',
+    word_not_found: 'Ove reči nema u rečniku.',
+    word_translations: 'Prevodi',
+    word_examples: 'Primeri',
+    word_explanation: 'Objašnjenje',
+    word_category: 'Kategorija',
+    word_tags: 'Oznake',
+    word_progress: 'Napredak i raspored',
+    word_next_review: 'Sledeće ponavljanje',
+    word_interval: 'Interval',
+    word_interval_days: '{days} d',
+    word_ease: 'Lakoća',
+    word_reps: 'Ponavljanja zaredom',
+    word_lapses: 'Zaboravljanja',
+    word_not_scheduled: 'Još nije učeno',
+    word_history: 'Istorija odgovora',
+    word_no_history: 'Još nema odgovora.',
+    word_col_mode: 'Režim',
+    word_col_answer: 'Odgovor',
+    word_suspend: 'Pauziraj',
+    word_unsuspend: 'Vrati u igru',
+    word_bury: 'Odloži do sutra',
+    word_unbury: 'Ne odlaži',
+    word_mark_known: 'Označi kao poznato',
+    word_suspended: 'Pauzirano — ne ulazi u sesije.',
+    word_buried: 'Odloženo do {date}.',
+
+    listen_prompt: 'Koja se reč čula?',
+    listen_play: 'Pusti',
+    listen_replay: 'Ponovo',
+    listen_slow: 'Sporije',
+    answer_choose: 'Izaberi',
+    answer_type: 'Napiši',
+    type_heard: 'Napiši reč koju si čuo/la…',
+    listen_close: 'Skoro! Poslušaj ponovo i pokušaj još jednom.',
+    audio_unavailable: 'Ovaj pregledač ne podržava izgovor teksta.',
+    audio_failed: 'Reč nije moguće pustiti.',
+    voice_label: 'Glas: {lang}',
+    voice_default: 'Podrazumevani',
+
+    cloze_prompt: 'Koja reč nedostaje?',
+    type_gap: 'Napiši reč koja nedostaje…',
+    cloze_base_form: 'Prava reč — sad je stavi u oblik koji rečenica traži.',
+    cloze_close: 'Skoro! Proveri pravopis i pokušaj još jednom.',
+    cloze_no_examples: 'Za ovaj jezik još nema reči sa primerima rečenica.',
+
+    sentence_prompt: 'Prevedi tako što ćeš poređati reči:',
+    sentence_tap: 'Dodiruj reči ispod',
+    sentence_check: 'Proveri',
+    sentence_clear: 'Poništi',
+    sentence_no_examples: 'Za ovaj jezik još nema reči sa prevedenim primerima.',
+
+    spelling_prompt: 'Napiši reč:',
+    type_spelling: 'Napiši reč slovo po slovo…',
+    spelling_try_again: 'Ne baš — označena slova nisu tačna. Preostalo pokušaja: {left}',
+    letters_session: 'Pazi na slova:',
+    letters_title: 'Greške u pisanju',
+    no_letter_errors: 'Još nema grešaka u pisanju.',
+    letter_wrong: '{given} umesto {expected}',
+    letter_missing: 'izostavljeno {expected}',
+    letter_extra: 'višak {given}',
   },
 };
 
@@ -465,14 +1037,8 @@ const translations = {
 // ---------------------------------------------------------------------------
 
 function getCurrentUiLang() {
-  try {
-    const raw = localStorage.getItem('ls_settings');
-    if (raw) {
-      const s = JSON.parse(raw);
-      if (s.uiLanguage && translations[s.uiLanguage]) return s.uiLanguage;
-    }
-  } catch { /* ignore */ }
-  return 'ru';
+  const lang = storedUiLanguage();
+  return lang && translations[lang] ? lang : 'ru';
 }
 
 // ---------------------------------------------------------------------------
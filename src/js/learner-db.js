@@ -0,0 +1,327 @@
+/**
+ * learner-db.js — IndexedDB database for the learner's own data.
+ *
+ * Each learner profile (profiles.js) has its own database: the default profile
+ * keeps the original 'language-study' name, others get 'language-study:<id>'.
+ *
+ * Stores:
+ *   words     — one progress record per (skill, wordId)
+ *   answers   — append-only log, one row per answer attempt (progress.js logAnswer)
+ *   sessions  — full session history
+ *   meta      — key/value: streakDays, longestStreak, lastSessionDate, streakFreezes, daily
+ *   userWords — words added on the Add Words screen
+ *   settings  — key/value: one row per app setting (settings.js)
+ *
+ * The schema is versioned: MIGRATIONS[i] upgrades version i to i + 1 and may
+ * import a legacy localStorage key of the same profile. Imported keys are removed
+ * once the upgrade has committed.
+ *
+ * Vanilla ES module, no framework dependencies.
+ */
+
+import {
+  DEFAULT_PROFILE_ID, getActiveProfile, profileKey, listDeletedProfileIds, forgetDeletedProfile,
+} from './profiles.js';
+
+/**
+ * @param {string} profileId
+ * @returns {string} IndexedDB database name for a profile
+ */
+export function learnerDbName(profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? 'language-study' : `language-study:${profileId}`;
+}
+
+/** Scalar progress fields stored as `meta` rows, with their defaults. */
+const META_DEFAULTS = {
+  streakDays: 0,
+  longestStreak: 0,
+  lastSessionDate: null,
+  streakFreezes: { month: null, used: 0 },
+  daily: {},
+};
+
+/** Progress map per skill in the loadProgress() shape (see progress.js). */
+export const SKILL_KEYS = {
+  recognition: 'words',
+  production: 'production',
+};
+
+// ---------------------------------------------------------------------------
+// Progress <-> rows
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a progress object (loadProgress() shape) into store rows.
+ * @param {Object} progress
+ * @returns {{ words: Array, sessions: Array, meta: Array }}
+ */
+export function progressToRows(progress) {
+  const words = [];
+  for (const [skill, key] of Object.entries(SKILL_KEYS)) {
+    for (const [wordId, record] of Object.entries(progress?.[key] ?? {})) {
+      words.push({ ...record, skill, wordId });
+    }
+  }
+  return {
+    words,
+    sessions: (progress?.sessions ?? []).map(({ id: _id, ...session }) => session),
+    meta: Object.entries(META_DEFAULTS).map(([key, fallback]) => ({ key, value: progress?.[key] ?? fallback })),
+  };
+}
+
+/**
+ * Assemble store rows back into the loadProgress() shape.
+ * @param {{ words?: Array, sessions?: Array, meta?: Array }} rows
+ * @returns {Object}
+ */
+export function rowsToProgress({ words = [], sessions = [], meta = [] } = {}) {
+  const progress = { words: {}, production: {}, sessions: [], ...JSON.parse(JSON.stringify(META_DEFAULTS)) };
+  for (const { skill, wordId, ...record } of words) {
+    const key = SKILL_KEYS[skill];
+    if (key) progress[key][wordId] = record;
+  }
+  progress.sessions = sessions.map(({ id: _id, ...session }) => session);
+  for (const { key, value } of meta) {
+    if (key in META_DEFAULTS) progress[key] = value;
+  }
+  return progress;
+}
+
+// ---------------------------------------------------------------------------
+// Schema migrations
+// ---------------------------------------------------------------------------
+
+function readLegacy(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Each step receives the upgrading database, its versionchange transaction and
+ * a list to push consumed localStorage keys onto.
+ * @type {Array<function(IDBDatabase, IDBTransaction, string[]): void>}
+ */
+export const MIGRATIONS = [
+  // v1 — progress stores; import ls_progress
+  (db, tx, consumed) => {
+    const words = db.createObjectStore('words', { keyPath: ['skill', 'wordId'] });
+    words.createIndex('wordId', 'wordId');
+    const answers = db.createObjectStore('answers', { keyPath: 'id', autoIncrement: true });
+    answers.createIndex('wordId', 'wordId');
+    answers.createIndex('date', 'date');
+    db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+    db.createObjectStore('meta', { keyPath: 'key' });
+
+    const legacy = readLegacy(profileKey('ls_progress'));
+    if (legacy) {
+      const rows = progressToRows(legacy);
+      for (const row of rows.words) tx.objectStore('words').put(row);
+      for (const row of rows.sessions) tx.objectStore('sessions').add(row);
+      for (const row of rows.meta) tx.objectStore('meta').put(row);
+      consumed.push(profileKey('ls_progress'));
+    }
+  },
+
+  // v2 — user words; import user_words
+  (db, tx, consumed) => {
+    db.createObjectStore('userWords', { keyPath: 'id' });
+
+    const legacy = readLegacy(profileKey('user_words'));
+    if (Array.isArray(legacy)) {
+      for (const word of legacy) {
+        if (word?.id) tx.objectStore('userWords').put(word);
+      }
+      consumed.push(profileKey('user_words'));
+    }
+  },
+
+  // v3 — settings; import ls_settings
+  (db, tx, consumed) => {
+    db.createObjectStore('settings', { keyPath: 'key' });
+
+    const legacy = readLegacy(profileKey('ls_settings'));
+    if (legacy && typeof legacy === 'object' && !Array.isArray(legacy)) {
+      for (const [key, value] of Object.entries(legacy)) tx.objectStore('settings').put({ key, value });
+      consumed.push(profileKey('ls_settings'));
+    }
+  },
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+// ---------------------------------------------------------------------------
+// Connection
+// ---------------------------------------------------------------------------
+
+let opening = null;
+
+/**
+ * Open (and upgrade) the active profile's database once per page. Resolves null when IndexedDB
+ * is unavailable or fails to open — callers then fall back to localStorage.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+export function openLearnerDB() {
+  if (opening) return opening;
+
+  opening = new Promise((resolve) => {
+    const idb = globalThis.indexedDB;
+    if (!idb) {
+      resolve(null);
+      return;
+    }
+
+    const consumed = [];
+    let request;
+    try {
+      request = idb.open(learnerDbName(getActiveProfile().id), DB_VERSION);
+    } catch {
+      resolve(null);
+      return;
+    }
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      const tx = request.transaction;
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        MIGRATIONS[version](db, tx, consumed);
+      }
+    };
+    request.onsuccess = () => {
+      // The upgrade has committed — legacy copies are no longer needed
+      for (const key of consumed) localStorage.removeItem(key);
+      // Let another tab delete or upgrade this database instead of blocking it
+      request.result.onversionchange = () => request.result.close();
+      resolve(request.result);
+    };
+    request.onerror = () => {
+      console.error('Failed to open learner database:', request.error);
+      resolve(null);
+    };
+    request.onblocked = () => resolve(null);
+  });
+
+  return opening;
+}
+
+/**
+ * Delete a profile's database. Resolves false when IndexedDB is unavailable,
+ * the deletion fails, or a connection that does not close keeps it blocked —
+ * the deletion then completes whenever that connection goes away.
+ * @param {string} profileId
+ * @returns {Promise<boolean>}
+ */
+export function deleteLearnerDB(profileId) {
+  return new Promise((resolve) => {
+    const idb = globalThis.indexedDB;
+    if (!idb) {
+      resolve(false);
+      return;
+    }
+    const request = idb.deleteDatabase(learnerDbName(profileId));
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => resolve(false);
+    request.onblocked = () => resolve(false);
+  });
+}
+
+/**
+ * Remove the databases of deleted profiles (profiles.js deleteProfile). A
+ * deleted active profile's database is still open on the page that deleted it,
+ * so that page reloads first and the next load removes it. Profiles whose
+ * database could not be removed stay queued for the next try.
+ * @returns {Promise<void>}
+ */
+export async function purgeDeletedDBs() {
+  const activeId = getActiveProfile().id;
+  for (const id of listDeletedProfileIds()) {
+    if (id !== activeId && await deleteLearnerDB(id)) forgetDeletedProfile(id);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Request helpers
+// ---------------------------------------------------------------------------
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Read every row of a store.
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @returns {Promise<Array>}
+ */
+export function getAll(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName).objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read the rows of a store matching an index key or key range.
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {{ only?: *, lower?: *, upper?: * }} range - `only` for one key; inclusive bounds otherwise
+ * @returns {Promise<Array>}
+ */
+export function getAllByIndex(db, storeName, indexName, { only, lower = null, upper = null }) {
+  const { IDBKeyRange } = globalThis;
+  let range = null;
+  if (only !== undefined) range = IDBKeyRange.only(only);
+  else if (lower !== null && upper !== null) range = IDBKeyRange.bound(lower, upper);
+  else if (lower !== null) range = IDBKeyRange.lowerBound(lower);
+  else if (upper !== null) range = IDBKeyRange.upperBound(upper);
+
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName).objectStore(storeName).index(indexName).getAll(range);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Put (upsert) rows, or add them to an autoIncrement store, in one transaction.
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {Array} rows
+ * @param {{ add?: boolean }} [options]
+ * @returns {Promise<void>}
+ */
+export function putAll(db, storeName, rows, { add = false } = {}) {
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  for (const row of rows) {
+    if (add) store.add(row);
+    else store.put(row);
+  }
+  return done(tx);
+}
+
+/**
+ * Empty stores, then optionally fill them, in one transaction.
+ * @param {IDBDatabase} db
+ * @param {Object<string, Array>} rowsByStore - storeName → rows to write after clearing
+ * @returns {Promise<void>}
+ */
+export function replaceAll(db, rowsByStore) {
+  const names = Object.keys(rowsByStore);
+  const tx = db.transaction(names, 'readwrite');
+  for (const name of names) {
+    const store = tx.objectStore(name);
+    store.clear();
+    for (const row of rowsByStore[name]) store.put(row);
+  }
+  return done(tx);
+}
@@ -1,6 +1,6 @@
 /**
  * Language Study — app entry point.
- * Wires together: router, menu, game modes, stats, add-words.
+ * Wires together: router, menu, game modes, stats, add-words, word pages.
  *
  * Vocabulary is lazy-loaded from SQLite (via sql.js WASM) when the
  * user starts a game, keeping the initial page load fast.
@@ -10,21 +10,39 @@ import { Router } from './router.js';
 import { GameEngine } from './engine.js';
 import { MenuScreen } from './ui/menu.js';
 import { StatsScreen } from './ui/stats.js';
-import { AddWordsScreen, loadUserWords, mergeWithBuiltIn } from './ui/add-words.js';
-import { recordSession } from './progress.js';
+import { AddWordsScreen, loadUserWords, mergeWithBuiltIn, initUserWordsStore } from './ui/add-words.js';
+import { WordDetailScreen } from './ui/word-detail.js';
+import { pickMode } from './ui/mode-picker.js';
+import { openProfileManager, profileName } from './ui/profile-manager.js';
+import { getActiveProfile } from './profiles.js';
+import { purgeDeletedDBs } from './learner-db.js';
+import { recordSession, recordAnswer, logAnswer, loadProgress, skillRecords, initProgressStore } from './progress.js';
 import { FlashcardsMode } from './modes/flashcards.js';
 import { QuizMode } from './modes/quiz.js';
 import { TypingMode } from './modes/typing.js';
 import { MatchMode } from './modes/match.js';
+import { ListeningMode } from './modes/listening.js';
+import { ClozeMode } from './modes/cloze.js';
+import { SentenceMode } from './modes/sentence.js';
+import { SpellingMode } from './modes/spelling.js';
 import { exportToExcel } from './export.js';
+import { getSettings, initSettingsStore } from './settings.js';
+import { summarizeQueue } from './scheduler.js';
+import { saveSession, loadSavedSession, clearSavedSession, describeSavedSession } from './session-store.js';
 import { loadAllEntries } from './vocabulary-db.js';
-import { t } from './i18n.js';
+import { syncNow } from './sync.js';
+import { applyFilter } from './session-config.js';
+import { t, fmt } from './i18n.js';
 
 const MODE_MAP = {
   flashcards: FlashcardsMode,
   quiz: QuizMode,
   typing: TypingMode,
   match: MatchMode,
+  listening: ListeningMode,
+  cloze: ClozeMode,
+  sentence: SentenceMode,
+  spelling: SpellingMode,
 };
 
 const app = document.getElementById('app');
@@ -36,6 +54,8 @@ let router = null;
 let menuScreen = null;
 let statsScreen = null;
 let addWordsScreen = null;
+let wordDetailScreen = null;
+let pendingEditId = null;  // user word to open in the edit form on the next #add-words
 let activeMode = null;
 
 // --- Screens ---
@@ -44,6 +64,7 @@ const screens = {
   play: createScreen('play-screen'),
   stats: createScreen('stats-screen'),
   addWords: createScreen('add-words-screen'),
+  word: createScreen('word-screen'),
 };
 
 function createScreen(id) {
@@ -74,6 +95,17 @@ function buildTabBar() {
     bar.appendChild(btn);
   }
 
+  // Profile switcher — shows the active learner's name
+  const profileBtn = document.createElement('button');
+  profileBtn.className = 'tab-bar__item tab-bar__profile';
+  profileBtn.type = 'button';
+  profileBtn.innerHTML = '<span class="tab-bar__icon">👤</span><span class="tab-bar__label"></span>';
+  const label = profileBtn.querySelector('.tab-bar__label');
+  const updateLabel = () => { label.textContent = profileName(getActiveProfile()); };
+  updateLabel();
+  profileBtn.addEventListener('click', () => openProfileManager().then(updateLabel));
+  bar.appendChild(profileBtn);
+
   document.body.appendChild(bar);
 }
 
@@ -102,14 +134,68 @@ function computeWordCounts(entries) {
   return counts;
 }
 
+/** Today's review queue per target language for the selected skill, for the menu. */
+function computeReviewStats(entries) {
+  const { newWordsPerDay, skill } = getSettings();
+  const words = skillRecords(loadProgress(), skill);
+  const stats = {};
+  for (const direction of ['en-sr', 'sr-en']) {
+    const playable = new GameEngine({ entries, direction }).getPlayableEntries();
+    stats[direction.split('-')[0]] = summarizeQueue(playable, words, { newWordsPerDay });
+  }
+  return stats;
+}
+
+function refreshMenuCounts() {
+  menuScreen.setWordCounts(computeWordCounts(allEntries));
+  menuScreen.setEntries(allEntries);
+  menuScreen.setReviewStats(computeReviewStats(allEntries));
+}
+
+/** Sync with the configured server (no-op when none) and refresh what it changed. */
+async function runSync() {
+  if (!getSettings().syncUrl) return;
+  menuScreen.setSyncStatus('syncing');
+  const result = await syncNow();
+  menuScreen.setSyncStatus(result.status);
+  if (result.status !== 'ok') return;
+
+  const { changed } = result;
+  // UI strings are picked at load time — a synced language change needs a reload
+  if (changed.uiLanguage) {
+    window.location.reload();
+    return;
+  }
+  // Stats and Add Words re-read storage when shown; the menu needs a refresh
+  if (changed.progress || changed.userWords || changed.settings) {
+    rebuildAllEntries();
+    refreshMenuCounts();
+  }
+}
+
+function refreshResumeCard() {
+  const snapshot = loadSavedSession();
+  menuScreen.setResumable(snapshot ? describeSavedSession(snapshot) : null);
+}
+
 // --- Game launch ---
-async function startGame({ direction, mode }) {
+/**
+ * @param {Object} options
+ * @param {string} options.direction - 'en-sr' | 'sr-en'
+ * @param {string} options.mode - key of MODE_MAP
+ * @param {string} [options.skill] - 'recognition' | 'production'
+ * @param {Object} [options.session] - GameEngine session config, e.g. { type: 'due' }, { length, filter } or { wordIds }
+ * @param {Object} [options.resume] - saved snapshot (session-store.js) to continue instead of starting fresh
+ */
+async function startGame({ direction, mode, skill = 'recognition', session = {}, resume = null }) {
   const ModeClass = MODE_MAP[mode];
   if (!ModeClass) {
     console.error('Unknown mode:', mode);
     return;
   }
 
+  menuScreen.setStartError(null);
+
   // Load vocabulary for both languages (need distractors from both)
   menuScreen.setLoading(true);
   try {
@@ -119,32 +205,157 @@ async function startGame({ direction, mode }) {
   }
 
   rebuildAllEntries();
-  menuScreen.setWordCounts(computeWordCounts(allEntries));
+  refreshMenuCounts();
 
   const engine = new GameEngine({
     entries: allEntries,
     direction,
+    mode,
+    skill,
+    progressSink: recordAnswer,
+    answerSink: logAnswer,
+    wordProgress: skillRecords(loadProgress(), skill),
+    session,
+    resume,
   });
 
   activeMode = new ModeClass();
   activeMode.init(screens.play, engine);
 
+  // Keep the running session resumable across navigation and reloads
+  engine.on('session:updated', () => saveSession(engine.serialize()));
+
   engine.on('session:ended', (summary) => {
+    clearSavedSession();
     recordSession({
       date: new Date().toISOString(),
       score: summary.score,
       total: summary.totalWords,
       durationSeconds: Math.round(summary.elapsedTime / 1000),
-      wordIds: [],
+      wordIds: summary.wordIds,
+      mode,
+      direction,
     });
+    runSync();
   });
 
   engine.on('mode:done', () => {
+    clearSavedSession();
     router.navigate('#home');
   });
 
   router.navigate('#play');
-  activeMode.start();
+  try {
+    activeMode.start();
+  } catch (err) {
+    console.error(resume ? 'Could not resume session:' : 'Could not start session:', err);
+    if (resume) clearSavedSession();
+    router.navigate('#home');
+    menuScreen.setStartError(t.start_failed);
+  }
+}
+
+/** Menu → "Resume session": continue the saved session in its original mode. */
+async function resumeGame() {
+  const snapshot = loadSavedSession();
+  if (!snapshot) {
+    refreshResumeCard();
+    return;
+  }
+  await startGame({
+    direction: snapshot.direction,
+    mode: snapshot.mode,
+    skill: snapshot.skill,
+    session: snapshot.sessionConfig,
+    resume: snapshot,
+  });
+}
+
+/**
+ * Group entry ids by the direction that plays them.
+ * @param {Array} entries
+ * @returns {{ idsByDirection: Object<string, string[]>, directions: string[] }} directions
+ *   that have words, the larger group first
+ */
+function groupByDirection(entries) {
+  const idsByDirection = { 'en-sr': [], 'sr-en': [] };
+  for (const entry of entries) {
+    if (entry.source_language === 'en') idsByDirection['en-sr'].push(entry.id);
+    else if (entry.source_language === 'sr') idsByDirection['sr-en'].push(entry.id);
+  }
+
+  const directions = Object.keys(idsByDirection)
+    .filter((dir) => idsByDirection[dir].length > 0)
+    .sort((a, b) => idsByDirection[b].length - idsByDirection[a].length);
+  return { idsByDirection, directions };
+}
+
+/**
+ * Stats → "Practice these": ask for a mode and play exactly the weak words.
+ * Ids are grouped by language; the picker offers a direction toggle when the
+ * list mixes English and Serbian words (defaulting to the larger group).
+ * @param {string[]} wordIds
+ */
+async function practiceWords(wordIds) {
+  await ensureVocabLoaded();
+  rebuildAllEntries();
+
+  const byId = new Map(allEntries.map((e) => [e.id, e]));
+  const { idsByDirection, directions } = groupByDirection(wordIds.map((id) => byId.get(id)).filter(Boolean));
+  if (directions.length === 0) return;
+
+  const choice = await pickMode({ title: t.practice_title, directions });
+  if (!choice) return;
+
+  await startGame({
+    direction: choice.direction,
+    mode: choice.mode,
+    session: { wordIds: idsByDirection[choice.direction] },
+  });
+}
+
+/**
+ * Stats → breakdown row: ask for a mode and play a session limited to one
+ * category, tag or difficulty, with the menu's session length.
+ * @param {Object} filter - partial SessionFilter (see session-config.js)
+ * @param {string} label - shown in the mode picker
+ */
+async function practiceSlice(filter, label) {
+  await ensureVocabLoaded();
+  rebuildAllEntries();
+
+  const { directions } = groupByDirection(applyFilter(allEntries, filter));
+  if (directions.length === 0) return;
+
+  const choice = await pickMode({ title: fmt('practice_slice_title', { name: label }), directions });
+  if (!choice) return;
+
+  await startGame({
+    direction: choice.direction,
+    mode: choice.mode,
+    session: { type: 'all', length: getSettings().sessionLength, filter },
+  });
+}
+
+/**
+ * Stats → "Drill these": a quiz over commonly confused words, each offered
+ * alongside the words it gets mixed up with. Played in the direction that
+ * covers most of the words.
+ * @param {{ wordIds: string[], confusions: Object<string, string[]> }} drill
+ */
+async function drillConfusions({ wordIds, confusions }) {
+  await ensureVocabLoaded();
+  rebuildAllEntries();
+
+  const byId = new Map(allEntries.map((e) => [e.id, e]));
+  const { idsByDirection, directions } = groupByDirection(wordIds.map((id) => byId.get(id)).filter(Boolean));
+  if (directions.length === 0) return;
+
+  await startGame({
+    direction: directions[0],
+    mode: 'quiz',
+    session: { wordIds: idsByDirection[directions[0]], confusions },
+  });
 }
 
 function stopGame() {
@@ -158,11 +369,22 @@ function stopGame() {
 // --- Init (lightweight — no vocabulary fetch) ---
 async function init() {
   try {
+    // Learner data lives in IndexedDB; load it before any screen reads it
+    await Promise.all([initProgressStore(), initUserWordsStore(), initSettingsStore()]);
+    // Databases of profiles deleted earlier (the active one is deleted after a reload)
+    purgeDeletedDBs();
+
     // Menu (show immediately with 0 word count, updated after first load)
     menuScreen = new MenuScreen();
     menuScreen.init(screens.menu, {
       wordCounts: { en: 0, sr: 0 },
       onStart: startGame,
+      onResume: resumeGame,
+      onDiscardResume: clearSavedSession,
+      onSync: runSync,
+      onSettingsChange: () => {
+        if (vocabCache.en && vocabCache.sr) refreshMenuCounts();
+      },
       onExport: async () => {
         await ensureVocabLoaded();
         rebuildAllEntries();
@@ -173,11 +395,29 @@ async function init() {
     // Stats
     statsScreen = new StatsScreen();
     statsScreen.init(screens.stats);
+    screens.stats.addEventListener('stats:practice-weak', (e) => {
+      practiceWords(e.detail.wordIds);
+    });
+    screens.stats.addEventListener('stats:practice-slice', (e) => {
+      practiceSlice(e.detail.filter, e.detail.label);
+    });
+    screens.stats.addEventListener('stats:drill-confusions', (e) => {
+      drillConfusions(e.detail);
+    });
 
     // Add Words (pass empty built-in for now, updated after load)
     addWordsScreen = new AddWordsScreen();
     addWordsScreen.init(screens.addWords, []);
 
+    // Word page — "Edit" hands a user word over to the add-words form
+    wordDetailScreen = new WordDetailScreen();
+    wordDetailScreen.init(screens.word, {
+      onEdit: (entry) => {
+        pendingEditId = entry.id;
+        router.navigate('#add-words');
+      },
+    });
+
     // Tab bar
     buildTabBar();
 
@@ -186,7 +426,8 @@ async function init() {
     router.register('#home', () => {
       stopGame();
       rebuildAllEntries();
-      menuScreen.setWordCounts(computeWordCounts(allEntries));
+      refreshMenuCounts();
+      refreshResumeCard();
       menuScreen.show();
     }, () => menuScreen.hide());
 
@@ -203,6 +444,8 @@ async function init() {
 
     router.register('#stats', () => {
       statsScreen.show();
+      // Resolve word ids to terms once vocabulary is available (re-renders)
+      ensureVocabLoaded().then(() => statsScreen.setEntries(rebuildAllEntries()));
     }, () => {
       statsScreen.hide();
     });
@@ -211,16 +454,29 @@ async function init() {
       await ensureVocabLoaded();
       addWordsScreen.updateBuiltIn([...(vocabCache.en || []), ...(vocabCache.sr || [])]);
       addWordsScreen.show();
+      if (pendingEditId) {
+        addWordsScreen.editWord(pendingEditId);
+        pendingEditId = null;
+      }
     }, () => {
       addWordsScreen.hide();
     });
 
+    router.register('#word/:id', async ({ id }) => {
+      await ensureVocabLoaded();
+      wordDetailScreen.setEntries(rebuildAllEntries());
+      wordDetailScreen.show(id);
+    }, () => {
+      wordDetailScreen.hide();
+    });
+
     router.start();
+    runSync();
 
     // Preload vocabulary in background after UI is shown
     ensureVocabLoaded().then(() => {
       rebuildAllEntries();
-      menuScreen.setWordCounts(computeWordCounts(allEntries));
+      refreshMenuCounts();
     });
   } catch (err) {
     console.error('Failed to initialize app:', err);
@@ -0,0 +1,503 @@
+/**
+ * ClozeMode — fill the gap in an example sentence.
+ *
+ * Responsibilities:
+ * - Play only words with an example sentence that contains the term
+ *   (engine.setWordFilter with buildClozes from cloze.js)
+ * - Show one of the word's sentences with the term blanked out, and the
+ *   sentence's translation (hint language, else Russian) as a hint
+ * - Answer by choosing among 4 words or by typing the missing word; the style
+ *   is a setting (`clozeAnswer`) switchable per word
+ * - Check answers against the term's form in the sentence (engine.checkAnswer
+ *   with `expected`); typing the base form of an inflected word, or a near
+ *   miss, earns one more try
+ * - Fill the gap and reveal the word and its translation after each answer
+ * - Display score, progress bar, and end-of-session summary
+ *
+ * BEM class naming: cloze, cloze__*, cloze--modifier
+ */
+
+import { matchAnswer, splitAlternatives, OPTIONAL_PREFIX } from '../engine.js';
+import { buildClozes } from '../cloze.js';
+import { getSettings, updateSettings } from '../settings.js';
+import { t, langLabel } from '../i18n.js';
+import { renderFocusSummary } from '../ui/focus-summary.js';
+
+// --- Constants ---------------------------------------------------------------
+
+const OPTION_COUNT       = 4;
+const AUTO_ADVANCE_MS    = 1500;
+const ANSWER_STYLES      = ['choose', 'type'];
+const FUZZY_MAX_DISTANCE = 2;
+
+/** Parenthesized notes and an English leading article / "to" don't belong in a sentence. */
+const TERM_EXTRAS_RE = /\([^)]*\)/g;
+
+// --- Helpers -----------------------------------------------------------------
+
+function shuffle(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+function el(tag, cls, text) {
+  const node = document.createElement(tag);
+  if (cls) node.className = cls;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Another word's term written to fit the gap: its first alternative, without
+ * notes or (in English) a leading article, capitalized like the answer.
+ */
+function fitToGap(term, answer, lang) {
+  let text = (splitAlternatives(term)[0] ?? '')
+    .replace(TERM_EXTRAS_RE, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (lang === 'en') text = text.replace(OPTIONAL_PREFIX, '');
+  if (!text) return '';
+  const upper = answer[0] !== answer[0].toLowerCase();
+  return (upper ? text[0].toUpperCase() : text[0].toLowerCase()) + text.slice(1);
+}
+
+/**
+ * Up to three other words in the same language as options for the gap;
+ * confusables first, then words as long as the answer (in words).
+ */
+function buildDistractors(entry, cloze, engine) {
+  const usable = (e) => e.id !== entry.id && e.source_language === entry.source_language;
+  const words = wordCount(cloze.answer);
+  const others = shuffle(engine.allEntries.filter(usable));
+  const pool = [
+    ...shuffle(engine.getConfusables(entry.id).filter(usable)),
+    ...others.filter((e) => wordCount(fitToGap(e.term, cloze.answer, e.source_language)) === words),
+    ...others,
+  ];
+
+  const taken = new Set([cloze.answer.toLowerCase()]);
+  const picked = [];
+  for (const e of pool) {
+    if (picked.length === OPTION_COUNT - 1) break;
+    const text = fitToGap(e.term, cloze.answer, e.source_language);
+    if (!text || taken.has(text.toLowerCase())) continue;
+    taken.add(text.toLowerCase());
+    picked.push({ id: e.id, text });
+  }
+  return picked;
+}
+
+// --- ClozeMode Class ---------------------------------------------------------
+
+export class ClozeMode {
+  constructor() {
+    this._container = null;
+    this._engine    = null;
+
+    this._rootEl = null;
+    this._dom    = {};
+
+    this._currentEntry = null;
+    this._cloze        = null;
+    this._clozes       = new Map();
+    this._answered     = false;
+    this._retryGiven   = false;
+    this._answerStyle  = 'type';
+
+    this._sessionWords = 0;
+    this._mistakes     = [];
+    this._advanceTimer = null;
+  }
+
+  // --- Public API ------------------------------------------------------------
+
+  init(container, engine) {
+    this._container = container;
+    this._engine    = engine;
+  }
+
+  start() {
+    if (!this._container || !this._engine) {
+      throw new Error('ClozeMode: call init(container, engine) before start()');
+    }
+
+    this._container.innerHTML = '';
+    this._mistakes = [];
+    const style = getSettings().clozeAnswer;
+    this._answerStyle = ANSWER_STYLES.includes(style) ? style : 'type';
+
+    this._rootEl = this._buildSkeleton();
+    this._container.appendChild(this._rootEl);
+
+    const engine = this._engine;
+    engine.setWordFilter((entry) => this._clozesFor(entry).length > 0);
+    if (engine.getPlayableEntries().length === 0) {
+      this._showError(t.cloze_no_examples);
+      return;
+    }
+
+    try {
+      this._currentEntry = engine.startSession();
+    } catch (err) {
+      this._showError(err.message);
+      return;
+    }
+
+    // A resumed session brings back its mistakes list
+    this._mistakes     = engine.getModeState()?.mistakes ?? [];
+    this._sessionWords = engine.session?.words?.length ?? 0;
+    this._renderWord();
+  }
+
+  destroy() {
+    clearTimeout(this._advanceTimer);
+    this._advanceTimer = null;
+    if (this._container) {
+      this._container.innerHTML = '';
+    }
+    this._rootEl       = null;
+    this._dom          = {};
+    this._currentEntry = null;
+    this._cloze        = null;
+  }
+
+  // --- DOM Construction ------------------------------------------------------
+
+  _buildSkeleton() {
+    const root = el('div', 'cloze');
+
+    // Header: back, progress, score
+    const header = el('div', 'cloze__header');
+    const backBtn = el('button', 'cloze__back-btn', t.back_to_menu);
+    backBtn.type = 'button';
+    backBtn.addEventListener('click', () => this._engine.emit('mode:done'));
+
+    const progressWrap  = el('div', 'cloze__progress-wrap');
+    const progressLabel = el('div', 'cloze__progress-label');
+    const progressBar   = el('div', 'cloze__progress-bar');
+    const progressFill  = el('div', 'cloze__progress-fill');
+    progressBar.appendChild(progressFill);
+    progressWrap.append(progressLabel, progressBar);
+
+    const scoreEl = el('div', 'cloze__score', `${t.score}: 0`);
+    header.append(backBtn, progressWrap, scoreEl);
+    root.appendChild(header);
+
+    // The sentence with its gap, and its translation
+    const card        = el('div', 'cloze__card');
+    const prompt      = el('div', 'cloze__prompt', t.cloze_prompt);
+    const sentence    = el('p', 'cloze__sentence');
+    const translation = el('p', 'cloze__translation');
+    card.append(prompt, sentence, translation);
+    root.appendChild(card);
+
+    // Answer style toggle
+    const styleToggle = el('div', 'toggle toggle--sm cloze__styles');
+    for (const [style, label] of [['choose', t.answer_choose], ['type', t.answer_type]]) {
+      const btn = el('button', 'toggle__option', label);
+      btn.type = 'button';
+      btn.dataset.answer = style;
+      styleToggle.appendChild(btn);
+    }
+    styleToggle.addEventListener('click', (e) => {
+      const btn = e.target.closest('.toggle__option');
+      if (!btn || this._answered || btn.dataset.answer === this._answerStyle) return;
+      this._answerStyle = btn.dataset.answer;
+      updateSettings({ clozeAnswer: this._answerStyle });
+      this._renderAnswerArea();
+    });
+
+    const answerArea = el('div', 'cloze__answer');
+    const feedback   = el('div', 'cloze__feedback');
+    feedback.setAttribute('role', 'status');
+    const reveal     = el('div', 'cloze__reveal');
+    const nextBtn    = el('button', 'cloze__next', t.next_word);
+    nextBtn.type   = 'button';
+    nextBtn.hidden = true;
+    nextBtn.addEventListener('click', () => this._advance());
+
+    root.append(styleToggle, answerArea, feedback, reveal, nextBtn);
+
+    this._dom = {
+      progressLabel, progressFill, scoreEl, sentence, translation,
+      styleToggle, answerArea, feedback, reveal, nextBtn,
+    };
+    return root;
+  }
+
+  // --- Word Rendering --------------------------------------------------------
+
+  /** An entry's clozes, built once per session. */
+  _clozesFor(entry) {
+    if (!this._clozes.has(entry.id)) {
+      const { hintLang, fallbackLang } = this._engine;
+      this._clozes.set(entry.id, buildClozes(entry, { hintLang, fallbackLang }));
+    }
+    return this._clozes.get(entry.id);
+  }
+
+  _renderWord() {
+    const { progressLabel, progressFill, feedback, reveal, nextBtn } = this._dom;
+    const entry = this._currentEntry;
+
+    this._answered   = false;
+    this._retryGiven = false;
+    const clozes = this._clozesFor(entry);
+    this._cloze  = clozes[Math.floor(Math.random() * clozes.length)] ?? null;
+
+    const idx   = this._engine.session?.currentIndex ?? 0;
+    const total = this._sessionWords;
+    progressLabel.textContent = `${t.question} ${idx + 1} / ${total}`;
+    progressFill.style.width  = `${total > 0 ? ((idx / total) * 100).toFixed(1) : 0}%`;
+
+    feedback.textContent = '';
+    feedback.className   = 'cloze__feedback';
+    reveal.replaceChildren();
+    nextBtn.hidden = true;
+
+    if (!this._cloze) {
+      // A resumed session may hold a word whose sentence no longer has the term
+      this._advance();
+      return;
+    }
+    this._renderSentence();
+    this._renderAnswerArea();
+  }
+
+  _renderSentence() {
+    const { sentence, translation } = this._dom;
+    const cloze = this._cloze;
+    const engine = this._engine;
+
+    const gap = el('span', 'cloze__gap', '_'.repeat(Math.min(Math.max(cloze.answer.length, 4), 12)));
+    gap.setAttribute('aria-label', t.cloze_prompt);
+    sentence.setAttribute('lang', this._currentEntry.source_language);
+    sentence.replaceChildren(cloze.before, gap, cloze.after);
+    this._dom.gap = gap;
+
+    // No translated sentence: the word's own translation is the hint
+    const entry = this._currentEntry;
+    const wordLang = entry.translations?.[engine.hintLang] ? engine.hintLang : engine.fallbackLang;
+    const lang = cloze.translation ? cloze.translationLang : wordLang;
+    const text = cloze.translation ?? entry.translations?.[wordLang] ?? '';
+    translation.setAttribute('lang', lang);
+    translation.textContent = text ? `${cloze.translation ? langLabel(lang) : t.hint}: ${text}` : '';
+  }
+
+  _renderAnswerArea() {
+    const { answerArea, styleToggle } = this._dom;
+    answerArea.replaceChildren();
+    styleToggle.querySelectorAll('.toggle__option').forEach((btn) => {
+      btn.classList.toggle('toggle__option--active', btn.dataset.answer === this._answerStyle);
+    });
+
+    if (this._answerStyle === 'type') {
+      const form  = el('form', 'cloze__form');
+      const input = el('input', 'input cloze__input');
+      input.type = 'text';
+      input.setAttribute('autocomplete', 'off');
+      input.setAttribute('autocapitalize', 'none');
+      input.setAttribute('spellcheck', 'false');
+      input.setAttribute('placeholder', t.type_gap);
+      input.setAttribute('lang', this._currentEntry.source_language);
+      const submitBtn = el('button', 'btn btn--primary cloze__submit', t.submit);
+      submitBtn.type = 'submit';
+      form.append(input, submitBtn);
+      // Enter submits, or moves on once answered
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (this._answered) this._advance();
+        else this._submitTyped(input.value.trim());
+      });
+      answerArea.appendChild(form);
+      input.focus();
+      return;
+    }
+
+    const entry   = this._currentEntry;
+    const options = shuffle([{ id: entry.id, text: this._cloze.answer }, ...buildDistractors(entry, this._cloze, this._engine)]);
+    const list    = el('div', 'cloze__options');
+    list.setAttribute('role', 'group');
+    for (const option of options) {
+      const btn = el('button', 'cloze__option', option.text);
+      btn.type = 'button';
+      btn.dataset.id = option.id;
+      btn.addEventListener('click', () => this._choose(option, btn));
+      list.appendChild(btn);
+    }
+    answerArea.appendChild(list);
+  }
+
+  // --- Answering -------------------------------------------------------------
+
+  _choose(option, btn) {
+    if (this._answered) return;
+    const engine = this._engine;
+    const result = engine.checkAnswer(option.text, engine.targetLang, { chosenId: option.id, expected: this._cloze.answer });
+    if (!result) return;
+
+    const buttons = this._dom.answerArea.querySelectorAll('.cloze__option');
+    buttons.forEach((b) => {
+      b.disabled = true;
+      if (b.dataset.id === this._currentEntry.id) b.classList.add('cloze__option--correct');
+    });
+    if (!result.correct) btn.classList.add('cloze__option--wrong');
+
+    this._finish(result.correct, option.text);
+  }
+
+  _submitTyped(raw) {
+    if (!raw) {
+      this._setFeedback('', t.type_answer_first);
+      return;
+    }
+    const engine = this._engine;
+    const entry  = this._currentEntry;
+    const answer = this._cloze.answer;
+    const matchOptions = engine.getMatchOptions(entry, engine.targetLang);
+    const result = engine.checkAnswer(raw, engine.targetLang, { expected: answer });
+    if (!result) return;
+
+    if (!result.correct && !this._retryGiven) {
+      // One more try for the dictionary form of an inflected word, or a near miss
+      if (matchAnswer(raw, entry.term, 0, matchOptions).exact) {
+        this._retryGiven = true;
+        this._setFeedback('close', t.cloze_base_form);
+        return;
+      }
+      if (matchAnswer(raw, answer, FUZZY_MAX_DISTANCE, matchOptions).close) {
+        this._retryGiven = true;
+        this._setFeedback('close', t.cloze_close);
+        return;
+      }
+    }
+
+    this._dom.answerArea.querySelectorAll('input, button').forEach((node) => { node.disabled = true; });
+    this._finish(result.correct, raw);
+  }
+
+  _finish(correct, given) {
+    const entry = this._currentEntry;
+    const answer = this._cloze.answer;
+    this._answered = true;
+    this._dom.scoreEl.textContent = `${t.score}: ${this._engine.session?.score ?? 0}`;
+
+    const { gap } = this._dom;
+    gap.textContent = answer;
+    gap.classList.add(correct ? 'cloze__gap--correct' : 'cloze__gap--wrong');
+
+    this._setFeedback(correct ? 'correct' : 'wrong', correct ? t.correct_answer : `${t.answer_is} ${answer}`);
+    this._renderReveal(entry);
+
+    if (correct) {
+      this._advanceTimer = setTimeout(() => {
+        this._advanceTimer = null;
+        this._advance();
+      }, AUTO_ADVANCE_MS);
+      return;
+    }
+
+    if (!this._mistakes.some((m) => m.term === entry.term)) {
+      this._mistakes.push({ term: entry.term, given });
+      this._engine.setModeState({ mistakes: this._mistakes });
+    }
+    this._dom.nextBtn.hidden = false;
+    this._dom.nextBtn.focus();
+  }
+
+  _renderReveal(entry) {
+    const engine = this._engine;
+    const translation = entry.translations?.[engine.hintLang] || entry.translations?.[engine.fallbackLang];
+    this._dom.reveal.replaceChildren(el('span', 'cloze__reveal-term', entry.term));
+    if (translation) this._dom.reveal.appendChild(el('span', 'cloze__reveal-translation', ` — ${translation}`));
+  }
+
+  _setFeedback(type, message) {
+    const { feedback } = this._dom;
+    feedback.className   = `cloze__feedback${type ? ` cloze__feedback--${type}` : ''}`;
+    feedback.textContent = message;
+  }
+
+  _advance() {
+    clearTimeout(this._advanceTimer);
+    this._advanceTimer = null;
+    const next = this._engine.nextWord();
+    if (!next || typeof next !== 'object' || !next.term) {
+      const summary = typeof next === 'object' && next !== null && 'score' in next
+        ? next
+        : this._engine.endSession();
+      this._showSummary(summary);
+      return;
+    }
+    this._currentEntry = next;
+    this._renderWord();
+  }
+
+  // --- Summary Screen --------------------------------------------------------
+
+  _showSummary(summary) {
+    if (!this._rootEl) return;
+    this._rootEl.innerHTML = '';
+
+    const wrap = el('div', 'cloze__summary');
+    wrap.appendChild(el('h2', 'cloze__summary-title', t.session_complete));
+
+    const stats = el('dl', 'cloze__summary-stats');
+    const addStat = (label, value) => {
+      stats.appendChild(el('dt', 'cloze__summary-stat-label', label));
+      stats.appendChild(el('dd', 'cloze__summary-stat-value', String(value)));
+    };
+    addStat(t.final_score, summary.score ?? 0);
+    addStat(t.accuracy,    `${summary.accuracy ?? 0}%`);
+    addStat(t.best_streak, summary.bestStreak ?? 0);
+    addStat(t.words_seen,  summary.totalWords ?? 0);
+    addStat(t.correct,     summary.totalCorrect ?? 0);
+    if (summary.elapsedTime) addStat(t.time, `${Math.round(summary.elapsedTime / 1000)}s`);
+    wrap.appendChild(stats);
+
+    const focus = renderFocusSummary(summary.focus);
+    if (focus) wrap.appendChild(focus);
+
+    if (this._mistakes.length > 0) {
+      wrap.appendChild(el('h3', 'cloze__summary-mistakes-title', t.words_to_review));
+      const list = el('ul', 'cloze__summary-mistakes');
+      for (const { term, given } of this._mistakes) {
+        const item = el('li', 'cloze__summary-mistake');
+        item.appendChild(el('span', 'cloze__summary-mistake-term', term));
+        if (given) item.appendChild(el('span', 'cloze__summary-mistake-given', ` (${t.you_said} ${given})`));
+        list.appendChild(item);
+      }
+      wrap.appendChild(list);
+    } else {
+      wrap.appendChild(el('p', 'cloze__summary-perfect', t.perfect_round));
+    }
+
+    const replayBtn = el('button', 'cloze__play-again', t.play_again);
+    replayBtn.type = 'button';
+    replayBtn.addEventListener('click', () => this.start());
+    wrap.appendChild(replayBtn);
+
+    const menuBtn = el('button', 'cloze__menu-btn', t.back_to_menu);
+    menuBtn.type = 'button';
+    menuBtn.addEventListener('click', () => this._engine.emit('mode:done'));
+    wrap.appendChild(menuBtn);
+
+    this._rootEl.appendChild(wrap);
+  }
+
+  // --- Error State -----------------------------------------------------------
+
+  _showError(message) {
+    if (!this._rootEl) return;
+    const header = this._rootEl.querySelector('.cloze__header');
+    this._rootEl.replaceChildren(...(header ? [header] : []), el('div', 'cloze__error', message));
+  }
+}
@@ -6,6 +6,7 @@
  * - Two-tap reveal: first tap -> sister-language hint, second tap -> Russian fallback
  * - Know it / Don't know action buttons feeding back into the engine
  * - Swipe gestures: right = know, left = don't know
+ * - Speaker button: the prompt, plus the answer once the card is flipped
  * - Progress bar and end-of-session summary with "Review mistakes" option
  *
  * All DOM elements are created programmatically. BEM class names throughout.
@@ -13,6 +14,9 @@
  */
 
 import { t, langLabel } from '../i18n.js';
+import { stopSpeaking } from '../audio.js';
+import { renderFocusSummary } from '../ui/focus-summary.js';
+import { renderSpeaker, autoPlayWord } from '../ui/speaker.js';
 
 /** @typedef {import('../engine.js').GameEngine} GameEngine */
 
@@ -37,6 +41,7 @@ const CLS = {
   HINT_TEXT:    'card__hint-text',
   HINT_SECONDARY:'card__hint--secondary',
   TAP_PROMPT:   'card__tap-prompt',
+  AUDIO:        'flashcards__audio',
   ACTIONS:      'flashcards__actions',
   BTN_KNOW:     'flashcards__btn flashcards__btn--know',
   BTN_DONT:     'flashcards__btn flashcards__btn--dont',
@@ -101,9 +106,18 @@ export class FlashcardsMode {
     this._root = this._buildUI();
     this._container.appendChild(this._root);
     this._engine.startSession();
+
+    // A resumed session picks up its tallies (one answer per card in this mode)
+    const session = this._engine.session;
+    if (session?.resumed) {
+      this._knownCount = session.totalCorrect;
+      this._unknownCount = session.totalAnswered - session.totalCorrect;
+      this._wrongWordIds = [...session.wrongWords];
+    }
   }
 
   destroy() {
+    stopSpeaking();
     for (const unsub of this._unsubs) unsub();
     this._unsubs = [];
     if (this._root && this._root.parentNode) {
@@ -163,6 +177,10 @@ export class FlashcardsMode {
     scene.appendChild(card);
     root.appendChild(scene);
 
+    // Pronunciation (outside the card, so it works on either face)
+    const audio = el('div', CLS.AUDIO);
+    root.appendChild(audio);
+
     // Action buttons
     const actions  = el('div', CLS.ACTIONS);
     const btnDont  = el('button', CLS.BTN_DONT, t.dont_know);
@@ -181,7 +199,7 @@ export class FlashcardsMode {
     card.addEventListener('touchend', (e) => this._onTouchEnd(e), { passive: true });
 
     this._refs = {
-      root, progress, barFill, barText, card, term,
+      root, progress, barFill, barText, card, term, audio,
       hint1, hint2, tapBack, actions, btnKnow, btnDont,
     };
 
@@ -198,6 +216,7 @@ export class FlashcardsMode {
     this._tapCount = 0;
     this._animateCardTransition(data);
     this._updateProgress(data.index + 1, data.total);
+    autoPlayWord(this._engine, this._engine.getCurrentWord());
   }
 
   _onSessionEnded(summary) {
@@ -212,7 +231,10 @@ export class FlashcardsMode {
     if (this._tapCount === 0) {
       card.classList.add(CLS.CARD_FLIPPED);
       this._tapCount = 1;
-      const h = this._engine.getHint();
+      // Production: the back shows the target-language term being asked for
+      const h = this._engine.skill === 'production'
+        ? { lang: this._engine.targetLang, text: this._engine.getExpected() }
+        : this._engine.getHint();
       if (h) {
         setHintSlot(hint1, h.lang, h.text);
       }
@@ -245,10 +267,8 @@ export class FlashcardsMode {
       this._knownCount++;
       const entry = this._engine.getCurrentWord();
       if (entry) {
-        const target = entry.translations[this._engine.hintLang]
-          || entry.translations[this._engine.fallbackLang]
-          || entry.term;
-        this._engine.checkAnswer(target, this._engine.hintLang);
+        // Exactly what checkAnswer() compares against, so "Know it" is always correct
+        this._engine.checkAnswer(this._engine.getExpected(entry), this._engine.hintLang);
       }
     } else {
       this._unknownCount++;
@@ -333,14 +353,17 @@ export class FlashcardsMode {
   // --- Card Reset ------------------------------------------------------------
 
   _resetCard(wordData) {
-    const { card, term, hint1, hint2, tapBack, btnKnow, btnDont } = this._refs;
+    const { card, term, audio, hint1, hint2, tapBack, btnKnow, btnDont } = this._refs;
 
     card.classList.add('card--no-transition');
     card.classList.remove(CLS.CARD_FLIPPED);
     void card.offsetWidth;
     card.classList.remove('card--no-transition');
 
-    term.textContent = wordData.term || '';
+    term.textContent = wordData.prompt || wordData.term || '';
+
+    const entry = this._engine.getCurrentWord();
+    audio.replaceChildren(...(entry ? [renderSpeaker(this._engine, entry, () => this._tapCount > 0)] : []));
 
     clearHintSlot(hint1);
     clearHintSlot(hint2);
@@ -385,6 +408,9 @@ export class FlashcardsMode {
     }
     summaryEl.appendChild(stats);
 
+    const focus = renderFocusSummary(summary.focus);
+    if (focus) summaryEl.appendChild(focus);
+
     const btnRow = el('div', CLS.ACTIONS);
 
     if (this._wrongWordIds.length > 0) {
@@ -0,0 +1,445 @@
+/**
+ * ListeningMode — hear a word, then pick or type what was said.
+ *
+ * Responsibilities:
+ * - Speak the current term through the audio provider (audio.js), with
+ *   replay and slow-replay buttons
+ * - Answer by choosing among 4 written terms (same language) or by typing
+ *   the term; the style is a setting (`listeningAnswer`) switchable per word
+ * - Check answers against the term itself (engine.checkAnswer with the
+ *   word's own language); a wrong pick is logged as a confusion
+ * - Reveal the term and its translation after each answer
+ * - Display score, progress bar, and end-of-session summary
+ *
+ * BEM class naming: listening, listening__*, listening--modifier
+ */
+
+import { matchAnswer } from '../engine.js';
+import { isAudioAvailable, speak, stopSpeaking } from '../audio.js';
+import { getSettings, updateSettings } from '../settings.js';
+import { t } from '../i18n.js';
+import { renderFocusSummary } from '../ui/focus-summary.js';
+
+// --- Constants ---------------------------------------------------------------
+
+const OPTION_COUNT       = 4;
+const AUTO_ADVANCE_MS    = 1200;
+const ANSWER_STYLES      = ['choose', 'type'];
+const FUZZY_MAX_DISTANCE = 2;
+
+// --- Helpers -----------------------------------------------------------------
+
+function shuffle(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+function el(tag, cls, text) {
+  const node = document.createElement(tag);
+  if (cls) node.className = cls;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+/** Up to three other words in the same language with different terms; confusables first. */
+function buildDistractors(entry, engine) {
+  const usable = (e) => e.id !== entry.id && e.source_language === entry.source_language && e.term !== entry.term;
+  const pool = [
+    ...shuffle(engine.getConfusables(entry.id).filter(usable)),
+    ...shuffle(engine.allEntries.filter(usable)),
+  ];
+
+  const picked = [];
+  for (const e of pool) {
+    if (picked.length === OPTION_COUNT - 1) break;
+    if (!picked.some((p) => p.term === e.term)) picked.push(e);
+  }
+  return picked;
+}
+
+// --- ListeningMode Class -----------------------------------------------------
+
+export class ListeningMode {
+  constructor() {
+    this._container = null;
+    this._engine    = null;
+
+    this._rootEl = null;
+    this._dom    = {};
+
+    this._currentEntry = null;
+    this._answered     = false;
+    this._closeGiven   = false;
+    this._answerStyle  = 'choose';
+
+    this._sessionWords = 0;
+    this._mistakes     = [];
+    this._advanceTimer = null;
+  }
+
+  // --- Public API ------------------------------------------------------------
+
+  init(container, engine) {
+    this._container = container;
+    this._engine    = engine;
+  }
+
+  start() {
+    if (!this._container || !this._engine) {
+      throw new Error('ListeningMode: call init(container, engine) before start()');
+    }
+
+    this._container.innerHTML = '';
+    this._mistakes = [];
+    const style = getSettings().listeningAnswer;
+    this._answerStyle = ANSWER_STYLES.includes(style) ? style : 'choose';
+
+    this._rootEl = this._buildSkeleton();
+    this._container.appendChild(this._rootEl);
+
+    if (!isAudioAvailable()) {
+      this._showError(t.audio_unavailable);
+      return;
+    }
+
+    try {
+      this._currentEntry = this._engine.startSession();
+    } catch (err) {
+      this._showError(err.message);
+      return;
+    }
+
+    // A resumed session brings back its mistakes list
+    this._mistakes     = this._engine.getModeState()?.mistakes ?? [];
+    this._sessionWords = this._engine.session?.words?.length ?? 0;
+    this._renderWord();
+  }
+
+  destroy() {
+    clearTimeout(this._advanceTimer);
+    this._advanceTimer = null;
+    stopSpeaking();
+    if (this._container) {
+      this._container.innerHTML = '';
+    }
+    this._rootEl       = null;
+    this._dom          = {};
+    this._currentEntry = null;
+  }
+
+  // --- DOM Construction ------------------------------------------------------
+
+  _buildSkeleton() {
+    const root = el('div', 'listening');
+
+    // Header: back, progress, score
+    const header = el('div', 'listening__header');
+    const backBtn = el('button', 'listening__back-btn', t.back_to_menu);
+    backBtn.type = 'button';
+    backBtn.addEventListener('click', () => this._engine.emit('mode:done'));
+
+    const progressWrap  = el('div', 'listening__progress-wrap');
+    const progressLabel = el('div', 'listening__progress-label');
+    const progressBar   = el('div', 'listening__progress-bar');
+    const progressFill  = el('div', 'listening__progress-fill');
+    progressBar.appendChild(progressFill);
+    progressWrap.append(progressLabel, progressBar);
+
+    const scoreEl = el('div', 'listening__score', `${t.score}: 0`);
+    header.append(backBtn, progressWrap, scoreEl);
+    root.appendChild(header);
+
+    // Player: big play button, replay at normal and slow speed
+    const player  = el('div', 'listening__player');
+    const playBtn = el('button', 'listening__play', '🔊');
+    playBtn.type = 'button';
+    playBtn.setAttribute('aria-label', t.listen_play);
+    playBtn.addEventListener('click', () => this._play());
+
+    const replayRow = el('div', 'listening__replay-row');
+    const replayBtn = el('button', 'btn btn--outline btn--sm listening__replay', `↻ ${t.listen_replay}`);
+    replayBtn.type = 'button';
+    replayBtn.addEventListener('click', () => this._play());
+    const slowBtn = el('button', 'btn btn--outline btn--sm listening__slow', `🐢 ${t.listen_slow}`);
+    slowBtn.type = 'button';
+    slowBtn.addEventListener('click', () => this._play({ slow: true }));
+    replayRow.append(replayBtn, slowBtn);
+
+    const audioStatus = el('div', 'listening__status');
+    audioStatus.setAttribute('aria-live', 'polite');
+    player.append(playBtn, replayRow, audioStatus);
+    root.appendChild(player);
+
+    // Answer style toggle
+    const styleToggle = el('div', 'toggle toggle--sm listening__styles');
+    for (const [style, label] of [['choose', t.answer_choose], ['type', t.answer_type]]) {
+      const btn = el('button', 'toggle__option', label);
+      btn.type = 'button';
+      btn.dataset.answer = style;
+      styleToggle.appendChild(btn);
+    }
+    styleToggle.addEventListener('click', (e) => {
+      const btn = e.target.closest('.toggle__option');
+      if (!btn || this._answered || btn.dataset.answer === this._answerStyle) return;
+      this._answerStyle = btn.dataset.answer;
+      updateSettings({ listeningAnswer: this._answerStyle });
+      this._renderAnswerArea();
+    });
+
+    const prompt     = el('div', 'listening__prompt', t.listen_prompt);
+    const answerArea = el('div', 'listening__answer');
+    const feedback   = el('div', 'listening__feedback');
+    feedback.setAttribute('role', 'status');
+    const reveal     = el('div', 'listening__reveal');
+    const nextBtn    = el('button', 'listening__next', t.next_word);
+    nextBtn.type   = 'button';
+    nextBtn.hidden = true;
+    nextBtn.addEventListener('click', () => this._advance());
+
+    root.append(styleToggle, prompt, answerArea, feedback, reveal, nextBtn);
+
+    this._dom = {
+      progressLabel, progressFill, scoreEl, playBtn, audioStatus,
+      styleToggle, answerArea, feedback, reveal, nextBtn,
+    };
+    return root;
+  }
+
+  // --- Word Rendering --------------------------------------------------------
+
+  _renderWord() {
+    const { progressLabel, progressFill, feedback, reveal, nextBtn, audioStatus } = this._dom;
+
+    this._answered   = false;
+    this._closeGiven = false;
+
+    const idx   = this._engine.session?.currentIndex ?? 0;
+    const total = this._sessionWords;
+    progressLabel.textContent = `${t.question} ${idx + 1} / ${total}`;
+    progressFill.style.width  = `${total > 0 ? ((idx / total) * 100).toFixed(1) : 0}%`;
+
+    feedback.textContent = '';
+    feedback.className   = 'listening__feedback';
+    reveal.replaceChildren();
+    nextBtn.hidden = true;
+    audioStatus.textContent = '';
+
+    this._renderAnswerArea();
+    this._play();
+  }
+
+  _renderAnswerArea() {
+    const { answerArea, styleToggle } = this._dom;
+    answerArea.replaceChildren();
+    styleToggle.querySelectorAll('.toggle__option').forEach((btn) => {
+      btn.classList.toggle('toggle__option--active', btn.dataset.answer === this._answerStyle);
+    });
+
+    if (this._answerStyle === 'type') {
+      const form  = el('form', 'listening__form');
+      const input = el('input', 'input listening__input');
+      input.type = 'text';
+      input.setAttribute('autocomplete', 'off');
+      input.setAttribute('autocapitalize', 'none');
+      input.setAttribute('spellcheck', 'false');
+      input.setAttribute('placeholder', t.type_heard);
+      const submitBtn = el('button', 'btn btn--primary listening__submit', t.submit);
+      submitBtn.type = 'submit';
+      form.append(input, submitBtn);
+      // Enter submits, or moves on once answered
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (this._answered) this._advance();
+        else this._submitTyped(input.value.trim());
+      });
+      answerArea.appendChild(form);
+      input.focus();
+      return;
+    }
+
+    const entry   = this._currentEntry;
+    const options = shuffle([entry, ...buildDistractors(entry, this._engine)]);
+    const list    = el('div', 'listening__options');
+    list.setAttribute('role', 'group');
+    for (const option of options) {
+      const btn = el('button', 'listening__option', option.term);
+      btn.type = 'button';
+      btn.dataset.id = option.id;
+      btn.addEventListener('click', () => this._choose(option, btn));
+      list.appendChild(btn);
+    }
+    answerArea.appendChild(list);
+  }
+
+  // --- Audio -----------------------------------------------------------------
+
+  _play({ slow = false } = {}) {
+    const entry = this._currentEntry;
+    if (!entry) return;
+    const { playBtn, audioStatus } = this._dom;
+    playBtn.classList.add('listening__play--active');
+    audioStatus.textContent = '';
+
+    speak(entry.term, entry.source_language, { slow })
+      .catch((err) => {
+        console.error('Listening: playback failed', err);
+        if (this._dom.audioStatus) this._dom.audioStatus.textContent = t.audio_failed;
+      })
+      .finally(() => this._dom.playBtn?.classList.remove('listening__play--active'));
+  }
+
+  // --- Answering -------------------------------------------------------------
+
+  _choose(option, btn) {
+    if (this._answered) return;
+    const engine = this._engine;
+    const result = engine.checkAnswer(option.term, engine.targetLang, { chosenId: option.id });
+    if (!result) return;
+
+    const buttons = this._dom.answerArea.querySelectorAll('.listening__option');
+    buttons.forEach((b) => {
+      b.disabled = true;
+      if (b.dataset.id === this._currentEntry.id) b.classList.add('listening__option--correct');
+    });
+    if (!result.correct) btn.classList.add('listening__option--wrong');
+
+    this._finish(result.correct, option.term);
+  }
+
+  _submitTyped(raw) {
+    if (!raw) {
+      this._setFeedback('', t.type_answer_first);
+      return;
+    }
+    const engine = this._engine;
+    const matchOptions = engine.getMatchOptions(this._currentEntry, engine.targetLang);
+    const result = engine.checkAnswer(raw, engine.targetLang);
+    if (!result) return;
+
+    if (!result.correct && !this._closeGiven && matchAnswer(raw, result.expected, FUZZY_MAX_DISTANCE, matchOptions).close) {
+      // One more try for a near miss, as in Typing — without giving the word away
+      this._closeGiven = true;
+      this._setFeedback('close', t.listen_close);
+      return;
+    }
+
+    this._dom.answerArea.querySelectorAll('input, button').forEach((node) => { node.disabled = true; });
+    this._finish(result.correct, raw);
+  }
+
+  _finish(correct, given) {
+    const entry = this._currentEntry;
+    this._answered = true;
+    this._dom.scoreEl.textContent = `${t.score}: ${this._engine.session?.score ?? 0}`;
+
+    this._setFeedback(correct ? 'correct' : 'wrong', correct ? t.correct_answer : `${t.answer_is} ${entry.term}`);
+    this._renderReveal(entry);
+
+    if (correct) {
+      this._advanceTimer = setTimeout(() => {
+        this._advanceTimer = null;
+        this._advance();
+      }, AUTO_ADVANCE_MS);
+      return;
+    }
+
+    if (!this._mistakes.some((m) => m.term === entry.term)) {
+      this._mistakes.push({ term: entry.term, given });
+      this._engine.setModeState({ mistakes: this._mistakes });
+    }
+    this._dom.nextBtn.hidden = false;
+    this._dom.nextBtn.focus();
+  }
+
+  _renderReveal(entry) {
+    const engine = this._engine;
+    const translation = entry.translations?.[engine.hintLang] || entry.translations?.[engine.fallbackLang];
+    this._dom.reveal.replaceChildren(el('span', 'listening__reveal-term', entry.term));
+    if (translation) this._dom.reveal.appendChild(el('span', 'listening__reveal-translation', ` — ${translation}`));
+  }
+
+  _setFeedback(type, message) {
+    const { feedback } = this._dom;
+    feedback.className   = `listening__feedback${type ? ` listening__feedback--${type}` : ''}`;
+    feedback.textContent = message;
+  }
+
+  _advance() {
+    clearTimeout(this._advanceTimer);
+    this._advanceTimer = null;
+    const next = this._engine.nextWord();
+    if (!next || typeof next !== 'object' || !next.term) {
+      const summary = typeof next === 'object' && next !== null && 'score' in next
+        ? next
+        : this._engine.endSession();
+      this._showSummary(summary);
+      return;
+    }
+    this._currentEntry = next;
+    this._renderWord();
+  }
+
+  // --- Summary Screen --------------------------------------------------------
+
+  _showSummary(summary) {
+    if (!this._rootEl) return;
+    stopSpeaking();
+    this._rootEl.innerHTML = '';
+
+    const wrap = el('div', 'listening__summary');
+    wrap.appendChild(el('h2', 'listening__summary-title', t.session_complete));
+
+    const stats = el('dl', 'listening__summary-stats');
+    const addStat = (label, value) => {
+      stats.appendChild(el('dt', 'listening__summary-stat-label', label));
+      stats.appendChild(el('dd', 'listening__summary-stat-value', String(value)));
+    };
+    addStat(t.final_score, summary.score ?? 0);
+    addStat(t.accuracy,    `${summary.accuracy ?? 0}%`);
+    addStat(t.best_streak, summary.bestStreak ?? 0);
+    addStat(t.words_seen,  summary.totalWords ?? 0);
+    addStat(t.correct,     summary.totalCorrect ?? 0);
+    if (summary.elapsedTime) addStat(t.time, `${Math.round(summary.elapsedTime / 1000)}s`);
+    wrap.appendChild(stats);
+
+    const focus = renderFocusSummary(summary.focus);
+    if (focus) wrap.appendChild(focus);
+
+    if (this._mistakes.length > 0) {
+      wrap.appendChild(el('h3', 'listening__summary-mistakes-title', t.words_to_review));
+      const list = el('ul', 'listening__summary-mistakes');
+      for (const { term, given } of this._mistakes) {
+        const item = el('li', 'listening__summary-mistake');
+        item.appendChild(el('span', 'listening__summary-mistake-term', term));
+        if (given) item.appendChild(el('span', 'listening__summary-mistake-given', ` (${t.you_said} ${given})`));
+        list.appendChild(item);
+      }
+      wrap.appendChild(list);
+    } else {
+      wrap.appendChild(el('p', 'listening__summary-perfect', t.perfect_round));
+    }
+
+    const replayBtn = el('button', 'listening__play-again', t.play_again);
+    replayBtn.type = 'button';
+    replayBtn.addEventListener('click', () => this.start());
+    wrap.appendChild(replayBtn);
+
+    const menuBtn = el('button', 'listening__menu-btn', t.back_to_menu);
+    menuBtn.type = 'button';
+    menuBtn.addEventListener('click', () => this._engine.emit('mode:done'));
+    wrap.appendChild(menuBtn);
+
+    this._rootEl.appendChild(wrap);
+  }
+
+  // --- Error State -----------------------------------------------------------
+
+  _showError(message) {
+    if (!this._rootEl) return;
+    const header = this._rootEl.querySelector('.listening__header');
+    this._rootEl.replaceChildren(...(header ? [header] : []), el('div', 'listening__error', message));
+  }
+}
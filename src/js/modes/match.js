@@ -4,9 +4,15 @@
  * Players tap a word on the left, then tap its translation on the right.
  * Correct pairs glow green and fade out; wrong pairs flash red.
  * Difficulty starts at 4 pairs and increases by 1 each round, capped at 8.
+ * Each word reports one result per round to the engine: correct when matched
+ * without a prior mistake, wrong on its first mismatched pairing.
+ * Left tiles carry a speaker button: the prompt, plus its pair once matched.
  */
 
 import { t } from '../i18n.js';
+import { stopSpeaking } from '../audio.js';
+import { renderFocusSummary } from '../ui/focus-summary.js';
+import { renderSpeaker, autoPlayWord } from '../ui/speaker.js';
 
 const MIN_PAIRS = 4;
 const MAX_PAIRS = 8;
@@ -61,9 +67,12 @@ export class MatchMode {
     this._engine = null;
 
     this._round = 0;
+    this._poolCursor = 0;
     this._pairs = [];
     this._remaining = new Set();
     this._selected = null;
+    this._erroredIds = new Set();
+    this._lastMatchAt = 0;
 
     this._wrongAttempts = 0;
     this._startTime = 0;
@@ -84,12 +93,23 @@ export class MatchMode {
 
   start() {
     this._round = 0;
+    this._poolCursor = 0;
     this._wrongAttempts = 0;
+    this._engine.startSession();
+
+    // A resumed session starts its interrupted round over
+    const saved = this._engine.getModeState();
+    if (saved) {
+      this._round = saved.round;
+      this._poolCursor = saved.poolCursor;
+      this._wrongAttempts = saved.wrongAttempts;
+    }
     this._startRound();
   }
 
   destroy() {
     this._stopTimer();
+    stopSpeaking();
     if (this._container) {
       this._container.innerHTML = '';
     }
@@ -108,27 +128,50 @@ export class MatchMode {
     this._selected = null;
     this._elapsedSeconds = 0;
 
+    this._engine.setModeState({
+      round: this._round,
+      poolCursor: this._poolCursor,
+      wrongAttempts: this._wrongAttempts,
+    });
+
     const pairCount = Math.min(MIN_PAIRS + this._round, MAX_PAIRS);
     this._pairs = this._selectPairs(pairCount);
     this._remaining = new Set(this._pairs.map((p) => p.id));
+    this._erroredIds = new Set();
 
     this._render();
     this._startTimer();
+    this._lastMatchAt = this._startTime;
   }
 
   _selectPairs(count) {
     const engine = this._engine;
-    const playable = engine.getPlayableEntries
-      ? engine.getPlayableEntries()
-      : engine.allEntries;
-
-    const chosen = pickRandom(playable, count);
+    const pool = engine.session
+      ? engine.session.words
+      : engine.getPlayableEntries();
+
+    // Walk the session queue so scheduled (due) words come up first;
+    // once it runs out, fill rounds with random picks from the same pool.
+    let chosen = pool.slice(this._poolCursor, this._poolCursor + count);
+    this._poolCursor += chosen.length;
+    if (chosen.length < count) {
+      const taken = new Set(chosen.map((e) => e.id));
+      const rest = pool.filter((e) => !taken.has(e.id));
+      chosen = [...chosen, ...pickRandom(rest, count - chosen.length)];
+    }
 
-    return chosen.map((entry) => ({
-      id: entry.id,
-      target: getTargetText(entry, engine),
-      hint: getHintText(entry, engine),
-    }));
+    // Left column is the prompt side: the term for recognition, the translation for production
+    const production = engine.skill === 'production';
+    return shuffle(chosen).map((entry) => {
+      const target = getTargetText(entry, engine);
+      const hint = getHintText(entry, engine);
+      return {
+        id: entry.id,
+        entry,
+        left: production ? hint : target,
+        right: production ? target : hint,
+      };
+    });
   }
 
   // --- Timer -----------------------------------------------------------------
@@ -178,13 +221,15 @@ export class MatchMode {
     this._rightColEl = el('div', 'match__column match__column--right');
 
     for (const pair of this._pairs) {
-      const item = this._makeItem(pair.id, pair.target, 'left');
-      this._leftColEl.append(item);
+      const item = this._makeItem(pair.id, pair.left, 'left');
+      const cell = el('div', 'match__cell');
+      cell.append(item, renderSpeaker(this._engine, pair.entry, () => item.disabled, { ipa: false }));
+      this._leftColEl.append(cell);
     }
 
     const shuffledPairs = shuffle([...this._pairs]);
     for (const pair of shuffledPairs) {
-      const item = this._makeItem(pair.id, pair.hint, 'right');
+      const item = this._makeItem(pair.id, pair.right, 'right');
       this._rightColEl.append(item);
     }
 
@@ -233,6 +278,7 @@ export class MatchMode {
     }
     item.classList.add('match__item--selected');
     this._selected = { id, itemEl: item };
+    autoPlayWord(this._engine, this._pairs.find((p) => p.id === id)?.entry);
   }
 
   _handleRightTap(id, item) {
@@ -245,6 +291,17 @@ export class MatchMode {
       this._confirmMatch(selectedId, leftItem, item);
     } else {
       this._wrongAttempts++;
+      const counted = !this._erroredIds.has(selectedId);
+      if (counted) {
+        this._erroredIds.add(selectedId);
+        this._engine.recordResult(selectedId, false);
+      }
+      this._engine.logAttempt(selectedId, false, {
+        given: this._pairText(id),
+        expected: this._pairText(selectedId),
+        counted,
+        confusedWith: id,
+      });
       this._flashError(leftItem, item);
     }
   }
@@ -257,6 +314,16 @@ export class MatchMode {
     leftItem.disabled = true;
     rightItem.disabled = true;
 
+    const now = Date.now();
+    const responseMs = now - this._lastMatchAt;
+    const counted = !this._erroredIds.has(id);
+    if (counted) {
+      this._engine.recordResult(id, true, { responseMs });
+    }
+    const text = this._pairText(id);
+    this._engine.logAttempt(id, true, { given: text, expected: text, distance: 0, responseMs, counted });
+    this._lastMatchAt = now;
+
     setTimeout(() => {
       leftItem.classList.add('match__item--matched');
       rightItem.classList.add('match__item--matched');
@@ -267,6 +334,11 @@ export class MatchMode {
     }, FADE_DELAY_MS);
   }
 
+  /** Right-column text of a pair (the answer side). */
+  _pairText(id) {
+    return this._pairs.find((p) => p.id === id)?.right ?? '';
+  }
+
   _flashError(leftItem, rightItem) {
     leftItem.classList.remove('match__item--selected');
     leftItem.classList.add('match__item--wrong');
@@ -308,6 +380,9 @@ export class MatchMode {
     addStat(t.pairs_matched, String(this._pairs.length));
     summary.append(stats);
 
+    const focus = renderFocusSummary(this._engine.getFocusReport());
+    if (focus) summary.append(focus);
+
     const nextBtn = el('button', 'match__next-btn', t.next_round);
     nextBtn.type = 'button';
     nextBtn.addEventListener('click', () => {
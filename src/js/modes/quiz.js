@@ -3,8 +3,11 @@
  *
  * Responsibilities:
  * - Render quiz UI into a provided container
- * - Build 4-option questions (1 correct + 3 distractors from engine.allEntries)
+ * - Build 4-option questions (1 correct + 3 distractors from engine.allEntries;
+ *   in a confusion drill, the words it gets mixed up with come first)
+ * - Report which word a wrong option belongs to (confusion tracking)
  * - Handle answer selection with green/red feedback
+ * - Speaker button: the prompt, plus the answer once the question is settled
  * - Track wrong attempts per question (max 2 before auto-advancing)
  * - Display score, progress bar, and end-of-session summary
  * - Emit no external events; fully self-contained DOM module
@@ -13,6 +16,9 @@
  */
 
 import { t } from '../i18n.js';
+import { stopSpeaking } from '../audio.js';
+import { renderFocusSummary } from '../ui/focus-summary.js';
+import { renderSpeaker, autoPlayWord } from '../ui/speaker.js';
 
 // --- Constants ---------------------------------------------------------------
 
@@ -41,10 +47,12 @@ function el(tag, classes, text) {
 }
 
 function answerLang(engine) {
-  return engine.hintLang;
+  return engine.skill === 'production' ? engine.targetLang : engine.hintLang;
 }
 
+/** Option label for an entry: its translation, or its term when producing the target language. */
 function pickTranslation(entry, engine) {
+  if (engine.skill === 'production') return entry.term;
   return (
     entry.translations?.[engine.hintLang] ||
     entry.translations?.[engine.fallbackLang] ||
@@ -52,8 +60,13 @@ function pickTranslation(entry, engine) {
   );
 }
 
+/** Up to three distractor entries; placeholders (id null) when the vocabulary is too small. */
 function buildDistractors(correctEntry, engine) {
   const correctTranslation = pickTranslation(correctEntry, engine);
+  const usable = (e) => e.id !== correctEntry.id && pickTranslation(e, engine) !== correctTranslation;
+
+  // Confusion drill: the words this one gets mixed up with, then the usual picks
+  const confusables = shuffle(engine.getConfusables(correctEntry.id).filter(usable));
 
   const sameGroup = engine.allEntries.filter(
     (e) =>
@@ -70,14 +83,19 @@ function buildDistractors(correctEntry, engine) {
       !sameGroup.includes(e)
   );
 
-  const combined = shuffle([...sameGroup, ...otherGroup]);
-  const picked   = combined.slice(0, OPTION_COUNT - 1);
+  const combined = [...confusables, ...shuffle([...sameGroup, ...otherGroup])];
+  const picked   = [];
+  for (const e of combined) {
+    if (picked.length === OPTION_COUNT - 1) break;
+    // One option per label, so a pick always identifies a single word
+    if (!picked.some((p) => pickTranslation(p, engine) === pickTranslation(e, engine))) picked.push(e);
+  }
 
   while (picked.length < OPTION_COUNT - 1) {
-    picked.push({ term: `—`, translations: {} });
+    picked.push({ id: null, term: `—`, translations: {} });
   }
 
-  return picked.map((e) => pickTranslation(e, engine));
+  return picked;
 }
 
 // --- QuizMode Class ----------------------------------------------------------
@@ -91,6 +109,7 @@ export class QuizMode {
     this._progressEl   = null;
     this._progressFill = null;
     this._termEl       = null;
+    this._audioEl      = null;
     this._hintEl       = null;
     this._optionsEl    = null;
     this._rootEl       = null;
@@ -134,6 +153,8 @@ export class QuizMode {
       return;
     }
 
+    // A resumed session brings back its mistakes list
+    this._mistakes     = this._engine.getModeState()?.mistakes ?? [];
     this._sessionWords = this._engine.session?.words?.length ?? 0;
     this._renderQuestion();
   }
@@ -143,6 +164,7 @@ export class QuizMode {
       clearTimeout(this._advanceTimer);
       this._advanceTimer = null;
     }
+    stopSpeaking();
     if (this._container) {
       this._container.innerHTML = '';
     }
@@ -151,6 +173,7 @@ export class QuizMode {
     this._progressEl   = null;
     this._progressFill = null;
     this._termEl       = null;
+    this._audioEl      = null;
     this._hintEl       = null;
     this._optionsEl    = null;
     this._currentEntry = null;
@@ -189,12 +212,14 @@ export class QuizMode {
     // Question area
     const body = el('div', 'quiz__body');
     this._termEl = el('div', 'quiz__term', '…');
+    this._audioEl = el('div', 'quiz__audio');
     this._hintEl = el('div', 'quiz__hint');
     this._hintEl.setAttribute('aria-live', 'polite');
     this._optionsEl = el('div', 'quiz__options');
     this._optionsEl.setAttribute('role', 'group');
     this._optionsEl.setAttribute('aria-label', 'Answer options');
     body.appendChild(this._termEl);
+    body.appendChild(this._audioEl);
     body.appendChild(this._hintEl);
     body.appendChild(this._optionsEl);
     root.appendChild(body);
@@ -221,15 +246,16 @@ export class QuizMode {
     this._progressFill.style.width = `${pct}%`;
     this._progressFill.setAttribute('aria-valuenow', pct);
 
-    this._termEl.textContent = entry.term;
+    this._termEl.textContent = engine.getPrompt(entry);
+    this._audioEl.replaceChildren(renderSpeaker(engine, entry, () => this._locked));
+    autoPlayWord(engine, entry);
 
-    const correctLabel    = pickTranslation(entry, engine);
-    const distractors     = buildDistractors(entry, engine);
-    const optionLabels    = shuffle([correctLabel, ...distractors]);
+    const optionEntries   = shuffle([entry, ...buildDistractors(entry, engine)]);
 
-    this._options = optionLabels.map((label) => ({
-      label,
-      correct: label === correctLabel,
+    this._options = optionEntries.map((e) => ({
+      id: e.id,
+      label: pickTranslation(e, engine),
+      correct: e === entry,
     }));
 
     this._optionsEl.innerHTML = '';
@@ -261,8 +287,8 @@ export class QuizMode {
 
   _onCorrect(btn) {
     this._locked = true;
-    const correctLabel = this._options.find((o) => o.correct)?.label ?? '';
-    this._engine.checkAnswer(correctLabel, answerLang(this._engine));
+    const correct = this._options.find((o) => o.correct);
+    this._engine.checkAnswer(correct?.label ?? '', answerLang(this._engine), { chosenId: correct?.id });
     btn.classList.add('quiz__option--correct');
     const score = this._engine.session?.score ?? 0;
     this._scoreEl.textContent = `${t.score}: ${score}`;
@@ -272,11 +298,16 @@ export class QuizMode {
     }, AUTO_ADVANCE_MS);
   }
 
-  _onWrong(btn, _index) {
+  _onWrong(btn, index) {
     this._wrongCount++;
     btn.classList.add('quiz__option--wrong');
     btn.disabled = true;
-    this._engine.checkAnswer('__wrong__', answerLang(this._engine));
+    const chosen = this._options[index];
+    if (chosen.id) {
+      this._engine.checkAnswer(chosen.label, answerLang(this._engine), { chosenId: chosen.id });
+    } else {
+      this._engine.checkAnswer('__wrong__', answerLang(this._engine));
+    }
     const score = this._engine.session?.score ?? 0;
     this._scoreEl.textContent = `${t.score}: ${score}`;
 
@@ -291,9 +322,11 @@ export class QuizMode {
       this._revealCorrect();
       const correctLabel = this._options.find((o) => o.correct)?.label ?? '';
       const entry = this._currentEntry;
-      const alreadyLogged = this._mistakes.some((m) => m.term === entry.term);
+      const prompt = this._engine.getPrompt(entry);
+      const alreadyLogged = this._mistakes.some((m) => m.term === prompt);
       if (!alreadyLogged) {
-        this._mistakes.push({ term: entry.term, correctLabel });
+        this._mistakes.push({ term: prompt, correctLabel });
+        this._engine.setModeState({ mistakes: this._mistakes });
       }
       this._advanceTimer = setTimeout(() => {
         this._advanceTimer = null;
@@ -351,6 +384,9 @@ export class QuizMode {
 
     wrap.appendChild(stats);
 
+    const focus = renderFocusSummary(summary.focus);
+    if (focus) wrap.appendChild(focus);
+
     if (this._mistakes.length > 0) {
       wrap.appendChild(el('h3', 'quiz__summary-mistakes-title', t.words_to_review));
       const list = el('ul', 'quiz__summary-mistakes');
@@ -0,0 +1,399 @@
+/**
+ * SentenceMode — rebuild an example sentence from shuffled word chips.
+ *
+ * Responsibilities:
+ * - Play only words with a translated example sentence of a workable length
+ *   (engine.setWordFilter with buildSentenceTasks from sentences.js)
+ * - Show the example in the hint language (else Russian) as the prompt and
+ *   the target-language example's words as shuffled chips
+ * - Tap a chip to place it, tap a placed chip to take it back; Check once
+ *   every chip is placed
+ * - Check the word order through engine.checkAnswer (with `expected`), mark
+ *   each placed word right or wrong and reveal the sentence and the word
+ * - Display score, progress bar, and end-of-session summary
+ *
+ * BEM class naming: sentence, sentence__*, sentence--modifier
+ */
+
+import { buildSentenceTasks, shuffleWords } from '../sentences.js';
+import { t, langLabel } from '../i18n.js';
+import { renderFocusSummary } from '../ui/focus-summary.js';
+
+// --- Constants ---------------------------------------------------------------
+
+const AUTO_ADVANCE_MS = 1800;
+
+// --- Helpers -----------------------------------------------------------------
+
+function el(tag, cls, text) {
+  const node = document.createElement(tag);
+  if (cls) node.className = cls;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+// --- SentenceMode Class ------------------------------------------------------
+
+export class SentenceMode {
+  constructor() {
+    this._container = null;
+    this._engine    = null;
+
+    this._rootEl = null;
+    this._dom    = {};
+
+    this._currentEntry = null;
+    this._task         = null;
+    this._tasks        = new Map();
+    this._chips        = [];
+    this._placed       = [];
+    this._answered     = false;
+
+    this._sessionWords = 0;
+    this._mistakes     = [];
+    this._advanceTimer = null;
+  }
+
+  // --- Public API ------------------------------------------------------------
+
+  init(container, engine) {
+    this._container = container;
+    this._engine    = engine;
+  }
+
+  start() {
+    if (!this._container || !this._engine) {
+      throw new Error('SentenceMode: call init(container, engine) before start()');
+    }
+
+    this._container.innerHTML = '';
+    this._mistakes = [];
+
+    this._rootEl = this._buildSkeleton();
+    this._container.appendChild(this._rootEl);
+
+    const engine = this._engine;
+    engine.setWordFilter((entry) => this._tasksFor(entry).length > 0);
+    if (engine.getPlayableEntries().length === 0) {
+      this._showError(t.sentence_no_examples);
+      return;
+    }
+
+    try {
+      this._currentEntry = engine.startSession();
+    } catch (err) {
+      this._showError(err.message);
+      return;
+    }
+
+    // A resumed session brings back its mistakes list
+    this._mistakes     = engine.getModeState()?.mistakes ?? [];
+    this._sessionWords = engine.session?.words?.length ?? 0;
+    this._renderWord();
+  }
+
+  destroy() {
+    clearTimeout(this._advanceTimer);
+    this._advanceTimer = null;
+    if (this._container) {
+      this._container.innerHTML = '';
+    }
+    this._rootEl       = null;
+    this._dom          = {};
+    this._currentEntry = null;
+    this._task         = null;
+  }
+
+  // --- DOM Construction ------------------------------------------------------
+
+  _buildSkeleton() {
+    const root = el('div', 'sentence');
+
+    // Header: back, progress, score
+    const header = el('div', 'sentence__header');
+    const backBtn = el('button', 'sentence__back-btn', t.back_to_menu);
+    backBtn.type = 'button';
+    backBtn.addEventListener('click', () => this._engine.emit('mode:done'));
+
+    const progressWrap  = el('div', 'sentence__progress-wrap');
+    const progressLabel = el('div', 'sentence__progress-label');
+    const progressBar   = el('div', 'sentence__progress-bar');
+    const progressFill  = el('div', 'sentence__progress-fill');
+    progressBar.appendChild(progressFill);
+    progressWrap.append(progressLabel, progressBar);
+
+    const scoreEl = el('div', 'sentence__score', `${t.score}: 0`);
+    header.append(backBtn, progressWrap, scoreEl);
+    root.appendChild(header);
+
+    // The translated example to rebuild
+    const card       = el('div', 'sentence__card');
+    const promptHint = el('div', 'sentence__prompt-label', t.sentence_prompt);
+    const prompt     = el('p', 'sentence__prompt');
+    const promptLang = el('div', 'sentence__prompt-lang');
+    card.append(promptHint, prompt, promptLang);
+    root.appendChild(card);
+
+    // Placed chips, then the chips still to place
+    const built = el('div', 'sentence__built');
+    built.setAttribute('role', 'group');
+    built.addEventListener('click', (e) => {
+      const chip = e.target.closest('.sentence__chip');
+      if (chip) this._unplace(Number(chip.dataset.id));
+    });
+    const pool = el('div', 'sentence__pool');
+    pool.setAttribute('role', 'group');
+    pool.addEventListener('click', (e) => {
+      const chip = e.target.closest('.sentence__chip');
+      if (chip) this._place(Number(chip.dataset.id));
+    });
+
+    const actions  = el('div', 'sentence__actions');
+    const clearBtn = el('button', 'btn btn--outline sentence__clear', t.sentence_clear);
+    clearBtn.type = 'button';
+    clearBtn.addEventListener('click', () => this._clear());
+    const checkBtn = el('button', 'btn btn--primary sentence__check', t.sentence_check);
+    checkBtn.type = 'button';
+    checkBtn.addEventListener('click', () => this._check());
+    actions.append(clearBtn, checkBtn);
+
+    const feedback = el('div', 'sentence__feedback');
+    feedback.setAttribute('role', 'status');
+    const reveal   = el('div', 'sentence__reveal');
+    const nextBtn  = el('button', 'sentence__next', t.next_word);
+    nextBtn.type   = 'button';
+    nextBtn.hidden = true;
+    nextBtn.addEventListener('click', () => this._advance());
+
+    root.append(built, pool, actions, feedback, reveal, nextBtn);
+
+    this._dom = {
+      progressLabel, progressFill, scoreEl, prompt, promptLang,
+      built, pool, actions, clearBtn, checkBtn, feedback, reveal, nextBtn,
+    };
+    return root;
+  }
+
+  // --- Word Rendering --------------------------------------------------------
+
+  /** An entry's word-order tasks, built once per session. */
+  _tasksFor(entry) {
+    if (!this._tasks.has(entry.id)) {
+      const { hintLang, fallbackLang } = this._engine;
+      this._tasks.set(entry.id, buildSentenceTasks(entry, { hintLang, fallbackLang }));
+    }
+    return this._tasks.get(entry.id);
+  }
+
+  _renderWord() {
+    const { progressLabel, progressFill, prompt, promptLang, feedback, reveal, nextBtn, actions } = this._dom;
+    const entry = this._currentEntry;
+
+    this._answered = false;
+    const tasks = this._tasksFor(entry);
+    this._task  = tasks[Math.floor(Math.random() * tasks.length)] ?? null;
+
+    const idx   = this._engine.session?.currentIndex ?? 0;
+    const total = this._sessionWords;
+    progressLabel.textContent = `${t.question} ${idx + 1} / ${total}`;
+    progressFill.style.width  = `${total > 0 ? ((idx / total) * 100).toFixed(1) : 0}%`;
+
+    feedback.textContent = '';
+    feedback.className   = 'sentence__feedback';
+    reveal.replaceChildren();
+    nextBtn.hidden = true;
+    actions.hidden = false;
+
+    if (!this._task) {
+      // A resumed session may hold a word whose examples changed since
+      this._advance();
+      return;
+    }
+
+    prompt.textContent = this._task.prompt;
+    prompt.setAttribute('lang', this._task.promptLang);
+    promptLang.textContent = langLabel(this._task.promptLang);
+
+    this._chips  = shuffleWords(this._task.words);
+    this._placed = [];
+    this._renderChips();
+  }
+
+  _renderChips() {
+    const { built, pool, checkBtn, clearBtn } = this._dom;
+    const lang = this._currentEntry.source_language;
+    const chipFor = (chip, cls) => {
+      const btn = el('button', `sentence__chip${cls ? ` ${cls}` : ''}`, chip.text);
+      btn.type = 'button';
+      btn.dataset.id = chip.id;
+      btn.setAttribute('lang', lang);
+      return btn;
+    };
+
+    const placed = this._placed.map((id) => chipFor(this._chips.find((c) => c.id === id)));
+    built.replaceChildren(...(placed.length > 0 ? placed : [el('span', 'sentence__placeholder', t.sentence_tap)]));
+
+    // Placed chips keep their slot in the pool so the rest don't jump around
+    pool.replaceChildren(...this._chips.map((chip) => {
+      const btn = chipFor(chip, this._placed.includes(chip.id) ? 'sentence__chip--used' : '');
+      btn.disabled = this._placed.includes(chip.id);
+      return btn;
+    }));
+
+    checkBtn.disabled = this._placed.length < this._chips.length;
+    clearBtn.disabled = this._placed.length === 0;
+  }
+
+  // --- Answering -------------------------------------------------------------
+
+  _place(id) {
+    if (this._answered || this._placed.includes(id)) return;
+    this._placed.push(id);
+    this._renderChips();
+    if (this._placed.length === this._chips.length) this._dom.checkBtn.focus();
+  }
+
+  _unplace(id) {
+    if (this._answered) return;
+    this._placed = this._placed.filter((placed) => placed !== id);
+    this._renderChips();
+  }
+
+  _clear() {
+    if (this._answered) return;
+    this._placed = [];
+    this._renderChips();
+  }
+
+  _check() {
+    if (this._answered || this._placed.length < this._chips.length) return;
+    const engine = this._engine;
+    const { words, sentence } = this._task;
+    const given = this._placed.map((id) => this._chips.find((c) => c.id === id).text);
+
+    // Words only: punctuation isn't chipped, and commas would read as alternatives
+    const result = engine.checkAnswer(given.join(' '), engine.targetLang, { expected: words.join(' ') });
+    if (!result) return;
+
+    this._answered = true;
+    this._dom.built.querySelectorAll('.sentence__chip').forEach((chip, i) => {
+      chip.disabled = true;
+      // Duplicate words are interchangeable, so compare text, not chip identity
+      chip.classList.add(given[i] === words[i] ? 'sentence__chip--correct' : 'sentence__chip--wrong');
+    });
+    this._dom.actions.hidden = true;
+    this._finish(result.correct, sentence);
+  }
+
+  _finish(correct, sentence) {
+    const entry = this._currentEntry;
+    this._dom.scoreEl.textContent = `${t.score}: ${this._engine.session?.score ?? 0}`;
+
+    const { feedback } = this._dom;
+    feedback.className   = `sentence__feedback sentence__feedback--${correct ? 'correct' : 'wrong'}`;
+    feedback.textContent = correct ? t.correct_answer : t.answer_is;
+    this._renderReveal(entry, sentence);
+
+    if (correct) {
+      this._advanceTimer = setTimeout(() => {
+        this._advanceTimer = null;
+        this._advance();
+      }, AUTO_ADVANCE_MS);
+      return;
+    }
+
+    if (!this._mistakes.some((m) => m.sentence === sentence)) {
+      this._mistakes.push({ term: entry.term, sentence });
+      this._engine.setModeState({ mistakes: this._mistakes });
+    }
+    this._dom.nextBtn.hidden = false;
+    this._dom.nextBtn.focus();
+  }
+
+  _renderReveal(entry, sentence) {
+    const engine = this._engine;
+    const { reveal } = this._dom;
+    const text = el('p', 'sentence__reveal-sentence', sentence);
+    text.setAttribute('lang', entry.source_language);
+    const word = el('p', 'sentence__reveal-word');
+    word.appendChild(el('span', 'sentence__reveal-term', entry.term));
+    const translation = entry.translations?.[engine.hintLang] || entry.translations?.[engine.fallbackLang];
+    if (translation) word.appendChild(el('span', 'sentence__reveal-translation', ` — ${translation}`));
+    reveal.replaceChildren(text, word);
+  }
+
+  _advance() {
+    clearTimeout(this._advanceTimer);
+    this._advanceTimer = null;
+    const next = this._engine.nextWord();
+    if (!next || typeof next !== 'object' || !next.term) {
+      const summary = typeof next === 'object' && next !== null && 'score' in next
+        ? next
+        : this._engine.endSession();
+      this._showSummary(summary);
+      return;
+    }
+    this._currentEntry = next;
+    this._renderWord();
+  }
+
+  // --- Summary Screen --------------------------------------------------------
+
+  _showSummary(summary) {
+    if (!this._rootEl) return;
+    this._rootEl.innerHTML = '';
+
+    const wrap = el('div', 'sentence__summary');
+    wrap.appendChild(el('h2', 'sentence__summary-title', t.session_complete));
+
+    const stats = el('dl', 'sentence__summary-stats');
+    const addStat = (label, value) => {
+      stats.appendChild(el('dt', 'sentence__summary-stat-label', label));
+      stats.appendChild(el('dd', 'sentence__summary-stat-value', String(value)));
+    };
+    addStat(t.final_score, summary.score ?? 0);
+    addStat(t.accuracy,    `${summary.accuracy ?? 0}%`);
+    addStat(t.best_streak, summary.bestStreak ?? 0);
+    addStat(t.words_seen,  summary.totalWords ?? 0);
+    addStat(t.correct,     summary.totalCorrect ?? 0);
+    if (summary.elapsedTime) addStat(t.time, `${Math.round(summary.elapsedTime / 1000)}s`);
+    wrap.appendChild(stats);
+
+    const focus = renderFocusSummary(summary.focus);
+    if (focus) wrap.appendChild(focus);
+
+    if (this._mistakes.length > 0) {
+      wrap.appendChild(el('h3', 'sentence__summary-mistakes-title', t.words_to_review));
+      const list = el('ul', 'sentence__summary-mistakes');
+      for (const { term, sentence } of this._mistakes) {
+        const item = el('li', 'sentence__summary-mistake');
+        item.appendChild(el('span', 'sentence__summary-mistake-term', term));
+        item.appendChild(el('span', 'sentence__summary-mistake-sentence', ` — ${sentence}`));
+        list.appendChild(item);
+      }
+      wrap.appendChild(list);
+    } else {
+      wrap.appendChild(el('p', 'sentence__summary-perfect', t.perfect_round));
+    }
+
+    const replayBtn = el('button', 'sentence__play-again', t.play_again);
+    replayBtn.type = 'button';
+    replayBtn.addEventListener('click', () => this.start());
+    wrap.appendChild(replayBtn);
+
+    const menuBtn = el('button', 'sentence__menu-btn', t.back_to_menu);
+    menuBtn.type = 'button';
+    menuBtn.addEventListener('click', () => this._engine.emit('mode:done'));
+    wrap.appendChild(menuBtn);
+
+    this._rootEl.appendChild(wrap);
+  }
+
+  // --- Error State -----------------------------------------------------------
+
+  _showError(message) {
+    if (!this._rootEl) return;
+    const header = this._rootEl.querySelector('.sentence__header');
+    this._rootEl.replaceChildren(...(header ? [header] : []), el('div', 'sentence__error', message));
+  }
+}
@@ -0,0 +1,394 @@
+/**
+ * SpellingMode — dictation: hear the word or read its translation, spell it.
+ *
+ * Responsibilities:
+ * - Play only words, not long phrases (engine.setWordFilter with isSpellable)
+ * - Show the translation (hint language, else Russian) and speak the term
+ *   when audio is available, with a replay button
+ * - Check each attempt against the term (engine.checkAnswer with the word's
+ *   own language) and show it letter by letter: wrong, missing and extra
+ *   letters are marked; the term's letters are revealed on the last try
+ * - Allow MAX_ATTEMPTS tries; every attempt is logged, so letter errors
+ *   (analytics.js letterErrorPairs) build up in stats
+ * - Display score, progress bar, and an end-of-session summary with the
+ *   session's most frequent letter errors
+ *
+ * BEM class naming: spelling, spelling__*, spelling--modifier
+ */
+
+import {
+  diffLetters, spellingTarget, spellingErrors, isSpellable, toTermScript, countLetterErrors,
+} from '../spelling.js';
+import { playParts, stopSpeaking, isAudioAvailable, canPlayUrls, isAudioUrl, pronunciationOf } from '../audio.js';
+import { t, fmt, langLabel } from '../i18n.js';
+import { renderFocusSummary } from '../ui/focus-summary.js';
+import { renderLetterDiff, renderLetterErrors } from '../ui/letter-diff.js';
+
+// --- Constants ---------------------------------------------------------------
+
+const MAX_ATTEMPTS     = 3;
+const AUTO_ADVANCE_MS  = 1500;
+const SUMMARY_LETTERS  = 5;
+
+// --- Helpers -----------------------------------------------------------------
+
+function el(tag, cls, text) {
+  const node = document.createElement(tag);
+  if (cls) node.className = cls;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+// --- SpellingMode Class ------------------------------------------------------
+
+export class SpellingMode {
+  constructor() {
+    this._container = null;
+    this._engine    = null;
+
+    this._rootEl = null;
+    this._dom    = {};
+
+    this._currentEntry = null;
+    this._attempts     = 0;
+    this._answered     = false;
+
+    this._sessionWords = 0;
+    this._mistakes     = [];
+    this._letters      = [];
+    this._advanceTimer = null;
+  }
+
+  // --- Public API ------------------------------------------------------------
+
+  init(container, engine) {
+    this._container = container;
+    this._engine    = engine;
+  }
+
+  start() {
+    if (!this._container || !this._engine) {
+      throw new Error('SpellingMode: call init(container, engine) before start()');
+    }
+
+    this._container.innerHTML = '';
+    this._mistakes = [];
+    this._letters  = [];
+
+    this._rootEl = this._buildSkeleton();
+    this._container.appendChild(this._rootEl);
+
+    const engine = this._engine;
+    engine.setWordFilter(isSpellable);
+    try {
+      this._currentEntry = engine.startSession();
+    } catch (err) {
+      this._showError(err.message);
+      return;
+    }
+
+    // A resumed session brings back its mistakes and letter errors
+    const state = engine.getModeState();
+    this._mistakes     = state?.mistakes ?? [];
+    this._letters      = state?.letters ?? [];
+    this._sessionWords = engine.session?.words?.length ?? 0;
+    this._renderWord();
+  }
+
+  destroy() {
+    clearTimeout(this._advanceTimer);
+    this._advanceTimer = null;
+    stopSpeaking();
+    if (this._container) {
+      this._container.innerHTML = '';
+    }
+    this._rootEl       = null;
+    this._dom          = {};
+    this._currentEntry = null;
+  }
+
+  // --- DOM Construction ------------------------------------------------------
+
+  _buildSkeleton() {
+    const root = el('div', 'spelling');
+
+    // Header: back, progress, score
+    const header = el('div', 'spelling__header');
+    const backBtn = el('button', 'spelling__back-btn', t.back_to_menu);
+    backBtn.type = 'button';
+    backBtn.addEventListener('click', () => this._engine.emit('mode:done'));
+
+    const progressWrap  = el('div', 'spelling__progress-wrap');
+    const progressLabel = el('div', 'spelling__progress-label');
+    const progressBar   = el('div', 'spelling__progress-bar');
+    const progressFill  = el('div', 'spelling__progress-fill');
+    progressBar.appendChild(progressFill);
+    progressWrap.append(progressLabel, progressBar);
+
+    const scoreEl = el('div', 'spelling__score', `${t.score}: 0`);
+    header.append(backBtn, progressWrap, scoreEl);
+    root.appendChild(header);
+
+    // The word to spell: its translation, and the term spoken
+    const card        = el('div', 'spelling__card');
+    const promptLabel = el('div', 'spelling__prompt-label', t.spelling_prompt);
+    const prompt      = el('p', 'spelling__prompt');
+    const promptLang  = el('div', 'spelling__prompt-lang');
+    const playBtn     = el('button', 'spelling__play', '🔊');
+    playBtn.type = 'button';
+    playBtn.setAttribute('aria-label', t.listen_play);
+    playBtn.title = t.listen_play;
+    playBtn.addEventListener('click', () => this._play());
+    card.append(promptLabel, prompt, promptLang, playBtn);
+    root.appendChild(card);
+
+    const form  = el('form', 'spelling__form');
+    const input = el('input', 'input spelling__input');
+    input.type = 'text';
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('autocapitalize', 'none');
+    input.setAttribute('spellcheck', 'false');
+    input.setAttribute('placeholder', t.type_spelling);
+    const submitBtn = el('button', 'btn btn--primary spelling__submit', t.submit);
+    submitBtn.type = 'submit';
+    form.append(input, submitBtn);
+    // Enter submits, or moves on once answered
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (this._answered) this._advance();
+      else this._submit(input.value.trim());
+    });
+
+    const attempts = el('ol', 'spelling__attempts');
+    const feedback = el('div', 'spelling__feedback');
+    feedback.setAttribute('role', 'status');
+    const reveal   = el('div', 'spelling__reveal');
+    const nextBtn  = el('button', 'spelling__next', t.next_word);
+    nextBtn.type   = 'button';
+    nextBtn.hidden = true;
+    nextBtn.addEventListener('click', () => this._advance());
+
+    root.append(form, attempts, feedback, reveal, nextBtn);
+
+    this._dom = {
+      progressLabel, progressFill, scoreEl, prompt, promptLang, playBtn,
+      input, submitBtn, attempts, feedback, reveal, nextBtn,
+    };
+    return root;
+  }
+
+  // --- Word Rendering --------------------------------------------------------
+
+  _renderWord() {
+    const {
+      progressLabel, progressFill, prompt, promptLang, playBtn,
+      input, submitBtn, attempts, feedback, reveal, nextBtn,
+    } = this._dom;
+    const engine = this._engine;
+    const entry  = this._currentEntry;
+
+    this._answered = false;
+    this._attempts = 0;
+
+    const idx   = engine.session?.currentIndex ?? 0;
+    const total = this._sessionWords;
+    progressLabel.textContent = `${t.question} ${idx + 1} / ${total}`;
+    progressFill.style.width  = `${total > 0 ? ((idx / total) * 100).toFixed(1) : 0}%`;
+
+    const lang = entry.translations?.[engine.hintLang] ? engine.hintLang : engine.fallbackLang;
+    prompt.textContent = entry.translations?.[lang] ?? '';
+    prompt.setAttribute('lang', lang);
+    promptLang.textContent = langLabel(lang);
+
+    input.value    = '';
+    input.disabled = false;
+    input.setAttribute('lang', entry.source_language);
+    submitBtn.disabled = false;
+    attempts.replaceChildren();
+    feedback.textContent = '';
+    feedback.className   = 'spelling__feedback';
+    reveal.replaceChildren();
+    nextBtn.hidden = true;
+
+    playBtn.hidden = !isAudioAvailable() && !(this._recording() && canPlayUrls());
+    input.focus();
+    // Dictation: the word is read out as it appears
+    if (!playBtn.hidden) this._play();
+  }
+
+  /** The term's recorded pronunciation URL, if the entry has one. */
+  _recording() {
+    const pronunciation = pronunciationOf(this._currentEntry);
+    return isAudioUrl(pronunciation) ? pronunciation : null;
+  }
+
+  _play() {
+    const entry = this._currentEntry;
+    if (!entry) return;
+    const { playBtn } = this._dom;
+    playBtn.classList.add('spelling__play--active');
+    playParts([{ text: entry.term, lang: entry.source_language, url: this._recording() }])
+      .catch((err) => console.error('Spelling: playback failed', err))
+      .finally(() => this._dom.playBtn?.classList.remove('spelling__play--active'));
+  }
+
+  // --- Answering -------------------------------------------------------------
+
+  _submit(raw) {
+    if (!raw) {
+      this._setFeedback('', t.type_answer_first);
+      return;
+    }
+    const engine = this._engine;
+    const entry  = this._currentEntry;
+    const given  = toTermScript(raw, entry.term, entry.source_language);
+    const result = engine.checkAnswer(given, engine.targetLang);
+    if (!result) return;
+
+    this._attempts++;
+    const ops  = diffLetters(given, spellingTarget(given, entry.term, entry.source_language));
+    const last = result.correct || this._attempts >= MAX_ATTEMPTS;
+    const slips = ops.some((op) => op.type !== 'same');
+
+    this._letters.push(...spellingErrors(given, entry.term, entry.source_language));
+    this._engine.setModeState({ mistakes: this._mistakes, letters: this._letters });
+
+    const item = el('li', 'spelling__attempt');
+    item.setAttribute('lang', entry.source_language);
+    item.appendChild(renderLetterDiff(ops, { reveal: last }));
+    this._dom.attempts.appendChild(item);
+
+    if (!last) {
+      this._setFeedback('close', fmt('spelling_try_again', { left: MAX_ATTEMPTS - this._attempts }));
+      this._dom.input.select();
+      return;
+    }
+
+    this._dom.input.disabled = true;
+    this._dom.submitBtn.disabled = true;
+    if (result.correct) {
+      // Accepted without diacritics (strictDiacritics off): the diff shows the slip
+      this._setFeedback('correct', slips ? `${t.correct_no_diacritics} ${entry.term}` : t.correct_answer);
+    } else {
+      this._setFeedback('wrong', `${t.answer_is} ${entry.term}`);
+    }
+    this._finish(result.correct && !slips, result.correct, raw);
+  }
+
+  _finish(autoAdvance, correct, given) {
+    const entry = this._currentEntry;
+    this._answered = true;
+    this._dom.scoreEl.textContent = `${t.score}: ${this._engine.session?.score ?? 0}`;
+    this._renderReveal(entry);
+
+    if (autoAdvance) {
+      this._advanceTimer = setTimeout(() => {
+        this._advanceTimer = null;
+        this._advance();
+      }, AUTO_ADVANCE_MS);
+      return;
+    }
+
+    if (!correct && !this._mistakes.some((m) => m.term === entry.term)) {
+      this._mistakes.push({ term: entry.term, given });
+      this._engine.setModeState({ mistakes: this._mistakes, letters: this._letters });
+    }
+    this._dom.nextBtn.hidden = false;
+    this._dom.nextBtn.focus();
+  }
+
+  _renderReveal(entry) {
+    const engine = this._engine;
+    const translation = entry.translations?.[engine.hintLang] || entry.translations?.[engine.fallbackLang];
+    this._dom.reveal.replaceChildren(el('span', 'spelling__reveal-term', entry.term));
+    if (translation) this._dom.reveal.appendChild(el('span', 'spelling__reveal-translation', ` — ${translation}`));
+  }
+
+  _setFeedback(type, message) {
+    const { feedback } = this._dom;
+    feedback.className   = `spelling__feedback${type ? ` spelling__feedback--${type}` : ''}`;
+    feedback.textContent = message;
+  }
+
+  _advance() {
+    clearTimeout(this._advanceTimer);
+    this._advanceTimer = null;
+    const next = this._engine.nextWord();
+    if (!next || typeof next !== 'object' || !next.term) {
+      const summary = typeof next === 'object' && next !== null && 'score' in next
+        ? next
+        : this._engine.endSession();
+      this._showSummary(summary);
+      return;
+    }
+    this._currentEntry = next;
+    this._renderWord();
+  }
+
+  // --- Summary Screen --------------------------------------------------------
+
+  _showSummary(summary) {
+    if (!this._rootEl) return;
+    stopSpeaking();
+    this._rootEl.innerHTML = '';
+
+    const wrap = el('div', 'spelling__summary');
+    wrap.appendChild(el('h2', 'spelling__summary-title', t.session_complete));
+
+    const stats = el('dl', 'spelling__summary-stats');
+    const addStat = (label, value) => {
+      stats.appendChild(el('dt', 'spelling__summary-stat-label', label));
+      stats.appendChild(el('dd', 'spelling__summary-stat-value', String(value)));
+    };
+    addStat(t.final_score, summary.score ?? 0);
+    addStat(t.accuracy,    `${summary.accuracy ?? 0}%`);
+    addStat(t.best_streak, summary.bestStreak ?? 0);
+    addStat(t.words_seen,  summary.totalWords ?? 0);
+    addStat(t.correct,     summary.totalCorrect ?? 0);
+    if (summary.elapsedTime) addStat(t.time, `${Math.round(summary.elapsedTime / 1000)}s`);
+    wrap.appendChild(stats);
+
+    const focus = renderFocusSummary(summary.focus);
+    if (focus) wrap.appendChild(focus);
+
+    const letters = countLetterErrors(this._letters).slice(0, SUMMARY_LETTERS);
+    if (letters.length > 0) {
+      wrap.appendChild(el('h3', 'spelling__summary-letters-title', t.letters_session));
+      wrap.appendChild(renderLetterErrors(letters));
+    }
+
+    if (this._mistakes.length > 0) {
+      wrap.appendChild(el('h3', 'spelling__summary-mistakes-title', t.words_to_review));
+      const list = el('ul', 'spelling__summary-mistakes');
+      for (const { term, given } of this._mistakes) {
+        const item = el('li', 'spelling__summary-mistake');
+        item.appendChild(el('span', 'spelling__summary-mistake-term', term));
+        if (given) item.appendChild(el('span', 'spelling__summary-mistake-given', ` (${t.you_said} ${given})`));
+        list.appendChild(item);
+      }
+      wrap.appendChild(list);
+    } else {
+      wrap.appendChild(el('p', 'spelling__summary-perfect', t.perfect_round));
+    }
+
+    const replayBtn = el('button', 'spelling__play-again', t.play_again);
+    replayBtn.type = 'button';
+    replayBtn.addEventListener('click', () => this.start());
+    wrap.appendChild(replayBtn);
+
+    const menuBtn = el('button', 'spelling__menu-btn', t.back_to_menu);
+    menuBtn.type = 'button';
+    menuBtn.addEventListener('click', () => this._engine.emit('mode:done'));
+    wrap.appendChild(menuBtn);
+
+    this._rootEl.appendChild(wrap);
+  }
+
+  // --- Error State -----------------------------------------------------------
+
+  _showError(message) {
+    if (!this._rootEl) return;
+    const header = this._rootEl.querySelector('.spelling__header');
+    this._rootEl.replaceChildren(...(header ? [header] : []), el('div', 'spelling__error', message));
+  }
+}
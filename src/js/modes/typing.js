@@ -3,6 +3,8 @@
  *
  * Players are shown a word term and must type the translation.
  * Answers are checked with fuzzy matching; close answers get a yellow warning.
+ * Serbian answers may be typed in Cyrillic or Latin, with or without diacritics.
+ * The speaker button plays the prompt, and the answer too once the word is settled.
  *
  * Progressive hint system (single button, 6 stages):
  *   1–4. Progressively reveal random letters (1–2 per stage depending on word length)
@@ -10,8 +12,11 @@
  *   6.   Russian translation
  */
 
-import { fuzzyMatch, serbianCyrillicToLatin } from '../engine.js';
+import { matchAnswer } from '../engine.js';
 import { t, langLabel } from '../i18n.js';
+import { stopSpeaking } from '../audio.js';
+import { renderFocusSummary } from '../ui/focus-summary.js';
+import { renderSpeaker, autoPlayWord } from '../ui/speaker.js';
 
 // --- Constants ---------------------------------------------------------------
 
@@ -64,6 +69,9 @@ export class TypingMode {
 
     const firstEntry = this._engine.startSession();
     this._totalWords = this._engine.session?.words?.length ?? 0;
+    // A resumed session brings back its score and mistakes list
+    this._score = this._engine.session?.score ?? 0;
+    this._mistakes = this._engine.getModeState()?.mistakes ?? [];
 
     this._render();
     this._loadWord(firstEntry);
@@ -73,6 +81,7 @@ export class TypingMode {
 
   destroy() {
     clearTimeout(this._autoAdvanceTimer);
+    stopSpeaking();
     document.removeEventListener('keydown', this._onKeydown);
     if (this._container) {
       this._container.innerHTML = '';
@@ -115,8 +124,10 @@ export class TypingMode {
     const card = el('div', 'typing__card');
     const wordType = el('span', 'typing__word-type');
     const wordTerm = el('div', 'typing__word-term');
+    const wordAudio = el('div', 'typing__word-audio');
     card.appendChild(wordType);
     card.appendChild(wordTerm);
+    card.appendChild(wordAudio);
 
     // Direction prompt (just the label, no initial stars)
     const promptLabel = el('div', 'typing__prompt-label');
@@ -173,7 +184,7 @@ export class TypingMode {
 
     this._dom = {
       progressFill, progressLabel, scoreEl,
-      wordType, wordTerm, promptLabel, hintArea,
+      wordType, wordTerm, wordAudio, promptLabel, hintArea,
       input, submitBtn, feedback,
       hintBtn, skipBtn,
       actions, inputArea,
@@ -201,17 +212,20 @@ export class TypingMode {
     this._revealedIndices = new Set();
 
     // Cache the expected answer
-    const answerLang = this._engine.hintLang;
-    this._expected = entry.translations[answerLang] || entry.term || '';
+    const production = this._engine.skill === 'production';
+    const answerLang = production ? this._engine.targetLang : this._engine.hintLang;
+    this._expected = this._engine.getExpected(entry);
 
     this._currentIndex = this._engine.session?.currentIndex ?? this._currentIndex;
     this._updateProgress();
 
-    const { wordType, wordTerm, promptLabel, hintArea, input, feedback,
+    const { wordType, wordTerm, wordAudio, promptLabel, hintArea, input, feedback,
             hintBtn, skipBtn, submitBtn, inputArea } = this._dom;
 
     wordType.textContent = entry.type ? entry.type.toUpperCase() : '';
-    wordTerm.textContent = entry.term;
+    wordTerm.textContent = this._engine.getPrompt(entry);
+    wordAudio.replaceChildren(renderSpeaker(this._engine, entry, () => this._answered));
+    autoPlayWord(this._engine, entry);
 
     // Direction prompt
     promptLabel.textContent = `${t.translate_to} ${langLabel(answerLang).toLowerCase()}:`;
@@ -283,9 +297,11 @@ export class TypingMode {
         this._engine.getHint();
       }
     } else if (this._hintStage === 5) {
-      // Stage 5: sister language translation
-      const hint = this._engine.getHint();
-      const sisterText = this._currentEntry.translations[this._engine.hintLang];
+      // Stage 5: sister language translation (production: already the prompt, skipped)
+      this._engine.getHint();
+      const sisterText = this._engine.skill === 'production'
+        ? null
+        : this._currentEntry.translations[this._engine.hintLang];
       if (sisterText) {
         const row = el('div', 'typing__hint typing__hint--level-1');
         const lang = el('span', 'typing__hint-lang');
@@ -297,8 +313,10 @@ export class TypingMode {
         hintArea.appendChild(row);
       }
     } else if (this._hintStage === 6) {
-      // Stage 6: Russian translation
-      const ruText = this._currentEntry.translations[this._engine.fallbackLang];
+      // Stage 6: Russian translation (unless it is the production prompt)
+      const ruText = this._engine.getPromptLang(this._currentEntry) === this._engine.fallbackLang
+        ? null
+        : this._currentEntry.translations[this._engine.fallbackLang];
       if (ruText) {
         this._engine.getHint();
         const row = el('div', 'typing__hint typing__hint--level-2');
@@ -391,29 +409,38 @@ export class TypingMode {
       return;
     }
 
-    const answer = serbianCyrillicToLatin(raw);
-    const result = this._engine.checkAnswer(answer);
+    const matchOptions = this._engine.getMatchOptions();
+    const result = this._engine.checkAnswer(raw);
     if (!result) return;
 
     const { correct, expected } = result;
-    const match = fuzzyMatch(answer, expected, this._fuzzyMaxDistance);
+    const match = matchAnswer(raw, expected, this._fuzzyMaxDistance, matchOptions);
 
-    if (match.exact || correct) {
-      this._onCorrect(expected);
+    if (correct) {
+      this._onCorrect(result.matched, result.others, result.diacritics);
     } else if (match.close && !this._closeAnswerGiven) {
       this._closeAnswerGiven = true;
-      this._showCloseWarning(expected, raw);
+      this._showCloseWarning(match.matched, raw, match.diacritics ? t.diacritics_required : t.close_answer);
     } else {
       this._onWrong(expected, raw);
     }
   }
 
-  _onCorrect(_expected) {
+  /**
+   * @param {string|null} matched - the accepted variant the answer matched
+   * @param {string[]} [others] - remaining accepted variants, listed for reference
+   * @param {boolean} [diacritics] - accepted without its diacritics; shows the spelling
+   */
+  _onCorrect(matched, others = [], diacritics = false) {
     this._answered = true;
     this._score = this._engine.session?.score ?? this._score;
 
+    let message = diacritics ? t.correct_no_diacritics : t.correct_answer;
+    if (matched) message += ` ${matched}`;
+    if (others.length > 0) message += ` · ${t.also_accepted} ${others.join(', ')}`;
+
     this._flashInputArea('typing__input-area--correct');
-    this._setFeedback('correct', t.correct_answer);
+    this._setFeedback(diacritics ? 'diacritics' : 'correct', message);
 
     this._dom.input.disabled = true;
     this._dom.submitBtn.disabled = true;
@@ -434,15 +461,17 @@ export class TypingMode {
     this._dom.submitBtn.disabled = true;
     this._dom.hintBtn.disabled = true;
 
-    const alreadyLogged = this._mistakes.some(m => m.term === this._currentEntry.term);
+    const prompt = this._engine.getPrompt(this._currentEntry);
+    const alreadyLogged = this._mistakes.some(m => m.term === prompt);
     if (!alreadyLogged) {
-      this._mistakes.push({ term: this._currentEntry.term, expected, given });
+      this._mistakes.push({ term: prompt, expected, given });
+      this._engine.setModeState({ mistakes: this._mistakes });
     }
   }
 
-  _showCloseWarning(expected, given) {
+  _showCloseWarning(expected, given, label = t.close_answer) {
     this._flashInputArea('typing__input-area--close');
-    this._setFeedback('close', `${t.close_answer} ${expected}`);
+    this._setFeedback('close', `${label} ${expected}`);
     this._dom.input.value = given;
     this._dom.input.focus();
   }
@@ -510,6 +539,9 @@ export class TypingMode {
     this._container.appendChild(title);
     this._container.appendChild(stats);
 
+    const focus = renderFocusSummary(s?.focus);
+    if (focus) this._container.appendChild(focus);
+
     if (this._mistakes.length > 0) {
       const mistakesSection = el('div', 'typing__mistakes');
       const mistakesTitle = el('h3', 'typing__mistakes-title');
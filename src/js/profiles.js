@@ -0,0 +1,210 @@
+// profiles.js — learner profiles sharing one device. Every storage module keys
+// its data by the active profile through profileKey(); the profile list itself
+// lives under 'ls_profiles'. Switching profiles reloads the page, so modules
+// that cache data in memory never mix two profiles.
+// Vanilla ES module, no framework dependencies.
+
+const REGISTRY_KEY = 'ls_profiles';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * localStorage keys owned by a profile. Before profiles existed they were
+ * stored bare; the first run moves them into the default profile.
+ */
+export const PROFILE_KEYS = [
+  'ls_progress', 'ls_answers', 'ls_settings', 'ls_ui_language', 'user_words', 'ls_session', 'ls_sync',
+];
+
+/** What a sync id may look like — also a valid sync server space name. */
+const SYNC_ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id          - stable; names storage keys on this device
+ * @property {string|null} name   - null for the default profile until renamed (UI shows a translated label)
+ * @property {string} syncId      - random; names the sync space, shared by entering it on another device
+ * @property {string} createdAt   - ISO timestamp
+ */
+
+function randomSyncId() {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function createRegistry() {
+  // One-time migration: existing data becomes the default profile's
+  for (const key of PROFILE_KEYS) {
+    const value = localStorage.getItem(key);
+    if (value === null) continue;
+    localStorage.setItem(`${key}:${DEFAULT_PROFILE_ID}`, value);
+    localStorage.removeItem(key);
+  }
+  const registry = {
+    activeId: DEFAULT_PROFILE_ID,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: null, syncId: randomSyncId(), createdAt: new Date().toISOString() }],
+  };
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+  return registry;
+}
+
+/**
+ * `deletedIds` lists deleted profiles whose IndexedDB database is still to be
+ * removed (learner-db.js purgeDeletedDBs).
+ * @returns {{ activeId: string, profiles: Profile[], deletedIds?: string[] }}
+ */
+function readRegistry() {
+  try {
+    const registry = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+    if (Array.isArray(registry?.profiles) && registry.profiles.length > 0) {
+      if (!registry.profiles.some((p) => p.id === registry.activeId)) registry.activeId = registry.profiles[0].id;
+      // Profiles from before sync ids existed get one
+      if (registry.profiles.some((p) => !p.syncId)) {
+        registry.profiles = registry.profiles.map((p) => (p.syncId ? p : { ...p, syncId: randomSyncId() }));
+        writeRegistry(registry);
+      }
+      return registry;
+    }
+  } catch {
+    // Corrupt registry — rebuilt below
+  }
+  return createRegistry();
+}
+
+function writeRegistry(registry) {
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+}
+
+function cleanName(name) {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) throw new Error('Profile name is required');
+  return trimmed.slice(0, 40);
+}
+
+/**
+ * Id for a new profile, derived from its name ("Ана" → "ана", then "ана-2"
+ * on a clash). Ids of deleted profiles whose database is not gone yet stay taken.
+ */
+function uniqueId(name, { profiles, deletedIds = [] }) {
+  const base = name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 32) || 'profile';
+  const taken = new Set([...profiles.map((p) => p.id), ...deletedIds]);
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Storage key namespaced by a profile, e.g. 'ls_progress:default'.
+ * @param {string} key - one of PROFILE_KEYS
+ * @param {string} [profileId] - defaults to the active profile
+ * @returns {string}
+ */
+export function profileKey(key, profileId = readRegistry().activeId) {
+  return `${key}:${profileId}`;
+}
+
+/** @returns {Profile[]} */
+export function listProfiles() {
+  return readRegistry().profiles.map((p) => ({ ...p }));
+}
+
+/** @returns {Profile} */
+export function getActiveProfile() {
+  const { activeId, profiles } = readRegistry();
+  return { ...profiles.find((p) => p.id === activeId) };
+}
+
+/**
+ * Make a profile active. Callers reload the page afterwards.
+ * @param {string} id
+ */
+export function setActiveProfile(id) {
+  const registry = readRegistry();
+  if (!registry.profiles.some((p) => p.id === id)) throw new Error(`Unknown profile: ${id}`);
+  writeRegistry({ ...registry, activeId: id });
+}
+
+/**
+ * @param {string} name
+ * @returns {Profile} the new profile (not made active)
+ */
+export function createProfile(name) {
+  const registry = readRegistry();
+  const clean = cleanName(name);
+  const profile = { id: uniqueId(clean, registry), name: clean, syncId: randomSyncId(), createdAt: new Date().toISOString() };
+  writeRegistry({ ...registry, profiles: [...registry.profiles, profile] });
+  return profile;
+}
+
+/**
+ * @param {string} id
+ * @param {string} name
+ */
+export function renameProfile(id, name) {
+  const registry = readRegistry();
+  const clean = cleanName(name);
+  writeRegistry({
+    ...registry,
+    profiles: registry.profiles.map((p) => (p.id === id ? { ...p, name: clean } : p)),
+  });
+}
+
+/**
+ * Sync a profile through another space — the sync id shown on another device,
+ * so both devices share this learner's data.
+ * @param {string} id
+ * @param {string} syncId
+ */
+export function setProfileSyncId(id, syncId) {
+  const clean = String(syncId ?? '').trim();
+  if (!SYNC_ID_RE.test(clean)) throw new Error('Invalid sync id');
+  const registry = readRegistry();
+  writeRegistry({
+    ...registry,
+    profiles: registry.profiles.map((p) => (p.id === id ? { ...p, syncId: clean } : p)),
+  });
+}
+
+/**
+ * Delete a profile and its localStorage data. Its IndexedDB database is
+ * queued for removal (listDeletedProfileIds) — learner-db.js purgeDeletedDBs
+ * removes it once no page has it open. The last profile cannot be deleted;
+ * deleting the active one activates the first remaining.
+ *
+ * @param {string} id
+ * @returns {boolean} whether the active profile changed (callers reload)
+ */
+export function deleteProfile(id) {
+  const registry = readRegistry();
+  const profiles = registry.profiles.filter((p) => p.id !== id);
+  if (profiles.length === registry.profiles.length) return false;
+  if (profiles.length === 0) throw new Error('Cannot delete the last profile');
+
+  for (const key of PROFILE_KEYS) localStorage.removeItem(profileKey(key, id));
+  const activeChanged = registry.activeId === id;
+  writeRegistry({
+    ...registry,
+    activeId: activeChanged ? profiles[0].id : registry.activeId,
+    profiles,
+    deletedIds: [...(registry.deletedIds ?? []), id],
+  });
+  return activeChanged;
+}
+
+/** @returns {string[]} deleted profiles whose database has not been removed yet */
+export function listDeletedProfileIds() {
+  return [...(readRegistry().deletedIds ?? [])];
+}
+
+/**
+ * Drop a deleted profile from the removal queue once its database is gone.
+ * @param {string} id
+ */
+export function forgetDeletedProfile(id) {
+  const registry = readRegistry();
+  writeRegistry({ ...registry, deletedIds: (registry.deletedIds ?? []).filter((d) => d !== id) });
+}
@@ -1,13 +1,39 @@
-// progress.js — user learning progress stored in localStorage
+// progress.js — user learning progress.
+// Stored in IndexedDB (learner-db.js) once initProgressStore() has run: per-word
+// records and the full session history, mirrored in memory so the API stays
+// synchronous, plus an append-only answer log queried asynchronously. Without
+// IndexedDB it falls back to the 'ls_progress' / 'ls_answers' localStorage keys.
+// Everything belongs to the active learner profile (profiles.js).
 // Vanilla ES module, no framework dependencies.
 
-const STORAGE_KEY = 'ls_progress';
+import { gradeResult, scheduleReview, markKnownSchedule, addDays } from './scheduler.js';
+import {
+  SKILL_KEYS, openLearnerDB, getAll, getAllByIndex, putAll, replaceAll, progressToRows, rowsToProgress,
+} from './learner-db.js';
+import { profileKey } from './profiles.js';
+import { getSettings } from './settings.js';
+import { addActivity, advanceStreak, dailyFromSessions } from './activity.js';
+
+const storageKey = () => profileKey('ls_progress');
+const answersKey = () => profileKey('ls_answers');
+
+/** Sessions / answers kept by the localStorage fallback (IndexedDB keeps all of them). */
+const FALLBACK_SESSION_LIMIT = 30;
+const FALLBACK_ANSWER_LIMIT = 500;
+
+/** Open database and in-memory progress, once initProgressStore() has succeeded. */
+let db = null;
+let cache = null;
 
 const DEFAULT_PROGRESS = () => ({
   words: {},
+  production: {},
   sessions: [],
   streakDays: 0,
+  longestStreak: 0,
   lastSessionDate: null,
+  streakFreezes: { month: null, used: 0 },   // freezes used in `month` ('YYYY-MM'), see activity.js
+  daily: {},                                 // ISO date → { answers, seconds, frozen? }
 });
 
 // ---------------------------------------------------------------------------
@@ -18,13 +44,22 @@ function todayISO() {
   return new Date().toISOString().slice(0, 10); // 'YYYY-MM-DD'
 }
 
-function yesterdayISO() {
-  const d = new Date();
-  d.setDate(d.getDate() - 1);
-  return d.toISOString().slice(0, 10);
+function clone(data) {
+  return JSON.parse(JSON.stringify(data));
 }
 
-function computeMasteryLevel(total, correct) {
+/** Fire-and-forget write; the in-memory copy is already up to date. */
+function persist(promise) {
+  promise.catch((err) => console.error('Failed to save progress:', err));
+}
+
+/**
+ * Mastery level for a word's attempt counts (see updateWordResult).
+ * @param {number} total
+ * @param {number} correct
+ * @returns {'new'|'learning'|'known'|'mastered'}
+ */
+export function computeMasteryLevel(total, correct) {
   if (total === 0) return 'new';
   const accuracy = correct / total;
   if (accuracy >= 0.85 && total >= 5) return 'mastered';
@@ -37,35 +72,82 @@ function computeMasteryLevel(total, correct) {
 // ---------------------------------------------------------------------------
 
 /**
- * Read and parse 'ls_progress' from localStorage.
- * Returns the default structure when the key is absent or the value is corrupt.
+ * Open the IndexedDB store (migrating localStorage data on first run) and load
+ * it into memory. Call once before anything reads progress; resolves false
+ * when IndexedDB is unavailable and the localStorage fallback stays in use.
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function initProgressStore() {
+  const opened = await openLearnerDB();
+  if (!opened) return false;
+  try {
+    const [words, sessions, meta] = await Promise.all([
+      getAll(opened, 'words'),
+      getAll(opened, 'sessions'),
+      getAll(opened, 'meta'),
+    ]);
+    cache = rowsToProgress({ words, sessions, meta });
+    // Saved before daily activity was tracked — rebuild it from the sessions
+    if (!meta.some((row) => row.key === 'daily')) cache.daily = dailyFromSessions(cache.sessions);
+    db = opened;
+    return true;
+  } catch (err) {
+    console.error('Failed to load progress:', err);
+    return false;
+  }
+}
+
+/**
+ * Current progress: the in-memory copy of the IndexedDB store, or 'ls_progress'
+ * from localStorage. Returns the default structure when there is none or it is corrupt.
+ * The result is a copy — persist changes through the functions below.
  *
- * @returns {{ words: Object, sessions: Array, streakDays: number, lastSessionDate: string|null }}
+ * @returns {{ words: Object, production: Object, sessions: Array, streakDays: number, lastSessionDate: string|null }}
  */
 export function loadProgress() {
+  if (cache) return clone(cache);
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
+    const raw = localStorage.getItem(storageKey());
     if (!raw) return DEFAULT_PROGRESS();
     const parsed = JSON.parse(raw);
     // Merge with defaults so future fields are always present.
-    return { ...DEFAULT_PROGRESS(), ...parsed };
+    return { ...DEFAULT_PROGRESS(), ...parsed, daily: parsed.daily ?? dailyFromSessions(parsed.sessions) };
   } catch {
     return DEFAULT_PROGRESS();
   }
 }
 
 /**
- * Serialize and write progress to localStorage.
- * Trims the sessions array to the last 30 entries before writing.
+ * Word records for one skill ('recognition' → `words`, 'production' → `production`).
  *
- * @param {{ words: Object, sessions: Array, streakDays: number, lastSessionDate: string|null }} data
+ * @param {Object} progress - from loadProgress()
+ * @param {string} [skill]
+ * @returns {Object} wordId → progress record
+ */
+export function skillRecords(progress, skill = 'recognition') {
+  return progress[SKILL_KEYS[skill] ?? SKILL_KEYS.recognition] ?? {};
+}
+
+/**
+ * Replace all stored progress. The IndexedDB store keeps the full session
+ * history; the localStorage fallback trims it to the last 30 entries.
+ *
+ * @param {{ words: Object, production?: Object, sessions: Array, streakDays: number, lastSessionDate: string|null }} data
  */
 export function saveProgress(data) {
+  if (db) {
+    cache = { ...DEFAULT_PROGRESS(), ...clone(data) };
+    const rows = progressToRows(cache);
+    persist(replaceAll(db, { words: rows.words, sessions: rows.sessions, meta: rows.meta }));
+    return;
+  }
+
   const toSave = {
     ...data,
-    sessions: data.sessions.slice(-30),
+    sessions: data.sessions.slice(-FALLBACK_SESSION_LIMIT),
   };
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(toSave));
+  localStorage.setItem(storageKey(), JSON.stringify(toSave));
 }
 
 /**
@@ -77,34 +159,210 @@ export function saveProgress(data) {
  *   'known'    — accuracy >= 0.6 and < 0.85
  *   'mastered' — accuracy >= 0.85 AND total >= 5
  *
+ * Also advances the word's SM-2 `schedule` (see scheduler.js).
+ * Recognition and production results go to separate records (see skillRecords).
+ * With IndexedDB, only this word's record is written.
+ *
  * @param {string}  wordId  - Unique word identifier
  * @param {boolean} correct - Whether the attempt was correct
+ * @param {{ hintsUsed?: number, responseMs?: number|null, skill?: string }} [details]
  */
-export function updateWordResult(wordId, correct) {
-  const progress = loadProgress();
+export function updateWordResult(wordId, correct, { hintsUsed = 0, responseMs = null, skill = 'recognition' } = {}) {
+  const progress = cache ?? loadProgress();
+  const records = skillRecords(progress, skill);
 
-  const existing = progress.words[wordId] ?? { total: 0, correct: 0, lastSeen: null, masteryLevel: 'new' };
+  const existing = records[wordId] ?? { total: 0, correct: 0, lastSeen: null, masteryLevel: 'new' };
 
   const total   = existing.total + 1;
   const correctCount = existing.correct + (correct ? 1 : 0);
 
-  progress.words[wordId] = {
+  // Running mean over attempts that carried a latency.
+  const timed = typeof responseMs === 'number' && responseMs >= 0;
+  const timedCount = existing.timedCount ?? 0;
+  const avgResponseMs = timed
+    ? Math.round(((existing.avgResponseMs ?? 0) * timedCount + responseMs) / (timedCount + 1))
+    : (existing.avgResponseMs ?? null);
+
+  records[wordId] = {
+    ...existing,
     total,
     correct: correctCount,
+    hintsUsed: (existing.hintsUsed ?? 0) + hintsUsed,
+    avgResponseMs,
+    timedCount: timedCount + (timed ? 1 : 0),
     lastSeen: todayISO(),
+    updatedAt: new Date().toISOString(),
     masteryLevel: computeMasteryLevel(total, correctCount),
+    schedule: scheduleReview(existing.schedule, gradeResult({ correct, hintsUsed, responseMs }), todayISO()),
   };
 
+  if (db) {
+    persist(putAll(db, 'words', [{ ...records[wordId], skill, wordId }]));
+    return;
+  }
+
+  saveProgress(progress);
+}
+
+/**
+ * Progress sink for GameEngine — receives one result per answered word.
+ *
+ * @param {{ wordId: string, correct: boolean, hintsUsed?: number, responseMs?: number|null, mode?: string, direction?: string, skill?: string }} result
+ */
+export function recordAnswer(result) {
+  updateWordResult(result.wordId, result.correct, {
+    hintsUsed: result.hintsUsed ?? 0,
+    responseMs: result.responseMs ?? null,
+    skill: result.skill ?? 'recognition',
+  });
+
+  // Count the answer towards today's activity (heatmap, daily goal)
+  const progress = cache ?? loadProgress();
+  addActivity(progress.daily, todayISO(), { answers: 1 });
+  if (db) {
+    persist(putAll(db, 'meta', [{ key: 'daily', value: progress.daily }]));
+    return;
+  }
+  saveProgress(progress);
+}
+
+// ---------------------------------------------------------------------------
+// Word actions (word page)
+// ---------------------------------------------------------------------------
+
+/**
+ * Apply `change` to a word's record in every skill, stamp and persist.
+ * Words never answered get an empty record to carry the change.
+ * @param {string} wordId
+ * @param {function(Object): Object} change - returns the new record
+ */
+function updateWordRecords(wordId, change) {
+  const progress = cache ?? loadProgress();
+  const updatedAt = new Date().toISOString();
+  const rows = [];
+
+  for (const skill of Object.keys(SKILL_KEYS)) {
+    const records = skillRecords(progress, skill);
+    const existing = records[wordId] ?? { total: 0, correct: 0, lastSeen: null, masteryLevel: 'new' };
+    records[wordId] = { ...change(existing), updatedAt };
+    rows.push({ ...records[wordId], skill, wordId });
+  }
+
+  if (db) {
+    persist(putAll(db, 'words', rows));
+    return;
+  }
   saveProgress(progress);
 }
 
 /**
- * Append a session record, update the streak, and persist.
+ * Suspend a word — it leaves every session until unsuspended — or lift that.
+ * @param {string} wordId
+ * @param {boolean} suspended
+ */
+export function setWordSuspended(wordId, suspended) {
+  updateWordRecords(wordId, (record) => ({ ...record, suspended }));
+}
+
+/**
+ * Bury a word until a later day (tomorrow by default); null unburies it.
+ * @param {string} wordId
+ * @param {string|null} [until] - ISO date the word comes back
+ */
+export function buryWord(wordId, until = addDays(todayISO(), 1)) {
+  updateWordRecords(wordId, (record) => ({ ...record, buriedUntil: until }));
+}
+
+/**
+ * Mark a word as already known: mastery at least 'known' and the next review
+ * a month out (scheduler.js markKnownSchedule), in both skills.
+ * @param {string} wordId
+ */
+export function markWordKnown(wordId) {
+  updateWordRecords(wordId, (record) => ({
+    ...record,
+    masteryLevel: record.masteryLevel === 'mastered' ? 'mastered' : 'known',
+    schedule: markKnownSchedule(record.schedule, todayISO()),
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Answer log
+// ---------------------------------------------------------------------------
+
+function loadFallbackAnswers() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(answersKey()) ?? '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Answer sink for GameEngine — appends every attempt to the answer log,
+ * stamped with its ISO date for date-range queries.
+ *
+ * @param {{ wordId: string, correct: boolean, given?: string, expected?: string, distance?: number|null,
+ *   hintsUsed?: number, responseMs?: number|null, counted?: boolean, mode?: string, direction?: string,
+ *   skill?: string, timestamp?: number }} attempt
+ */
+export function logAnswer(attempt) {
+  const timestamp = attempt.timestamp ?? Date.now();
+  const row = {
+    ...attempt,
+    timestamp,
+    date: new Date(timestamp).toISOString().slice(0, 10),
+  };
+
+  if (db) {
+    persist(putAll(db, 'answers', [row], { add: true }));
+    return;
+  }
+
+  const log = loadFallbackAnswers();
+  log.push(row);
+  try {
+    localStorage.setItem(answersKey(), JSON.stringify(log.slice(-FALLBACK_ANSWER_LIMIT)));
+  } catch {
+    // Storage full — the log is best-effort without IndexedDB
+  }
+}
+
+/**
+ * Query the answer log, oldest first.
  *
- * @param {{ date?: string, score: number, total: number, durationSeconds: number, wordIds: string[] }} session
+ * @param {{ wordId?: string, from?: string, to?: string }} [query] - from/to are inclusive ISO dates
+ * @returns {Promise<Array>} logged attempts (see logAnswer)
+ */
+export async function queryAnswers({ wordId = null, from = null, to = null } = {}) {
+  let rows;
+  if (!db) {
+    rows = loadFallbackAnswers();
+  } else if (wordId) {
+    rows = await getAllByIndex(db, 'answers', 'wordId', { only: wordId });
+  } else if (from || to) {
+    rows = await getAllByIndex(db, 'answers', 'date', { lower: from, upper: to });
+  } else {
+    rows = await getAll(db, 'answers');
+  }
+
+  return rows
+    .filter((row) => (!wordId || row.wordId === wordId)
+      && (!from || row.date >= from)
+      && (!to || row.date <= to))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Append a session record, add its time to today's activity, update the
+ * streak (spending streak freezes on missed days, see activity.js), and persist.
+ *
+ * @param {{ date?: string, score: number, total: number, durationSeconds: number, wordIds: string[],
+ *   mode?: string, direction?: string }} session
  */
 export function recordSession(session) {
-  const progress = loadProgress();
+  const progress = cache ?? loadProgress();
   const today = todayISO();
 
   // Build the session record (always stamp with today's date).
@@ -114,38 +372,48 @@ export function recordSession(session) {
     total: session.total,
     durationSeconds: session.durationSeconds,
     wordIds: session.wordIds ?? [],
+    mode: session.mode ?? null,
+    direction: session.direction ?? null,
   };
 
   progress.sessions.push(entry);
+  addActivity(progress.daily, today, { seconds: entry.durationSeconds ?? 0 });
 
-  // Update streak.
-  if (progress.lastSessionDate === yesterdayISO()) {
-    progress.streakDays += 1;
-  } else if (progress.lastSessionDate === today) {
-    // Already practiced today — streak unchanged.
-  } else {
-    // Gap of more than one day (or very first session).
-    progress.streakDays = 1;
+  const { frozenDays, ...streak } = advanceStreak(progress, today, getSettings().streakFreezes);
+  Object.assign(progress, streak);
+  for (const date of frozenDays) {
+    progress.daily[date] = { answers: 0, seconds: 0, ...progress.daily[date], frozen: true };
   }
 
-  progress.lastSessionDate = today;
+  if (db) {
+    const { meta } = progressToRows(progress);
+    persist(putAll(db, 'sessions', [entry], { add: true }));
+    persist(putAll(db, 'meta', meta));
+    return;
+  }
 
-  // saveProgress trims sessions to 30.
+  // saveProgress trims sessions to 30 in the localStorage fallback.
   saveProgress(progress);
 }
 
 /**
- * Remove all saved progress from localStorage.
+ * Remove all saved progress, including the answer log.
  */
 export function resetProgress() {
-  localStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem(storageKey());
+  localStorage.removeItem(answersKey());
+  if (db) {
+    cache = DEFAULT_PROGRESS();
+    persist(replaceAll(db, { words: [], answers: [], sessions: [], meta: [] }));
+  }
 }
 
 /**
- * Return a JSON string of the raw localStorage value, suitable for a file download.
+ * Return progress as a JSON string (loadProgress() shape), suitable for a file download.
  *
  * @returns {string}
  */
 export function exportProgress() {
-  return localStorage.getItem(STORAGE_KEY) ?? JSON.stringify(DEFAULT_PROGRESS());
+  if (cache) return JSON.stringify(cache);
+  return localStorage.getItem(storageKey()) ?? JSON.stringify(DEFAULT_PROGRESS());
 }
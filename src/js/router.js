@@ -1,6 +1,9 @@
 /**
  * Simple hash-based SPA router.
- * Routes: #home, #play, #stats, #add-words
+ * Routes: #home, #play, #stats, #add-words, #word/<id>
+ *
+ * A route may contain `:name` segments (e.g. '#word/:id'); its show function
+ * receives the decoded values as `{ name: value }`.
  */
 
 export class Router {
@@ -27,6 +30,35 @@ export class Router {
     window.location.hash = hash;
   }
 
+  /**
+   * Find the registered route for a hash.
+   * @param {string} hash
+   * @returns {{ route: string, params: Object<string, string> } | null}
+   */
+  match(hash) {
+    if (this._routes.has(hash)) return { route: hash, params: {} };
+
+    const parts = hash.split('/');
+    for (const route of this._routes.keys()) {
+      const pattern = route.split('/');
+      if (pattern.length !== parts.length || !route.includes('/:')) continue;
+
+      const params = {};
+      const matches = pattern.every((segment, i) => {
+        if (!segment.startsWith(':')) return segment === parts[i];
+        if (!parts[i]) return false;
+        try {
+          params[segment.slice(1)] = decodeURIComponent(parts[i]);
+        } catch {
+          return false;
+        }
+        return true;
+      });
+      if (matches) return { route, params };
+    }
+    return null;
+  }
+
   _onHashChange() {
     const hash = window.location.hash || '#home';
 
@@ -34,15 +66,15 @@ export class Router {
       this._routes.get(this._currentRoute).hide();
     }
 
-    this._currentRoute = hash;
-
-    if (this._routes.has(hash)) {
-      this._routes.get(hash).show();
+    const found = this.match(hash);
+    if (found) {
+      this._currentRoute = found.route;
+      this._routes.get(found.route).show(found.params);
     } else {
       // Fallback to home
       this._currentRoute = '#home';
       if (this._routes.has('#home')) {
-        this._routes.get('#home').show();
+        this._routes.get('#home').show({});
       }
     }
   }
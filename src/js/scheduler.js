@@ -0,0 +1,220 @@
+/**
+ * scheduler.js — SM-2 spaced-repetition scheduling.
+ *
+ * Each word's progress record carries a `schedule`:
+ *   { ease, interval, reps, lapses, due, firstSeen, lastReview }
+ * and may be put on hold: `suspended` (until unsuspended) or `buriedUntil`
+ * (an ISO date — hidden before it).
+ * Dates are ISO 'YYYY-MM-DD' strings (same convention as progress.js),
+ * so "due today" is a plain string comparison.
+ *
+ * Vanilla ES module, no framework dependencies.
+ */
+
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+/** Answers faster than this (with no hints) count as "perfect recall". */
+const FAST_RESPONSE_MS = 4000;
+
+/** Interval (days) given to a word the learner marks as already known. */
+export const KNOWN_INTERVAL = 30;
+
+/** Fallback pace for queue time estimates when there is no response-time history yet. */
+const DEFAULT_SECONDS_PER_CARD = 10;
+
+// ---------------------------------------------------------------------------
+// Date helpers
+// ---------------------------------------------------------------------------
+
+export function todayISO() {
+  return new Date().toISOString().slice(0, 10); // 'YYYY-MM-DD'
+}
+
+export function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// ---------------------------------------------------------------------------
+// Grading & scheduling
+// ---------------------------------------------------------------------------
+
+/**
+ * Map an engine result to an SM-2 quality grade (0–5).
+ *   wrong                          → 1
+ *   correct with hints             → 3
+ *   correct, no hints              → 4
+ *   correct, no hints, fast answer → 5
+ *
+ * @param {{ correct: boolean, hintsUsed?: number, responseMs?: number|null }} result
+ * @returns {number}
+ */
+export function gradeResult({ correct, hintsUsed = 0, responseMs = null }) {
+  if (!correct) return 1;
+  if (hintsUsed > 0) return 3;
+  if (typeof responseMs === 'number' && responseMs < FAST_RESPONSE_MS) return 5;
+  return 4;
+}
+
+/**
+ * Apply one review to a schedule and return the next schedule (SM-2).
+ * Quality < 3 is a lapse: repetitions restart and the word is due tomorrow.
+ *
+ * @param {Object|null|undefined} schedule - previous schedule, or none for a new word
+ * @param {number} quality - 0–5
+ * @param {string} [today] - ISO date of the review
+ * @returns {{ ease: number, interval: number, reps: number, lapses: number, due: string, firstSeen: string, lastReview: string }}
+ */
+export function scheduleReview(schedule, quality, today = todayISO()) {
+  const prev = schedule ?? { ease: DEFAULT_EASE, interval: 0, reps: 0, lapses: 0, firstSeen: today };
+
+  let { reps, interval, lapses } = prev;
+
+  if (quality >= 3) {
+    if (reps === 0) interval = 1;
+    else if (reps === 1) interval = 6;
+    else interval = Math.round(interval * prev.ease);
+    reps += 1;
+  } else {
+    if (reps > 0) lapses += 1;
+    reps = 0;
+    interval = 1;
+  }
+
+  const ease = Math.max(
+    MIN_EASE,
+    prev.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)),
+  );
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    reps,
+    lapses,
+    due: addDays(today, interval),
+    firstSeen: prev.firstSeen ?? today,
+    lastReview: today,
+  };
+}
+
+/**
+ * Schedule for a word marked as known from the word page: a passed review
+ * pushing it KNOWN_INTERVAL days out. A word never seen keeps no `firstSeen`,
+ * so it doesn't use up the day's new-word quota.
+ *
+ * @param {Object|null|undefined} schedule
+ * @param {string} [today]
+ */
+export function markKnownSchedule(schedule, today = todayISO()) {
+  return {
+    ease: schedule?.ease ?? DEFAULT_EASE,
+    interval: KNOWN_INTERVAL,
+    reps: Math.max(schedule?.reps ?? 0, 2),
+    lapses: schedule?.lapses ?? 0,
+    due: addDays(today, KNOWN_INTERVAL),
+    firstSeen: schedule?.firstSeen ?? null,
+    lastReview: today,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Queue selection
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a word is kept out of sessions: suspended, or buried until a later day.
+ * @param {Object|undefined} record - progress record for the word
+ * @param {string} [today]
+ */
+export function isOnHold(record, today = todayISO()) {
+  return Boolean(record?.suspended) || (Boolean(record?.buriedUntil) && record.buriedUntil > today);
+}
+
+/**
+ * Whether a word is due for review on `today`. Words never seen are not "due" — they are new.
+ * @param {Object|undefined} record - progress record for the word
+ * @param {string} [today]
+ */
+export function isDue(record, today = todayISO()) {
+  return Boolean(record?.schedule) && record.schedule.due <= today;
+}
+
+/**
+ * Count words first introduced on `today` (for the daily new-word quota).
+ * @param {Object} records - wordId → progress record
+ * @param {string} [today]
+ */
+export function countNewToday(records, today = todayISO()) {
+  let count = 0;
+  for (const record of Object.values(records)) {
+    if (record.schedule?.firstSeen === today) count++;
+  }
+  return count;
+}
+
+/**
+ * Split entries into today's review queue.
+ *   due   — scheduled words due today or earlier, most overdue first
+ *   fresh — never-scheduled words, easiest first, capped at `newLimit`
+ *   later — scheduled words not yet due
+ * Words on hold (isOnHold) are in none of them.
+ *
+ * @param {Array} entries
+ * @param {Object} records - wordId → progress record
+ * @param {{ today?: string, newLimit?: number }} [options]
+ * @returns {{ due: Array, fresh: Array, later: Array }}
+ */
+export function buildReviewQueue(entries, records, { today = todayISO(), newLimit = Infinity } = {}) {
+  const due = [];
+  const fresh = [];
+  const later = [];
+
+  for (const entry of entries) {
+    const record = records[entry.id];
+    if (isOnHold(record, today)) continue;
+    if (!record?.schedule) fresh.push(entry);
+    else if (record.schedule.due <= today) due.push(entry);
+    else later.push(entry);
+  }
+
+  due.sort((a, b) => records[a.id].schedule.due.localeCompare(records[b.id].schedule.due));
+  fresh.sort((a, b) => (a.difficulty ?? 3) - (b.difficulty ?? 3));
+
+  return { due, fresh: fresh.slice(0, Math.max(0, newLimit)), later };
+}
+
+/**
+ * Summarize today's review queue for display.
+ * Pace is taken from the learner's average response time across all words
+ * (plus a couple of seconds for feedback/transition), or a default.
+ *
+ * @param {Array} entries - playable entries for one direction
+ * @param {Object} records - wordId → progress record
+ * @param {{ today?: string, newWordsPerDay?: number }} [options]
+ * @returns {{ due: number, newRemaining: number, estimatedMinutes: number }}
+ */
+export function summarizeQueue(entries, records, { today = todayISO(), newWordsPerDay = 10 } = {}) {
+  const newLimit = Math.max(0, newWordsPerDay - countNewToday(records, today));
+  const { due, fresh } = buildReviewQueue(entries, records, { today, newLimit });
+
+  let timedSum = 0;
+  let timedWords = 0;
+  for (const record of Object.values(records)) {
+    if (typeof record.avgResponseMs === 'number') {
+      timedSum += record.avgResponseMs;
+      timedWords++;
+    }
+  }
+  const secondsPerCard = timedWords > 0
+    ? timedSum / timedWords / 1000 + 2
+    : DEFAULT_SECONDS_PER_CARD;
+
+  const cards = due.length + fresh.length;
+  return {
+    due: due.length,
+    newRemaining: fresh.length,
+    estimatedMinutes: cards === 0 ? 0 : Math.max(1, Math.round((cards * secondsPerCard) / 60)),
+  };
+}
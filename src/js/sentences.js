@@ -0,0 +1,69 @@
+// sentences.js — word-order exercises built from entry example sentences.
+// An example in the word's language is split into word chips to put back in
+// order; the same example in the hint language (else Russian) is the prompt.
+// Vanilla ES module, no framework dependencies.
+
+import { tokenize } from './cloze.js';
+
+/** Sentences with fewer words are no puzzle; longer ones are a chore to build. */
+const MIN_WORDS = 3;
+const MAX_WORDS = 12;
+
+/**
+ * @typedef {Object} SentenceTask
+ * @property {string} sentence    - the example, in the word's own language
+ * @property {string[]} words     - its words in order, without punctuation
+ * @property {string} prompt      - the same example in the hint language, else Russian
+ * @property {string} promptLang
+ */
+
+/**
+ * @param {string} sentence
+ * @returns {string[]} the sentence's words in order ("don't" and "well-known" stay whole)
+ */
+export function sentenceWords(sentence) {
+  return tokenize(sentence).map((token) => token.text);
+}
+
+/**
+ * Word-order exercises for an entry: one per example sentence (in the word's
+ * own language) of MIN_WORDS–MAX_WORDS words that has a translated example
+ * to show as the prompt.
+ *
+ * @param {Object} entry
+ * @param {{ hintLang: string, fallbackLang?: string }} langs - where prompts come from
+ * @returns {SentenceTask[]}
+ */
+export function buildSentenceTasks(entry, { hintLang, fallbackLang = 'ru' }) {
+  const lang = entry.source_language;
+  const sentences = entry.examples?.[lang] ?? [];
+
+  return sentences.flatMap((sentence, i) => {
+    const words = sentence ? sentenceWords(sentence) : [];
+    if (words.length < MIN_WORDS || words.length > MAX_WORDS) return [];
+
+    const promptLang = [hintLang, fallbackLang].find((l) => l !== lang && entry.examples?.[l]?.[i]);
+    if (!promptLang) return [];
+    return [{ sentence, words, prompt: entry.examples[promptLang][i], promptLang }];
+  });
+}
+
+/**
+ * Shuffle a sentence's words into chips, avoiding the original order
+ * (unless every word is the same).
+ *
+ * @param {string[]} words
+ * @param {function(): number} [random]
+ * @returns {Array<{ id: number, text: string }>} ids are positions in `words`
+ */
+export function shuffleWords(words, random = Math.random) {
+  const chips = words.map((text, id) => ({ id, text }));
+  for (let i = chips.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [chips[i], chips[j]] = [chips[j], chips[i]];
+  }
+
+  // Came out in order: rotating changes it unless every word is the same
+  if (chips.every((chip, i) => chip.text === words[i])) chips.push(chips.shift());
+  return chips;
+}
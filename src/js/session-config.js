@@ -0,0 +1,114 @@
+// session-config.js — session setup: length and word filters chosen on the menu.
+// Vanilla ES module, no framework dependencies.
+
+/** Session lengths offered on the menu; 0 = unlimited. */
+export const SESSION_LENGTHS = [10, 20, 50, 0];
+
+export const DIFFICULTY_MIN = 1;
+export const DIFFICULTY_MAX = 5;
+
+/**
+ * @typedef {'all'|'user'|'builtin'} WordSource
+ *
+ * @typedef {Object} SessionFilter
+ * @property {number} minDifficulty - inclusive, 1–5
+ * @property {number} maxDifficulty - inclusive, 1–5
+ * @property {string[]} categories  - empty = any category
+ * @property {string[]} tags        - empty = any tags; otherwise entry needs at least one
+ * @property {WordSource} source
+ */
+
+/** @type {SessionFilter} */
+export const DEFAULT_FILTER = {
+  minDifficulty: DIFFICULTY_MIN,
+  maxDifficulty: DIFFICULTY_MAX,
+  categories: [],
+  tags: [],
+  source: 'all',
+};
+
+/** Entries without a difficulty are treated as medium, same as the scheduler. */
+const DEFAULT_DIFFICULTY = 3;
+
+/**
+ * Whether an entry was added by the user (see AddWordsScreen) rather than built in.
+ * @param {Object} entry
+ */
+export function isUserEntry(entry) {
+  return typeof entry.id === 'string' && entry.id.startsWith('user-');
+}
+
+/**
+ * Fill in defaults and clamp a (possibly stored, possibly partial) filter.
+ * @param {Partial<SessionFilter>|null|undefined} filter
+ * @returns {SessionFilter}
+ */
+export function normalizeFilter(filter) {
+  const merged = { ...DEFAULT_FILTER, ...(filter || {}) };
+  const clamp = (n) => Math.min(DIFFICULTY_MAX, Math.max(DIFFICULTY_MIN, Number(n) || DIFFICULTY_MIN));
+  let min = clamp(merged.minDifficulty);
+  let max = clamp(merged.maxDifficulty);
+  if (min > max) [min, max] = [max, min];
+
+  return {
+    minDifficulty: min,
+    maxDifficulty: max,
+    categories: Array.isArray(merged.categories) ? [...merged.categories] : [],
+    tags: Array.isArray(merged.tags) ? [...merged.tags] : [],
+    source: ['all', 'user', 'builtin'].includes(merged.source) ? merged.source : 'all',
+  };
+}
+
+/**
+ * @param {Object} entry
+ * @param {SessionFilter} filter - normalized
+ * @returns {boolean}
+ */
+export function matchesFilter(entry, filter) {
+  const difficulty = entry.difficulty ?? DEFAULT_DIFFICULTY;
+  if (difficulty < filter.minDifficulty || difficulty > filter.maxDifficulty) return false;
+
+  if (filter.source === 'user' && !isUserEntry(entry)) return false;
+  if (filter.source === 'builtin' && isUserEntry(entry)) return false;
+
+  if (filter.categories.length > 0 && !filter.categories.includes(entry.category)) return false;
+
+  if (filter.tags.length > 0) {
+    const tags = entry.tags || [];
+    if (!filter.tags.some((tag) => tags.includes(tag))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Keep only entries matching the filter. A missing filter keeps everything.
+ * @param {Array} entries
+ * @param {Partial<SessionFilter>|null} [filter]
+ * @returns {Array}
+ */
+export function applyFilter(entries, filter) {
+  if (!filter) return entries;
+  const normalized = normalizeFilter(filter);
+  return entries.filter((entry) => matchesFilter(entry, normalized));
+}
+
+/**
+ * Distinct categories and tags present in the entries, sorted, for the setup panel.
+ * @param {Array} entries
+ * @returns {{ categories: string[], tags: string[] }}
+ */
+export function collectFacets(entries) {
+  const categories = new Set();
+  const tags = new Set();
+  for (const entry of entries) {
+    if (entry.category) categories.add(entry.category);
+    for (const tag of entry.tags || []) {
+      if (tag) tags.add(tag);
+    }
+  }
+  return {
+    categories: [...categories].sort(),
+    tags: [...tags].sort(),
+  };
+}
@@ -0,0 +1,67 @@
+// session-store.js — the in-progress game session, persisted so it can be resumed
+// after navigating away or reloading. Holds one GameEngine.serialize() snapshot
+// per learner profile. Vanilla ES module, no framework dependencies.
+
+import { profileKey } from './profiles.js';
+
+const storageKey = () => profileKey('ls_session');
+
+/**
+ * Persist a session snapshot, stamped with the time it was saved.
+ * @param {Object|null} snapshot - from GameEngine.serialize(); null clears
+ */
+export function saveSession(snapshot) {
+  if (!snapshot) {
+    clearSavedSession();
+    return;
+  }
+  try {
+    localStorage.setItem(storageKey(), JSON.stringify({ ...snapshot, savedAt: new Date().toISOString() }));
+  } catch {
+    // Storage full or unavailable — resuming is best-effort
+  }
+}
+
+/**
+ * Read the saved snapshot. Returns null when there is none, it is corrupt,
+ * or it has no words left to play.
+ * @returns {Object|null}
+ */
+export function loadSavedSession() {
+  try {
+    const raw = localStorage.getItem(storageKey());
+    if (!raw) return null;
+    const snapshot = JSON.parse(raw);
+    const saved = snapshot?.session;
+    if (!saved || !Array.isArray(saved.wordIds) || !snapshot.mode || !snapshot.direction) return null;
+    return describeSavedSession(snapshot).remaining > 0 ? snapshot : null;
+  } catch {
+    return null;
+  }
+}
+
+export function clearSavedSession() {
+  localStorage.removeItem(storageKey());
+}
+
+/**
+ * Summary of a snapshot for the menu's "Resume session" card.
+ * `position` is the 1-based word the learner will resume on.
+ * @param {Object} snapshot
+ * @returns {{ mode: string, direction: string, skill: string, position: number, total: number,
+ *   remaining: number, score: number, savedAt: string|null }}
+ */
+export function describeSavedSession(snapshot) {
+  const { wordIds, currentIndex, resultRecorded, score } = snapshot.session;
+  const index = currentIndex + (resultRecorded ? 1 : 0);
+  return {
+    mode: snapshot.mode,
+    direction: snapshot.direction,
+    skill: snapshot.skill || 'recognition',
+    position: index + 1,
+    total: wordIds.length,
+    remaining: Math.max(0, wordIds.length - index),
+    score: score || 0,
+    savedAt: snapshot.savedAt || null,
+  };
+}
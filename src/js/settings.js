@@ -1,21 +1,92 @@
-// settings.js — global app settings stored in localStorage
+// settings.js — app settings, per learner profile.
+// Stored in IndexedDB (learner-db.js, one row per setting) once
+// initSettingsStore() has run, mirrored in memory so the API stays synchronous;
+// without IndexedDB they stay under the 'ls_settings' localStorage key. The UI
+// language is also copied to 'ls_ui_language', because i18n.js picks its
+// strings at import time, before the store has loaded.
 // Vanilla ES module, no framework dependencies.
 
-const STORAGE_KEY = 'ls_settings';
+import { profileKey } from './profiles.js';
+import { openLearnerDB, getAll, replaceAll } from './learner-db.js';
+
+const storageKey = () => profileKey('ls_settings');
+const uiLanguageKey = () => profileKey('ls_ui_language');
+
+/** Open database and in-memory settings, once initSettingsStore() has succeeded. */
+let db = null;
+let cache = null;
 
 const DEFAULTS = {
   reinsertEnabled: true, // re-queue wrong words for spaced repetition
   reinsertGap: 10,       // how many words ahead to re-insert
   uiLanguage: 'ru',      // UI language: 'ru', 'en', or 'sr'
+  newWordsPerDay: 10,    // new-word quota for "due reviews" sessions
+  sessionLength: 0,      // words per session, 0 = unlimited
+  sessionFilter: null,   // SessionFilter from the menu's session setup (session-config.js)
+  skill: 'recognition',  // 'recognition' (term → translation) or 'production' (translation → term)
+  strictDiacritics: false, // Serbian answers must have č/ć/š/ž/đ (otherwise ASCII spelling is accepted)
+  dailyGoalType: 'answers', // daily goal unit: 'answers' or 'minutes'
+  dailyGoalTarget: 20,   // answers or minutes per day
+  streakFreezes: 1,      // missed days per month that don't break the streak
+  syncUrl: '',           // sync server base URL (scripts/sync-server.js); '' = sync off
+  syncToken: '',         // shared token the sync server requires (X-Sync-Token header)
+  voices: {},            // lang → speech voice id (audio.js); missing = best available voice
+  listeningAnswer: 'choose', // Listening mode answers: 'choose' (options) or 'type'
+  clozeAnswer: 'type',   // Fill the gap answers: 'choose' (options) or 'type'
+  autoPlay: false,       // speak each new word's prompt in Flashcards, Quiz, Typing (Match: on selection)
 };
 
+function persist(promise) {
+  promise.catch((err) => console.error('Failed to save settings:', err));
+}
+
+function rememberUiLanguage(settings) {
+  localStorage.setItem(uiLanguageKey(), settings.uiLanguage ?? DEFAULTS.uiLanguage);
+}
+
+/**
+ * Load settings from IndexedDB into memory (migrating 'ls_settings' on first
+ * run). Resolves false when IndexedDB is unavailable and localStorage stays in use.
+ * @returns {Promise<boolean>}
+ */
+export async function initSettingsStore() {
+  const opened = await openLearnerDB();
+  if (!opened) return false;
+  try {
+    const rows = await getAll(opened, 'settings');
+    cache = Object.fromEntries(rows.map(({ key, value }) => [key, value]));
+    db = opened;
+    rememberUiLanguage(getSettings());
+    return true;
+  } catch (err) {
+    console.error('Failed to load settings:', err);
+    return false;
+  }
+}
+
 /**
- * Read settings from localStorage, merged with defaults.
+ * The stored UI language, readable before initSettingsStore() has run.
+ * @returns {string|null} null when none is stored or it can't be read
+ */
+export function storedUiLanguage() {
+  try {
+    const copy = localStorage.getItem(uiLanguageKey());
+    if (copy) return copy;
+    // Saved before the copy existed, or settings not moved to IndexedDB yet
+    return JSON.parse(localStorage.getItem(storageKey()))?.uiLanguage ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read settings, merged with defaults. The result is a copy.
  * @returns {Object} current settings
  */
 export function getSettings() {
+  if (cache) return { ...DEFAULTS, ...JSON.parse(JSON.stringify(cache)) };
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
+    const raw = localStorage.getItem(storageKey());
     if (!raw) return { ...DEFAULTS };
     return { ...DEFAULTS, ...JSON.parse(raw) };
   } catch {
@@ -31,7 +102,13 @@ export function getSettings() {
 export function updateSettings(patch) {
   const current = getSettings();
   const updated = { ...current, ...patch };
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+  rememberUiLanguage(updated);
+  if (db) {
+    cache = JSON.parse(JSON.stringify(updated));
+    persist(replaceAll(db, { settings: Object.entries(cache).map(([key, value]) => ({ key, value })) }));
+    return updated;
+  }
+  localStorage.setItem(storageKey(), JSON.stringify(updated));
   return updated;
 }
 
@@ -40,6 +117,12 @@ export function updateSettings(patch) {
  * @returns {Object} default settings
  */
 export function resetSettings() {
-  localStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem(uiLanguageKey());
+  if (db) {
+    cache = {};
+    persist(replaceAll(db, { settings: [] }));
+    return { ...DEFAULTS };
+  }
+  localStorage.removeItem(storageKey());
   return { ...DEFAULTS };
 }
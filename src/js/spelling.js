@@ -0,0 +1,180 @@
+// spelling.js — letter-level comparison of a spelled answer with the term.
+// Aligns the two strings (Levenshtein, with a backtrace) into same / wrong /
+// missing / extra letters and tallies the letter pairs that went wrong,
+// e.g. ć typed as č. Used by Spelling mode and its stats.
+// Vanilla ES module, no framework dependencies.
+
+import { splitAlternatives, serbianCyrillicToLatin, OPTIONAL_PREFIX } from './engine.js';
+
+/** Longest term that is spelled, in words; longer ones are phrases, not spelling. */
+const MAX_SPELL_WORDS = 3;
+
+/** Attempts with more wrong letters than this are another word, not a misspelling. */
+const MAX_SLIP_LETTERS = 3;
+
+const CYRILLIC_RE = /[Ѐ-ӿ]/;
+
+/**
+ * @typedef {Object} LetterOp
+ * @property {'same'|'wrong'|'missing'|'extra'} type
+ * @property {string} expected - the term's letter ('' for extra)
+ * @property {string} given    - the typed letter ('' for missing)
+ *
+ * @typedef {Object} LetterError
+ * @property {string} expected - '' when a letter was added
+ * @property {string} given    - '' when a letter was left out
+ */
+
+/**
+ * Spellings the term accepts: every comma/semicolon/slash-separated
+ * alternative without parenthesized notes; English ones with and without
+ * a leading article / "to".
+ */
+function spellings(term, lang) {
+  return splitAlternatives(term)
+    .flatMap((alt) => alt.split('/'))
+    .map((alt) => alt.replace(/\([^)]*\)/g, ' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap((alt) => (lang === 'en' && OPTIONAL_PREFIX.test(alt) ? [alt, alt.replace(OPTIONAL_PREFIX, '')] : [alt]));
+}
+
+/**
+ * Align an answer with the expected spelling, letter by letter. Letters are
+ * compared case-insensitively. Among equally short alignments a wrong letter
+ * beats a missing or extra one, and in a run of the same letter the last one
+ * is the missing or extra one ("adress": the second d is missing).
+ *
+ * @param {string} given
+ * @param {string} expected
+ * @returns {LetterOp[]} in reading order
+ */
+export function diffLetters(given, expected) {
+  const a = [...given];
+  const b = [...expected];
+  const same = (i, j) => a[i].toLowerCase() === b[j].toLowerCase();
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j - 1] + (same(i - 1, j - 1) ? 0 : 1),
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+      );
+    }
+  }
+
+  // Walking back from the end, so gaps are tried before matching letters
+  const ops = [];
+  let i = a.length;
+  let j = b.length;
+  while (i > 0 || j > 0) {
+    const diagonal = i > 0 && j > 0;
+    if (diagonal && !same(i - 1, j - 1) && dp[i][j] === dp[i - 1][j - 1] + 1) {
+      ops.push({ type: 'wrong', expected: b[j - 1], given: a[i - 1] });
+      i--;
+      j--;
+    } else if (j > 0 && dp[i][j] === dp[i][j - 1] + 1) {
+      ops.push({ type: 'missing', expected: b[j - 1], given: '' });
+      j--;
+    } else if (i > 0 && dp[i][j] === dp[i - 1][j] + 1) {
+      ops.push({ type: 'extra', expected: '', given: a[i - 1] });
+      i--;
+    } else {
+      ops.push({ type: 'same', expected: b[j - 1], given: a[i - 1] });
+      i--;
+      j--;
+    }
+  }
+  return ops.reverse();
+}
+
+/**
+ * The letters that went wrong in a diff, lowercased: "ć typed as č" is
+ * `{ expected: 'ć', given: 'č' }`.
+ *
+ * @param {LetterOp[]} ops
+ * @returns {LetterError[]}
+ */
+export function letterErrors(ops) {
+  return ops
+    .filter((op) => op.type !== 'same')
+    .map((op) => ({ expected: op.expected.toLowerCase(), given: op.given.toLowerCase() }));
+}
+
+/**
+ * The spelling of a term an answer was aiming at: the closest of its
+ * alternatives (see spellings()), as written.
+ *
+ * @param {string} given
+ * @param {string} term
+ * @param {string} lang - the term's language
+ * @returns {string}
+ */
+export function spellingTarget(given, term, lang) {
+  const distance = (spelling) => diffLetters(given, spelling).filter((op) => op.type !== 'same').length;
+  let best = null;
+  for (const spelling of spellings(term, lang)) {
+    const d = distance(spelling);
+    if (!best || d < best.d) best = { spelling, d };
+  }
+  return best?.spelling ?? term;
+}
+
+/**
+ * Letter errors of an attempt at spelling a term, compared with the spelling
+ * it was aiming at; none when the attempt is too far off to be a misspelling.
+ *
+ * @param {string} given
+ * @param {string} term
+ * @param {string} lang - the term's language
+ * @returns {LetterError[]}
+ */
+export function spellingErrors(given, term, lang) {
+  if (!given) return [];
+  const errors = letterErrors(diffLetters(given, spellingTarget(given, term, lang)));
+  return errors.length <= MAX_SLIP_LETTERS ? errors : [];
+}
+
+/**
+ * Whether a term is spelled rather than a phrase: its shortest spelling has
+ * at most MAX_SPELL_WORDS words.
+ *
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function isSpellable(entry) {
+  const counts = spellings(entry.term ?? '', entry.source_language).map((s) => s.split(' ').length);
+  return counts.length > 0 && Math.min(...counts) <= MAX_SPELL_WORDS;
+}
+
+/**
+ * An answer in the term's script, so letters line up: Serbian typed in
+ * Cyrillic is transliterated when the term is Latin.
+ *
+ * @param {string} given
+ * @param {string} term
+ * @param {string} lang - the term's language
+ * @returns {string}
+ */
+export function toTermScript(given, term, lang) {
+  if (lang !== 'sr' || CYRILLIC_RE.test(term) || !CYRILLIC_RE.test(given)) return given;
+  return serbianCyrillicToLatin(given);
+}
+
+/**
+ * Tally letter errors, most frequent first.
+ *
+ * @param {Iterable<LetterError>} errors
+ * @returns {Array<LetterError & { count: number }>}
+ */
+export function countLetterErrors(errors) {
+  const counts = new Map();
+  for (const { expected, given } of errors) {
+    const key = `${expected}|${given}`;
+    const pair = counts.get(key) ?? { expected, given, count: 0 };
+    pair.count++;
+    counts.set(key, pair);
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+}
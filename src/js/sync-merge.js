@@ -0,0 +1,162 @@
+// sync-merge.js — conflict resolution for syncing learner data between devices.
+// Pure functions shared by the browser client (sync.js) and the sync server
+// (scripts/sync-server.js): every record carries a timestamp and the later one
+// wins. Vanilla ES module, no browser or Node globals.
+
+/**
+ * @typedef {Object} SyncState
+ * @property {Object} progress        - loadProgress() shape; word records carry `updatedAt`
+ * @property {Array} userWords        - user words (`metadata.updated_at`) and deletion tombstones
+ * @property {Object|null} settings   - synced settings, or null if never sent
+ * @property {string|null} settingsUpdatedAt
+ */
+
+/** @returns {SyncState} */
+export function emptySyncState() {
+  return {
+    progress: {
+      words: {}, production: {}, sessions: [], streakDays: 0, longestStreak: 0, lastSessionDate: null,
+      streakFreezes: { month: null, used: 0 }, daily: {},
+    },
+    userWords: [],
+    settings: null,
+    settingsUpdatedAt: null,
+  };
+}
+
+function later(a, b) {
+  if (!a) return b ?? null;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+/**
+ * The newer of two records by timestamp; the first wins a tie.
+ * @param {Object|undefined} a
+ * @param {Object|undefined} b
+ * @param {function(Object): string} stamp - ISO timestamp of a record ('' when unknown)
+ */
+function newer(a, b, stamp) {
+  if (!a) return b;
+  if (!b) return a;
+  return stamp(b) > stamp(a) ? b : a;
+}
+
+const recordStamp = (record) => record.updatedAt ?? '';
+
+/** Timestamp of a user word or tombstone: last edit, else the day it was added. */
+export const userWordStamp = (word) => word.metadata?.updated_at ?? word.metadata?.date_added ?? '';
+
+/**
+ * Merge two wordId → record maps, keeping the later `updatedAt` per word.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+export function mergeRecordMaps(a = {}, b = {}) {
+  const merged = { ...a };
+  for (const [wordId, record] of Object.entries(b)) {
+    merged[wordId] = newer(a[wordId], record, recordStamp);
+  }
+  return merged;
+}
+
+const sessionKey = (s) => `${s.date}|${s.score}|${s.total}|${s.durationSeconds}`;
+
+/**
+ * Union of two session histories without duplicates, oldest first.
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Array}
+ */
+export function mergeSessions(a = [], b = []) {
+  const seen = new Set();
+  const merged = [];
+  for (const session of [...a, ...b]) {
+    const key = sessionKey(session);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(session);
+  }
+  return merged.sort((x, y) => String(x.date).localeCompare(String(y.date)));
+}
+
+/**
+ * Merge daily activity (activity.js). Days carry no timestamp; each device
+ * counts its own answers, so the larger count per day is kept.
+ * @param {Object} a - ISO date → { answers, seconds, frozen? }
+ * @param {Object} b
+ * @returns {Object}
+ */
+export function mergeDaily(a = {}, b = {}) {
+  const merged = { ...a };
+  for (const [date, day] of Object.entries(b)) {
+    const ours = a[date];
+    if (!ours) {
+      merged[date] = { ...day };
+      continue;
+    }
+    merged[date] = {
+      answers: Math.max(ours.answers ?? 0, day.answers ?? 0),
+      seconds: Math.max(ours.seconds ?? 0, day.seconds ?? 0),
+    };
+    if (ours.frozen || day.frozen) merged[date].frozen = true;
+  }
+  return merged;
+}
+
+/**
+ * Merge streak-freeze usage: the later month wins, the same month keeps the larger count.
+ * @param {{ month: string|null, used: number }} [a]
+ * @param {{ month: string|null, used: number }} [b]
+ */
+export function mergeStreakFreezes(a, b) {
+  if (!a?.month) return b ?? { month: null, used: 0 };
+  if (!b?.month) return a;
+  if (a.month !== b.month) return a.month > b.month ? a : b;
+  return { month: a.month, used: Math.max(a.used, b.used) };
+}
+
+/**
+ * Merge user word lists by id, keeping the later version. Deletions travel as
+ * tombstones — `{ id, deleted: true, metadata: { updated_at } }` — so a word
+ * removed on one device is not brought back by another.
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Array}
+ */
+export function mergeUserWords(a = [], b = []) {
+  const byId = new Map();
+  for (const word of [...a, ...b]) {
+    byId.set(word.id, newer(byId.get(word.id), word, userWordStamp));
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Merge two sync states. Commutative except for exact timestamp ties.
+ * @param {SyncState} a
+ * @param {SyncState} b
+ * @returns {SyncState}
+ */
+export function mergeSyncState(a, b) {
+  const pa = a?.progress ?? emptySyncState().progress;
+  const pb = b?.progress ?? emptySyncState().progress;
+  const settingsFromB = (b?.settingsUpdatedAt ?? '') > (a?.settingsUpdatedAt ?? '');
+
+  return {
+    progress: {
+      words: mergeRecordMaps(pa.words, pb.words),
+      production: mergeRecordMaps(pa.production, pb.production),
+      sessions: mergeSessions(pa.sessions, pb.sessions),
+      streakDays: Math.max(pa.streakDays ?? 0, pb.streakDays ?? 0),
+      longestStreak: Math.max(pa.longestStreak ?? 0, pb.longestStreak ?? 0),
+      lastSessionDate: later(pa.lastSessionDate, pb.lastSessionDate),
+      streakFreezes: mergeStreakFreezes(pa.streakFreezes, pb.streakFreezes),
+      daily: mergeDaily(pa.daily, pb.daily),
+    },
+    userWords: mergeUserWords(a?.userWords, b?.userWords),
+    settings: settingsFromB ? b.settings : (a?.settings ?? b?.settings ?? null),
+    settingsUpdatedAt: later(a?.settingsUpdatedAt, b?.settingsUpdatedAt),
+  };
+}
@@ -0,0 +1,158 @@
+// sync.js — optional sync of progress, user words and settings with a sync
+// server (scripts/sync-server.js). Runs when the `syncUrl` setting is set: on
+// app start and after each session. Merging is per record, later timestamp wins
+// (sync-merge.js). Each learner profile syncs through its own space, named by
+// the profile's random sync id. Vanilla ES module, no framework dependencies.
+
+import { loadProgress, saveProgress } from './progress.js';
+import { getSettings, updateSettings } from './settings.js';
+import { loadUserWords, saveUserWords } from './ui/add-words.js';
+import { mergeSyncState, userWordStamp } from './sync-merge.js';
+import { getActiveProfile, profileKey, setProfileSyncId } from './profiles.js';
+
+const stateKey = () => profileKey('ls_sync');
+
+/**
+ * Device-specific settings that never leave the device (voice ids differ per
+ * browser; the sync token is a secret). Kept out of backups too (backup.js).
+ */
+export const LOCAL_SETTINGS = ['syncUrl', 'syncToken', 'voices'];
+
+/**
+ * What this device knew after its last successful sync — used to detect
+ * local deletions and settings changes since then.
+ * @returns {{ lastSyncAt: string|null, userWordIds: string[], settings: string|null, settingsUpdatedAt: string|null }}
+ */
+export function loadSyncState() {
+  const empty = { lastSyncAt: null, userWordIds: [], settings: null, settingsUpdatedAt: null };
+  try {
+    const raw = localStorage.getItem(stateKey());
+    return raw ? { ...empty, ...JSON.parse(raw) } : empty;
+  } catch {
+    return empty;
+  }
+}
+
+function saveSyncState(state) {
+  localStorage.setItem(stateKey(), JSON.stringify(state));
+}
+
+/**
+ * Sync the active profile through another space (the sync id from another
+ * device). What this device remembers about its last sync belonged to the old
+ * space, so the next sync runs as a first one: nothing local counts as deleted
+ * and the space's settings are adopted.
+ * @param {string} syncId
+ */
+export function joinSyncSpace(syncId) {
+  setProfileSyncId(getActiveProfile().id, syncId);
+  localStorage.removeItem(stateKey());
+}
+
+function sharedSettings(settings) {
+  const shared = { ...settings };
+  for (const key of LOCAL_SETTINGS) delete shared[key];
+  return shared;
+}
+
+/**
+ * This device's data as a SyncState. User words deleted since the last sync
+ * become tombstones; settings changed since then are stamped `now`. Before the
+ * first sync settings carry no timestamp, so a new device adopts the server's.
+ * @param {string} [now] - ISO timestamp
+ * @returns {import('./sync-merge.js').SyncState}
+ */
+export function buildLocalState(now = new Date().toISOString()) {
+  const state = loadSyncState();
+  const userWords = loadUserWords();
+  const present = new Set(userWords.map((w) => w.id));
+  const tombstones = state.userWordIds
+    .filter((id) => !present.has(id))
+    .map((id) => ({ id, deleted: true, metadata: { updated_at: now } }));
+
+  const settings = sharedSettings(getSettings());
+  const settingsChanged = JSON.stringify(settings) !== state.settings;
+
+  return {
+    progress: loadProgress(),
+    userWords: [...userWords, ...tombstones],
+    settings,
+    settingsUpdatedAt: settingsChanged && state.lastSyncAt ? now : state.settingsUpdatedAt,
+  };
+}
+
+/**
+ * Store a merged state locally, writing only what differs from `local`.
+ * @param {import('./sync-merge.js').SyncState} merged
+ * @param {import('./sync-merge.js').SyncState} local - from buildLocalState()
+ * @returns {{ progress: boolean, userWords: boolean, settings: boolean, uiLanguage: boolean }} what changed
+ */
+export function applySyncState(merged, local) {
+  const changed = { progress: false, userWords: false, settings: false, uiLanguage: false };
+
+  if (JSON.stringify(merged.progress) !== JSON.stringify(local.progress)) {
+    saveProgress(merged.progress);
+    changed.progress = true;
+  }
+
+  const live = merged.userWords.filter((w) => !w.deleted);
+  const stamps = (words) => words.filter((w) => !w.deleted).map((w) => `${w.id}@${userWordStamp(w)}`).sort().join();
+  if (stamps(live) !== stamps(local.userWords)) {
+    saveUserWords(live);
+    changed.userWords = true;
+  }
+
+  if (merged.settings && JSON.stringify(merged.settings) !== JSON.stringify(local.settings)) {
+    changed.uiLanguage = merged.settings.uiLanguage !== local.settings.uiLanguage;
+    updateSettings(merged.settings);
+    changed.settings = true;
+  }
+
+  saveSyncState({
+    lastSyncAt: new Date().toISOString(),
+    userWordIds: live.map((w) => w.id),
+    settings: JSON.stringify(sharedSettings(getSettings())),
+    settingsUpdatedAt: merged.settingsUpdatedAt,
+  });
+
+  return changed;
+}
+
+let running = null;
+
+/**
+ * Push this device's data to the sync server and merge back what it returns.
+ * Never throws — sync is best-effort; a failure leaves local data untouched.
+ * Concurrent calls share one request.
+ *
+ * @param {string} [url] - server base URL; defaults to the `syncUrl` setting
+ * @param {string} [token] - the server's shared token; defaults to the `syncToken` setting
+ * @returns {Promise<{ status: 'off' } | { status: 'ok', changed: Object } | { status: 'error', error: string }>}
+ */
+export function syncNow(url = getSettings().syncUrl, token = getSettings().syncToken) {
+  const base = (url || '').trim().replace(/\/+$/, '');
+  if (!base) return Promise.resolve({ status: 'off' });
+  if (running) return running;
+
+  running = (async () => {
+    try {
+      const response = await fetch(`${base}/api/sync/${encodeURIComponent(getActiveProfile().syncId)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Sync-Token': token ?? '' },
+        body: JSON.stringify(buildLocalState()),
+      });
+      if (!response.ok) throw new Error(`server responded ${response.status}`);
+      const remote = await response.json();
+
+      // Re-read local data: answers may have been recorded while the request ran
+      const local = buildLocalState();
+      return { status: 'ok', changed: applySyncState(mergeSyncState(local, remote), local) };
+    } catch (err) {
+      console.warn('Sync failed:', err);
+      return { status: 'error', error: err.message };
+    } finally {
+      running = null;
+    }
+  })();
+  return running;
+}
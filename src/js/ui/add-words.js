@@ -8,17 +8,27 @@
  * - User word list with Edit / Delete per item
  * - Export as JSON or .txt
  *
- * Storage: localStorage key 'user_words' — array of VocabularyEntry objects.
+ * Storage: IndexedDB store 'userWords' (learner-db.js), mirrored in memory once
+ * initUserWordsStore() has run; otherwise localStorage key 'user_words' —
+ * array of VocabularyEntry objects. Both belong to the active learner profile.
  *
  * All DOM is created programmatically. BEM class names from components.css throughout.
  * No framework, no CSS imports — vanilla ES module.
  */
 
 import { t, fmt } from '../i18n.js';
+import { openLearnerDB, getAll, replaceAll } from '../learner-db.js';
+import { profileKey } from '../profiles.js';
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 
-const STORAGE_KEY = 'user_words';
+const storageKey = () => profileKey('user_words');
+
+// ─── Storage state ────────────────────────────────────────────────────────────
+
+/** Open database and in-memory user words, once initUserWordsStore() has succeeded. */
+let db = null;
+let cache = null;
 
 const LANGS = [
   { code: 'en', label: 'EN' },
@@ -28,12 +38,31 @@ const LANGS = [
 // ─── Public helper functions ──────────────────────────────────────────────────
 
 /**
- * Load user words from localStorage.
+ * Load user words from IndexedDB into memory (migrating 'user_words' on first run).
+ * Resolves false when IndexedDB is unavailable and localStorage stays in use.
+ * @returns {Promise<boolean>}
+ */
+export async function initUserWordsStore() {
+  const opened = await openLearnerDB();
+  if (!opened) return false;
+  try {
+    cache = await getAll(opened, 'userWords');
+    db = opened;
+    return true;
+  } catch (err) {
+    console.error('Failed to load user words:', err);
+    return false;
+  }
+}
+
+/**
+ * Load user words (a copy).
  * @returns {Array<Object>}
  */
 export function loadUserWords() {
+  if (cache) return cache.map((word) => ({ ...word }));
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
+    const raw = localStorage.getItem(storageKey());
     if (!raw) return [];
     const parsed = JSON.parse(raw);
     return Array.isArray(parsed) ? parsed : [];
@@ -43,11 +72,17 @@ export function loadUserWords() {
 }
 
 /**
- * Persist user words to localStorage.
+ * Persist the full user word list.
  * @param {Array<Object>} words
  */
 export function saveUserWords(words) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(words));
+  if (db) {
+    cache = words.map((word) => ({ ...word }));
+    replaceAll(db, { userWords: cache })
+      .catch((err) => console.error('Failed to save user words:', err));
+    return;
+  }
+  localStorage.setItem(storageKey(), JSON.stringify(words));
 }
 
 /**
@@ -114,9 +149,21 @@ export class AddWordsScreen {
     this._builtInEntries = Array.isArray(entries) ? entries : [];
   }
 
-  /** Make the screen visible. */
+  /** Make the screen visible, picking up words changed elsewhere (e.g. a backup import). */
   show() {
-    if (this._container) this._container.classList.add('screen--active');
+    if (!this._container) return;
+    this._userWords = loadUserWords();
+    this._renderWordList();
+    this._container.classList.add('screen--active');
+  }
+
+  /**
+   * Open a user word in the edit form (from its word page). Unknown ids are ignored.
+   * @param {string} id
+   */
+  editWord(id) {
+    const entry = this._userWords.find(w => w.id === id);
+    if (entry) this._startEdit(entry);
   }
 
   /** Hide the screen (DOM stays in place). */
@@ -416,7 +463,8 @@ export class AddWordsScreen {
     // Term + badge
     const termWrap = el('span', 'word-list__term-wrap');
 
-    const termSpan = el('span', 'word-list__term');
+    const termSpan = el('a', 'word-list__term');
+    termSpan.href        = `#word/${encodeURIComponent(entry.id)}`;
     termSpan.textContent = entry.term;
     termWrap.appendChild(termSpan);
 
@@ -516,6 +564,7 @@ export class AddWordsScreen {
         ru: this._editingEntry.examples.ru || [],
       };
       updated.tags = tags;
+      updated.metadata = { ...updated.metadata, updated_at: new Date().toISOString() };
 
       this._userWords = this._userWords.map(w => w.id === updated.id ? updated : w);
       saveUserWords(this._userWords);
@@ -782,6 +831,7 @@ export class AddWordsScreen {
       enriched:       false,
       metadata: {
         date_added:  date,
+        updated_at:  new Date().toISOString(),
         source_file: null,
         reviewed:    false,
       },
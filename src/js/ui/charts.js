@@ -0,0 +1,145 @@
+// charts.js — small inline SVG charts for the stats screen.
+// Vanilla ES module. Each function returns an <svg> element sized by CSS
+// (fixed viewBox, width 100%); BEM class names from components.css.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const WIDTH = 320;
+const HEIGHT = 150;
+const PAD = { top: 8, right: 8, bottom: 22, left: 32 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+/**
+ * @typedef {Object} ChartPoint
+ * @property {string} label  - x-axis label
+ * @property {number} value
+ * @property {string} [title] - tooltip
+ */
+
+function svgEl(tag, cls, attrs = {}) {
+  const node = document.createElementNS(SVG_NS, tag);
+  if (cls) node.setAttribute('class', cls);
+  for (const [name, value] of Object.entries(attrs)) node.setAttribute(name, String(value));
+  return node;
+}
+
+function withTitle(node, title) {
+  if (title) {
+    const tip = svgEl('title');
+    tip.textContent = title;
+    node.appendChild(tip);
+  }
+  return node;
+}
+
+function text(x, y, content, anchor = 'middle') {
+  const node = svgEl('text', 'chart__axis-label', { x, y, 'text-anchor': anchor });
+  node.textContent = content;
+  return node;
+}
+
+const yOf = (value, max) => PAD.top + PLOT_H - (max > 0 ? Math.min(value, max) / max : 0) * PLOT_H;
+
+/** Empty chart with horizontal gridlines and y labels at 0, half and max. */
+function frame(ariaLabel, max, unit) {
+  const svg = svgEl('svg', 'chart', { viewBox: `0 0 ${WIDTH} ${HEIGHT}`, role: 'img', 'aria-label': ariaLabel });
+  for (const value of [0, max / 2, max]) {
+    const y = yOf(value, max);
+    svg.appendChild(svgEl('line', 'chart__grid', { x1: PAD.left, x2: WIDTH - PAD.right, y1: y, y2: y }));
+    svg.appendChild(text(PAD.left - 4, y + 3, `${Math.round(value)}${unit}`, 'end'));
+  }
+  return svg;
+}
+
+/** x of point `i` of `count`, spread edge to edge (a single point sits in the middle). */
+function xOf(i, count) {
+  return PAD.left + (count > 1 ? (i / (count - 1)) * PLOT_W : PLOT_W / 2);
+}
+
+/** First and last labels under a line or area chart. */
+function edgeLabels(svg, points) {
+  const y = HEIGHT - 6;
+  svg.appendChild(text(PAD.left, y, points[0].label, 'start'));
+  if (points.length > 1) svg.appendChild(text(WIDTH - PAD.right, y, points[points.length - 1].label, 'end'));
+}
+
+/**
+ * Line chart with a dot per point. Only the first and last points are
+ * labelled unless `labelAll` is set; then points sit in equal slots like
+ * bars so every label fits (for a few categorical points).
+ * @param {ChartPoint[]} points - at least one
+ * @param {{ ariaLabel: string, max?: number, unit?: string, labelAll?: boolean }} options
+ * @returns {SVGSVGElement}
+ */
+export function lineChart(points, { ariaLabel, max = 100, unit = '%', labelAll = false }) {
+  const svg = frame(ariaLabel, max, unit);
+  const slot = PLOT_W / points.length;
+  const x = (i) => (labelAll ? PAD.left + slot * (i + 0.5) : xOf(i, points.length));
+  const coords = points.map((p, i) => [x(i), yOf(p.value, max)]);
+
+  svg.appendChild(svgEl('polyline', 'chart__line', { points: coords.map((c) => c.join(',')).join(' ') }));
+  points.forEach((p, i) => {
+    svg.appendChild(withTitle(svgEl('circle', 'chart__dot', { cx: coords[i][0], cy: coords[i][1], r: 3 }), p.title));
+  });
+  if (labelAll) points.forEach((p, i) => svg.appendChild(text(coords[i][0], HEIGHT - 6, p.label)));
+  else edgeLabels(svg, points);
+  return svg;
+}
+
+/**
+ * Vertical bars, each labelled underneath.
+ * @param {ChartPoint[]} points - at least one
+ * @param {{ ariaLabel: string, max?: number, unit?: string }} options
+ * @returns {SVGSVGElement}
+ */
+export function barChart(points, { ariaLabel, max = 100, unit = '%' }) {
+  const svg = frame(ariaLabel, max, unit);
+  const slot = PLOT_W / points.length;
+  const barW = Math.min(40, slot * 0.7);
+
+  points.forEach((p, i) => {
+    const x = PAD.left + slot * i + (slot - barW) / 2;
+    const y = yOf(p.value, max);
+    svg.appendChild(withTitle(svgEl('rect', 'chart__bar', {
+      x, y, width: barW, height: PAD.top + PLOT_H - y, rx: 2,
+    }), p.title));
+    svg.appendChild(text(x + barW / 2, HEIGHT - 6, p.label));
+  });
+  return svg;
+}
+
+/**
+ * Stacked areas, one per key, bottom to top in `keys` order.
+ * @param {Array<{ label: string, values: Object<string, number>, title?: string }>} points - at least one
+ * @param {string[]} keys - also the area modifier classes (`chart__area--<key>`)
+ * @param {{ ariaLabel: string }} options
+ * @returns {SVGSVGElement}
+ */
+export function stackedAreaChart(points, keys, { ariaLabel }) {
+  const max = Math.max(1, ...points.map((p) => keys.reduce((sum, k) => sum + (p.values[k] ?? 0), 0)));
+  const svg = frame(ariaLabel, max, '');
+  // A single day still gets a visible band
+  const series = points.length === 1 ? [points[0], points[0]] : points;
+  const xs = series.map((_, i) => xOf(i, series.length));
+
+  const below = series.map(() => 0);
+  for (const key of keys) {
+    const above = series.map((p, i) => below[i] + (p.values[key] ?? 0));
+    const top = above.map((v, i) => `${xs[i]},${yOf(v, max)}`);
+    const bottom = below.map((v, i) => `${xs[i]},${yOf(v, max)}`).reverse();
+    svg.appendChild(svgEl('polygon', `chart__area chart__area--${key}`, { points: [...top, ...bottom].join(' ') }));
+    above.forEach((v, i) => { below[i] = v; });
+  }
+
+  // Invisible columns carry the per-point tooltips
+  points.forEach((p, i) => {
+    const x = xOf(i, points.length);
+    const w = points.length > 1 ? PLOT_W / (points.length - 1) : PLOT_W;
+    svg.appendChild(withTitle(svgEl('rect', 'chart__hit', {
+      x: Math.max(PAD.left, x - w / 2), y: PAD.top, width: w, height: PLOT_H,
+    }), p.title));
+  });
+  edgeLabels(svg, points);
+  return svg;
+}
@@ -0,0 +1,41 @@
+// focus-summary.js — "how did the targeted words do" block for session summaries.
+// Vanilla ES module. BEM class names from components.css.
+
+import { t, fmt } from '../i18n.js';
+
+function el(tag, cls, text) {
+  const node = document.createElement(tag);
+  if (cls) node.className = cls;
+  if (text !== null && text !== undefined) node.textContent = text;
+  return node;
+}
+
+/**
+ * Render a GameEngine focus report (summary.focus / engine.getFocusReport()).
+ *
+ * @param {Object|null} report
+ * @returns {HTMLElement|null} null when the session was not targeted
+ */
+export function renderFocusSummary(report) {
+  if (!report) return null;
+
+  const section = el('section', 'focus-summary');
+  section.appendChild(el('h3', 'focus-summary__title', `🎯 ${t.focus_title}`));
+  section.appendChild(el('p', 'focus-summary__line', fmt('focus_result', {
+    correct: report.correct,
+    answered: report.answered,
+    words: report.words,
+  })));
+
+  const delta = report.accuracyAfter - report.accuracyBefore;
+  const accuracy = el('p', 'focus-summary__line', fmt('focus_accuracy', {
+    before: report.accuracyBefore,
+    after: report.accuracyAfter,
+  }));
+  if (delta > 0) accuracy.classList.add('focus-summary__line--up');
+  else if (delta < 0) accuracy.classList.add('focus-summary__line--down');
+  section.appendChild(accuracy);
+
+  section.appendChild(el('p', 'focus-summary__line', fmt('focus_improved', { count: report.improved })));
+  return section;
+}
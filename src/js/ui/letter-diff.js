@@ -0,0 +1,74 @@
+// letter-diff.js — a spelled answer shown letter by letter, and letter errors
+// as text ("č instead of ć"). Used by Spelling mode and the stats screen.
+// Vanilla ES module. BEM class names from components.css.
+
+import { t, fmt } from '../i18n.js';
+
+/** @typedef {import('../spelling.js').LetterOp} LetterOp */
+
+function el(tag, cls, text) {
+  const node = document.createElement(tag);
+  if (cls) node.className = cls;
+  if (text !== null && text !== undefined) node.textContent = text;
+  return node;
+}
+
+/** A letter as displayed; a space would be invisible. */
+function showLetter(letter) {
+  return letter === ' ' ? '␣' : letter;
+}
+
+/**
+ * Render a letter diff. Revealed, wrong and missing letters show the term's
+ * letter; unrevealed (a try is left) they only mark where the answer is off.
+ *
+ * @param {LetterOp[]} ops - from diffLetters()
+ * @param {{ reveal?: boolean }} [options]
+ * @returns {HTMLElement}
+ */
+export function renderLetterDiff(ops, { reveal = true } = {}) {
+  const wrap = el('span', 'letter-diff');
+  for (const op of ops) {
+    const letter = el('span', `letter-diff__letter letter-diff__letter--${op.type}`);
+    if (op.type === 'same') {
+      letter.textContent = op.given;
+    } else if (op.type === 'extra') {
+      letter.appendChild(el('del', null, showLetter(op.given)));
+    } else if (!reveal) {
+      letter.textContent = op.type === 'wrong' ? op.given : '_';
+    } else {
+      if (op.type === 'wrong') letter.appendChild(el('del', null, showLetter(op.given)));
+      letter.appendChild(el('ins', null, showLetter(op.expected)));
+    }
+    wrap.appendChild(letter);
+  }
+  return wrap;
+}
+
+/**
+ * @param {{ expected: string, given: string }} error - from letterErrors()
+ * @returns {string} e.g. "č instead of ć", "ć left out", "extra j"
+ */
+export function describeLetterError({ expected, given }) {
+  if (!given) return fmt('letter_missing', { expected: showLetter(expected) });
+  if (!expected) return fmt('letter_extra', { given: showLetter(given) });
+  return fmt('letter_wrong', { expected: showLetter(expected), given: showLetter(given) });
+}
+
+/**
+ * List of letter errors with their counts, most frequent first.
+ *
+ * @param {Array<{ expected: string, given: string, count: number }>} pairs
+ * @returns {HTMLElement}
+ */
+export function renderLetterErrors(pairs) {
+  const list = el('ul', 'word-list letter-errors');
+  for (const pair of pairs) {
+    const item = el('li', 'word-list__item letter-errors__item');
+    item.appendChild(el('span', 'letter-errors__text', describeLetterError(pair)));
+    item.appendChild(el('span', 'badge', fmt('confusion_count', { count: pair.count })));
+    list.appendChild(item);
+  }
+  list.setAttribute('aria-label', t.letters_title);
+  return list;
+}
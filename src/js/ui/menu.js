@@ -1,10 +1,38 @@
 /**
- * Main menu screen — language selector, game mode picker, quick stats.
+ * Main menu screen — language selector, game mode picker, quick stats,
+ * resume card for an interrupted session, today's review queue,
+ * session setup (length + word filters).
  */
 
-import { loadProgress } from '../progress.js';
+import { loadProgress, skillRecords } from '../progress.js';
+import { isOnHold, todayISO } from '../scheduler.js';
+import { getActiveProfile } from '../profiles.js';
+import { joinSyncSpace } from '../sync.js';
+import { currentStreak, goalProgress } from '../activity.js';
 import { getSettings, updateSettings } from '../settings.js';
-import { t, langLabel } from '../i18n.js';
+import { isAudioAvailable, canPlayUrls, listVoices } from '../audio.js';
+import {
+  SESSION_LENGTHS, DIFFICULTY_MIN, DIFFICULTY_MAX,
+  normalizeFilter, applyFilter, collectFacets,
+} from '../session-config.js';
+import { t, fmt, langLabel } from '../i18n.js';
+
+/**
+ * Game modes offered to the user, in display order.
+ * @returns {Array<{ id: string, icon: string, title: string, desc: string }>}
+ */
+export function modeOptions() {
+  return [
+    { id: 'flashcards', icon: '🃏', title: t.mode_flashcards, desc: t.mode_flashcards_desc },
+    { id: 'quiz', icon: '❓', title: t.mode_quiz, desc: t.mode_quiz_desc },
+    { id: 'typing', icon: '⌨️', title: t.mode_typing, desc: t.mode_typing_desc },
+    { id: 'match', icon: '🔗', title: t.mode_match, desc: t.mode_match_desc },
+    { id: 'listening', icon: '🎧', title: t.mode_listening, desc: t.mode_listening_desc },
+    { id: 'cloze', icon: '✍️', title: t.mode_cloze, desc: t.mode_cloze_desc },
+    { id: 'sentence', icon: '🧩', title: t.mode_sentence, desc: t.mode_sentence_desc },
+    { id: 'spelling', icon: '🔤', title: t.mode_spelling, desc: t.mode_spelling_desc },
+  ];
+}
 
 export class MenuScreen {
   constructor() {
@@ -12,22 +40,47 @@ export class MenuScreen {
     this._refs = {};
     this._selectedDirection = 'en-sr';
     this._selectedMode = 'flashcards';
+    this._selectedSkill = getSettings().skill === 'production' ? 'production' : 'recognition';
     this._onStart = null;
     this._onExport = null;
+    this._onSettingsChange = null;
+    this._onResume = null;
+    this._onDiscardResume = null;
+    this._onSync = null;
     this._wordCounts = { en: 0, sr: 0 };
+    this._reviewStats = null; // { en: {due, newRemaining, estimatedMinutes}, sr: {...} }
+    this._entries = [];       // merged vocabulary, for session setup facets/counts
+    this._sessionLength = 0;
+    this._sessionFilter = normalizeFilter(null);
   }
 
   /**
    * @param {HTMLElement} container
    * @param {Object} options
    * @param {number} options.wordCount - total available words
-   * @param {function} options.onStart - callback({direction, mode})
+   * @param {function} options.onStart - callback({direction, mode, skill, session})
+   * @param {function} [options.onSettingsChange] - called after a setting that affects the review queue changes
+   * @param {function} [options.onResume] - "Resume session" clicked
+   * @param {function} [options.onDiscardResume] - saved session discarded
+   * @param {function} [options.onSync] - sync server URL saved or "Sync now" clicked
    */
-  init(container, { wordCounts = { en: 0, sr: 0 }, onStart = () => {}, onExport = () => {} } = {}) {
+  init(container, {
+    wordCounts = { en: 0, sr: 0 },
+    onStart = () => {},
+    onExport = () => {},
+    onSettingsChange = () => {},
+    onResume = () => {},
+    onDiscardResume = () => {},
+    onSync = () => {},
+  } = {}) {
     this._container = container;
     this._wordCounts = wordCounts;
     this._onStart = onStart;
     this._onExport = onExport;
+    this._onSettingsChange = onSettingsChange;
+    this._onResume = onResume;
+    this._onDiscardResume = onDiscardResume;
+    this._onSync = onSync;
     this._build();
   }
 
@@ -50,10 +103,79 @@ export class MenuScreen {
     this._updateWordCount();
   }
 
+  /**
+   * Provide the merged vocabulary so session setup can list categories/tags
+   * and count matching words.
+   * @param {Array} entries
+   */
+  setEntries(entries) {
+    this._entries = entries;
+    this._renderFacets();
+    this._updateSessionMatches();
+  }
+
+  /**
+   * @param {{ en: Object, sr: Object }} stats - per target language, from summarizeQueue()
+   */
+  setReviewStats(stats) {
+    this._reviewStats = stats;
+    this._updateReviewQueue();
+  }
+
+  /**
+   * Show or hide the "Resume session" card.
+   * @param {Object|null} info - describeSavedSession() result, or null when nothing to resume
+   */
+  setResumable(info) {
+    const { resumeSection, resumeDetails } = this._refs;
+    if (!resumeSection) return;
+    resumeSection.hidden = !info;
+    if (!info) return;
+
+    const mode = modeOptions().find((m) => m.id === info.mode);
+    const [target, hint] = info.direction.split('-');
+    const parts = [
+      `${mode ? `${mode.icon} ${mode.title}` : info.mode}`,
+      `${langLabel(target)} → ${langLabel(hint)}`,
+      fmt('resume_position', { position: info.position, total: info.total }),
+      `${t.score}: ${info.score}`,
+    ];
+    resumeDetails.textContent = parts.join(' · ');
+  }
+
+  /**
+   * Show the outcome of the last sync next to the sync server field.
+   * @param {'off'|'syncing'|'ok'|'error'} status
+   */
+  setSyncStatus(status) {
+    const { syncStatus, syncBtn } = this._refs;
+    if (!syncStatus) return;
+    const labels = { off: '', syncing: t.sync_running, ok: t.sync_ok, error: t.sync_failed };
+    syncStatus.textContent = labels[status] ?? '';
+    syncStatus.classList.toggle('menu__sync-status--error', status === 'error');
+    syncBtn.disabled = status === 'syncing' || !getSettings().syncUrl;
+  }
+
+  /**
+   * Explain why the last session could not start; null clears it.
+   * @param {string|null} message
+   */
+  setStartError(message) {
+    if (this._refs.startError) this._refs.startError.textContent = message ?? '';
+  }
+
   setLoading(isLoading) {
+    if (this._refs.resumeBtn) {
+      this._refs.resumeBtn.disabled = isLoading;
+    }
     if (this._refs.startBtn) {
       this._refs.startBtn.disabled = isLoading;
       this._refs.startBtn.textContent = isLoading ? t.loading : t.start;
+      // Stays disabled when no words match the selection
+      if (!isLoading) this._updateSessionMatches();
+    }
+    if (this._refs.reviewBtn) {
+      this._refs.reviewBtn.disabled = isLoading || !this._hasReviews();
     }
   }
 
@@ -74,6 +196,32 @@ export class MenuScreen {
     header.appendChild(el('p', 'menu__subtitle', t.app_subtitle));
     root.appendChild(header);
 
+    // --- Resume Interrupted Session ---
+    const resumeSection = el('div', 'menu__resume');
+    resumeSection.hidden = true;
+    resumeSection.appendChild(el('div', 'menu__resume-title', `⏸ ${t.resume_title}`));
+    const resumeDetails = el('p', 'menu__resume-details');
+    resumeSection.appendChild(resumeDetails);
+
+    const resumeActions = el('div', 'menu__resume-actions');
+    const resumeBtn = el('button', 'btn btn--success', t.resume_session);
+    resumeBtn.type = 'button';
+    resumeBtn.addEventListener('click', () => {
+      if (this._onResume) this._onResume();
+    });
+    const discardBtn = el('button', 'btn btn--outline', t.discard_session);
+    discardBtn.type = 'button';
+    discardBtn.addEventListener('click', () => {
+      this.setResumable(null);
+      if (this._onDiscardResume) this._onDiscardResume();
+    });
+    resumeActions.append(resumeBtn, discardBtn);
+    resumeSection.appendChild(resumeActions);
+    root.appendChild(resumeSection);
+    this._refs.resumeSection = resumeSection;
+    this._refs.resumeDetails = resumeDetails;
+    this._refs.resumeBtn = resumeBtn;
+
     // --- Language Direction Toggle ---
     const dirSection = el('div', 'menu__section');
     dirSection.appendChild(el('label', 'form-group__label', t.direction_label));
@@ -103,6 +251,44 @@ export class MenuScreen {
       btn.classList.add('toggle__option--active');
       this._selectedDirection = btn.dataset.direction;
       this._updateWordCount();
+      this._updateReviewQueue();
+      this._renderFacets();
+      this._updateSessionMatches();
+    });
+
+    // --- Skill: recognition (term → translation) / production (translation → term) ---
+    const skillRow = el('div', 'menu__setting-row');
+    skillRow.appendChild(el('span', 'switch__label', t.skill_label));
+    const skillToggle = el('div', 'toggle toggle--sm');
+    skillToggle.dataset.setting = 'skill';
+    const skills = [
+      { id: 'recognition', label: t.skill_recognition, desc: t.skill_recognition_desc },
+      { id: 'production', label: t.skill_production, desc: t.skill_production_desc },
+    ];
+    for (const { id, label, desc } of skills) {
+      const btn = el('button', 'toggle__option', label);
+      btn.type = 'button';
+      btn.dataset.skill = id;
+      btn.title = desc;
+      if (id === this._selectedSkill) btn.classList.add('toggle__option--active');
+      skillToggle.appendChild(btn);
+    }
+    skillRow.appendChild(skillToggle);
+    dirSection.appendChild(skillRow);
+
+    const skillDesc = el('p', 'menu__word-count',
+      skills.find((s) => s.id === this._selectedSkill).desc);
+    dirSection.appendChild(skillDesc);
+
+    skillToggle.addEventListener('click', (e) => {
+      const btn = e.target.closest('.toggle__option');
+      if (!btn) return;
+      setActiveOption(skillToggle, btn);
+      this._selectedSkill = btn.dataset.skill;
+      skillDesc.textContent = skills.find((s) => s.id === this._selectedSkill).desc;
+      // Review queue counts are per skill
+      updateSettings({ skill: this._selectedSkill });
+      if (this._onSettingsChange) this._onSettingsChange();
     });
 
     root.appendChild(dirSection);
@@ -112,15 +298,8 @@ export class MenuScreen {
     modesSection.appendChild(el('label', 'form-group__label', t.game_mode_label));
     const grid = el('div', 'mode-grid');
 
-    const modes = [
-      { id: 'flashcards', icon: '🃏', title: t.mode_flashcards, desc: t.mode_flashcards_desc },
-      { id: 'quiz', icon: '❓', title: t.mode_quiz, desc: t.mode_quiz_desc },
-      { id: 'typing', icon: '⌨️', title: t.mode_typing, desc: t.mode_typing_desc },
-      { id: 'match', icon: '🔗', title: t.mode_match, desc: t.mode_match_desc },
-    ];
-
     const modeCards = [];
-    for (const mode of modes) {
+    for (const mode of modeOptions()) {
       const card = el('div', 'card card--interactive');
       if (mode.id === this._selectedMode) card.classList.add('card--selected');
       card.dataset.mode = mode.id;
@@ -146,6 +325,7 @@ export class MenuScreen {
 
     // --- Quick Stats ---
     const statsBar = el('div', 'menu__stats');
+    statsBar.appendChild(this._buildGoalRing());
     const streakEl = el('span', 'menu__stat');
     const learnedEl = el('span', 'menu__stat');
     statsBar.appendChild(streakEl);
@@ -154,6 +334,33 @@ export class MenuScreen {
     this._refs.streakEl = streakEl;
     this._refs.learnedEl = learnedEl;
 
+    // --- Daily Review Queue ---
+    const reviewSection = el('div', 'menu__review');
+    reviewSection.appendChild(el('div', 'menu__review-title', `🗓 ${t.daily_review}`));
+    const reviewCounts = el('p', 'menu__review-counts', '—');
+    reviewSection.appendChild(reviewCounts);
+
+    const reviewBtn = el('button', 'btn btn--success btn--block', t.start_reviews);
+    reviewBtn.type = 'button';
+    reviewBtn.disabled = true;
+    reviewBtn.addEventListener('click', () => {
+      if (this._onStart) {
+        this._onStart({
+          direction: this._selectedDirection,
+          mode: this._selectedMode,
+          skill: this._selectedSkill,
+          session: { type: 'due' },
+        });
+      }
+    });
+    reviewSection.appendChild(reviewBtn);
+    root.appendChild(reviewSection);
+    this._refs.reviewCounts = reviewCounts;
+    this._refs.reviewBtn = reviewBtn;
+
+    // --- Session Setup ---
+    root.appendChild(this._buildSessionSetup());
+
     // --- Settings: Reinsert Toggle ---
     const settingsSection = el('div', 'menu__section');
     const reinsertSwitch = el('div', 'switch');
@@ -173,6 +380,22 @@ export class MenuScreen {
 
     settingsSection.appendChild(reinsertSwitch);
 
+    // --- Settings: Strict Diacritics Toggle ---
+    const diacriticsSwitch = el('div', 'switch');
+    diacriticsSwitch.dataset.setting = 'strictDiacritics';
+    diacriticsSwitch.appendChild(el('span', 'switch__label', t.strict_diacritics));
+    const diacriticsTrack = el('div', 'switch__track');
+    diacriticsTrack.appendChild(el('div', 'switch__thumb'));
+    diacriticsSwitch.appendChild(diacriticsTrack);
+    if (settings.strictDiacritics) diacriticsSwitch.classList.add('switch--on');
+
+    diacriticsSwitch.addEventListener('click', () => {
+      const isOn = diacriticsSwitch.classList.toggle('switch--on');
+      updateSettings({ strictDiacritics: isOn });
+    });
+
+    settingsSection.appendChild(diacriticsSwitch);
+
     // --- UI Language Selector ---
     const langSwitch = el('div', 'menu__lang-selector');
     langSwitch.appendChild(el('span', 'switch__label', t.ui_language));
@@ -205,6 +428,111 @@ export class MenuScreen {
     langSwitch.appendChild(langToggle);
     settingsSection.appendChild(langSwitch);
 
+    // --- New words per day (review queue quota) ---
+    const quotaRow = el('div', 'menu__setting-row');
+    quotaRow.appendChild(el('span', 'switch__label', t.new_per_day));
+
+    const quotaToggle = el('div', 'toggle toggle--sm');
+    quotaToggle.dataset.setting = 'newWordsPerDay';
+    for (const n of [0, 5, 10, 20, 30]) {
+      const btn = el('button', 'toggle__option', String(n));
+      btn.type = 'button';
+      btn.dataset.value = String(n);
+      if (n === settings.newWordsPerDay) btn.classList.add('toggle__option--active');
+      quotaToggle.appendChild(btn);
+    }
+
+    quotaToggle.addEventListener('click', (e) => {
+      const btn = e.target.closest('.toggle__option');
+      if (!btn) return;
+      setActiveOption(quotaToggle, btn);
+      updateSettings({ newWordsPerDay: Number(btn.dataset.value) });
+      if (this._onSettingsChange) this._onSettingsChange();
+    });
+
+    quotaRow.appendChild(quotaToggle);
+    settingsSection.appendChild(quotaRow);
+
+    // --- Daily goal and streak freezes ---
+    settingsSection.appendChild(this._buildGoalSettings());
+
+    // --- Pronunciation: auto-play and speech voices (Listening, speaker buttons) ---
+    if (isAudioAvailable() || canPlayUrls()) {
+      const autoPlaySwitch = el('div', 'switch');
+      autoPlaySwitch.dataset.setting = 'autoPlay';
+      autoPlaySwitch.appendChild(el('span', 'switch__label', t.auto_play));
+      const autoPlayTrack = el('div', 'switch__track');
+      autoPlayTrack.appendChild(el('div', 'switch__thumb'));
+      autoPlaySwitch.appendChild(autoPlayTrack);
+      if (settings.autoPlay) autoPlaySwitch.classList.add('switch--on');
+
+      autoPlaySwitch.addEventListener('click', () => {
+        const isOn = autoPlaySwitch.classList.toggle('switch--on');
+        updateSettings({ autoPlay: isOn });
+      });
+
+      settingsSection.appendChild(autoPlaySwitch);
+    }
+    if (isAudioAvailable()) settingsSection.appendChild(buildVoiceSettings());
+
+    // --- Sync server (optional, see scripts/sync-server.js) ---
+    const syncRow = el('div', 'menu__sync');
+    syncRow.appendChild(el('span', 'switch__label', t.sync_server));
+    const syncInput = el('input', 'input menu__sync-input');
+    syncInput.type = 'url';
+    syncInput.placeholder = 'http://192.168.1.10:8787';
+    syncInput.value = settings.syncUrl;
+    const tokenInput = el('input', 'input menu__sync-input menu__sync-token');
+    tokenInput.type = 'password';
+    tokenInput.autocomplete = 'off';
+    tokenInput.placeholder = t.sync_token;
+    tokenInput.setAttribute('aria-label', t.sync_token);
+    tokenInput.value = settings.syncToken;
+    // The profile's sync space: copy it to another device, or enter the id shown there
+    const syncIdInput = el('input', 'input menu__sync-input menu__sync-id');
+    syncIdInput.type = 'text';
+    syncIdInput.spellcheck = false;
+    syncIdInput.placeholder = t.sync_id;
+    syncIdInput.setAttribute('aria-label', t.sync_id);
+    syncIdInput.value = getActiveProfile().syncId;
+    const syncIdHint = el('span', 'menu__sync-hint', t.sync_id_hint);
+    const syncBtn = el('button', 'btn btn--outline btn--sm', t.sync_now);
+    syncBtn.type = 'button';
+    syncBtn.disabled = !settings.syncUrl;
+    const syncStatus = el('span', 'menu__sync-status');
+
+    syncInput.addEventListener('change', () => {
+      const syncUrl = syncInput.value.trim();
+      updateSettings({ syncUrl });
+      syncBtn.disabled = !syncUrl;
+      if (syncUrl && this._onSync) this._onSync();
+      else this.setSyncStatus('off');
+    });
+    tokenInput.addEventListener('change', () => {
+      updateSettings({ syncToken: tokenInput.value.trim() });
+      if (getSettings().syncUrl && this._onSync) this._onSync();
+    });
+    syncIdInput.addEventListener('change', () => {
+      const syncId = syncIdInput.value.trim();
+      if (syncId === getActiveProfile().syncId) return;
+      try {
+        joinSyncSpace(syncId);
+      } catch {
+        syncIdInput.classList.add('input--error');
+        return;
+      }
+      syncIdInput.classList.remove('input--error');
+      if (getSettings().syncUrl && this._onSync) this._onSync();
+    });
+    syncBtn.addEventListener('click', () => {
+      if (this._onSync) this._onSync();
+    });
+
+    syncRow.append(syncInput, tokenInput, syncIdInput, syncBtn, syncIdHint, syncStatus);
+    settingsSection.appendChild(syncRow);
+    this._refs.syncStatus = syncStatus;
+    this._refs.syncBtn = syncBtn;
+
     root.appendChild(settingsSection);
 
     // --- Start Button ---
@@ -216,12 +544,22 @@ export class MenuScreen {
         this._onStart({
           direction: this._selectedDirection,
           mode: this._selectedMode,
+          skill: this._selectedSkill,
+          session: {
+            length: this._sessionLength,
+            filter: this._sessionFilter,
+          },
         });
       }
     });
     root.appendChild(startBtn);
     this._refs.startBtn = startBtn;
 
+    const startError = el('p', 'menu__start-error');
+    startError.setAttribute('role', 'alert');
+    root.appendChild(startError);
+    this._refs.startError = startError;
+
     // --- Export to Excel ---
     const exportBtn = el('button', 'btn btn--outline btn--block', `📥 ${t.export_excel}`);
     exportBtn.type = 'button';
@@ -236,22 +574,350 @@ export class MenuScreen {
     this._container.appendChild(root);
     this._updateStats();
     this._updateWordCount();
+    this._updateReviewQueue();
+    this._renderFacets();
+    this._updateSessionMatches();
+  }
+
+  _buildSessionSetup() {
+    const settings = getSettings();
+    this._sessionLength = SESSION_LENGTHS.includes(settings.sessionLength) ? settings.sessionLength : 0;
+    this._sessionFilter = normalizeFilter(settings.sessionFilter);
+
+    const section = el('details', 'menu__session');
+    section.appendChild(el('summary', 'menu__session-summary', `⚙️ ${t.session_setup}`));
+
+    // Length
+    const lengthRow = el('div', 'menu__setting-row');
+    lengthRow.appendChild(el('span', 'switch__label', t.session_length));
+    const lengthToggle = el('div', 'toggle toggle--sm');
+    lengthToggle.dataset.setting = 'sessionLength';
+    for (const n of SESSION_LENGTHS) {
+      const btn = el('button', 'toggle__option', n === 0 ? '∞' : String(n));
+      btn.type = 'button';
+      btn.dataset.value = String(n);
+      if (n === this._sessionLength) btn.classList.add('toggle__option--active');
+      lengthToggle.appendChild(btn);
+    }
+    lengthToggle.addEventListener('click', (e) => {
+      const btn = e.target.closest('.toggle__option');
+      if (!btn) return;
+      setActiveOption(lengthToggle, btn);
+      this._sessionLength = Number(btn.dataset.value);
+      updateSettings({ sessionLength: this._sessionLength });
+      this._updateSessionMatches();
+    });
+    lengthRow.appendChild(lengthToggle);
+    section.appendChild(lengthRow);
+
+    // Difficulty range
+    const diffRow = el('div', 'menu__setting-row');
+    diffRow.appendChild(el('span', 'switch__label', t.difficulty_label));
+    const diffRange = el('div', 'menu__difficulty');
+    const minSelect = difficultySelect(this._sessionFilter.minDifficulty);
+    minSelect.dataset.bound = 'min';
+    const maxSelect = difficultySelect(this._sessionFilter.maxDifficulty);
+    maxSelect.dataset.bound = 'max';
+    diffRange.appendChild(minSelect);
+    diffRange.appendChild(el('span', null, '–'));
+    diffRange.appendChild(maxSelect);
+    diffRange.addEventListener('change', () => {
+      this._setFilter({
+        minDifficulty: Number(minSelect.value),
+        maxDifficulty: Number(maxSelect.value),
+      });
+      // normalizeFilter() may have swapped an inverted range
+      minSelect.value = String(this._sessionFilter.minDifficulty);
+      maxSelect.value = String(this._sessionFilter.maxDifficulty);
+    });
+    diffRow.appendChild(diffRange);
+    section.appendChild(diffRow);
+
+    // Word source
+    const sourceRow = el('div', 'menu__setting-row');
+    sourceRow.appendChild(el('span', 'switch__label', t.word_source));
+    const sourceToggle = el('div', 'toggle toggle--sm');
+    const sources = [
+      { id: 'all', label: t.source_all },
+      { id: 'user', label: t.source_user },
+      { id: 'builtin', label: t.source_builtin },
+    ];
+    for (const { id, label } of sources) {
+      const btn = el('button', 'toggle__option', label);
+      btn.type = 'button';
+      btn.dataset.source = id;
+      if (id === this._sessionFilter.source) btn.classList.add('toggle__option--active');
+      sourceToggle.appendChild(btn);
+    }
+    sourceToggle.addEventListener('click', (e) => {
+      const btn = e.target.closest('.toggle__option');
+      if (!btn) return;
+      setActiveOption(sourceToggle, btn);
+      this._setFilter({ source: btn.dataset.source });
+    });
+    sourceRow.appendChild(sourceToggle);
+    section.appendChild(sourceRow);
+
+    // Categories / tags (filled in by _renderFacets once vocabulary is loaded)
+    const categoriesGroup = el('div', 'menu__facet');
+    categoriesGroup.appendChild(el('span', 'switch__label', t.categories_label));
+    const categoryChips = el('div', 'menu__chips');
+    categoriesGroup.appendChild(categoryChips);
+    section.appendChild(categoriesGroup);
+
+    const tagsGroup = el('div', 'menu__facet');
+    tagsGroup.appendChild(el('span', 'switch__label', t.tags_filter_label));
+    const tagChips = el('div', 'menu__chips');
+    tagsGroup.appendChild(tagChips);
+    section.appendChild(tagsGroup);
+
+    const onChipClick = (key) => (e) => {
+      const chip = e.target.closest('.menu__chip');
+      if (!chip) return;
+      const value = chip.dataset.value;
+      const current = this._sessionFilter[key];
+      const next = current.includes(value)
+        ? current.filter((v) => v !== value)
+        : [...current, value];
+      chip.classList.toggle('menu__chip--active', next.includes(value));
+      this._setFilter({ [key]: next });
+    };
+    categoryChips.addEventListener('click', onChipClick('categories'));
+    tagChips.addEventListener('click', onChipClick('tags'));
+
+    // Footer: match count + reset
+    const footer = el('div', 'menu__setting-row');
+    const matchesEl = el('span', 'menu__session-matches');
+    footer.appendChild(matchesEl);
+    const resetBtn = el('button', 'btn btn--outline btn--sm', t.reset_filters);
+    resetBtn.type = 'button';
+    resetBtn.addEventListener('click', () => {
+      this._setFilter(normalizeFilter(null));
+      minSelect.value = String(DIFFICULTY_MIN);
+      maxSelect.value = String(DIFFICULTY_MAX);
+      setActiveOption(sourceToggle, sourceToggle.querySelector('[data-source="all"]'));
+      this._renderFacets();
+    });
+    footer.appendChild(resetBtn);
+    section.appendChild(footer);
+
+    this._refs.categoriesGroup = categoriesGroup;
+    this._refs.categoryChips = categoryChips;
+    this._refs.tagsGroup = tagsGroup;
+    this._refs.tagChips = tagChips;
+    this._refs.sessionMatches = matchesEl;
+
+    return section;
+  }
+
+  _setFilter(patch) {
+    this._sessionFilter = normalizeFilter({ ...this._sessionFilter, ...patch });
+    updateSettings({ sessionFilter: this._sessionFilter });
+    this._updateSessionMatches();
+  }
+
+  /** Entries of the currently selected target language. */
+  _targetEntries() {
+    const targetLang = this._selectedDirection.split('-')[0];
+    return this._entries.filter((e) => e.source_language === targetLang);
+  }
+
+  _renderFacets() {
+    const { categoryChips, tagChips, categoriesGroup, tagsGroup } = this._refs;
+    if (!categoryChips) return;
+
+    // Keep stored selections visible even if the other direction has none, so they can be cleared
+    const facets = collectFacets(this._targetEntries());
+    const categories = union(facets.categories, this._sessionFilter.categories);
+    const tags = union(facets.tags, this._sessionFilter.tags);
+    renderChips(categoryChips, categories, this._sessionFilter.categories);
+    renderChips(tagChips, tags, this._sessionFilter.tags);
+    categoriesGroup.hidden = categories.length === 0;
+    tagsGroup.hidden = tags.length === 0;
+  }
+
+  _updateSessionMatches() {
+    const { sessionMatches, startBtn } = this._refs;
+    if (!sessionMatches) return;
+
+    if (this._entries.length === 0) {
+      sessionMatches.textContent = '';
+      return;
+    }
+
+    // Suspended and buried words never make it into a session
+    const records = skillRecords(loadProgress(), this._selectedSkill);
+    const matching = applyFilter(this._targetEntries(), this._sessionFilter)
+      .filter((entry) => !isOnHold(records[entry.id]))
+      .length;
+    const count = this._sessionLength > 0 ? Math.min(matching, this._sessionLength) : matching;
+    sessionMatches.textContent = fmt('session_matches', { count });
+    if (startBtn) startBtn.disabled = matching === 0;
   }
 
   _updateStats() {
     const progress = loadProgress();
+    const settings = getSettings();
+    const today = todayISO();
     const words = Object.values(progress.words || {});
     const mastered = words.filter((w) => w.masteryLevel === 'mastered').length;
     const known = words.filter((w) => w.masteryLevel === 'known' || w.masteryLevel === 'mastered').length;
 
+    const { goalRing, goalValue, goalText } = this._refs;
+    if (goalRing) {
+      const goal = goalProgress(progress.daily ?? {}, today, {
+        type: settings.dailyGoalType,
+        target: settings.dailyGoalTarget,
+      });
+      goalValue.setAttribute('stroke-dasharray', `${Math.round(goal.ratio * 100)} 100`);
+      goalRing.classList.toggle('menu__goal--met', goal.met);
+      goalText.textContent = goal.met
+        ? `✅ ${t.goal_met}`
+        : fmt('goal_progress', {
+          done: goal.done,
+          target: goal.target,
+          unit: goal.type === 'minutes' ? t.goal_unit_minutes : t.goal_unit_answers,
+        });
+    }
     if (this._refs.streakEl) {
-      this._refs.streakEl.textContent = `🔥 ${progress.streakDays || 0} ${t.days}`;
+      this._refs.streakEl.textContent = `🔥 ${currentStreak(progress, today, settings.streakFreezes)} ${t.days}`;
     }
     if (this._refs.learnedEl) {
       this._refs.learnedEl.textContent = `📖 ${known} ${t.learned} (${mastered} ${t.mastered_stat})`;
     }
   }
 
+  /** Ring showing today's progress towards the daily goal (filled by _updateStats). */
+  _buildGoalRing() {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const goalRing = el('div', 'menu__goal');
+    goalRing.title = t.daily_goal;
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', '0 0 36 36');
+    svg.setAttribute('class', 'menu__goal-ring');
+    svg.setAttribute('aria-hidden', 'true');
+    // r = 100 / 2π, so the circumference is 100 and dash lengths are percentages
+    for (const cls of ['menu__goal-track', 'menu__goal-value']) {
+      const circle = document.createElementNS(SVG_NS, 'circle');
+      circle.setAttribute('class', cls);
+      circle.setAttribute('cx', '18');
+      circle.setAttribute('cy', '18');
+      circle.setAttribute('r', '15.9155');
+      svg.appendChild(circle);
+    }
+    const goalText = el('span', 'menu__stat menu__goal-text');
+    goalRing.append(svg, goalText);
+
+    this._refs.goalRing = goalRing;
+    this._refs.goalValue = svg.lastChild;
+    this._refs.goalText = goalText;
+    return goalRing;
+  }
+
+  _buildGoalSettings() {
+    const settings = getSettings();
+    const fragment = document.createDocumentFragment();
+    const targets = { answers: [10, 20, 50, 100], minutes: [5, 10, 15, 30] };
+
+    const goalRow = el('div', 'menu__setting-row');
+    goalRow.appendChild(el('span', 'switch__label', t.daily_goal));
+    const goalControls = el('div', 'menu__goal-settings');
+
+    const typeToggle = el('div', 'toggle toggle--sm');
+    typeToggle.dataset.setting = 'dailyGoalType';
+    for (const [type, label] of [['answers', t.goal_type_answers], ['minutes', t.goal_type_minutes]]) {
+      const btn = el('button', 'toggle__option', label);
+      btn.type = 'button';
+      btn.dataset.value = type;
+      if (type === settings.dailyGoalType) btn.classList.add('toggle__option--active');
+      typeToggle.appendChild(btn);
+    }
+
+    const targetToggle = el('div', 'toggle toggle--sm');
+    targetToggle.dataset.setting = 'dailyGoalTarget';
+    const renderTargets = (type, selected) => {
+      targetToggle.replaceChildren();
+      for (const n of targets[type]) {
+        const btn = el('button', 'toggle__option', String(n));
+        btn.type = 'button';
+        btn.dataset.value = String(n);
+        if (n === selected) btn.classList.add('toggle__option--active');
+        targetToggle.appendChild(btn);
+      }
+    };
+    renderTargets(settings.dailyGoalType, settings.dailyGoalTarget);
+
+    typeToggle.addEventListener('click', (e) => {
+      const btn = e.target.closest('.toggle__option');
+      if (!btn || btn.dataset.value === getSettings().dailyGoalType) return;
+      setActiveOption(typeToggle, btn);
+      const type = btn.dataset.value;
+      const target = targets[type][1];
+      updateSettings({ dailyGoalType: type, dailyGoalTarget: target });
+      renderTargets(type, target);
+      this._updateStats();
+    });
+    targetToggle.addEventListener('click', (e) => {
+      const btn = e.target.closest('.toggle__option');
+      if (!btn) return;
+      setActiveOption(targetToggle, btn);
+      updateSettings({ dailyGoalTarget: Number(btn.dataset.value) });
+      this._updateStats();
+    });
+
+    goalControls.append(typeToggle, targetToggle);
+    goalRow.appendChild(goalControls);
+    fragment.appendChild(goalRow);
+
+    const freezeRow = el('div', 'menu__setting-row');
+    freezeRow.appendChild(el('span', 'switch__label', t.streak_freezes));
+    const freezeToggle = el('div', 'toggle toggle--sm');
+    freezeToggle.dataset.setting = 'streakFreezes';
+    for (const n of [0, 1, 2, 3]) {
+      const btn = el('button', 'toggle__option', String(n));
+      btn.type = 'button';
+      btn.dataset.value = String(n);
+      if (n === settings.streakFreezes) btn.classList.add('toggle__option--active');
+      freezeToggle.appendChild(btn);
+    }
+    freezeToggle.addEventListener('click', (e) => {
+      const btn = e.target.closest('.toggle__option');
+      if (!btn) return;
+      setActiveOption(freezeToggle, btn);
+      updateSettings({ streakFreezes: Number(btn.dataset.value) });
+      this._updateStats();
+    });
+    freezeRow.appendChild(freezeToggle);
+    fragment.appendChild(freezeRow);
+
+    return fragment;
+  }
+
+  _hasReviews() {
+    const targetLang = this._selectedDirection.split('-')[0];
+    const stats = this._reviewStats?.[targetLang];
+    return Boolean(stats) && stats.due + stats.newRemaining > 0;
+  }
+
+  _updateReviewQueue() {
+    const { reviewCounts, reviewBtn } = this._refs;
+    if (!reviewCounts) return;
+
+    const targetLang = this._selectedDirection.split('-')[0];
+    const stats = this._reviewStats?.[targetLang];
+
+    if (!stats) {
+      reviewCounts.textContent = '—';
+    } else if (!this._hasReviews()) {
+      reviewCounts.textContent = `✅ ${t.all_caught_up}`;
+    } else {
+      reviewCounts.textContent =
+        `${stats.due} ${t.reviews_due} · ${stats.newRemaining} ${t.new_words_left} · ≈${stats.estimatedMinutes} ${t.minutes_short}`;
+    }
+    reviewBtn.disabled = !this._hasReviews();
+  }
+
   _updateWordCount() {
     if (this._refs.wordCount) {
       const targetLang = this._selectedDirection.split('-')[0];
@@ -261,6 +927,74 @@ export class MenuScreen {
   }
 }
 
+function setActiveOption(toggle, active) {
+  toggle.querySelectorAll('.toggle__option').forEach((b) => b.classList.remove('toggle__option--active'));
+  active.classList.add('toggle__option--active');
+}
+
+/**
+ * One voice picker per vocabulary language. The browser loads its voices
+ * asynchronously, so the options are filled in once they arrive.
+ */
+function buildVoiceSettings() {
+  const fragment = document.createDocumentFragment();
+  for (const lang of ['en', 'sr']) {
+    const row = el('div', 'menu__setting-row');
+    row.appendChild(el('span', 'switch__label', fmt('voice_label', { lang: langLabel(lang) })));
+
+    const select = el('select', 'select menu__voice-select');
+    select.dataset.setting = 'voices';
+    select.dataset.lang = lang;
+    const auto = el('option', null, t.voice_default);
+    auto.value = '';
+    select.appendChild(auto);
+    select.addEventListener('change', () => {
+      updateSettings({ voices: { ...getSettings().voices, [lang]: select.value } });
+    });
+
+    listVoices(lang)
+      .then((voices) => {
+        for (const voice of voices) {
+          const option = el('option', null, `${voice.name} (${voice.lang})`);
+          option.value = voice.id;
+          select.appendChild(option);
+        }
+        select.value = voices.some((v) => v.id === getSettings().voices?.[lang]) ? getSettings().voices[lang] : '';
+      })
+      .catch((err) => console.error('Failed to list voices:', err));
+
+    row.appendChild(select);
+    fragment.appendChild(row);
+  }
+  return fragment;
+}
+
+function difficultySelect(value) {
+  const select = el('select', 'select menu__difficulty-select');
+  for (let d = DIFFICULTY_MIN; d <= DIFFICULTY_MAX; d++) {
+    const option = el('option', null, String(d));
+    option.value = String(d);
+    select.appendChild(option);
+  }
+  select.value = String(value);
+  return select;
+}
+
+function union(a, b) {
+  return [...new Set([...a, ...b])].sort();
+}
+
+function renderChips(container, values, selected) {
+  container.innerHTML = '';
+  for (const value of values) {
+    const chip = el('button', 'menu__chip', value);
+    chip.type = 'button';
+    chip.dataset.value = value;
+    if (selected.includes(value)) chip.classList.add('menu__chip--active');
+    container.appendChild(chip);
+  }
+}
+
 function el(tag, cls, text) {
   const node = document.createElement(tag);
   if (cls) node.className = cls;
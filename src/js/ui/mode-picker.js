@@ -0,0 +1,82 @@
+// mode-picker.js — modal dialog asking which game mode (and direction) to play.
+// Vanilla ES module. Uses the native <dialog> element; BEM class names from components.css.
+
+import { modeOptions } from './menu.js';
+import { t, langLabel } from '../i18n.js';
+
+function el(tag, cls, text) {
+  const node = document.createElement(tag);
+  if (cls) node.className = cls;
+  if (text !== null && text !== undefined) node.textContent = text;
+  return node;
+}
+
+const FLAGS = { en: '🇬🇧', sr: '🇷🇸' };
+
+/**
+ * Show the mode picker and wait for a choice.
+ *
+ * @param {Object} options
+ * @param {string} [options.title] - dialog heading
+ * @param {string[]} options.directions - directions to offer ('en-sr' | 'sr-en');
+ *   the toggle is only shown when there is more than one
+ * @param {string} [options.direction] - initially selected direction
+ * @returns {Promise<{ mode: string, direction: string } | null>} null if cancelled
+ */
+export function pickMode({ title = t.choose_mode, directions, direction = directions[0] }) {
+  return new Promise((resolve) => {
+    let selectedDirection = direction;
+    let choice = null;
+
+    const dialog = el('dialog', 'dialog');
+    dialog.appendChild(el('h2', 'dialog__title', title));
+
+    if (directions.length > 1) {
+      const toggle = el('div', 'toggle toggle--sm dialog__directions');
+      for (const dir of directions) {
+        const lang = dir.split('-')[0];
+        const btn = el('button', 'toggle__option', `${FLAGS[lang] || ''} ${langLabel(lang)}`);
+        btn.type = 'button';
+        btn.dataset.direction = dir;
+        if (dir === selectedDirection) btn.classList.add('toggle__option--active');
+        toggle.appendChild(btn);
+      }
+      toggle.addEventListener('click', (e) => {
+        const btn = e.target.closest('.toggle__option');
+        if (!btn) return;
+        toggle.querySelectorAll('.toggle__option').forEach((b) => b.classList.remove('toggle__option--active'));
+        btn.classList.add('toggle__option--active');
+        selectedDirection = btn.dataset.direction;
+      });
+      dialog.appendChild(toggle);
+    }
+
+    dialog.appendChild(el('p', 'dialog__label', t.choose_mode));
+    const grid = el('div', 'dialog__modes');
+    for (const mode of modeOptions()) {
+      const btn = el('button', 'dialog__mode', `${mode.icon} ${mode.title}`);
+      btn.type = 'button';
+      btn.dataset.mode = mode.id;
+      btn.addEventListener('click', () => {
+        choice = { mode: mode.id, direction: selectedDirection };
+        dialog.close();
+      });
+      grid.appendChild(btn);
+    }
+    dialog.appendChild(grid);
+
+    const cancelBtn = el('button', 'btn btn--outline btn--block', t.cancel);
+    cancelBtn.type = 'button';
+    cancelBtn.addEventListener('click', () => dialog.close());
+    dialog.appendChild(cancelBtn);
+
+    // Fires for mode picks, Cancel and Escape alike
+    dialog.addEventListener('close', () => {
+      dialog.remove();
+      resolve(choice);
+    });
+
+    document.body.appendChild(dialog);
+    dialog.showModal();
+  });
+}
@@ -0,0 +1,130 @@
+// profile-manager.js — dialog for creating, renaming, switching and deleting
+// learner profiles (profiles.js). Switching reloads the page so every storage
+// module starts over with the new profile's data.
+// Vanilla ES module. Uses the native <dialog> element; BEM class names from components.css.
+
+import {
+  listProfiles, getActiveProfile, setActiveProfile, createProfile, renameProfile, deleteProfile,
+} from '../profiles.js';
+import { purgeDeletedDBs } from '../learner-db.js';
+import { t, fmt } from '../i18n.js';
+
+function el(tag, cls, text) {
+  const node = document.createElement(tag);
+  if (cls) node.className = cls;
+  if (text !== null && text !== undefined) node.textContent = text;
+  return node;
+}
+
+/**
+ * Display name of a profile; the untouched default profile has none stored.
+ * @param {import('../profiles.js').Profile} profile
+ * @returns {string}
+ */
+export function profileName(profile) {
+  return profile.name || t.profile_default;
+}
+
+function switchTo(id) {
+  setActiveProfile(id);
+  window.location.hash = '#home';
+  window.location.reload();
+}
+
+/**
+ * Show the profile manager.
+ * @returns {Promise<void>} resolves when the dialog closes without a profile switch
+ */
+export function openProfileManager() {
+  return new Promise((resolve) => {
+    const dialog = el('dialog', 'dialog profiles');
+    dialog.appendChild(el('h2', 'dialog__title', t.profiles_title));
+
+    const list = el('ul', 'profiles__list');
+    dialog.appendChild(list);
+
+    const renderList = () => {
+      const activeId = getActiveProfile().id;
+      const profiles = listProfiles();
+      list.replaceChildren();
+
+      for (const profile of profiles) {
+        const active = profile.id === activeId;
+        const item = el('li', active ? 'profiles__item profiles__item--active' : 'profiles__item');
+        item.dataset.id = profile.id;
+        item.appendChild(el('span', 'profiles__name', profileName(profile)));
+        if (active) item.appendChild(el('span', 'profiles__badge', t.profile_active));
+
+        const actions = el('div', 'profiles__actions');
+        if (!active) {
+          const switchBtn = el('button', 'btn btn--success btn--sm', t.profile_switch);
+          switchBtn.type = 'button';
+          switchBtn.addEventListener('click', () => switchTo(profile.id));
+          actions.appendChild(switchBtn);
+        }
+
+        const renameBtn = el('button', 'btn btn--outline btn--sm', t.profile_rename);
+        renameBtn.type = 'button';
+        renameBtn.addEventListener('click', () => {
+          const name = window.prompt(t.profile_rename_prompt, profileName(profile));
+          if (!name || !name.trim()) return;
+          renameProfile(profile.id, name);
+          renderList();
+        });
+        actions.appendChild(renameBtn);
+
+        const deleteBtn = el('button', 'btn btn--danger btn--sm', t.delete_btn);
+        deleteBtn.type = 'button';
+        deleteBtn.disabled = profiles.length === 1;
+        deleteBtn.addEventListener('click', async () => {
+          if (!window.confirm(fmt('profile_delete_confirm', { name: profileName(profile) }))) return;
+          // The active profile's database is open on this page: reload first, it is removed on the next load
+          if (deleteProfile(profile.id)) {
+            switchTo(getActiveProfile().id);
+            return;
+          }
+          await purgeDeletedDBs();
+          renderList();
+        });
+        actions.appendChild(deleteBtn);
+
+        item.appendChild(actions);
+        list.appendChild(item);
+      }
+    };
+    renderList();
+
+    // --- New profile ---
+    const form = el('form', 'profiles__form');
+    const input = el('input', 'input profiles__input');
+    input.type = 'text';
+    input.maxLength = 40;
+    input.placeholder = t.profile_new_placeholder;
+    const addBtn = el('button', 'btn btn--success', t.profile_add);
+    addBtn.type = 'submit';
+    form.append(input, addBtn);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (!input.value.trim()) {
+        input.classList.add('input--error');
+        input.focus();
+        return;
+      }
+      switchTo(createProfile(input.value).id);
+    });
+    dialog.appendChild(form);
+
+    const closeBtn = el('button', 'btn btn--outline btn--block', t.close);
+    closeBtn.type = 'button';
+    closeBtn.addEventListener('click', () => dialog.close());
+    dialog.appendChild(closeBtn);
+
+    dialog.addEventListener('close', () => {
+      dialog.remove();
+      resolve();
+    });
+
+    document.body.appendChild(dialog);
+    dialog.showModal();
+  });
+}
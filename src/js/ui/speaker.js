@@ -0,0 +1,106 @@
+// speaker.js — pronunciation button shared by the game modes.
+// Before the learner answers it plays the prompt side of the word; once they
+// have, the prompt and then the answer (term and translation). A recorded
+// pronunciation on the entry is preferred, speech synthesis is the fallback.
+// Vanilla ES module. BEM class names from components.css.
+
+import {
+  playParts, isAudioAvailable, canPlayUrls, isAudioUrl, pronunciationOf,
+} from '../audio.js';
+import { getSettings } from '../settings.js';
+import { t } from '../i18n.js';
+
+/** @typedef {import('../engine.js').GameEngine} GameEngine */
+
+function el(tag, cls, text) {
+  const node = document.createElement(tag);
+  if (cls) node.className = cls;
+  if (text !== null && text !== undefined) node.textContent = text;
+  return node;
+}
+
+/**
+ * A word as audio parts, prompt side first: the term (with its recording, if
+ * any) and the translation shown for it — swapped for production.
+ *
+ * @param {GameEngine} engine
+ * @param {Object} entry
+ * @returns {import('../audio.js').AudioPart[]}
+ */
+export function wordParts(engine, entry) {
+  const pronunciation = pronunciationOf(entry);
+  const term = {
+    text: entry.term,
+    lang: entry.source_language,
+    url: isAudioUrl(pronunciation) ? pronunciation : null,
+  };
+  const lang = entry.translations?.[engine.hintLang] ? engine.hintLang : engine.fallbackLang;
+  const translation = { text: entry.translations?.[lang] ?? '', lang };
+  return engine.skill === 'production' ? [translation, term] : [term, translation];
+}
+
+/**
+ * Play a word: the prompt side, or both sides once answered.
+ *
+ * @param {GameEngine} engine
+ * @param {Object} entry
+ * @param {{ answered?: boolean }} [options]
+ * @returns {Promise<boolean>} whether anything was played
+ */
+export function playWord(engine, entry, { answered = false } = {}) {
+  const parts = wordParts(engine, entry);
+  return playParts(answered ? parts : parts.slice(0, 1)).catch((err) => {
+    console.error('Pronunciation failed:', err);
+    return false;
+  });
+}
+
+/**
+ * Play a freshly shown word's prompt when the `autoPlay` setting is on.
+ *
+ * @param {GameEngine} engine
+ * @param {Object} entry
+ */
+export function autoPlayWord(engine, entry) {
+  if (entry && getSettings().autoPlay) playWord(engine, entry);
+}
+
+/**
+ * Speaker button for a word, with the term's IPA transcription beside it for
+ * recognition (in production the term is the answer). The button is hidden
+ * when neither speech nor the entry's recording can be played.
+ *
+ * @param {GameEngine} engine
+ * @param {Object} entry
+ * @param {function(): boolean} [isAnswered] - checked on each tap
+ * @param {{ ipa?: boolean }} [options] - ipa: false leaves the transcription out
+ * @returns {HTMLElement}
+ */
+export function renderSpeaker(engine, entry, isAnswered = () => false, { ipa = true } = {}) {
+  const wrap = el('span', 'speaker');
+  const pronunciation = pronunciationOf(entry);
+  const recorded = isAudioUrl(pronunciation);
+
+  const btn = el('button', 'speaker__btn', '🔊');
+  btn.type = 'button';
+  btn.setAttribute('aria-label', t.listen_play);
+  btn.title = t.listen_play;
+  btn.hidden = !isAudioAvailable() && !(recorded && canPlayUrls());
+  // Keep focus where it is (Typing's answer input)
+  btn.addEventListener('mousedown', (e) => e.preventDefault());
+  btn.addEventListener('click', (e) => {
+    // Flashcards flip and Match selects on clicks that reach them
+    e.stopPropagation();
+    btn.classList.add('speaker__btn--active');
+    playWord(engine, entry, { answered: isAnswered() })
+      .finally(() => btn.classList.remove('speaker__btn--active'));
+  });
+  wrap.appendChild(btn);
+
+  if (ipa && pronunciation && !recorded && engine.skill !== 'production') {
+    const transcription = el('span', 'speaker__ipa', pronunciation);
+    transcription.setAttribute('lang', `${entry.source_language}-fonipa`);
+    wrap.appendChild(transcription);
+  }
+  return wrap;
+}
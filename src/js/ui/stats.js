@@ -1,8 +1,18 @@
 // stats.js — StatsScreen UI component
 // Vanilla ES module. All DOM created programmatically. BEM class names from components.css.
 
-import { loadProgress, resetProgress, exportProgress } from '../progress.js';
-import { t, fmtDate, fmtDuration } from '../i18n.js';
+import { loadProgress, resetProgress, queryAnswers } from '../progress.js';
+import { exportBackup, parseBackup, planImport, applyImport } from '../backup.js';
+import { getSettings } from '../settings.js';
+import { buildHeatmap, currentStreak, freezesLeft } from '../activity.js';
+import { todayISO } from '../scheduler.js';
+import {
+  LEARNED_LEVELS, accuracyOverTime, accuracyByMode, masteryOverTime, forgettingCurve, breakdownBy,
+  confusionPairs, buildConfusionDrill, letterErrorPairs,
+} from '../analytics.js';
+import { lineChart, barChart, stackedAreaChart } from './charts.js';
+import { renderLetterErrors } from './letter-diff.js';
+import { t, fmt, fmtDate, fmtDuration } from '../i18n.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -15,15 +25,36 @@ function el(tag, cls, text) {
   return node;
 }
 
+/** Term linking to the word's page (ui/word-detail.js). */
+function wordLink(id, text) {
+  const link = el('a', 'word-list__term', text);
+  link.href = `#word/${encodeURIComponent(id)}`;
+  return link;
+}
+
 function pct(num, den) {
   return den === 0 ? 0 : Math.round((num / den) * 100);
 }
 
+function levelLabels() {
+  return {
+    new: t.level_new,
+    learning: t.level_learning,
+    known: t.level_known,
+    mastered: t.level_mastered,
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Section renderers (each returns a DOM element)
 // ---------------------------------------------------------------------------
 
-function renderOverall(words) {
+function countKnown(records) {
+  return Object.values(records)
+    .filter((w) => w.masteryLevel === 'known' || w.masteryLevel === 'mastered').length;
+}
+
+function renderOverall(words, production = {}) {
   const entries = Object.values(words);
   const total = entries.length;
   const counts = { new: 0, learning: 0, known: 0, mastered: 0 };
@@ -53,12 +84,7 @@ function renderOverall(words) {
 
   // Legend
   const legend = el('div', 'stats__legend');
-  const labels = {
-    new: t.level_new,
-    learning: t.level_learning,
-    known: t.level_known,
-    mastered: t.level_mastered,
-  };
+  const labels = levelLabels();
   for (const level of levels) {
     const item = el('span', `stats__legend-item stats__legend-item--${level}`,
       `${labels[level]}: ${counts[level]}`);
@@ -66,6 +92,12 @@ function renderOverall(words) {
   }
   section.appendChild(legend);
 
+  // Recognition vs production, once the learner has tried production
+  if (Object.keys(production).length > 0) {
+    section.appendChild(el('p', 'stats__label',
+      `${t.skill_recognition}: ${countKnown(words)} · ${t.skill_production}: ${countKnown(production)} ${t.learned}`));
+  }
+
   return section;
 }
 
@@ -108,24 +140,341 @@ function renderAccuracy(words, sessions) {
   return section;
 }
 
-function renderStreak(streakDays, lastSessionDate) {
+/** Days / weeks shown by the accuracy-over-time chart. */
+const TREND_POINTS = { day: 30, week: 26 };
+
+const pointTitle = (label, p) => fmt('chart_point', { label, correct: p.correct, total: p.total, accuracy: p.accuracy });
+
+function renderAccuracyTrend(answers) {
+  const wrap = el('div', 'stats__chart');
+  const chartSlot = el('div');
+  const toggle = el('div', 'toggle toggle--sm');
+
+  const draw = (period) => {
+    for (const btn of toggle.children) {
+      btn.classList.toggle('toggle__option--active', btn.dataset.period === period);
+    }
+    const points = accuracyOverTime(answers, period).slice(-TREND_POINTS[period]).map((p) => ({
+      label: fmtDate(p.key),
+      value: p.accuracy,
+      title: pointTitle(fmtDate(p.key), p),
+    }));
+    chartSlot.replaceChildren(lineChart(points, { ariaLabel: t.chart_accuracy_time }));
+  };
+
+  for (const [period, label] of [['day', t.period_day], ['week', t.period_week]]) {
+    const btn = el('button', 'toggle__option', label);
+    btn.type = 'button';
+    btn.dataset.period = period;
+    btn.addEventListener('click', () => draw(period));
+    toggle.appendChild(btn);
+  }
+
+  wrap.append(el('h3', 'stats__subheading', t.chart_accuracy_time), toggle, chartSlot);
+  draw('day');
+  return wrap;
+}
+
+function renderMasteryTrend(answers) {
+  const wrap = el('div', 'stats__chart');
+  wrap.appendChild(el('h3', 'stats__subheading', t.chart_words_learned));
+  const labels = levelLabels();
+  const points = masteryOverTime(answers).map((p) => ({
+    label: fmtDate(p.date),
+    values: p,
+    title: `${fmtDate(p.date)}: ${LEARNED_LEVELS.map((level) => `${labels[level]} ${p[level]}`).join(', ')}`,
+  }));
+  if (points.length === 0) return wrap;
+
+  wrap.appendChild(stackedAreaChart(points, LEARNED_LEVELS, { ariaLabel: t.chart_words_learned }));
+  const legend = el('div', 'stats__legend');
+  for (const level of LEARNED_LEVELS) {
+    legend.appendChild(el('span', `stats__legend-item stats__legend-item--${level}`, labels[level]));
+  }
+  wrap.appendChild(legend);
+  return wrap;
+}
+
+function renderModeAccuracy(answers) {
+  const wrap = el('div', 'stats__chart');
+  wrap.appendChild(el('h3', 'stats__subheading', t.chart_mode_accuracy));
+  const points = accuracyByMode(answers).map((p) => {
+    const label = t[`mode_${p.key}`] ?? p.key;
+    return { label, value: p.accuracy, title: pointTitle(label, p) };
+  });
+  if (points.length > 0) wrap.appendChild(barChart(points, { ariaLabel: t.chart_mode_accuracy }));
+  return wrap;
+}
+
+function renderForgettingCurve(answers) {
+  const wrap = el('div', 'stats__chart');
+  wrap.appendChild(el('h3', 'stats__subheading', t.chart_forgetting));
+  // Empty buckets are skipped rather than drawn as 0 %
+  const points = forgettingCurve(answers).filter((p) => p.total > 0).map((p) => ({
+    label: p.label,
+    value: p.accuracy,
+    title: pointTitle(`${p.label} ${t.days}`, p),
+  }));
+  if (points.length === 0) return wrap;
+
+  wrap.appendChild(lineChart(points, { ariaLabel: t.chart_forgetting, labelAll: true }));
+  wrap.appendChild(el('p', 'stats__label', t.forgetting_axis));
+  return wrap;
+}
+
+/**
+ * Charts over the answer log. The log is read asynchronously, so the section
+ * shows a placeholder until it arrives.
+ * @param {Promise<Array>} answersPromise - from queryAnswers()
+ */
+function renderTrends(answersPromise) {
+  const section = el('section', 'stats__section stats__trends');
+  section.appendChild(el('h2', 'stats__heading', t.trends_title));
+  const body = el('div', 'stats__charts');
+  body.appendChild(el('p', 'stats__empty', t.loading));
+  section.appendChild(body);
+
+  answersPromise
+    .then((answers) => {
+      if (!answers.some((a) => a.counted !== false)) {
+        body.replaceChildren(el('p', 'stats__empty', t.trends_empty));
+        return;
+      }
+      body.replaceChildren(
+        renderAccuracyTrend(answers),
+        renderMasteryTrend(answers),
+        renderModeAccuracy(answers),
+        renderForgettingCurve(answers),
+      );
+    })
+    .catch((err) => {
+      console.error('Failed to load the answer log:', err);
+      body.replaceChildren(el('p', 'stats__empty', t.error_loading));
+    });
+
+  return section;
+}
+
+/**
+ * Year of daily answers as a GitHub-style grid: one column per week,
+ * Monday at the top, shaded by answers relative to the busiest day.
+ */
+function renderHeatmap(daily, today) {
+  const grid = el('div', 'stats__heatmap');
+  grid.setAttribute('role', 'img');
+  grid.setAttribute('aria-label', t.activity_title);
+
+  for (const week of buildHeatmap(daily, today)) {
+    for (const day of week) {
+      const cell = el('span', `stats__heatmap-cell stats__heatmap-cell--l${day.level}`);
+      if (day.future) {
+        cell.classList.add('stats__heatmap-cell--future');
+      } else {
+        cell.dataset.date = day.date;
+        const minutes = Math.round(day.seconds / 60);
+        cell.title = day.frozen && day.answers === 0
+          ? `${fmtDate(day.date)}: ${t.heatmap_frozen}`
+          : fmt('heatmap_day', { date: fmtDate(day.date), answers: day.answers, minutes });
+      }
+      if (day.frozen) cell.classList.add('stats__heatmap-cell--frozen');
+      grid.appendChild(cell);
+    }
+  }
+
+  const wrap = el('div', 'stats__heatmap-wrap');
+  wrap.appendChild(grid);
+
+  const legend = el('div', 'stats__heatmap-legend');
+  legend.appendChild(el('span', null, t.heatmap_less));
+  for (let level = 0; level <= 4; level++) {
+    legend.appendChild(el('span', `stats__heatmap-cell stats__heatmap-cell--l${level}`));
+  }
+  legend.appendChild(el('span', null, t.heatmap_more));
+  legend.appendChild(el('span', 'stats__heatmap-cell stats__heatmap-cell--frozen'));
+  legend.appendChild(el('span', null, t.heatmap_frozen));
+
+  const fragment = document.createDocumentFragment();
+  fragment.append(wrap, legend);
+  return fragment;
+}
+
+function renderStreak(progress) {
   const section = el('section', 'stats__section');
   section.appendChild(el('h2', 'stats__heading', t.streak));
 
+  const today = todayISO();
+  const allowance = getSettings().streakFreezes;
+
   const streakEl = el('p', 'stats__streak');
   const flame = el('span', 'stats__streak-icon', '🔥');
   streakEl.appendChild(flame);
-  streakEl.appendChild(document.createTextNode(` ${streakDays} ${t.days}`));
+  streakEl.appendChild(document.createTextNode(` ${currentStreak(progress, today, allowance)} ${t.days}`));
   section.appendChild(streakEl);
 
-  if (lastSessionDate) {
-    section.appendChild(el('p', 'stats__label', `${t.last_session}: ${fmtDate(lastSessionDate)}`));
+  section.appendChild(el('p', 'stats__label', `${t.longest_streak}: ${progress.longestStreak ?? 0} ${t.days}`));
+  section.appendChild(el('p', 'stats__label', fmt('freezes_left', {
+    count: freezesLeft(progress, today, allowance),
+    total: allowance,
+  })));
+
+  if (progress.lastSessionDate) {
+    section.appendChild(el('p', 'stats__label', `${t.last_session}: ${fmtDate(progress.lastSessionDate)}`));
+  }
+
+  section.appendChild(el('h3', 'stats__subheading', t.activity_title));
+  section.appendChild(renderHeatmap(progress.daily ?? {}, today));
+
+  return section;
+}
+
+function breakdownLabel(row, dimension) {
+  return dimension === 'difficulty' ? `${t.difficulty_label} ${row.key}` : row.key;
+}
+
+/** Stacked mastery bar for one breakdown row (same segments as the overall bar). */
+function renderMiniMasteryBar(levels, words) {
+  const bar = el('div', 'mastery-bar stats__breakdown-bar');
+  const labels = levelLabels();
+  bar.title = Object.entries(levels).map(([level, count]) => `${labels[level]}: ${count}`).join(', ');
+  for (const level of ['new', 'learning', 'known', 'mastered']) {
+    const seg = el('div', `mastery-bar__segment mastery-bar__segment--${level}`);
+    seg.style.width = `${pct(levels[level], words)}%`;
+    bar.appendChild(seg);
+  }
+  return bar;
+}
+
+/**
+ * Mastery and accuracy per category, tag or difficulty. Clicking a row
+ * (or Enter on it) practises that slice.
+ *
+ * @param {Object} words - recognition progress records
+ * @param {Array} entries - merged vocabulary; empty until it has loaded
+ * @param {function(Object, string): void} onPractice - called with the row's filter and label
+ */
+function renderBreakdown(words, entries, onPractice) {
+  const section = el('section', 'stats__section stats__breakdown');
+  section.appendChild(el('h2', 'stats__heading', t.breakdown_title));
+
+  if (entries.length === 0) {
+    section.appendChild(el('p', 'stats__empty', t.loading));
+    return section;
+  }
+
+  const toggle = el('div', 'toggle toggle--sm');
+  const tableSlot = el('div');
+
+  const draw = (dimension) => {
+    for (const btn of toggle.children) {
+      btn.classList.toggle('toggle__option--active', btn.dataset.dimension === dimension);
+    }
+
+    const rows = breakdownBy(entries, words, dimension);
+    if (rows.length === 0) {
+      tableSlot.replaceChildren(el('p', 'stats__empty', t.breakdown_empty));
+      return;
+    }
+
+    const table = el('table', 'stats__table');
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    const dimensionLabel = toggle.querySelector(`[data-dimension="${dimension}"]`).textContent;
+    for (const col of [dimensionLabel, t.col_words, t.col_mastery, t.accuracy]) {
+      const th = el('th', 'stats__th', col);
+      th.setAttribute('scope', 'col');
+      headerRow.appendChild(th);
+    }
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    for (const row of rows) {
+      const label = breakdownLabel(row, dimension);
+      const tr = el('tr', 'stats__breakdown-row');
+      tr.dataset.key = row.key;
+      tr.tabIndex = 0;
+      tr.title = t.practice_slice;
+      tr.appendChild(el('td', 'stats__td', label));
+      tr.appendChild(el('td', 'stats__td', String(row.words)));
+      const barCell = el('td', 'stats__td');
+      barCell.appendChild(renderMiniMasteryBar(row.levels, row.words));
+      tr.appendChild(barCell);
+      tr.appendChild(el('td', 'stats__td', row.total > 0 ? `${row.accuracy}%` : '—'));
+
+      tr.addEventListener('click', () => onPractice(row.filter, label));
+      tr.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        onPractice(row.filter, label);
+      });
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    tableSlot.replaceChildren(table);
+  };
+
+  const dimensions = [['category', t.categories_label], ['tag', t.tags_filter_label], ['difficulty', t.difficulty_label]];
+  for (const [dimension, label] of dimensions) {
+    const btn = el('button', 'toggle__option', label);
+    btn.type = 'button';
+    btn.dataset.dimension = dimension;
+    btn.addEventListener('click', () => draw(dimension));
+    toggle.appendChild(btn);
   }
 
+  section.append(toggle, tableSlot);
+  draw('category');
   return section;
 }
 
-function renderWeakWords(words, onPractice) {
+/** Translation shown next to a term: the game's hint language (the sister language, Russian as fallback). */
+function hintTranslation(entry) {
+  if (!entry) return null;
+  const hintLang = entry.source_language === 'en' ? 'sr' : 'en';
+  return entry.translations?.[hintLang] || entry.translations?.ru || null;
+}
+
+/**
+ * One weak word: term, hint-language translation, mastery, last seen,
+ * and an expander with examples. Unknown ids (e.g. deleted user words)
+ * fall back to showing the id.
+ */
+function renderWeakWordItem(id, w, entry) {
+  const item = el('li', 'word-list__item word-list__item--stacked');
+  item.dataset.id = id;
+
+  const row = el('div', 'word-list__row');
+  const termWrap = el('span', 'word-list__term-wrap');
+  termWrap.appendChild(wordLink(id, entry ? entry.term : id));
+
+  const trans = hintTranslation(entry);
+  if (trans) termWrap.appendChild(el('span', 'word-list__translation', ` — ${trans}`));
+  row.appendChild(termWrap);
+  row.appendChild(el('span', 'badge', `${pct(w.correct, w.total)}%`));
+  item.appendChild(row);
+
+  const level = w.masteryLevel ?? 'new';
+  item.appendChild(el('span', 'word-list__meta',
+    `${levelLabels()[level]} · ${t.last_seen}: ${fmtDate(w.lastSeen)}`));
+
+  if (entry) {
+    const examples = entry.examples?.[entry.source_language] ?? [];
+    const details = el('details', 'word-list__examples');
+    details.appendChild(el('summary', 'word-list__examples-toggle', t.show_examples));
+    if (examples.length > 0) {
+      const list = el('ul', 'word-list__examples-list');
+      for (const example of examples) list.appendChild(el('li', null, example));
+      details.appendChild(list);
+    } else {
+      details.appendChild(el('p', 'stats__empty', t.no_examples));
+    }
+    item.appendChild(details);
+  }
+
+  return item;
+}
+
+function renderWeakWords(words, entriesById, onPractice) {
   const section = el('section', 'stats__section');
   section.appendChild(el('h2', 'stats__heading', t.words_to_review_heading));
 
@@ -145,12 +494,7 @@ function renderWeakWords(words, onPractice) {
 
   const list = el('ul', 'word-list');
   for (const [id, w] of weak) {
-    const item = el('li', 'word-list__item');
-    const term = el('span', 'word-list__term', id);
-    const acc  = el('span', 'badge', `${pct(w.correct, w.total)}%`);
-    item.appendChild(term);
-    item.appendChild(acc);
-    list.appendChild(item);
+    list.appendChild(renderWeakWordItem(id, w, entriesById.get(id)));
   }
   section.appendChild(list);
 
@@ -162,6 +506,94 @@ function renderWeakWords(words, onPractice) {
   return section;
 }
 
+/** Pairs listed under "Commonly confused"; the drill covers the same pairs. */
+const CONFUSION_LIMIT = 10;
+
+function renderConfusionItem(pair, entriesById) {
+  const item = el('li', 'word-list__item stats__confusion');
+  item.dataset.id = pair.wordId;
+  item.dataset.confusedWith = pair.confusedWith;
+
+  const describe = (id) => {
+    const entry = entriesById.get(id);
+    const trans = hintTranslation(entry);
+    return trans ? `${entry.term} (${trans})` : (entry?.term ?? id);
+  };
+  const text = el('span', 'word-list__term-wrap');
+  text.appendChild(wordLink(pair.wordId, describe(pair.wordId)));
+  text.appendChild(el('span', 'word-list__translation', ` → ${describe(pair.confusedWith)}`));
+  item.appendChild(text);
+  item.appendChild(el('span', 'badge', fmt('confusion_count', { count: pair.count })));
+  return item;
+}
+
+/**
+ * Word pairs the learner mixes up, from the answer log (read asynchronously,
+ * like the trend charts), with a button to drill them.
+ *
+ * @param {Promise<Array>} answersPromise - from queryAnswers()
+ * @param {Map<string, Object>} entriesById
+ * @param {function({ wordIds: string[], confusions: Object }): void} onDrill
+ */
+function renderConfusions(answersPromise, entriesById, onDrill) {
+  const section = el('section', 'stats__section stats__confusions');
+  section.appendChild(el('h2', 'stats__heading', t.confusions_title));
+  const body = el('div');
+  body.appendChild(el('p', 'stats__empty', t.loading));
+  section.appendChild(body);
+
+  answersPromise
+    .then((answers) => {
+      const pairs = confusionPairs(answers).slice(0, CONFUSION_LIMIT);
+      if (pairs.length === 0) {
+        body.replaceChildren(el('p', 'stats__empty', t.no_confusions));
+        return;
+      }
+
+      const list = el('ul', 'word-list');
+      for (const pair of pairs) list.appendChild(renderConfusionItem(pair, entriesById));
+
+      const btn = el('button', 'btn btn--primary btn--sm', t.drill_confusions);
+      btn.addEventListener('click', () => onDrill(buildConfusionDrill(pairs)));
+      body.replaceChildren(list, btn);
+    })
+    .catch(() => {
+      // renderTrends() reports the failure
+      body.replaceChildren(el('p', 'stats__empty', t.error_loading));
+    });
+
+  return section;
+}
+
+/** Letter errors listed under "Spelling slips". */
+const LETTER_ERROR_LIMIT = 10;
+
+/**
+ * Letters the learner misspells in Spelling mode, from the answer log.
+ * @param {Promise<Array>} answersPromise - from queryAnswers()
+ */
+function renderLetterStats(answersPromise) {
+  const section = el('section', 'stats__section stats__letters');
+  section.appendChild(el('h2', 'stats__heading', t.letters_title));
+  const body = el('div');
+  body.appendChild(el('p', 'stats__empty', t.loading));
+  section.appendChild(body);
+
+  answersPromise
+    .then((answers) => {
+      const pairs = letterErrorPairs(answers).slice(0, LETTER_ERROR_LIMIT);
+      body.replaceChildren(pairs.length > 0
+        ? renderLetterErrors(pairs)
+        : el('p', 'stats__empty', t.no_letter_errors));
+    })
+    .catch(() => {
+      // renderTrends() reports the failure
+      body.replaceChildren(el('p', 'stats__empty', t.error_loading));
+    });
+
+  return section;
+}
+
 function renderRecentSessions(sessions) {
   const section = el('section', 'stats__section');
   section.appendChild(el('h2', 'stats__heading', t.recent_sessions));
@@ -200,39 +632,135 @@ function renderRecentSessions(sessions) {
   return section;
 }
 
-function renderActions(container, onReset) {
+/**
+ * Preview of a backup import with a merge/replace toggle.
+ *
+ * @param {import('../backup.js').Backup} backup
+ * @param {function} onApply - called with the plan to apply
+ * @param {function} onCancel
+ * @returns {HTMLElement}
+ */
+function renderImportPanel(backup, onApply, onCancel) {
+  const panel = el('div', 'stats__import');
+  panel.appendChild(el('h3', 'stats__import-title', t.import_preview));
+  if (backup.createdAt) {
+    panel.appendChild(el('p', 'stats__import-meta', `${t.backup_created} ${fmtDate(backup.createdAt)}`));
+  }
+
+  const toggle = el('div', 'toggle toggle--sm');
+  const list = el('ul', 'stats__import-list');
+  let plan = null;
+
+  const renderPlan = (mode) => {
+    plan = planImport(backup, mode);
+    const { words, sessions, userWords, settings } = plan.preview;
+    list.replaceChildren(
+      el('li', null, fmt('import_words', words)),
+      el('li', null, fmt('import_sessions', sessions)),
+      el('li', null, fmt('import_user_words', userWords)),
+      el('li', null, settings.length > 0
+        ? `${t.import_settings_changed} ${settings.join(', ')}`
+        : t.import_settings_unchanged),
+    );
+    for (const btn of toggle.children) {
+      btn.classList.toggle('toggle__option--active', btn.dataset.mode === mode);
+    }
+  };
+
+  for (const [mode, label] of [['merge', t.import_merge], ['replace', t.import_replace]]) {
+    const btn = el('button', 'toggle__option', label);
+    btn.type = 'button';
+    btn.dataset.mode = mode;
+    btn.addEventListener('click', () => renderPlan(mode));
+    toggle.appendChild(btn);
+  }
+  panel.appendChild(toggle);
+  panel.appendChild(list);
+
+  const buttons = el('div', 'stats__actions');
+  const applyBtn = el('button', 'btn btn--success', t.import_apply);
+  applyBtn.type = 'button';
+  applyBtn.addEventListener('click', () => {
+    if (plan.mode === 'replace' && !window.confirm(t.import_replace_confirm)) return;
+    onApply(plan);
+  });
+  const cancelBtn = el('button', 'btn btn--outline', t.cancel);
+  cancelBtn.type = 'button';
+  cancelBtn.addEventListener('click', onCancel);
+  buttons.append(applyBtn, cancelBtn);
+  panel.appendChild(buttons);
+
+  renderPlan('merge');
+  return panel;
+}
+
+function renderActions(container, onChange) {
   const section = el('section', 'stats__section');
   section.appendChild(el('h2', 'stats__heading', t.actions));
 
   const row = el('div', 'stats__actions');
+  const importArea = el('div', 'stats__import-area');
 
-  // Export button
+  // Export button — full backup: progress, settings, user words
   const exportBtn = el('button', 'btn btn--outline', t.export_json);
   exportBtn.addEventListener('click', () => {
-    const json = exportProgress();
+    const json = exportBackup();
     const blob = new Blob([json], { type: 'application/json' });
     const url  = URL.createObjectURL(blob);
     const a    = document.createElement('a');
     a.href     = url;
-    a.download = `language-study-progress-${new Date().toISOString().slice(0, 10)}.json`;
+    a.download = `language-study-backup-${new Date().toISOString().slice(0, 10)}.json`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   });
 
+  // Import button — validate, preview, then merge or replace
+  const fileInput = el('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    let backup;
+    try {
+      backup = parseBackup(await file.text());
+    } catch (err) {
+      importArea.replaceChildren(el('p', 'stats__import-error', `${t.backup_invalid}: ${err.message}`));
+      return;
+    }
+
+    importArea.replaceChildren(renderImportPanel(backup, (plan) => {
+      const language = getSettings().uiLanguage;
+      applyImport(plan);
+      // UI strings are picked at load time — a new language needs a reload
+      if (getSettings().uiLanguage !== language) window.location.reload();
+      else onChange();
+    }, () => importArea.replaceChildren()));
+  });
+
+  const importBtn = el('button', 'btn btn--outline', t.import_backup);
+  importBtn.addEventListener('click', () => fileInput.click());
+
   // Reset button
   const resetBtn = el('button', 'btn btn--danger', t.reset_progress);
   resetBtn.addEventListener('click', () => {
     if (window.confirm(t.reset_confirm)) {
       resetProgress();
-      onReset();
+      onChange();
     }
   });
 
   row.appendChild(exportBtn);
+  row.appendChild(importBtn);
   row.appendChild(resetBtn);
   section.appendChild(row);
+  section.appendChild(fileInput);
+  section.appendChild(importArea);
 
   return section;
 }
@@ -248,6 +776,9 @@ export class StatsScreen {
   /** @type {HTMLElement|null} */
   #root = null;
 
+  /** @type {Map<string, Object>} wordId → vocabulary entry (built-in + user words) */
+  #entriesById = new Map();
+
   /**
    * Attach the screen to a container element. Must be called before show().
    *
@@ -257,6 +788,17 @@ export class StatsScreen {
     this.#container = container;
   }
 
+  /**
+   * Provide the merged vocabulary so word ids can be shown as terms.
+   * Re-renders if the screen is currently visible.
+   *
+   * @param {Array} entries
+   */
+  setEntries(entries) {
+    this.#entriesById = new Map(entries.map((e) => [e.id, e]));
+    if (this.#container?.classList.contains('screen--active')) this.show();
+  }
+
   /**
    * Render (or re-render) and display the stats screen.
    */
@@ -279,11 +821,14 @@ export class StatsScreen {
     root.appendChild(header);
 
     // Sections
-    root.appendChild(renderOverall(progress.words));
+    root.appendChild(renderOverall(progress.words, progress.production));
     root.appendChild(renderAccuracy(progress.words, progress.sessions));
-    root.appendChild(renderStreak(progress.streakDays, progress.lastSessionDate));
+    // One read of the answer log feeds the charts, the confusions and the letter errors
+    const answers = queryAnswers();
+    root.appendChild(renderTrends(answers));
+    root.appendChild(renderStreak(progress));
 
-    root.appendChild(renderWeakWords(progress.words, (wordIds) => {
+    root.appendChild(renderWeakWords(progress.words, this.#entriesById, (wordIds) => {
       // Emit a custom event so the host app can switch to practice mode.
       this.#container.dispatchEvent(new CustomEvent('stats:practice-weak', {
         bubbles: true,
@@ -291,10 +836,25 @@ export class StatsScreen {
       }));
     }));
 
+    root.appendChild(renderConfusions(answers, this.#entriesById, (drill) => {
+      this.#container.dispatchEvent(new CustomEvent('stats:drill-confusions', {
+        bubbles: true,
+        detail: drill,
+      }));
+    }));
+    root.appendChild(renderLetterStats(answers));
+
+    root.appendChild(renderBreakdown(progress.words, [...this.#entriesById.values()], (filter, label) => {
+      this.#container.dispatchEvent(new CustomEvent('stats:practice-slice', {
+        bubbles: true,
+        detail: { filter, label },
+      }));
+    }));
+
     root.appendChild(renderRecentSessions(progress.sessions));
 
     root.appendChild(renderActions(root, () => {
-      // After reset, re-render with fresh (empty) data.
+      // After reset or import, re-render with the new data.
       this.show();
     }));
 
@@ -0,0 +1,312 @@
+// word-detail.js — WordDetailScreen UI component (#word/<id>)
+// One vocabulary entry in full — translations, examples, explanation, labels —
+// with the learner's progress, SM-2 schedule and answer history, and actions
+// to suspend, bury, mark as known, or edit (user words).
+// Vanilla ES module. All DOM created programmatically. BEM class names from components.css.
+
+import {
+  loadProgress, skillRecords, queryAnswers, setWordSuspended, buryWord, markWordKnown,
+} from '../progress.js';
+import { todayISO } from '../scheduler.js';
+import { isAudioUrl, pronunciationOf } from '../audio.js';
+import { isUserEntry } from '../session-config.js';
+import { t, fmt, fmtDate, langLabel } from '../i18n.js';
+
+/** Answers listed in the history, newest first. */
+const HISTORY_LIMIT = 50;
+
+const LANGS = ['en', 'sr', 'ru'];
+const SKILLS = ['recognition', 'production'];
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function el(tag, cls, text) {
+  const node = document.createElement(tag);
+  if (cls) node.className = cls;
+  if (text !== null && text !== undefined) node.textContent = text;
+  return node;
+}
+
+function section(title) {
+  const node = el('section', 'stats__section word-detail__section');
+  node.appendChild(el('h2', 'stats__heading', title));
+  return node;
+}
+
+/** Label/value rows of a <dl>; rows without a value are left out. */
+function definitionList(rows) {
+  const list = el('dl', 'word-detail__facts');
+  for (const [label, value] of rows) {
+    if (value === null || value === undefined || value === '') continue;
+    list.append(el('dt', 'word-detail__label', label), el('dd', 'word-detail__value', String(value)));
+  }
+  return list;
+}
+
+function modeLabel(mode) {
+  return t[`mode_${mode}`] ?? mode ?? '—';
+}
+
+// ---------------------------------------------------------------------------
+// Section renderers (each returns a DOM element)
+// ---------------------------------------------------------------------------
+
+function renderEntry(entry) {
+  const node = section(t.word_translations);
+
+  const translations = el('dl', 'word-detail__facts');
+  for (const lang of LANGS) {
+    const value = lang === entry.source_language ? entry.term : entry.translations?.[lang];
+    translations.append(el('dt', 'word-detail__label', langLabel(lang)), el('dd', 'word-detail__value', value || '—'));
+  }
+  node.appendChild(translations);
+
+  const examples = LANGS.filter((lang) => entry.examples?.[lang]?.length > 0);
+  if (examples.length > 0) {
+    node.appendChild(el('h3', 'word-detail__subheading', t.word_examples));
+    for (const lang of examples) {
+      const list = el('ul', 'word-list__examples-list');
+      list.setAttribute('lang', lang);
+      for (const example of entry.examples[lang]) list.appendChild(el('li', null, example));
+      node.append(el('p', 'word-detail__label', langLabel(lang)), list);
+    }
+  }
+
+  if (entry.explanation) {
+    node.appendChild(el('h3', 'word-detail__subheading', t.word_explanation));
+    node.appendChild(el('p', 'word-detail__explanation', entry.explanation));
+  }
+
+  node.appendChild(definitionList([
+    [t.word_category, entry.category],
+    [t.word_tags, (entry.tags ?? []).join(', ')],
+    [t.difficulty_label, entry.difficulty],
+  ]));
+  return node;
+}
+
+/** Mastery, accuracy and schedule for one skill's record. */
+function renderSkill(skill, record) {
+  const block = el('div', 'word-detail__skill');
+  block.appendChild(el('h3', 'word-detail__subheading', t[`skill_${skill}`]));
+
+  if (!record?.total && !record?.schedule) {
+    block.appendChild(el('p', 'stats__empty', t.word_not_scheduled));
+    return block;
+  }
+
+  const level = record.masteryLevel ?? 'new';
+  const schedule = record.schedule;
+  block.appendChild(definitionList([
+    [t.accuracy, record.total ? `${Math.round((record.correct / record.total) * 100)}% (${record.correct}/${record.total})` : null],
+    [t.col_mastery, t[`level_${level}`]],
+    [t.last_seen, record.lastSeen ? fmtDate(record.lastSeen) : null],
+    [t.word_next_review, schedule ? fmtDate(schedule.due) : null],
+    [t.word_interval, schedule ? fmt('word_interval_days', { days: schedule.interval }) : null],
+    [t.word_ease, schedule ? schedule.ease.toFixed(2) : null],
+    [t.word_reps, schedule?.reps],
+    [t.word_lapses, schedule?.lapses],
+  ]));
+  return block;
+}
+
+function renderProgress(records) {
+  const node = section(t.word_progress);
+  for (const skill of SKILLS) node.appendChild(renderSkill(skill, records[skill]));
+  return node;
+}
+
+/**
+ * The word's answers from the log, newest first (read asynchronously, like
+ * the stats trend charts).
+ *
+ * @param {string} wordId
+ * @param {Map<string, Object>} entriesById - to name a confused-with word
+ */
+function renderHistory(wordId, entriesById) {
+  const node = section(t.word_history);
+  const body = el('div');
+  body.appendChild(el('p', 'stats__empty', t.loading));
+  node.appendChild(body);
+
+  queryAnswers({ wordId })
+    .then((answers) => {
+      if (answers.length === 0) {
+        body.replaceChildren(el('p', 'stats__empty', t.word_no_history));
+        return;
+      }
+
+      const table = el('table', 'stats__table word-detail__history');
+      const headRow = el('tr');
+      for (const col of [t.col_date, t.word_col_mode, t.word_col_answer]) headRow.appendChild(el('th', null, col));
+      table.appendChild(el('thead')).appendChild(headRow);
+
+      const tbody = el('tbody');
+      for (const answer of answers.slice(-HISTORY_LIMIT).reverse()) {
+        const row = el('tr', `word-detail__attempt word-detail__attempt--${answer.correct ? 'correct' : 'wrong'}`);
+        const confused = answer.confusedWith ? entriesById.get(answer.confusedWith)?.term ?? answer.confusedWith : null;
+        const given = confused ?? answer.given ?? '';
+        row.appendChild(el('td', null, fmtDate(answer.date)));
+        row.appendChild(el('td', null, modeLabel(answer.mode)));
+        row.appendChild(el('td', null, `${answer.correct ? '✓' : '✗'} ${given}`.trim()));
+        tbody.appendChild(row);
+      }
+      table.appendChild(tbody);
+      body.replaceChildren(table);
+    })
+    .catch((err) => {
+      console.error('Failed to load answer history:', err);
+      body.replaceChildren(el('p', 'stats__empty', t.error_loading));
+    });
+
+  return node;
+}
+
+/**
+ * Hold status and action buttons. Suspend/bury/known apply to both skills,
+ * so the recognition record tells the current state.
+ */
+function renderActions(entry, wordId, record, { onChange, onEdit }) {
+  const node = el('section', 'stats__section word-detail__actions');
+  const today = todayISO();
+
+  if (record?.suspended) node.appendChild(el('p', 'word-detail__status', t.word_suspended));
+  const buried = Boolean(record?.buriedUntil) && record.buriedUntil > today;
+  if (buried) node.appendChild(el('p', 'word-detail__status', fmt('word_buried', { date: fmtDate(record.buriedUntil) })));
+
+  const row = el('div', 'word-detail__buttons');
+  const button = (label, action) => {
+    const btn = el('button', 'btn btn--outline btn--sm', label);
+    btn.type = 'button';
+    btn.dataset.action = action;
+    row.appendChild(btn);
+    return btn;
+  };
+
+  button(record?.suspended ? t.word_unsuspend : t.word_suspend, 'suspend')
+    .addEventListener('click', () => { setWordSuspended(wordId, !record?.suspended); onChange(); });
+  button(buried ? t.word_unbury : t.word_bury, 'bury')
+    .addEventListener('click', () => {
+      if (buried) buryWord(wordId, null);
+      else buryWord(wordId);
+      onChange();
+    });
+
+  const level = record?.masteryLevel;
+  if (level !== 'known' && level !== 'mastered') {
+    button(t.word_mark_known, 'known').addEventListener('click', () => { markWordKnown(wordId); onChange(); });
+  }
+  if (isUserEntry(entry)) {
+    button(t.edit_btn, 'edit').addEventListener('click', () => onEdit(entry));
+  }
+
+  node.appendChild(row);
+  return node;
+}
+
+// ---------------------------------------------------------------------------
+// WordDetailScreen class
+// ---------------------------------------------------------------------------
+
+export class WordDetailScreen {
+  /** @type {HTMLElement|null} */
+  #container = null;
+
+  /** @type {HTMLElement|null} */
+  #root = null;
+
+  /** @type {function(Object): void} */
+  #onEdit = () => {};
+
+  /** @type {Map<string, Object>} wordId → vocabulary entry (built-in + user words) */
+  #entriesById = new Map();
+
+  /**
+   * Attach the screen to a container element. Must be called before show().
+   *
+   * @param {HTMLElement} container
+   * @param {{ onEdit?: function(Object): void }} [callbacks] - onEdit receives a user word
+   */
+  init(container, { onEdit } = {}) {
+    this.#container = container;
+    if (onEdit) this.#onEdit = onEdit;
+  }
+
+  /**
+   * Provide the merged vocabulary the word is looked up in.
+   *
+   * @param {Array} entries
+   */
+  setEntries(entries) {
+    this.#entriesById = new Map(entries.map((e) => [e.id, e]));
+  }
+
+  /**
+   * Render (or re-render) the page for one word and display it.
+   *
+   * @param {string} wordId
+   */
+  show(wordId) {
+    if (!this.#container) throw new Error('WordDetailScreen: call init(container) before show()');
+
+    this.#container.classList.add('screen--active');
+    this.#root?.remove();
+
+    const entry = this.#entriesById.get(wordId);
+    const root = el('div', 'stats word-detail');
+    root.dataset.id = wordId;
+    this.#root = root;
+
+    const header = el('header', 'header');
+    const back = el('button', 'quiz__back-btn word-detail__back', `← ${t.word_back}`);
+    back.type = 'button';
+    back.addEventListener('click', () => window.history.back());
+    const title = el('h1', 'header__title word-detail__term', entry?.term ?? wordId);
+    header.append(back, title);
+    root.appendChild(header);
+
+    if (!entry) {
+      root.appendChild(el('p', 'stats__empty', t.word_not_found));
+      this.#container.appendChild(root);
+      return;
+    }
+
+    const pronunciation = pronunciationOf(entry);
+    if (pronunciation && !isAudioUrl(pronunciation)) {
+      root.appendChild(el('p', 'word-detail__pronunciation', pronunciation));
+    }
+
+    const progress = loadProgress();
+    const records = Object.fromEntries(SKILLS.map((skill) => [skill, skillRecords(progress, skill)[wordId]]));
+
+    root.appendChild(renderActions(entry, wordId, records.recognition, {
+      onChange: () => this.show(wordId),
+      onEdit: this.#onEdit,
+    }));
+    root.appendChild(renderEntry(entry));
+    root.appendChild(renderProgress(records));
+    root.appendChild(renderHistory(wordId, this.#entriesById));
+
+    this.#container.appendChild(root);
+  }
+
+  /**
+   * Hide the screen without destroying it.
+   */
+  hide() {
+    if (this.#container) {
+      this.#container.classList.remove('screen--active');
+    }
+  }
+
+  /**
+   * Remove the DOM and release references.
+   */
+  destroy() {
+    this.#root?.remove();
+    this.#root = null;
+    this.#container = null;
+  }
+}
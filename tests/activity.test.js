@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  dayDiff, dailyFromSessions, addActivity, advanceStreak, currentStreak, freezesLeft, buildHeatmap,
+  goalProgress,
+} from '../src/js/activity.js';
+import { addDays } from '../src/js/scheduler.js';
+
+describe('activity — daily', () => {
+  it('does date arithmetic on ISO dates', () => {
+    expect(dayDiff('2026-02-27', '2026-03-01')).toBe(2);
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+  });
+
+  it('rebuilds activity from sessions and accumulates new activity', () => {
+    const daily = dailyFromSessions([
+      { date: '2026-03-01', total: 10, durationSeconds: 120 },
+      { date: '2026-03-01T18:00:00.000Z', total: 5, durationSeconds: 60 },
+      { date: '2026-03-02', total: 20, durationSeconds: 300 },
+    ]);
+    expect(daily['2026-03-01']).toEqual({ answers: 15, seconds: 180 });
+
+    addActivity(daily, '2026-03-02', { answers: 1 });
+    addActivity(daily, '2026-03-03', { seconds: 30 });
+    expect(daily['2026-03-02']).toEqual({ answers: 21, seconds: 300 });
+    expect(daily['2026-03-03']).toEqual({ answers: 0, seconds: 30 });
+  });
+});
+
+describe('activity — streaks', () => {
+  const base = { streakDays: 5, longestStreak: 7, lastSessionDate: '2026-03-10', streakFreezes: { month: null, used: 0 } };
+
+  it('continues on consecutive days and restarts after a gap', () => {
+    expect(advanceStreak(base, '2026-03-10', 0).streakDays).toBe(5);
+    expect(advanceStreak(base, '2026-03-11', 0)).toMatchObject({ streakDays: 6, longestStreak: 7, frozenDays: [] });
+    expect(advanceStreak(base, '2026-03-13', 0).streakDays).toBe(1);
+    expect(advanceStreak({ ...base, streakDays: 7 }, '2026-03-11', 0).longestStreak).toBe(8);
+    expect(advanceStreak({ streakDays: 0, lastSessionDate: null }, '2026-03-11', 1).streakDays).toBe(1);
+  });
+
+  it('spends freezes on missed days within the monthly allowance', () => {
+    const next = advanceStreak(base, '2026-03-13', 2);
+    expect(next.streakDays).toBe(6);
+    expect(next.frozenDays).toEqual(['2026-03-11', '2026-03-12']);
+    expect(next.streakFreezes).toEqual({ month: '2026-03', used: 2 });
+    expect(freezesLeft(next, '2026-03-20', 2)).toBe(0);
+    expect(freezesLeft(next, '2026-04-01', 2)).toBe(2);
+
+    // Allowance spent — the next gap breaks the streak
+    expect(advanceStreak(next, '2026-03-15', 2).streakDays).toBe(1);
+  });
+
+  it('shows a broken streak as zero', () => {
+    expect(currentStreak(base, '2026-03-11', 0)).toBe(5);
+    expect(currentStreak(base, '2026-03-12', 0)).toBe(0);
+    expect(currentStreak(base, '2026-03-12', 1)).toBe(5);
+  });
+});
+
+describe('activity — heatmap and goal', () => {
+  it('lays out weeks Monday to Sunday ending with today\'s week', () => {
+    const daily = { '2026-03-11': { answers: 40, seconds: 0 }, '2026-03-10': { answers: 10, seconds: 0, frozen: true } };
+    const grid = buildHeatmap(daily, '2026-03-11', 2); // a Wednesday
+
+    expect(grid).toHaveLength(2);
+    expect(grid[0][0].date).toBe('2026-03-02');
+    expect(grid[1][2]).toMatchObject({ date: '2026-03-11', answers: 40, level: 4, future: false });
+    expect(grid[1][1]).toMatchObject({ level: 1, frozen: true });
+    expect(grid[1][3].future).toBe(true);
+    expect(grid[0][0].level).toBe(0);
+  });
+
+  it('measures the daily goal in answers or minutes', () => {
+    const daily = { '2026-03-11': { answers: 15, seconds: 630 } };
+    expect(goalProgress(daily, '2026-03-11', { type: 'answers', target: 20 })).toMatchObject({ done: 15, ratio: 0.75, met: false });
+    expect(goalProgress(daily, '2026-03-11', { type: 'minutes', target: 10 })).toMatchObject({ done: 10, ratio: 1, met: true });
+    expect(goalProgress({}, '2026-03-12', { type: 'answers', target: 20 }).done).toBe(0);
+  });
+});
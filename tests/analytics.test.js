@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import {
+  weekStart, accuracyOverTime, accuracyByMode, masteryOverTime, forgettingCurve, breakdownBy,
+  confusionPairs, buildConfusionDrill, letterErrorPairs,
+} from '../src/js/analytics.js';
+
+const answer = (wordId, date, correct, extra = {}) => ({
+  wordId, date, correct, counted: true, mode: 'quiz', skill: 'recognition', ...extra,
+});
+
+describe('analytics', () => {
+  it('groups counted answers into daily and weekly accuracy', () => {
+    const log = [
+      answer('a', '2026-03-02', true),
+      answer('b', '2026-03-02', false),
+      answer('b', '2026-03-02', true, { counted: false }),
+      answer('a', '2026-03-04', true),
+      answer('a', '2026-03-09', false),
+    ];
+
+    expect(weekStart('2026-03-08')).toBe('2026-03-02');
+    expect(accuracyOverTime(log).map((p) => [p.key, p.total, p.accuracy])).toEqual([
+      ['2026-03-02', 2, 50],
+      ['2026-03-04', 1, 100],
+      ['2026-03-09', 1, 0],
+    ]);
+    expect(accuracyOverTime(log, 'week').map((p) => [p.key, p.correct, p.total])).toEqual([
+      ['2026-03-02', 2, 3],
+      ['2026-03-09', 0, 1],
+    ]);
+  });
+
+  it('computes accuracy per mode, most answered first', () => {
+    const log = [
+      answer('a', '2026-03-02', true, { mode: 'typing' }),
+      answer('b', '2026-03-02', true),
+      answer('c', '2026-03-02', false),
+      answer('d', '2026-03-02', true, { mode: undefined }),
+    ];
+    expect(accuracyByMode(log).map((p) => [p.key, p.accuracy])).toEqual([['quiz', 50], ['typing', 100]]);
+  });
+
+  it('replays the log into words per mastery level', () => {
+    const log = [
+      answer('a', '2026-03-01', true),
+      answer('b', '2026-03-01', false),
+      answer('b', '2026-03-02', true),
+      answer('b', '2026-03-02', true, { skill: 'production' }),
+      ...['03', '04', '05', '06'].map((d) => answer('a', `2026-03-${d}`, true)),
+    ];
+
+    const points = masteryOverTime(log);
+    expect(points[0]).toEqual({ date: '2026-03-01', learning: 1, known: 1, mastered: 0 });
+    expect(points[1]).toEqual({ date: '2026-03-02', learning: 1, known: 1, mastered: 0 });
+    expect(points.at(-1)).toEqual({ date: '2026-03-06', learning: 1, known: 0, mastered: 1 });
+    expect(masteryOverTime(log, 'production')).toEqual([{ date: '2026-03-02', learning: 0, known: 1, mastered: 0 }]);
+  });
+
+  it('buckets recall by days since the previous answer', () => {
+    const log = [
+      answer('a', '2026-03-01', true),
+      answer('a', '2026-03-01', true),   // same day — not a retention sample
+      answer('a', '2026-03-02', true),   // 1 day
+      answer('a', '2026-03-06', false),  // 4 days
+      answer('b', '2026-03-01', true),
+      answer('b', '2026-03-02', false),  // 1 day
+      answer('b', '2026-04-15', true),   // 44 days
+    ];
+
+    const curve = Object.fromEntries(forgettingCurve(log).map((p) => [p.label, [p.correct, p.total]]));
+    expect(curve).toEqual({
+      '1': [1, 2], '2': [0, 0], '3–6': [0, 1], '7–13': [0, 0], '14–29': [0, 0], '30+': [1, 1],
+    });
+  });
+
+  it('breaks progress down by category, tag and difficulty', () => {
+    const entries = [
+      { id: 'a', category: 'food', tags: ['noun'], difficulty: 1 },
+      { id: 'b', category: 'food', tags: ['verb'], difficulty: 2 },
+      { id: 'c', category: 'travel', tags: ['noun'] },
+    ];
+    const records = {
+      a: { total: 4, correct: 4, masteryLevel: 'known' },
+      b: { total: 2, correct: 0, masteryLevel: 'learning' },
+    };
+
+    const byCategory = breakdownBy(entries, records, 'category');
+    expect(byCategory.map((r) => [r.key, r.words, r.accuracy])).toEqual([['food', 2, 67], ['travel', 1, 0]]);
+    expect(byCategory[0].levels).toEqual({ new: 0, learning: 1, known: 1, mastered: 0 });
+    expect(byCategory[0].filter).toEqual({ categories: ['food'] });
+
+    expect(breakdownBy(entries, records, 'tag').map((r) => [r.key, r.words])).toEqual([['noun', 2], ['verb', 1]]);
+    // Entries without a difficulty count as 3, the same as session filters
+    expect(breakdownBy(entries, records, 'difficulty').map((r) => [r.key, r.words, r.filter.minDifficulty]))
+      .toEqual([['1', 1, 1], ['2', 1, 2], ['3', 1, 3]]);
+  });
+
+  it('counts confusion pairs and builds a symmetric drill', () => {
+    const log = [
+      answer('a', '2026-03-01', false, { confusedWith: 'b' }),
+      answer('a', '2026-03-01', false, { confusedWith: 'b', counted: false }),
+      answer('c', '2026-03-02', false, { confusedWith: 'a' }),
+      answer('a', '2026-03-02', false),
+      answer('a', '2026-03-03', true),
+    ];
+
+    const pairs = confusionPairs(log);
+    expect(pairs.map((p) => [p.wordId, p.confusedWith, p.count, p.lastDate])).toEqual([
+      ['a', 'b', 2, '2026-03-01'],
+      ['c', 'a', 1, '2026-03-02'],
+    ]);
+    expect(buildConfusionDrill(pairs)).toEqual({
+      wordIds: ['a', 'b', 'c'],
+      confusions: { a: ['b', 'c'], b: ['a'], c: ['a'] },
+    });
+  });
+
+  it('counts letter errors from every Spelling attempt', () => {
+    const spelling = (given, expected, correct, counted = true) =>
+      answer('k', '2026-03-01', correct, { mode: 'spelling', direction: 'sr-en', given, expected, counted });
+    const log = [
+      spelling('kuča', 'kuća', false),
+      spelling('kuca', 'kuća', true, false),
+      spelling('noč', 'noć', false),
+      spelling('kućaaa', 'kuća', false, false),
+      // Another word altogether, and other modes, say nothing about letters
+      spelling('prozor', 'kuća', false),
+      answer('k', '2026-03-01', false, { mode: 'typing', given: 'kuca', expected: 'kuća' }),
+    ];
+
+    expect(letterErrorPairs(log)).toEqual([
+      { expected: 'ć', given: 'č', count: 2 },
+      { expected: '', given: 'a', count: 2 },
+      { expected: 'ć', given: 'c', count: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock localStorage before importing settings (voice choices live there)
+const store = {};
+vi.stubGlobal('localStorage', {
+  getItem: vi.fn((key) => store[key] ?? null),
+  setItem: vi.fn((key, value) => { store[key] = value; }),
+  removeItem: vi.fn((key) => { delete store[key]; }),
+});
+
+const {
+  createSpeechProvider, setAudioProvider, isAudioAvailable, listVoices, speak, playParts, stopSpeaking,
+  isAudioUrl, pronunciationOf, SLOW_RATE,
+} = await import('../src/js/audio.js');
+const { updateSettings } = await import('../src/js/settings.js');
+const { wordParts } = await import('../src/js/ui/speaker.js');
+
+const VOICES = [
+  { id: 'en-gb', name: 'Daniel', lang: 'en-GB' },
+  { id: 'hr', name: 'Lana', lang: 'hr-HR' },
+  { id: 'sr', name: 'Milena', lang: 'sr-RS' },
+  { id: 'ru', name: 'Yuri', lang: 'ru-RU' },
+];
+
+function mockProvider(voices = VOICES) {
+  return {
+    isAvailable: () => true,
+    getVoices: async () => voices,
+    speak: vi.fn(async () => {}),
+    stop: vi.fn(),
+  };
+}
+
+/** Minimal speechSynthesis stand-in that finishes every utterance at once. */
+function fakeSynth({ error = null } = {}) {
+  return {
+    spoken: [],
+    getVoices: () => [{ voiceURI: 'v1', name: 'One', lang: 'sr-RS' }],
+    cancel: vi.fn(),
+    speak(utterance) {
+      this.spoken.push(utterance);
+      if (error) utterance.onerror({ error });
+      else utterance.onend();
+    },
+  };
+}
+
+class FakeUtterance {
+  constructor(text) { this.text = text; }
+}
+
+describe('audio', () => {
+  beforeEach(() => {
+    for (const k of Object.keys(store)) delete store[k];
+    setAudioProvider(null);
+  });
+
+  it('lists voices for a language, close languages after exact ones', async () => {
+    setAudioProvider(mockProvider());
+    expect((await listVoices('sr')).map((v) => v.id)).toEqual(['sr', 'hr']);
+    expect((await listVoices('en')).map((v) => v.id)).toEqual(['en-gb']);
+
+    setAudioProvider(mockProvider(VOICES.filter((v) => v.id !== 'sr')));
+    expect((await listVoices('sr')).map((v) => v.id)).toEqual(['hr']);
+  });
+
+  it('speaks with the chosen voice, else the best match, at normal or slow rate', async () => {
+    const provider = mockProvider();
+    setAudioProvider(provider);
+
+    expect(await speak('kuća', 'sr')).toBe(true);
+    expect(provider.speak).toHaveBeenLastCalledWith('kuća', { lang: 'sr-RS', rate: 1, voiceId: 'sr' });
+
+    updateSettings({ voices: { sr: 'hr' } });
+    await speak('kuća', 'sr', { slow: true });
+    expect(provider.speak).toHaveBeenLastCalledWith('kuća', { lang: 'sr-RS', rate: SLOW_RATE, voiceId: 'hr' });
+  });
+
+  it('returns false without speaking when audio is unavailable or the text is empty', async () => {
+    const provider = { ...mockProvider(), isAvailable: () => false };
+    setAudioProvider(provider);
+    expect(isAudioAvailable()).toBe(false);
+    expect(await speak('house', 'en')).toBe(false);
+
+    setAudioProvider(mockProvider());
+    expect(await speak('', 'en')).toBe(false);
+    expect(provider.speak).not.toHaveBeenCalled();
+  });
+
+  it('drives speechSynthesis through the Web Speech provider', async () => {
+    const synth = fakeSynth();
+    const provider = createSpeechProvider(synth, FakeUtterance);
+    expect(provider.isAvailable()).toBe(true);
+    expect(await provider.getVoices()).toEqual([{ id: 'v1', name: 'One', lang: 'sr-RS' }]);
+
+    await provider.speak('reka', { lang: 'sr-RS', rate: 0.6, voiceId: 'v1' });
+    expect(synth.cancel).toHaveBeenCalled();
+    expect(synth.spoken[0]).toMatchObject({ text: 'reka', lang: 'sr-RS', rate: 0.6, voice: { voiceURI: 'v1' } });
+
+    // Being interrupted by a newer utterance is not an error; other failures are
+    await expect(createSpeechProvider(fakeSynth({ error: 'interrupted' }), FakeUtterance)
+      .speak('a', { lang: 'en-US' })).resolves.toBeUndefined();
+    await expect(createSpeechProvider(fakeSynth({ error: 'synthesis-failed' }), FakeUtterance)
+      .speak('a', { lang: 'en-US' })).rejects.toThrow('synthesis-failed');
+    expect(createSpeechProvider(undefined, undefined).isAvailable()).toBe(false);
+  });
+
+  it('tells recordings from IPA', () => {
+    expect(isAudioUrl('https://example.com/house.mp3')).toBe(true);
+    expect(isAudioUrl('audio/kuca.ogg')).toBe(true);
+    expect(isAudioUrl('/rɪˈzɪliəns/')).toBe(false);
+    expect(isAudioUrl('ˈkuːt͡ɕa')).toBe(false);
+    expect(pronunciationOf({ source_language: 'en', pronunciation: { en: ' haʊs ' } })).toBe('haʊs');
+    expect(pronunciationOf({ source_language: 'sr', pronunciation: null })).toBeNull();
+  });
+
+  it('plays parts in order, falling back to speech when a recording fails', async () => {
+    const provider = {
+      ...mockProvider(),
+      playUrl: vi.fn(async (url) => { if (url.includes('broken')) throw new Error('404'); }),
+    };
+    setAudioProvider(provider);
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await playParts([
+      { text: 'house', lang: 'en', url: 'https://example.com/house.mp3' },
+      { text: 'kuća', lang: 'sr', url: 'https://example.com/broken.mp3' },
+    ], { slow: true })).toBe(true);
+    expect(provider.playUrl.mock.calls.map(([url, options]) => [url, options.rate]))
+      .toEqual([['https://example.com/house.mp3', SLOW_RATE], ['https://example.com/broken.mp3', SLOW_RATE]]);
+    expect(provider.speak).toHaveBeenCalledTimes(1);
+    expect(provider.speak).toHaveBeenCalledWith('kuća', expect.objectContaining({ lang: 'sr-RS' }));
+    warn.mockRestore();
+  });
+
+  it('ends a sequence when playback is stopped', async () => {
+    const provider = mockProvider();
+    provider.speak = vi.fn(async () => stopSpeaking());
+    setAudioProvider(provider);
+
+    await playParts([{ text: 'house', lang: 'en' }, { text: 'kuća', lang: 'sr' }]);
+    expect(provider.speak).toHaveBeenCalledTimes(1);
+    expect(provider.stop).toHaveBeenCalled();
+  });
+
+  it('orders a word prompt-first for each skill', () => {
+    const entry = {
+      term: 'house', source_language: 'en',
+      translations: { sr: 'kuća', ru: 'дом' },
+      pronunciation: { en: 'https://example.com/house.mp3' },
+    };
+    const engine = { skill: 'recognition', hintLang: 'sr', fallbackLang: 'ru' };
+
+    expect(wordParts(engine, entry)).toEqual([
+      { text: 'house', lang: 'en', url: 'https://example.com/house.mp3' },
+      { text: 'kuća', lang: 'sr' },
+    ]);
+    expect(wordParts({ ...engine, skill: 'production', hintLang: 'en' }, { ...entry, source_language: 'sr', term: 'kuća', pronunciation: null }))
+      .toEqual([{ text: 'дом', lang: 'ru' }, { text: 'kuća', lang: 'sr', url: null }]);
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock localStorage before importing the modules that read it
+const store = {};
+vi.stubGlobal('localStorage', {
+  getItem: vi.fn((key) => store[key] ?? null),
+  setItem: vi.fn((key, value) => { store[key] = value; }),
+  removeItem: vi.fn((key) => { delete store[key]; }),
+});
+
+const {
+  BACKUP_FORMAT, BACKUP_VERSION, createBackup, parseBackup, mergeWordRecord, mergeProgress, planImport, applyImport,
+} = await import('../src/js/backup.js');
+const { loadProgress, updateWordResult } = await import('../src/js/progress.js');
+const { getSettings, updateSettings } = await import('../src/js/settings.js');
+const { loadUserWords, saveUserWords } = await import('../src/js/ui/add-words.js');
+
+const record = (total, correct, lastSeen) => ({ total, correct, lastSeen, masteryLevel: 'learning' });
+const session = (date, score) => ({ date, score, total: 10, durationSeconds: 60 });
+
+describe('backup — parsing', () => {
+  it('rejects files that are not backups', () => {
+    expect(() => parseBackup('{oops')).toThrow('not a JSON file');
+    expect(() => parseBackup('[]')).toThrow('not a backup file');
+    expect(() => parseBackup(JSON.stringify({ format: 'other' }))).toThrow('not a backup file');
+    expect(() => parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1, progress: {} })))
+      .toThrow('unsupported backup version');
+    expect(() => parseBackup(JSON.stringify({
+      format: BACKUP_FORMAT, version: BACKUP_VERSION, progress: { words: { 'en-0001': { total: 'x' } } },
+    }))).toThrow('invalid record for en-0001');
+  });
+
+  it('accepts a bare progress export without settings or user words', () => {
+    const backup = parseBackup(JSON.stringify({ words: { 'en-0001': record(2, 1, '2026-01-01') }, sessions: [] }));
+    expect(backup.progress.words['en-0001'].total).toBe(2);
+    expect(backup.settings).toBeNull();
+    expect(backup.userWords).toEqual([]);
+  });
+});
+
+describe('backup — merging', () => {
+  it('keeps the record with more attempts and the later lastSeen', () => {
+    const merged = mergeWordRecord(record(5, 4, '2026-01-01'), record(3, 3, '2026-02-01'));
+    expect(merged.total).toBe(5);
+    expect(merged.correct).toBe(4);
+    expect(merged.lastSeen).toBe('2026-02-01');
+  });
+
+  it('keeps the later updatedAt over more attempts', () => {
+    const current = { ...record(5, 4, '2026-01-01'), updatedAt: '2026-01-01T10:00:00.000Z' };
+    const suspended = { ...record(5, 4, '2026-01-01'), suspended: true, updatedAt: '2026-01-02T10:00:00.000Z' };
+    expect(mergeWordRecord(current, suspended).suspended).toBe(true);
+
+    const older = { ...record(9, 9, '2026-01-01'), updatedAt: '2025-12-01T10:00:00.000Z' };
+    expect(mergeWordRecord(current, older).total).toBe(5);
+    expect(mergeWordRecord(record(5, 4, '2026-01-01'), suspended).suspended).toBe(true);
+  });
+
+  it('merges both skills and skips sessions already present', () => {
+    const merged = mergeProgress(
+      { words: { a: record(1, 1, '2026-01-01') }, sessions: [session('2026-01-01', 5)], streakDays: 2 },
+      {
+        words: { b: record(2, 1, '2026-01-02') },
+        production: { a: record(1, 0, '2026-01-03') },
+        sessions: [session('2026-01-01', 5), session('2026-01-02', 7)],
+        streakDays: 4,
+      },
+    );
+    expect(Object.keys(merged.words).sort()).toEqual(['a', 'b']);
+    expect(merged.production.a.total).toBe(1);
+    expect(merged.sessions.map((s) => s.score)).toEqual([5, 7]);
+    expect(merged.streakDays).toBe(4);
+  });
+});
+
+describe('backup — import', () => {
+  beforeEach(() => {
+    for (const k of Object.keys(store)) delete store[k];
+  });
+
+  it('previews merge and replace differently', () => {
+    const current = {
+      progress: { words: { a: record(4, 4, '2026-01-01'), c: record(1, 0, '2026-01-01') }, sessions: [session('2026-01-01', 5)] },
+      settings: { uiLanguage: 'en', newWordsPerDay: 20 },
+      userWords: [{ id: 'user-1' }],
+    };
+    const backup = {
+      progress: { words: { a: record(6, 5, '2026-01-05'), b: record(1, 1, '2026-01-05') }, sessions: [session('2026-01-05', 8)] },
+      settings: { uiLanguage: 'ru', newWordsPerDay: 20 },
+      userWords: [{ id: 'user-2' }],
+    };
+
+    const merge = planImport(backup, 'merge', current).preview;
+    expect(merge.words).toEqual({ added: 1, updated: 1, removed: 0 });
+    expect(merge.sessions).toEqual({ before: 1, after: 2 });
+    expect(merge.userWords).toEqual({ added: 1, removed: 0 });
+    expect(merge.settings).toEqual([]);
+
+    const replace = planImport(backup, 'replace', current).preview;
+    expect(replace.words).toEqual({ added: 1, updated: 1, removed: 1 });
+    expect(replace.sessions).toEqual({ before: 1, after: 1 });
+    expect(replace.userWords).toEqual({ added: 1, removed: 1 });
+    expect(replace.settings).toEqual(['uiLanguage']);
+  });
+
+  it('round-trips a backup through replace', () => {
+    updateWordResult('en-0001', true);
+    updateSettings({ newWordsPerDay: 30 });
+    saveUserWords([{ id: 'user-1', term: 'test' }]);
+    const text = JSON.stringify(createBackup());
+
+    for (const k of Object.keys(store)) delete store[k];
+    saveUserWords([]);
+    updateSettings({ newWordsPerDay: 5 });
+
+    applyImport(planImport(parseBackup(text), 'replace'));
+    expect(loadProgress().words['en-0001'].total).toBe(1);
+    expect(getSettings().newWordsPerDay).toBe(30);
+    expect(loadUserWords().map((w) => w.id)).toEqual(['user-1']);
+  });
+
+  it('keeps sync credentials and voices out of backups and through a replace import', () => {
+    updateSettings({ syncUrl: 'http://a:8787', syncToken: 'secret-a', voices: { en: 'a' }, newWordsPerDay: 30 });
+    const backup = createBackup();
+    expect(backup.settings).not.toHaveProperty('syncToken');
+    expect(backup.settings).not.toHaveProperty('syncUrl');
+    expect(backup.settings).not.toHaveProperty('voices');
+    expect(backup.settings.newWordsPerDay).toBe(30);
+
+    // An older file that still carries another device's credentials
+    const text = JSON.stringify({ ...backup, settings: { ...backup.settings, syncToken: 'secret-b' } });
+    updateSettings({ newWordsPerDay: 5 });
+    applyImport(planImport(parseBackup(text), 'replace'));
+    expect(getSettings()).toMatchObject({
+      syncUrl: 'http://a:8787', syncToken: 'secret-a', voices: { en: 'a' }, newWordsPerDay: 30,
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { findTerm, buildClozes } from '../src/js/cloze.js';
+
+describe('cloze', () => {
+  it('finds exact and inflected forms of a term', () => {
+    expect(findTerm('The doctor reassured me that all was fine.', 'reassure', 'en'))
+      .toEqual({ start: 11, end: 20, text: 'reassured' });
+    expect(findTerm('Vratio sam se kući kasno.', 'kuća', 'sr')?.text).toBe('kući');
+    expect(findTerm('Вратио сам се кући касно.', 'kuća', 'sr')?.text).toBe('кући');
+    expect(findTerm('She studies every night.', 'to study', 'en')?.text).toBe('studies');
+    expect(findTerm('They stopped caring about it.', 'stop', 'en')?.text).toBe('stopped');
+    expect(findTerm('They stopped caring about it.', 'care', 'en')?.text).toBe('caring');
+    expect(findTerm('Radim to svaki dan.', 'raditi', 'sr')?.text).toBe('Radim');
+    // Short words only match exactly
+    expect(findTerm('It was a good idea.', 'go', 'en')).toBeNull();
+  });
+
+  it('does not take other words sharing the start of the term for forms of it', () => {
+    expect(findTerm('I bought a carrot yesterday.', 'care', 'en')).toBeNull();
+    expect(findTerm('The student packed his stuff.', 'to study', 'en')).toBeNull();
+    expect(findTerm('Ovo je kutija za igračke.', 'kuća', 'sr')).toBeNull();
+  });
+
+  it('matches phrases, alternatives and the exact form first', () => {
+    expect(findTerm('The judges met in the chamber to talk.', 'a chamber', 'en')?.text).toBe('chamber');
+    expect(findTerm('I taught for ten years at the school.', 'teach / taught', 'en')?.text).toBe('taught');
+    expect(findTerm('He gives up on plans too quickly.', 'give up', 'en')?.text).toBe('gives up');
+    expect(findTerm('Working hard, they work and work.', 'work', 'en')?.start).toBe(19);
+    expect(findTerm('I’m super busy with work today.', "I'm super busy", 'en')?.text).toBe('I’m super busy');
+  });
+
+  it('leaves out examples without the term or with too little context', () => {
+    expect(findTerm('I stayed home as I was tired.', 'I stayed home as I was tired.', 'en')).toBeNull();
+    expect(findTerm('Absolutely!', 'absolutely', 'en')).toBeNull();
+
+    const entry = {
+      term: 'škola',
+      source_language: 'sr',
+      examples: {
+        sr: ['Deca idu u školu rano.', 'Nema veze sa temom.', 'Škola je blizu ovde.'],
+        en: ['The children go to school early.', 'Unrelated.', ''],
+        ru: ['Дети рано идут в школу.', 'Не по теме.', 'Школа здесь рядом.'],
+      },
+    };
+    expect(buildClozes(entry, { hintLang: 'en' })).toEqual([
+      {
+        sentence: 'Deca idu u školu rano.', before: 'Deca idu u ', answer: 'školu', after: ' rano.',
+        translation: 'The children go to school early.', translationLang: 'en',
+      },
+      {
+        sentence: 'Škola je blizu ovde.', before: '', answer: 'Škola', after: ' je blizu ovde.',
+        translation: 'Школа здесь рядом.', translationLang: 'ru',
+      },
+    ]);
+  });
+});
@@ -1,5 +1,14 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { GameEngine, levenshtein, fuzzyMatch, serbianCyrillicToLatin } from '../src/js/engine.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  GameEngine,
+  levenshtein,
+  fuzzyMatch,
+  serbianCyrillicToLatin,
+  foldSerbian,
+  splitAlternatives,
+  normalizeAlternative,
+  matchAnswer,
+} from '../src/js/engine.js';
 import * as settings from '../src/js/settings.js';
 
 function makeMockEntries(count = 10) {
@@ -136,6 +145,24 @@ describe('GameEngine', () => {
     expect(result.correct).toBe(true);
   });
 
+  it('checks against the term when asked for the word\'s own language', () => {
+    engine.startSession();
+    const word = engine.getCurrentWord();
+    word.translations.en = 'something else';
+    expect(engine.checkAnswer(word.term, 'en').correct).toBe(true);
+    expect(engine.checkAnswer('something else', 'en').correct).toBe(false);
+  });
+
+  it('checks against given expected text and plays only words passing the word filter', () => {
+    engine.setWordFilter((e) => e.difficulty === 1);
+    expect(engine.getPlayableEntries().map((e) => e.id)).toEqual(['en-0001', 'en-0006']);
+    engine.startSession();
+    expect(engine.session.words.every((e) => e.difficulty === 1)).toBe(true);
+
+    const result = engine.checkAnswer('words', 'en', { expected: 'words' });
+    expect(result).toMatchObject({ correct: true, expected: 'words' });
+  });
+
   it('checks wrong answer and re-queues word', () => {
     engine.startSession();
     const wordsBefore = engine.session.words.length;
@@ -197,6 +224,435 @@ describe('GameEngine', () => {
   });
 });
 
+describe('GameEngine — progress sink', () => {
+  let entries;
+  let results;
+  let engine;
+
+  beforeEach(() => {
+    entries = makeMockEntries(10);
+    results = [];
+    engine = new GameEngine({
+      entries,
+      direction: 'en-sr',
+      mode: 'typing',
+      progressSink: (r) => results.push(r),
+    });
+  });
+
+  it('records a correct answer with mode, direction, hints and latency', () => {
+    engine.startSession();
+    const word = engine.getCurrentWord();
+    engine.getHint();
+    engine.checkAnswer(word.translations.sr, 'sr');
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({
+      wordId: word.id,
+      correct: true,
+      hintsUsed: 1,
+      mode: 'typing',
+      direction: 'en-sr',
+    });
+    expect(results[0].responseMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('records only the first attempt per presented word', () => {
+    engine.startSession();
+    const word = engine.getCurrentWord();
+    engine.checkAnswer('wrong', 'sr');
+    engine.checkAnswer(word.translations.sr, 'sr');
+
+    expect(results).toHaveLength(1);
+    expect(results[0].correct).toBe(false);
+  });
+
+  it('records again when the next word is loaded', () => {
+    engine.startSession();
+    engine.checkAnswer('wrong', 'sr');
+    engine.nextWord();
+    const second = engine.getCurrentWord();
+    engine.checkAnswer(second.translations.sr, 'sr');
+
+    expect(results.map((r) => r.correct)).toEqual([false, true]);
+    expect(results[1].wordId).toBe(second.id);
+  });
+
+  it('includes hintsUsed and responseMs in answer events', () => {
+    let payload = null;
+    engine.on('answer:wrong', (data) => { payload = data; });
+    engine.startSession();
+    engine.checkAnswer('wrong', 'sr');
+    expect(payload.hintsUsed).toBe(0);
+    expect(typeof payload.responseMs).toBe('number');
+  });
+
+  it('recordResult reports directly and emits result:recorded', () => {
+    let emitted = null;
+    engine.on('result:recorded', (data) => { emitted = data; });
+    engine.recordResult(entries[3].id, false);
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ wordId: entries[3].id, correct: false, hintsUsed: 0, responseMs: null });
+    expect(emitted).toEqual(results[0]);
+  });
+
+  it('works without a sink', () => {
+    const plain = new GameEngine({ entries, direction: 'en-sr' });
+    plain.startSession();
+    expect(() => plain.checkAnswer('wrong', 'sr')).not.toThrow();
+  });
+
+  it('logs every attempt with given/expected answers and distance', () => {
+    const attempts = [];
+    const logged = new GameEngine({ entries, direction: 'en-sr', mode: 'typing', answerSink: (a) => attempts.push(a) });
+    logged.startSession();
+    const word = logged.getCurrentWord();
+    logged.checkAnswer(`${word.translations.sr}x`, 'sr');
+    logged.checkAnswer(word.translations.sr, 'sr');
+
+    expect(attempts).toHaveLength(2);
+    expect(attempts[0]).toMatchObject({
+      wordId: word.id,
+      correct: false,
+      given: `${word.translations.sr}x`,
+      expected: word.translations.sr,
+      distance: 1,
+      counted: true,
+      mode: 'typing',
+      direction: 'en-sr',
+    });
+    expect(attempts[1]).toMatchObject({ correct: true, distance: 0, counted: false });
+    expect(typeof attempts[1].timestamp).toBe('number');
+
+    logged.checkAnswer('', 'sr');
+    expect(attempts[2].distance).toBeNull();
+  });
+
+  it('judges multiple choice by the chosen word and logs confusions', () => {
+    const attempts = [];
+    const logged = new GameEngine({ entries, direction: 'en-sr', mode: 'quiz', answerSink: (a) => attempts.push(a) });
+    logged.startSession();
+    const word = logged.getCurrentWord();
+    const other = entries.find((e) => e.id !== word.id);
+
+    expect(logged.checkAnswer(other.translations.sr, 'sr', { chosenId: other.id }).correct).toBe(false);
+    expect(logged.checkAnswer(word.translations.sr, 'sr', { chosenId: word.id }).correct).toBe(true);
+    expect(attempts[0]).toMatchObject({ correct: false, given: other.translations.sr, confusedWith: other.id });
+    expect(attempts[1]).toMatchObject({ correct: true, confusedWith: null });
+  });
+
+  it('lists the session word ids in the summary', () => {
+    engine.startSession();
+    const ids = engine.session.words.map((w) => w.id);
+    expect(engine.endSession().wordIds).toEqual(ids);
+  });
+});
+
+describe('GameEngine — scheduled sessions', () => {
+  const today = new Date().toISOString().slice(0, 10);
+  let entries;
+  let wordProgress;
+
+  beforeEach(() => {
+    entries = makeMockEntries(10);
+    wordProgress = {
+      [entries[0].id]: { schedule: { due: '2000-01-01', firstSeen: '2000-01-01' } },
+      [entries[1].id]: { schedule: { due: today, firstSeen: '2000-01-01' } },
+      [entries[2].id]: { schedule: { due: '2999-01-01', firstSeen: '2000-01-01' } },
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('puts due reviews first in a regular session', () => {
+    const engine = new GameEngine({ entries, direction: 'en-sr', wordProgress });
+    engine.startSession();
+    const ids = engine.session.words.map((w) => w.id);
+    expect(ids.slice(0, 2)).toEqual([entries[0].id, entries[1].id]);
+    expect(ids).toHaveLength(10);
+  });
+
+  it('due session serves only due words plus the new-word quota', () => {
+    vi.spyOn(settings, 'getSettings').mockReturnValue({ reinsertEnabled: true, reinsertGap: 10, newWordsPerDay: 3 });
+    const engine = new GameEngine({ entries, direction: 'en-sr', wordProgress, session: { type: 'due' } });
+    engine.startSession();
+    const ids = engine.session.words.map((w) => w.id);
+    expect(ids).toHaveLength(5);
+    expect(ids.slice(0, 2)).toEqual([entries[0].id, entries[1].id]);
+    expect(ids).not.toContain(entries[2].id);
+  });
+
+  it('new-word quota shrinks by words already introduced today', () => {
+    vi.spyOn(settings, 'getSettings').mockReturnValue({ reinsertEnabled: true, reinsertGap: 10, newWordsPerDay: 3 });
+    wordProgress[entries[2].id].schedule.firstSeen = today;
+    const engine = new GameEngine({ entries, direction: 'en-sr', wordProgress, session: { type: 'due' } });
+    engine.startSession();
+    expect(engine.session.words).toHaveLength(4);
+  });
+
+  it('throws when nothing is due and the quota is used up', () => {
+    vi.spyOn(settings, 'getSettings').mockReturnValue({ reinsertEnabled: true, reinsertGap: 10, newWordsPerDay: 0 });
+    const engine = new GameEngine({
+      entries,
+      direction: 'en-sr',
+      wordProgress: { [entries[2].id]: wordProgress[entries[2].id] },
+      session: { type: 'due' },
+    });
+    expect(() => engine.startSession()).toThrow('No words due for review');
+  });
+
+  it('explicit filterIds play as a regular session', () => {
+    const engine = new GameEngine({ entries, direction: 'en-sr', wordProgress, session: { type: 'due' } });
+    engine.startSession([entries[2].id, entries[5].id]);
+    expect(new Set(engine.session.words.map((w) => w.id))).toEqual(new Set([entries[2].id, entries[5].id]));
+  });
+});
+
+describe('GameEngine — session setup', () => {
+  let entries;
+
+  beforeEach(() => {
+    entries = makeMockEntries(10);
+  });
+
+  it('limits the session to the configured length', () => {
+    const engine = new GameEngine({ entries, direction: 'en-sr', session: { length: 4 } });
+    engine.startSession();
+    expect(engine.session.words).toHaveLength(4);
+  });
+
+  it('applies the word filter before building the queue', () => {
+    const engine = new GameEngine({
+      entries,
+      direction: 'en-sr',
+      session: { filter: { minDifficulty: 4, maxDifficulty: 5 } },
+    });
+    engine.startSession();
+    expect(engine.session.words).toHaveLength(4);
+    expect(engine.session.words.every((w) => w.difficulty >= 4)).toBe(true);
+  });
+
+  it('throws when no word matches the filter', () => {
+    const engine = new GameEngine({ entries, direction: 'en-sr', session: { filter: { source: 'user' } } });
+    expect(() => engine.startSession()).toThrow('No words match the session filters');
+  });
+
+  it('explicit filterIds ignore the configured filter and length', () => {
+    const engine = new GameEngine({
+      entries,
+      direction: 'en-sr',
+      session: { length: 1, filter: { minDifficulty: 5, maxDifficulty: 5 } },
+    });
+    engine.startSession([entries[0].id, entries[1].id]);
+    expect(engine.session.words).toHaveLength(2);
+  });
+});
+
+describe('GameEngine — targeted sessions', () => {
+  let entries;
+
+  beforeEach(() => {
+    vi.spyOn(settings, 'getSettings').mockReturnValue({ reinsertEnabled: false, reinsertGap: 10, newWordsPerDay: 10 });
+    entries = makeMockEntries(10);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('plays exactly the configured word ids', () => {
+    const wordIds = [entries[3].id, entries[7].id];
+    const engine = new GameEngine({ entries, direction: 'en-sr', session: { wordIds, length: 1 } });
+    engine.startSession();
+    expect(new Set(engine.session.words.map((w) => w.id))).toEqual(new Set(wordIds));
+  });
+
+  it('includes the focus report in the session:ended summary', () => {
+    const wordIds = [entries[0].id, entries[1].id];
+    const wordProgress = {
+      [entries[0].id]: { correct: 1, total: 4 },
+      [entries[1].id]: { correct: 0, total: 2 },
+    };
+    const engine = new GameEngine({ entries, direction: 'en-sr', wordProgress, session: { wordIds } });
+    let summary = null;
+    engine.on('session:ended', (data) => { summary = data; });
+    engine.startSession();
+
+    while (engine.getCurrentWord()) {
+      const word = engine.getCurrentWord();
+      engine.checkAnswer(word.id === entries[0].id ? word.translations.sr : 'wrong');
+      engine.nextWord();
+    }
+
+    expect(summary.focus).toEqual({
+      words: 2,
+      answered: 2,
+      correct: 1,
+      accuracyBefore: 17,   // 1 / 6
+      accuracyAfter: 25,    // 2 / 8
+      improved: 1,
+    });
+  });
+
+  it('serves confusable words in a confusion drill', () => {
+    const confusions = { [entries[0].id]: [entries[1].id, 'missing-id'] };
+    const engine = new GameEngine({ entries, direction: 'en-sr', session: { wordIds: [entries[0].id], confusions } });
+    expect(engine.getConfusables(entries[0].id).map((e) => e.id)).toEqual([entries[1].id]);
+    expect(engine.getConfusables(entries[1].id)).toEqual([]);
+  });
+
+  it('has no focus report for regular or explicit-id sessions', () => {
+    const engine = new GameEngine({ entries, direction: 'en-sr', session: { wordIds: [entries[0].id] } });
+    engine.startSession([entries[1].id, entries[2].id]);
+    expect(engine.getFocusReport()).toBeNull();
+
+    const regular = new GameEngine({ entries, direction: 'en-sr' });
+    regular.startSession();
+    expect(regular.getFocusReport()).toBeNull();
+  });
+});
+
+describe('GameEngine — production skill', () => {
+  let entries;
+  let engine;
+
+  beforeEach(() => {
+    entries = makeMockEntries(3);
+    engine = new GameEngine({ entries, direction: 'en-sr', skill: 'production' });
+    engine.startSession();
+  });
+
+  it('prompts with the sister-language translation and expects the term', () => {
+    const word = engine.getCurrentWord();
+    expect(engine.getPromptLang()).toBe('sr');
+    expect(engine.getPrompt()).toBe(word.translations.sr);
+    expect(engine.getExpected()).toBe(word.term);
+    expect(engine.checkAnswer(word.term).correct).toBe(true);
+  });
+
+  it('falls back to a Russian prompt when the sister translation is missing', () => {
+    entries[0].translations.sr = null;
+    expect(engine.getPromptLang(entries[0])).toBe('ru');
+    expect(engine.getPrompt(entries[0])).toBe(entries[0].translations.ru);
+  });
+
+  it('only hints with the translation not already shown', () => {
+    const word = engine.getCurrentWord();
+    expect(engine.getHint()).toEqual({ level: 2, text: word.translations.ru, lang: 'ru' });
+    expect(engine.getHint()).toBeNull();
+  });
+
+  it('tags recorded results with the skill', () => {
+    const results = [];
+    engine.on('result:recorded', (r) => results.push(r));
+    engine.checkAnswer('nope');
+    expect(results[0].skill).toBe('production');
+  });
+
+  it('recognition stays the default', () => {
+    const recognition = new GameEngine({ entries, direction: 'en-sr' });
+    recognition.startSession();
+    const word = recognition.getCurrentWord();
+    expect(recognition.skill).toBe('recognition');
+    expect(recognition.getPrompt()).toBe(word.term);
+    expect(recognition.getExpected()).toBe(word.translations.sr);
+  });
+
+  it('accepts getExpected() for a user word with only a Russian translation (flashcards "Know it")', () => {
+    const userWord = { ...entries[0], id: 'user-1', translations: { ru: 'кот' } };
+    const recognition = new GameEngine({ entries: [userWord], direction: 'en-sr' });
+    recognition.startSession();
+    const results = [];
+    recognition.on('result:recorded', (r) => results.push(r));
+
+    expect(recognition.checkAnswer(recognition.getExpected(), recognition.hintLang).correct).toBe(true);
+    expect(results[0].correct).toBe(true);
+  });
+});
+
+describe('GameEngine — saved sessions', () => {
+  let entries;
+
+  beforeEach(() => {
+    entries = makeMockEntries(5);
+    vi.spyOn(settings, 'getSettings').mockReturnValue({ reinsertEnabled: true, reinsertGap: 2 });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function playTwo(engine) {
+    engine.startSession();
+    engine.getHint();
+    engine.checkAnswer('wrong');                                  // re-inserted 2 ahead
+    engine.nextWord();
+    engine.checkAnswer(engine.getCurrentWord().translations.sr);  // answered, not advanced
+  }
+
+  it('serializes words by id with score, streak, hints and wrong words', () => {
+    const engine = new GameEngine({ entries, direction: 'en-sr', mode: 'quiz' });
+    playTwo(engine);
+    const snapshot = JSON.parse(JSON.stringify(engine.serialize()));
+
+    expect(snapshot).toMatchObject({ direction: 'en-sr', mode: 'quiz', skill: 'recognition' });
+    expect(snapshot.session.wordIds).toHaveLength(6);
+    expect(snapshot.session).toMatchObject({ currentIndex: 1, streak: 1, totalAnswered: 2, resultRecorded: true });
+    expect(snapshot.session.hintsUsed).toEqual([[snapshot.session.wordIds[0], 1]]);
+    expect(snapshot.session.wrongWords).toEqual([snapshot.session.wordIds[0]]);
+  });
+
+  it('resumes on the next word when the saved one was already answered', () => {
+    const first = new GameEngine({ entries, direction: 'en-sr' });
+    playTwo(first);
+    const snapshot = JSON.parse(JSON.stringify(first.serialize()));
+
+    const engine = new GameEngine({ entries, direction: 'en-sr', resume: snapshot });
+    const started = [];
+    engine.on('session:started', (data) => started.push(data));
+    const word = engine.startSession();
+
+    expect(started[0].resumed).toBe(true);
+    expect(word.id).toBe(snapshot.session.wordIds[2]);
+    expect(engine.session.score).toBe(first.session.score);
+    expect(engine.session.words.map((w) => w.id)).toEqual(snapshot.session.wordIds);
+    expect(engine.session.hintsUsed.get(snapshot.session.wordIds[0])).toBe(1);
+  });
+
+  it('drops words no longer in the vocabulary and keeps mode state', () => {
+    const first = new GameEngine({ entries, direction: 'en-sr' });
+    first.startSession();
+    first.nextWord();
+    first.setModeState({ round: 2 });
+    const snapshot = first.serialize();
+    const [droppedId] = snapshot.session.wordIds;
+
+    const engine = new GameEngine({ entries: entries.filter((e) => e.id !== droppedId), direction: 'en-sr', resume: snapshot });
+    const word = engine.startSession();
+    expect(word.id).toBe(snapshot.session.wordIds[1]);
+    expect(engine.session.currentIndex).toBe(0);
+    expect(engine.getModeState()).toEqual({ round: 2 });
+  });
+
+  it('emits session:updated on each change and only resumes once', () => {
+    const engine = new GameEngine({ entries, direction: 'en-sr' });
+    let updates = 0;
+    engine.on('session:updated', () => updates++);
+    engine.startSession();
+    engine.checkAnswer('x');
+    expect(updates).toBeGreaterThanOrEqual(2);
+
+    const snapshot = engine.serialize();
+    const resumed = new GameEngine({ entries, direction: 'en-sr', resume: snapshot });
+    resumed.startSession();
+    resumed.startSession();
+    expect(resumed.session.resumed).toBe(false);
+  });
+});
+
 describe('levenshtein', () => {
   it('returns 0 for identical strings', () => {
     expect(levenshtein('hello', 'hello')).toBe(0);
@@ -240,6 +696,55 @@ describe('fuzzyMatch', () => {
   });
 });
 
+describe('answer alternatives', () => {
+  it('splits on commas and semicolons outside parentheses', () => {
+    expect(splitAlternatives('zdravo, ćao')).toEqual(['zdravo', 'ćao']);
+    expect(splitAlternatives('go (by car, bus); travel')).toEqual(['go (by car, bus)', 'travel']);
+    expect(splitAlternatives('')).toEqual([]);
+  });
+
+  it('treats parenthesized parts, and English articles and "to", as optional', () => {
+    expect(normalizeAlternative('(to) go', 'en')).toBe('go');
+    expect(normalizeAlternative('To Run', 'en')).toBe('run');
+    expect(normalizeAlternative('the house', 'en')).toBe('house');
+    expect(normalizeAlternative('kuća (f)', 'sr')).toBe('kuća');
+    expect(normalizeAlternative('to je to', 'sr')).toBe('to je to');
+  });
+
+  it('only drops a leading article / "to" from English answers', () => {
+    expect(matchAnswer('run', 'to run', 2, { lang: 'en' }).exact).toBe(true);
+    expect(matchAnswer('je to', 'to je to', 2, { lang: 'sr', serbian: true }).exact).toBe(false);
+    expect(matchAnswer('sam kod kuće', 'a sam kod kuće', 2, { lang: 'sr', serbian: true }).exact).toBe(false);
+  });
+
+  it('accepts any alternative and reports the matched one plus the others', () => {
+    const result = matchAnswer('ćao', 'zdravo, ćao; pozdrav');
+    expect(result.exact).toBe(true);
+    expect(result.matched).toBe('ćao');
+    expect(result.others).toEqual(['zdravo', 'pozdrav']);
+  });
+
+  it('accepts the whole string and reports the closest alternative on a miss', () => {
+    expect(matchAnswer('zdravo, ćao', 'zdravo, ćao').exact).toBe(true);
+    const miss = matchAnswer('zdrav', 'zdravo, ćao');
+    expect(miss.exact).toBe(false);
+    expect(miss.close).toBe(true);
+    expect(miss.matched).toBe('zdravo');
+    expect(matchAnswer('', 'zdravo').close).toBe(false);
+  });
+
+  it('checkAnswer accepts any listed alternative', () => {
+    const entries = makeMockEntries(1);
+    entries[0].translations.sr = 'zdravo, ćao';
+    const engine = new GameEngine({ entries, direction: 'en-sr' });
+    engine.startSession();
+    const result = engine.checkAnswer('Ćao');
+    expect(result.correct).toBe(true);
+    expect(result.matched).toBe('ćao');
+    expect(result.others).toEqual(['zdravo']);
+  });
+});
+
 describe('serbianCyrillicToLatin', () => {
   it('transliterates basic Serbian Cyrillic', () => {
     expect(serbianCyrillicToLatin('београд')).toBe('beograd');
@@ -260,6 +765,53 @@ describe('serbianCyrillicToLatin', () => {
   });
 });
 
+describe('Serbian answer checking', () => {
+  const serbian = { serbian: true };
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('folds either script to ASCII Serbian', () => {
+    expect(foldSerbian('Ђорђе')).toBe('djordje');
+    expect(foldSerbian('Đorđe')).toBe('djordje');
+    expect(foldSerbian('čaša, šećer, žaba')).toBe('casa, secer, zaba');
+  });
+
+  it('accepts Cyrillic and Latin interchangeably', () => {
+    expect(matchAnswer('ћао', 'zdravo, ćao', 2, serbian)).toMatchObject({ exact: true, matched: 'ćao', diacritics: false });
+    expect(matchAnswer('kuća', 'кућа', 2, serbian)).toMatchObject({ exact: true, diacritics: false });
+    expect(matchAnswer('ћао', 'ćao').exact).toBe(false);
+  });
+
+  it('accepts answers without diacritics and flags them', () => {
+    expect(matchAnswer('cao', 'ćao', 2, serbian)).toMatchObject({ exact: true, diacritics: true, matched: 'ćao' });
+    expect(matchAnswer('djak', 'đak', 2, serbian)).toMatchObject({ exact: true, diacritics: true });
+    expect(matchAnswer('cao', 'ćao')).toMatchObject({ exact: false, diacritics: false });
+  });
+
+  it('only counts missing diacritics as close when they are required', () => {
+    const result = matchAnswer('secer', 'šećer', 2, { serbian: true, strictDiacritics: true });
+    expect(result).toMatchObject({ exact: false, close: true, diacritics: true, matched: 'šećer' });
+    expect(result.distance).toBe(2);
+  });
+
+  it('checkAnswer applies the strictDiacritics setting to Serbian answers only', () => {
+    const entries = makeMockEntries(1);
+    entries[0].translations.sr = 'šećer';
+    const engine = new GameEngine({ entries, direction: 'en-sr' });
+    engine.startSession();
+
+    vi.spyOn(settings, 'getSettings').mockReturnValue({ reinsertEnabled: false, strictDiacritics: false });
+    expect(engine.checkAnswer('ШЕЋЕР')).toMatchObject({ correct: true, diacritics: false });
+    expect(engine.checkAnswer('secer')).toMatchObject({ correct: true, diacritics: true });
+
+    settings.getSettings.mockReturnValue({ reinsertEnabled: false, strictDiacritics: true });
+    expect(engine.checkAnswer('secer')).toMatchObject({ correct: false, diacritics: true });
+    expect(engine.getMatchOptions(entries[0], 'en')).toEqual({ lang: 'en', serbian: false, strictDiacritics: true });
+  });
+});
+
 describe('Re-insert settings', () => {
   let engine;
   let entries;
@@ -267,6 +819,9 @@ describe('Re-insert settings', () => {
   beforeEach(() => {
     entries = makeMockEntries(30);
     engine = new GameEngine({ entries, direction: 'en-sr' });
+  });
+
+  afterEach(() => {
     vi.restoreAllMocks();
   });
 
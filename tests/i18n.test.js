@@ -154,6 +154,25 @@ describe('i18n — fallback to Russian', () => {
   });
 });
 
+describe('i18n — UI language copy', () => {
+  beforeEach(() => {
+    vi.resetModules();
+    for (const k of Object.keys(store)) delete store[k];
+  });
+
+  it('updateSettings keeps a copy of the UI language that i18n prefers', async () => {
+    store.ls_settings = JSON.stringify({ uiLanguage: 'en' });
+    const { updateSettings } = await import('../src/js/settings.js');
+    updateSettings({ uiLanguage: 'sr' });
+    expect(store['ls_ui_language:default']).toBe('sr');
+
+    store['ls_settings:default'] = JSON.stringify({ uiLanguage: 'en' });
+    vi.resetModules();
+    const { uiLang } = await import('../src/js/i18n.js');
+    expect(uiLang).toBe('sr');
+  });
+});
+
 describe('i18n — translation completeness', () => {
   beforeEach(() => {
     vi.resetModules();
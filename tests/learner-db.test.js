@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock localStorage before importing learner-db
+const store = {};
+const localStorageMock = {
+  getItem: vi.fn((key) => store[key] ?? null),
+  setItem: vi.fn((key, value) => { store[key] = value; }),
+  removeItem: vi.fn((key) => { delete store[key]; }),
+};
+vi.stubGlobal('localStorage', localStorageMock);
+
+const {
+  progressToRows, rowsToProgress, MIGRATIONS, DB_VERSION, openLearnerDB, purgeDeletedDBs,
+} = await import('../src/js/learner-db.js');
+const { createProfile, deleteProfile, listDeletedProfileIds } = await import('../src/js/profiles.js');
+
+/** Records what a migration writes, store by store. */
+function fakeUpgrade() {
+  const written = {};
+  const db = {
+    createObjectStore: vi.fn((name) => {
+      written[name] = [];
+      return { createIndex: vi.fn() };
+    }),
+  };
+  const tx = {
+    objectStore: (name) => ({
+      put: (row) => written[name].push(row),
+      add: (row) => written[name].push(row),
+    }),
+  };
+  return { db, tx, written };
+}
+
+const legacyProgress = {
+  words: { 'en-0001': { total: 3, correct: 2, masteryLevel: 'known' } },
+  production: { 'sr-0002': { total: 1, correct: 0, masteryLevel: 'learning' } },
+  sessions: [{ date: '2026-03-01', score: 40, total: 10, durationSeconds: 90, wordIds: [] }],
+  streakDays: 4,
+  longestStreak: 6,
+  lastSessionDate: '2026-03-01',
+  streakFreezes: { month: '2026-03', used: 1 },
+  daily: { '2026-03-01': { answers: 10, seconds: 90 } },
+};
+
+describe('learner-db', () => {
+  beforeEach(() => {
+    for (const k of Object.keys(store)) delete store[k];
+  });
+
+  it('round-trips progress through store rows', () => {
+    const rows = progressToRows(legacyProgress);
+    expect(rows.words).toEqual([
+      { total: 3, correct: 2, masteryLevel: 'known', skill: 'recognition', wordId: 'en-0001' },
+      { total: 1, correct: 0, masteryLevel: 'learning', skill: 'production', wordId: 'sr-0002' },
+    ]);
+    expect(rows.meta).toEqual([
+      { key: 'streakDays', value: 4 },
+      { key: 'longestStreak', value: 6 },
+      { key: 'lastSessionDate', value: '2026-03-01' },
+      { key: 'streakFreezes', value: { month: '2026-03', used: 1 } },
+      { key: 'daily', value: { '2026-03-01': { answers: 10, seconds: 90 } } },
+    ]);
+
+    const sessions = rows.sessions.map((s, i) => ({ ...s, id: i + 1 }));
+    expect(rowsToProgress({ ...rows, sessions })).toEqual(legacyProgress);
+    expect(rowsToProgress()).toMatchObject({ words: {}, production: {}, sessions: [], streakDays: 0 });
+  });
+
+  it('v1 imports ls_progress and marks the key as consumed', () => {
+    store.ls_progress = JSON.stringify(legacyProgress);
+    const { db, tx, written } = fakeUpgrade();
+    const consumed = [];
+    MIGRATIONS[0](db, tx, consumed);
+
+    expect(Object.keys(written).sort()).toEqual(['answers', 'meta', 'sessions', 'words']);
+    expect(written.words).toHaveLength(2);
+    expect(written.sessions).toHaveLength(1);
+    expect(consumed).toEqual(['ls_progress:default']);
+  });
+
+  it('v2 imports user_words; nothing is consumed on a fresh install', () => {
+    store.user_words = JSON.stringify([{ id: 'user-1', term: 'cat' }, { term: 'no id' }]);
+    const { db, tx, written } = fakeUpgrade();
+    const consumed = [];
+    MIGRATIONS[0](db, tx, consumed);
+    MIGRATIONS[1](db, tx, consumed);
+
+    expect(written.userWords).toEqual([{ id: 'user-1', term: 'cat' }]);
+    expect(consumed).toEqual(['user_words:default']);
+    expect(DB_VERSION).toBe(MIGRATIONS.length);
+  });
+
+  it('v3 imports ls_settings as one row per setting', () => {
+    store.ls_settings = JSON.stringify({ uiLanguage: 'en', sessionSize: 20 });
+    const { db, tx, written } = fakeUpgrade();
+    const consumed = [];
+    for (const migrate of MIGRATIONS.slice(0, 3)) migrate(db, tx, consumed);
+
+    expect(written.settings).toEqual([{ key: 'uiLanguage', value: 'en' }, { key: 'sessionSize', value: 20 }]);
+    expect(consumed).toEqual(['ls_settings:default']);
+  });
+
+  it('resolves null without IndexedDB', async () => {
+    expect(await openLearnerDB()).toBeNull();
+  });
+
+  it('removes deleted profiles\' databases and keeps blocked ones queued', async () => {
+    createProfile('Kid');
+    createProfile('Mom');
+    deleteProfile('kid');
+    deleteProfile('mom');
+
+    // 'mom' is still open in another tab
+    const deleteDatabase = vi.fn((name) => {
+      const request = {};
+      queueMicrotask(() => (name.endsWith(':mom') ? request.onblocked() : request.onsuccess()));
+      return request;
+    });
+    vi.stubGlobal('indexedDB', { deleteDatabase });
+    try {
+      await purgeDeletedDBs();
+    } finally {
+      vi.unstubAllGlobals();
+      vi.stubGlobal('localStorage', localStorageMock);
+    }
+
+    expect(deleteDatabase.mock.calls.map(([name]) => name)).toEqual(['language-study:kid', 'language-study:mom']);
+    expect(listDeletedProfileIds()).toEqual(['mom']);
+    expect(createProfile('Mom').id).toBe('mom-2');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock localStorage before importing the modules that read it
+const store = {};
+vi.stubGlobal('localStorage', {
+  getItem: vi.fn((key) => store[key] ?? null),
+  setItem: vi.fn((key, value) => { store[key] = value; }),
+  removeItem: vi.fn((key) => { delete store[key]; }),
+});
+
+const {
+  profileKey, listProfiles, getActiveProfile, setActiveProfile, createProfile, renameProfile, deleteProfile,
+  listDeletedProfileIds, forgetDeletedProfile,
+} = await import('../src/js/profiles.js');
+const { getSettings, updateSettings } = await import('../src/js/settings.js');
+const { loadProgress } = await import('../src/js/progress.js');
+
+describe('profiles', () => {
+  beforeEach(() => {
+    for (const k of Object.keys(store)) delete store[k];
+  });
+
+  it('moves data stored before profiles into the default profile', () => {
+    store.ls_settings = JSON.stringify({ uiLanguage: 'en' });
+    store.ls_progress = JSON.stringify({ words: { 'en-0001': { total: 2, correct: 1 } }, sessions: [] });
+
+    expect(getActiveProfile()).toMatchObject({ id: 'default', name: null });
+    expect(store.ls_settings).toBeUndefined();
+    expect(store['ls_settings:default']).toBe(JSON.stringify({ uiLanguage: 'en' }));
+    expect(getSettings().uiLanguage).toBe('en');
+    expect(loadProgress().words['en-0001'].total).toBe(2);
+  });
+
+  it('keeps each profile\'s settings apart', () => {
+    updateSettings({ newWordsPerDay: 20 });
+    const kid = createProfile('  Ана  ');
+    expect(kid).toMatchObject({ id: 'ана', name: 'Ана' });
+    expect(getActiveProfile().id).toBe('default');
+
+    setActiveProfile(kid.id);
+    expect(profileKey('ls_settings')).toBe('ls_settings:ана');
+    expect(getSettings().newWordsPerDay).toBe(10);
+
+    setActiveProfile('default');
+    expect(getSettings().newWordsPerDay).toBe(20);
+  });
+
+  it('derives unique ids from names and renames without changing them', () => {
+    const a = createProfile('Mom');
+    const b = createProfile('mom');
+    expect([a.id, b.id]).toEqual(['mom', 'mom-2']);
+    expect(createProfile('!!!').id).toBe('profile');
+    expect(() => createProfile('   ')).toThrow('Profile name is required');
+
+    renameProfile('mom-2', 'Grandma');
+    expect(listProfiles().find((p) => p.id === 'mom-2').name).toBe('Grandma');
+  });
+
+  it('gives every profile its own random sync id, also profiles from before sync ids', () => {
+    store.ls_profiles = JSON.stringify({ activeId: 'default', profiles: [{ id: 'default', name: null }] });
+    const legacy = getActiveProfile().syncId;
+    expect(legacy).toMatch(/^[0-9a-f]{24}$/);
+    expect(getActiveProfile().syncId).toBe(legacy);
+
+    const a = createProfile('Ана');
+    renameProfile(a.id, 'Anna');
+    const ids = listProfiles().map((p) => p.syncId);
+    expect(new Set(ids).size).toBe(2);
+    expect(listProfiles().find((p) => p.id === a.id).syncId).toBe(a.syncId);
+  });
+
+  it('deletes a profile with its data and never the last one', () => {
+    const kid = createProfile('Kid');
+    setActiveProfile(kid.id);
+    updateSettings({ uiLanguage: 'sr' });
+    expect(store['ls_settings:kid']).toBeDefined();
+
+    expect(deleteProfile(kid.id)).toBe(true);
+    expect(store['ls_settings:kid']).toBeUndefined();
+    expect(getActiveProfile().id).toBe('default');
+    expect(() => deleteProfile('default')).toThrow('Cannot delete the last profile');
+    expect(deleteProfile('missing')).toBe(false);
+
+    // Its database is removed later; until then the id is not reused
+    expect(listDeletedProfileIds()).toEqual(['kid']);
+    expect(createProfile('Kid').id).toBe('kid-2');
+    forgetDeletedProfile('kid');
+    expect(listDeletedProfileIds()).toEqual([]);
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock localStorage before importing progress
+const store = {};
+const localStorageMock = {
+  getItem: vi.fn((key) => store[key] ?? null),
+  setItem: vi.fn((key, value) => { store[key] = value; }),
+  removeItem: vi.fn((key) => { delete store[key]; }),
+};
+vi.stubGlobal('localStorage', localStorageMock);
+
+const {
+  loadProgress, updateWordResult, recordAnswer, skillRecords, logAnswer, queryAnswers, recordSession,
+  setWordSuspended, buryWord, markWordKnown,
+} = await import('../src/js/progress.js');
+
+describe('progress — word results', () => {
+  beforeEach(() => {
+    for (const k of Object.keys(store)) delete store[k];
+  });
+
+  it('creates a word record on first attempt', () => {
+    updateWordResult('en-0001', true);
+    const w = loadProgress().words['en-0001'];
+    expect(w.total).toBe(1);
+    expect(w.correct).toBe(1);
+    expect(w.masteryLevel).toBe('known');
+    expect(w.lastSeen).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  });
+
+  it('accumulates attempts and mastery', () => {
+    for (let i = 0; i < 5; i++) updateWordResult('en-0001', true);
+    expect(loadProgress().words['en-0001'].masteryLevel).toBe('mastered');
+
+    updateWordResult('en-0002', false);
+    expect(loadProgress().words['en-0002'].masteryLevel).toBe('learning');
+  });
+
+  it('sums hints and averages response time over timed attempts', () => {
+    updateWordResult('en-0001', true, { hintsUsed: 1, responseMs: 1000 });
+    updateWordResult('en-0001', false, { hintsUsed: 2, responseMs: 3000 });
+    updateWordResult('en-0001', true, { hintsUsed: 0 });
+
+    const w = loadProgress().words['en-0001'];
+    expect(w.hintsUsed).toBe(3);
+    expect(w.avgResponseMs).toBe(2000);
+    expect(w.timedCount).toBe(2);
+  });
+
+  it('recordAnswer feeds engine results into word progress', () => {
+    recordAnswer({ wordId: 'sr-0003', correct: false, hintsUsed: 1, responseMs: 500, mode: 'quiz', direction: 'sr-en' });
+    const w = loadProgress().words['sr-0003'];
+    expect(w.total).toBe(1);
+    expect(w.correct).toBe(0);
+    expect(w.hintsUsed).toBe(1);
+    expect(w.avgResponseMs).toBe(500);
+  });
+
+  it('advances the SM-2 schedule on every result', () => {
+    updateWordResult('en-0001', true, { responseMs: 9000 });
+    let w = loadProgress().words['en-0001'];
+    expect(w.schedule.reps).toBe(1);
+    expect(w.schedule.interval).toBe(1);
+
+    updateWordResult('en-0001', false);
+    w = loadProgress().words['en-0001'];
+    expect(w.schedule.reps).toBe(0);
+    expect(w.schedule.lapses).toBe(1);
+  });
+
+  it('tracks production results separately from recognition', () => {
+    recordAnswer({ wordId: 'en-0001', correct: true, skill: 'production' });
+    updateWordResult('en-0001', false);
+
+    const progress = loadProgress();
+    expect(skillRecords(progress, 'production')['en-0001'].correct).toBe(1);
+    expect(skillRecords(progress, 'recognition')['en-0001'].correct).toBe(0);
+    expect(skillRecords(progress)).toBe(progress.words);
+  });
+});
+
+describe('progress — word actions', () => {
+  beforeEach(() => {
+    for (const k of Object.keys(store)) delete store[k];
+  });
+
+  it('suspends and buries a word in both skills', () => {
+    updateWordResult('en-0001', true);
+    setWordSuspended('en-0001', true);
+    buryWord('en-0001', '2026-03-11');
+
+    const progress = loadProgress();
+    for (const skill of ['recognition', 'production']) {
+      expect(skillRecords(progress, skill)['en-0001']).toMatchObject({ suspended: true, buriedUntil: '2026-03-11' });
+    }
+    // Existing counts are kept
+    expect(progress.words['en-0001'].total).toBe(1);
+
+    setWordSuspended('en-0001', false);
+    buryWord('en-0001', null);
+    expect(loadProgress().words['en-0001']).toMatchObject({ suspended: false, buriedUntil: null });
+  });
+
+  it('marks a word as known without touching mastered words', () => {
+    markWordKnown('en-0002');
+    const w = loadProgress().words['en-0002'];
+    expect(w.masteryLevel).toBe('known');
+    expect(w.schedule.interval).toBe(30);
+
+    for (let i = 0; i < 5; i++) updateWordResult('en-0003', true);
+    markWordKnown('en-0003');
+    expect(loadProgress().words['en-0003'].masteryLevel).toBe('mastered');
+  });
+});
+
+describe('progress — answer log', () => {
+  beforeEach(() => {
+    for (const k of Object.keys(store)) delete store[k];
+  });
+
+  it('stamps attempts with a date and queries by word and date range', async () => {
+    logAnswer({ wordId: 'en-0001', correct: false, given: 'kuca', expected: 'kuća', timestamp: Date.parse('2026-03-01T10:00:00Z') });
+    logAnswer({ wordId: 'en-0002', correct: true, timestamp: Date.parse('2026-03-02T10:00:00Z') });
+    logAnswer({ wordId: 'en-0001', correct: true, timestamp: Date.parse('2026-03-03T10:00:00Z') });
+
+    const byWord = await queryAnswers({ wordId: 'en-0001' });
+    expect(byWord.map((a) => a.date)).toEqual(['2026-03-01', '2026-03-03']);
+    expect(byWord[0]).toMatchObject({ given: 'kuca', expected: 'kuća' });
+
+    const range = await queryAnswers({ from: '2026-03-02', to: '2026-03-03' });
+    expect(range.map((a) => a.wordId)).toEqual(['en-0002', 'en-0001']);
+    expect(await queryAnswers()).toHaveLength(3);
+  });
+
+  it('records session words, mode and direction', () => {
+    recordSession({ score: 30, total: 2, durationSeconds: 60, wordIds: ['en-0001', 'en-0002'], mode: 'quiz', direction: 'en-sr' });
+    expect(loadProgress().sessions[0]).toMatchObject({ wordIds: ['en-0001', 'en-0002'], mode: 'quiz', direction: 'en-sr' });
+  });
+});
+
+describe('progress — daily activity and streak', () => {
+  beforeEach(() => {
+    for (const k of Object.keys(store)) delete store[k];
+  });
+
+  const today = () => new Date().toISOString().slice(0, 10);
+  const daysAgo = (n) => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+
+  it('counts answers and session time towards today', () => {
+    recordAnswer({ wordId: 'en-0001', correct: true });
+    recordAnswer({ wordId: 'en-0002', correct: false });
+    recordSession({ score: 10, total: 2, durationSeconds: 95, wordIds: [] });
+    expect(loadProgress().daily[today()]).toEqual({ answers: 2, seconds: 95 });
+  });
+
+  it('rebuilds daily activity for progress saved before it was tracked', () => {
+    store['ls_progress:default'] = JSON.stringify({
+      words: {}, sessions: [{ date: '2026-03-01', score: 5, total: 8, durationSeconds: 40 }], streakDays: 1, lastSessionDate: '2026-03-01',
+    });
+    expect(loadProgress().daily['2026-03-01']).toEqual({ answers: 8, seconds: 40 });
+  });
+
+  it('keeps the streak over a missed day with a freeze and marks the day', () => {
+    store['ls_progress:default'] = JSON.stringify({
+      words: {}, sessions: [], daily: {}, streakDays: 4, longestStreak: 4, lastSessionDate: daysAgo(2),
+    });
+    recordSession({ score: 10, total: 2, durationSeconds: 60, wordIds: [] }); // default allowance: 1 per month
+
+    const progress = loadProgress();
+    expect(progress.streakDays).toBe(5);
+    expect(progress.longestStreak).toBe(5);
+    expect(progress.daily[daysAgo(1)]).toMatchObject({ answers: 0, frozen: true });
+  });
+});
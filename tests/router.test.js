@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { Router } from '../src/js/router.js';
+
+describe('Router.match', () => {
+  const router = new Router();
+  const noop = () => {};
+  router.register('#home', noop, noop);
+  router.register('#word/:id', noop, noop);
+
+  it('matches exact routes and fills :name segments', () => {
+    expect(router.match('#home')).toEqual({ route: '#home', params: {} });
+    expect(router.match('#word/user-1%2Fa')).toEqual({ route: '#word/:id', params: { id: 'user-1/a' } });
+  });
+
+  it('rejects empty, extra and undecodable segments', () => {
+    expect(router.match('#word/')).toBeNull();
+    expect(router.match('#word/a/b')).toBeNull();
+    expect(router.match('#word/%E0')).toBeNull();
+    expect(router.match('#stats')).toBeNull();
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_EASE,
+  addDays,
+  gradeResult,
+  scheduleReview,
+  isDue,
+  countNewToday,
+  buildReviewQueue,
+  summarizeQueue,
+  KNOWN_INTERVAL,
+  markKnownSchedule,
+  isOnHold,
+} from '../src/js/scheduler.js';
+
+const TODAY = '2026-03-10';
+
+describe('addDays', () => {
+  it('adds days across month boundaries', () => {
+    expect(addDays('2026-01-31', 1)).toBe('2026-02-01');
+    expect(addDays('2026-03-10', 6)).toBe('2026-03-16');
+    expect(addDays('2026-03-10', 0)).toBe('2026-03-10');
+  });
+});
+
+describe('gradeResult', () => {
+  it('grades wrong answers as a lapse', () => {
+    expect(gradeResult({ correct: false })).toBe(1);
+  });
+
+  it('grades hinted answers lower than clean ones', () => {
+    expect(gradeResult({ correct: true, hintsUsed: 1 })).toBe(3);
+    expect(gradeResult({ correct: true, hintsUsed: 0 })).toBe(4);
+  });
+
+  it('grades fast clean answers as perfect', () => {
+    expect(gradeResult({ correct: true, responseMs: 1500 })).toBe(5);
+    expect(gradeResult({ correct: true, responseMs: 9000 })).toBe(4);
+  });
+});
+
+describe('scheduleReview (SM-2)', () => {
+  it('schedules a new word for tomorrow after a correct answer', () => {
+    const s = scheduleReview(null, 4, TODAY);
+    expect(s.reps).toBe(1);
+    expect(s.interval).toBe(1);
+    expect(s.due).toBe('2026-03-11');
+    expect(s.firstSeen).toBe(TODAY);
+    expect(s.lastReview).toBe(TODAY);
+    expect(s.ease).toBe(DEFAULT_EASE);
+  });
+
+  it('grows intervals 1 → 6 → interval × ease', () => {
+    let s = scheduleReview(null, 4, TODAY);
+    s = scheduleReview(s, 4, '2026-03-11');
+    expect(s.interval).toBe(6);
+    s = scheduleReview(s, 4, '2026-03-17');
+    expect(s.interval).toBe(15);
+    expect(s.due).toBe('2026-04-01');
+  });
+
+  it('resets repetitions and counts a lapse on failure', () => {
+    let s = scheduleReview(null, 5, TODAY);
+    s = scheduleReview(s, 5, '2026-03-11');
+    s = scheduleReview(s, 1, '2026-03-17');
+    expect(s.reps).toBe(0);
+    expect(s.interval).toBe(1);
+    expect(s.lapses).toBe(1);
+    expect(s.due).toBe('2026-03-18');
+    expect(s.firstSeen).toBe(TODAY);
+  });
+
+  it('does not count a lapse for a word that was never learned', () => {
+    const s = scheduleReview(null, 1, TODAY);
+    expect(s.lapses).toBe(0);
+  });
+
+  it('keeps ease at or above 1.3', () => {
+    let s = null;
+    for (let i = 0; i < 20; i++) s = scheduleReview(s, 0, TODAY);
+    expect(s.ease).toBe(1.3);
+  });
+});
+
+describe('markKnownSchedule', () => {
+  it('pushes the next review a month out as a passed card', () => {
+    const s = markKnownSchedule(undefined, TODAY);
+    expect(s).toMatchObject({ ease: DEFAULT_EASE, interval: KNOWN_INTERVAL, reps: 2, lapses: 0, firstSeen: null });
+    expect(s.due).toBe(addDays(TODAY, KNOWN_INTERVAL));
+
+    const kept = markKnownSchedule({ ease: 2.1, reps: 4, lapses: 1, firstSeen: '2026-01-01' }, TODAY);
+    expect(kept).toMatchObject({ ease: 2.1, reps: 4, lapses: 1, firstSeen: '2026-01-01', lastReview: TODAY });
+  });
+});
+
+describe('review queue', () => {
+  const entries = ['a', 'b', 'c', 'd', 'e'].map((id, i) => ({ id, difficulty: 5 - i }));
+  const records = {
+    a: { schedule: { due: '2026-03-09', firstSeen: '2026-03-01' } },
+    b: { schedule: { due: '2026-03-12', firstSeen: '2026-03-01' } },
+    c: { schedule: { due: '2026-03-01', firstSeen: TODAY } },
+  };
+
+  it('isDue compares due date against today', () => {
+    expect(isDue(records.a, TODAY)).toBe(true);
+    expect(isDue(records.b, TODAY)).toBe(false);
+    expect(isDue(undefined, TODAY)).toBe(false);
+  });
+
+  it('countNewToday counts words first seen today', () => {
+    expect(countNewToday(records, TODAY)).toBe(1);
+  });
+
+  it('splits entries into due (most overdue first), fresh and later', () => {
+    const { due, fresh, later } = buildReviewQueue(entries, records, { today: TODAY });
+    expect(due.map((e) => e.id)).toEqual(['c', 'a']);
+    expect(later.map((e) => e.id)).toEqual(['b']);
+    // Fresh words: easiest first
+    expect(fresh.map((e) => e.id)).toEqual(['e', 'd']);
+  });
+
+  it('caps fresh words at newLimit', () => {
+    const { fresh } = buildReviewQueue(entries, records, { today: TODAY, newLimit: 1 });
+    expect(fresh.map((e) => e.id)).toEqual(['e']);
+    expect(buildReviewQueue(entries, records, { today: TODAY, newLimit: 0 }).fresh).toEqual([]);
+  });
+
+  it('summarizeQueue counts due and remaining new words against the daily quota', () => {
+    // 'c' was first seen today, so a quota of 2 leaves 1 new word
+    const summary = summarizeQueue(entries, records, { today: TODAY, newWordsPerDay: 2 });
+    expect(summary.due).toBe(2);
+    expect(summary.newRemaining).toBe(1);
+    // 3 cards at the default 10 s pace
+    expect(summary.estimatedMinutes).toBe(1);
+  });
+
+  it('summarizeQueue estimates time from average response time', () => {
+    const timed = {
+      ...records,
+      a: { ...records.a, avgResponseMs: 58000 },
+    };
+    // 2 due + 2 new at 60 s per card
+    const summary = summarizeQueue(entries, timed, { today: TODAY, newWordsPerDay: 3 });
+    expect(summary.estimatedMinutes).toBe(4);
+  });
+
+  it('leaves suspended and buried words out of every list', () => {
+    const held = {
+      ...records,
+      a: { ...records.a, suspended: true },
+      d: { buriedUntil: '2026-03-11' },
+      e: { buriedUntil: TODAY },
+    };
+    expect(isOnHold(held.a, TODAY)).toBe(true);
+    expect(isOnHold(held.d, TODAY)).toBe(true);
+    expect(isOnHold(held.e, TODAY)).toBe(false);
+
+    const { due, fresh } = buildReviewQueue(entries, held, { today: TODAY });
+    expect(due.map((e) => e.id)).toEqual(['c']);
+    expect(fresh.map((e) => e.id)).toEqual(['e']);
+  });
+
+  it('summarizeQueue reports zero minutes for an empty queue', () => {
+    const summary = summarizeQueue([], {}, { today: TODAY });
+    expect(summary).toEqual({ due: 0, newRemaining: 0, estimatedMinutes: 0 });
+  });
+});
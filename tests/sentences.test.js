@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { sentenceWords, buildSentenceTasks, shuffleWords } from '../src/js/sentences.js';
+
+describe('sentences', () => {
+  it('splits a sentence into words without punctuation', () => {
+    expect(sentenceWords('Well, I don’t know the well-known rule.'))
+      .toEqual(['Well', 'I', 'don’t', 'know', 'the', 'well-known', 'rule']);
+  });
+
+  it('builds tasks from examples of a workable length with a translated prompt', () => {
+    const entry = {
+      term: 'isporuka',
+      source_language: 'sr',
+      examples: {
+        sr: ['Isporuka paketa je zakazana za sutra.', 'Isporuka kasni.', 'Isporuka je stigla juče ujutru.'],
+        en: ['The delivery of the package is scheduled for tomorrow.', 'Delivery is late.'],
+        ru: ['Доставка посылки назначена на завтра.', 'Доставка опаздывает.', 'Доставка пришла вчера утром.'],
+      },
+    };
+
+    expect(buildSentenceTasks(entry, { hintLang: 'en' })).toEqual([
+      {
+        sentence: 'Isporuka paketa je zakazana za sutra.',
+        words: ['Isporuka', 'paketa', 'je', 'zakazana', 'za', 'sutra'],
+        prompt: 'The delivery of the package is scheduled for tomorrow.',
+        promptLang: 'en',
+      },
+      // Too short for a puzzle: 'Isporuka kasni.'; no English example: Russian prompt
+      {
+        sentence: 'Isporuka je stigla juče ujutru.',
+        words: ['Isporuka', 'je', 'stigla', 'juče', 'ujutru'],
+        prompt: 'Доставка пришла вчера утром.',
+        promptLang: 'ru',
+      },
+    ]);
+    expect(buildSentenceTasks({ ...entry, examples: { sr: entry.examples.sr } }, { hintLang: 'en' })).toEqual([]);
+  });
+
+  it('shuffles words out of their original order', () => {
+    const words = ['I', 'like', 'green', 'tea'];
+    // A random source that leaves the order as it is
+    const chips = shuffleWords(words, () => 0.999);
+    expect(chips.map((c) => c.text)).not.toEqual(words);
+    expect(chips.map((c) => words[c.id])).toEqual(chips.map((c) => c.text));
+    expect(shuffleWords(['da', 'da', 'da']).map((c) => c.text)).toEqual(['da', 'da', 'da']);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_FILTER,
+  isUserEntry,
+  normalizeFilter,
+  matchesFilter,
+  applyFilter,
+  collectFacets,
+} from '../src/js/session-config.js';
+
+const entries = [
+  { id: 'en-0001', difficulty: 1, category: 'travel', tags: ['travel', 'noun'] },
+  { id: 'en-0002', difficulty: 3, category: 'food', tags: ['food'] },
+  { id: 'en-0003', difficulty: 5, category: null, tags: [] },
+  { id: 'user-1700000000000-abcde', difficulty: null, category: 'travel', tags: ['travel', 'verb'] },
+];
+const ids = (list) => list.map((e) => e.id);
+
+describe('normalizeFilter', () => {
+  it('fills in defaults for a missing or partial filter', () => {
+    expect(normalizeFilter(null)).toEqual(DEFAULT_FILTER);
+    expect(normalizeFilter({ source: 'user' })).toEqual({ ...DEFAULT_FILTER, source: 'user' });
+  });
+
+  it('clamps and orders the difficulty range, rejects unknown sources', () => {
+    const f = normalizeFilter({ minDifficulty: 9, maxDifficulty: 2, source: 'nope' });
+    expect(f.minDifficulty).toBe(2);
+    expect(f.maxDifficulty).toBe(5);
+    expect(f.source).toBe('all');
+  });
+});
+
+describe('matchesFilter / applyFilter', () => {
+  it('keeps everything with no filter or the default filter', () => {
+    expect(applyFilter(entries, null)).toBe(entries);
+    expect(applyFilter(entries, DEFAULT_FILTER)).toHaveLength(4);
+  });
+
+  it('filters by difficulty range, treating missing difficulty as 3', () => {
+    expect(ids(applyFilter(entries, { minDifficulty: 3, maxDifficulty: 3 })))
+      .toEqual(['en-0002', 'user-1700000000000-abcde']);
+  });
+
+  it('filters by word source', () => {
+    expect(isUserEntry(entries[3])).toBe(true);
+    expect(ids(applyFilter(entries, { source: 'user' }))).toEqual(['user-1700000000000-abcde']);
+    expect(applyFilter(entries, { source: 'builtin' })).toHaveLength(3);
+  });
+
+  it('filters by category and by any of the selected tags', () => {
+    expect(ids(applyFilter(entries, { categories: ['food'] }))).toEqual(['en-0002']);
+    expect(ids(applyFilter(entries, { tags: ['noun', 'verb'] })))
+      .toEqual(['en-0001', 'user-1700000000000-abcde']);
+    expect(matchesFilter(entries[2], normalizeFilter({ tags: ['noun'] }))).toBe(false);
+  });
+});
+
+describe('collectFacets', () => {
+  it('lists distinct sorted categories and tags', () => {
+    expect(collectFacets(entries)).toEqual({
+      categories: ['food', 'travel'],
+      tags: ['food', 'noun', 'travel', 'verb'],
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock localStorage before importing session-store
+const store = {};
+const localStorageMock = {
+  getItem: vi.fn((key) => store[key] ?? null),
+  setItem: vi.fn((key, value) => { store[key] = value; }),
+  removeItem: vi.fn((key) => { delete store[key]; }),
+};
+vi.stubGlobal('localStorage', localStorageMock);
+
+const { saveSession, loadSavedSession, clearSavedSession, describeSavedSession } = await import('../src/js/session-store.js');
+
+function makeSnapshot(session = {}) {
+  return {
+    direction: 'sr-en',
+    mode: 'typing',
+    skill: 'production',
+    sessionConfig: { type: 'all', length: 0, filter: null, wordIds: null },
+    session: {
+      wordIds: ['sr-0001', 'sr-0002', 'sr-0003'],
+      currentIndex: 1,
+      score: 45,
+      resultRecorded: false,
+      ...session,
+    },
+  };
+}
+
+describe('session-store', () => {
+  beforeEach(() => {
+    for (const k of Object.keys(store)) delete store[k];
+  });
+
+  it('round-trips a snapshot stamped with savedAt', () => {
+    saveSession(makeSnapshot());
+    const loaded = loadSavedSession();
+    expect(loaded.mode).toBe('typing');
+    expect(loaded.savedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+
+    clearSavedSession();
+    expect(loadSavedSession()).toBeNull();
+  });
+
+  it('ignores corrupt or finished snapshots', () => {
+    store.ls_session = '{not json';
+    expect(loadSavedSession()).toBeNull();
+
+    saveSession(makeSnapshot({ currentIndex: 2, resultRecorded: true }));
+    expect(loadSavedSession()).toBeNull();
+
+    saveSession(null);
+    expect(store.ls_session).toBeUndefined();
+  });
+
+  it('describes where the learner will resume', () => {
+    expect(describeSavedSession(makeSnapshot())).toMatchObject({
+      mode: 'typing', direction: 'sr-en', skill: 'production', position: 2, total: 3, remaining: 2, score: 45,
+    });
+    expect(describeSavedSession(makeSnapshot({ resultRecorded: true })).position).toBe(3);
+  });
+});
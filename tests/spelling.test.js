@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import {
+  diffLetters, letterErrors, spellingTarget, spellingErrors, isSpellable, toTermScript, countLetterErrors,
+} from '../src/js/spelling.js';
+
+const compact = (ops) => ops.map((op) => `${op.type[0]}:${op.given || op.expected}`).join(' ');
+
+describe('spelling', () => {
+  it('aligns an answer with the term letter by letter', () => {
+    expect(compact(diffLetters('kuča', 'kuća'))).toBe('s:k s:u w:č s:a');
+    expect(compact(diffLetters('Hous', 'house'))).toBe('s:H s:o s:u s:s m:e');
+    expect(compact(diffLetters('adress', 'address'))).toBe('s:a s:d m:d s:r s:e s:s s:s');
+    expect(compact(diffLetters('worrk', 'work'))).toBe('s:w s:o s:r e:r s:k');
+    expect(letterErrors(diffLetters('Noč', 'noć'))).toEqual([{ expected: 'ć', given: 'č' }]);
+  });
+
+  it('compares with the closest spelling of the term and skips answers that are another word', () => {
+    expect(spellingTarget('taugt', 'teach / taught', 'en')).toBe('taught');
+    expect(spellingTarget('chamber', 'a chamber', 'en')).toBe('chamber');
+    expect(spellingTarget('a chamber', 'a chamber (room)', 'en')).toBe('a chamber');
+    expect(spellingTarget('je to', 'to je to', 'sr')).toBe('to je to');
+    expect(spellingErrors('tuaght', 'teach / taught', 'en')).toEqual([
+      { expected: 'a', given: 'u' },
+      { expected: 'u', given: 'a' },
+    ]);
+    expect(spellingErrors('prozor', 'kuća', 'sr')).toEqual([]);
+    expect(spellingErrors('', 'kuća', 'sr')).toEqual([]);
+  });
+
+  it('keeps Serbian answers in the term’s script and only spells words', () => {
+    expect(toTermScript('кућа', 'kuća', 'sr')).toBe('kuća');
+    expect(toTermScript('кућа', 'кућа', 'sr')).toBe('кућа');
+    expect(toTermScript('дом', 'house', 'en')).toBe('дом');
+
+    expect(isSpellable({ term: 'to give up', source_language: 'en' })).toBe(true);
+    expect(isSpellable({ term: 'ovo slovo naglašava tvrdoću zvuka ispred sebe' })).toBe(false);
+    expect(countLetterErrors([
+      { expected: 'ć', given: 'č' }, { expected: 'đ', given: 'dj' }, { expected: 'ć', given: 'č' },
+    ])).toEqual([{ expected: 'ć', given: 'č', count: 2 }, { expected: 'đ', given: 'dj', count: 1 }]);
+  });
+});
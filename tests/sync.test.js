@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Mock localStorage before importing the modules that read it
+const store = {};
+vi.stubGlobal('localStorage', {
+  getItem: vi.fn((key) => store[key] ?? null),
+  setItem: vi.fn((key, value) => { store[key] = value; }),
+  removeItem: vi.fn((key) => { delete store[key]; }),
+});
+
+const { mergeSyncState, mergeUserWords, emptySyncState } = await import('../src/js/sync-merge.js');
+const { buildLocalState, applySyncState, syncNow, joinSyncSpace, loadSyncState } = await import('../src/js/sync.js');
+const { getActiveProfile } = await import('../src/js/profiles.js');
+const { createSyncServer } = await import('../scripts/sync-server.js');
+const { loadProgress, updateWordResult } = await import('../src/js/progress.js');
+const { getSettings, updateSettings } = await import('../src/js/settings.js');
+const { loadUserWords, saveUserWords } = await import('../src/js/ui/add-words.js');
+
+const record = (total, updatedAt) => ({ total, correct: total, lastSeen: updatedAt.slice(0, 10), updatedAt });
+const word = (id, updatedAt, extra = {}) => ({ id, term: id, metadata: { updated_at: updatedAt }, ...extra });
+
+describe('sync — merging', () => {
+  it('keeps the later record per word and skill', () => {
+    const a = { ...emptySyncState(), progress: { ...emptySyncState().progress,
+      words: { x: record(9, '2026-03-01T10:00:00Z'), y: record(1, '2026-03-05T10:00:00Z') } } };
+    const b = { ...emptySyncState(), progress: { ...emptySyncState().progress,
+      words: { x: record(2, '2026-03-02T10:00:00Z') }, production: { x: record(1, '2026-03-02T10:00:00Z') } } };
+
+    const merged = mergeSyncState(a, b).progress;
+    expect(merged.words.x.total).toBe(2);
+    expect(merged.words.y.total).toBe(1);
+    expect(merged.production.x.total).toBe(1);
+  });
+
+  it('lets a newer tombstone remove a user word, and a newer edit revive it', () => {
+    const deleted = { id: 'user-1', deleted: true, metadata: { updated_at: '2026-03-02T00:00:00Z' } };
+    expect(mergeUserWords([word('user-1', '2026-03-01T00:00:00Z')], [deleted])).toEqual([deleted]);
+    expect(mergeUserWords([deleted], [word('user-1', '2026-03-03T00:00:00Z')])[0].deleted).toBeUndefined();
+  });
+
+  it('takes settings with the later timestamp', () => {
+    const a = { ...emptySyncState(), settings: { uiLanguage: 'ru' }, settingsUpdatedAt: '2026-03-01T00:00:00Z' };
+    const b = { ...emptySyncState(), settings: { uiLanguage: 'en' }, settingsUpdatedAt: '2026-03-02T00:00:00Z' };
+    expect(mergeSyncState(a, b).settings.uiLanguage).toBe('en');
+    expect(mergeSyncState(b, a).settings.uiLanguage).toBe('en');
+    expect(mergeSyncState(a, emptySyncState()).settings.uiLanguage).toBe('ru');
+  });
+});
+
+describe('sync — client', () => {
+  beforeEach(() => {
+    for (const k of Object.keys(store)) delete store[k];
+    saveUserWords([]);
+  });
+
+  it('sends deletions since the last sync as tombstones and keeps device settings local', () => {
+    saveUserWords([word('user-1', '2026-03-01T00:00:00Z'), word('user-2', '2026-03-01T00:00:00Z')]);
+    updateSettings({ syncUrl: 'http://localhost:8787', syncToken: 'secret', voices: { sr: 'voice-1' } });
+    const local = buildLocalState();
+    applySyncState(mergeSyncState(local, emptySyncState()), local);
+
+    saveUserWords([word('user-2', '2026-03-01T00:00:00Z')]);
+    const next = buildLocalState('2026-03-04T00:00:00Z');
+    expect(next.userWords).toContainEqual({ id: 'user-1', deleted: true, metadata: { updated_at: '2026-03-04T00:00:00Z' } });
+    expect(next.settings).not.toHaveProperty('syncUrl');
+    expect(next.settings).not.toHaveProperty('syncToken');
+    expect(next.settings).not.toHaveProperty('voices');
+  });
+
+  it('syncs each profile through its random sync id; joining another space starts over', () => {
+    const own = getActiveProfile().syncId;
+    expect(own).toMatch(/^[0-9a-f]{24}$/);
+
+    const local = buildLocalState();
+    applySyncState(mergeSyncState(local, emptySyncState()), local);
+    expect(loadSyncState().lastSyncAt).not.toBeNull();
+
+    joinSyncSpace('  shared-space ');
+    expect(getActiveProfile().syncId).toBe('shared-space');
+    expect(loadSyncState().lastSyncAt).toBeNull();
+    expect(() => joinSyncSpace('a b')).toThrow('Invalid sync id');
+    expect(getActiveProfile().syncId).toBe('shared-space');
+  });
+
+  it('reports failures without touching local data', async () => {
+    updateWordResult('en-0001', true);
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: false, status: 500 });
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const result = await syncNow('http://localhost:1');
+    fetchSpy.mockRestore();
+    warnSpy.mockRestore();
+    expect(result).toEqual({ status: 'error', error: 'server responded 500' });
+    expect(loadProgress().words['en-0001'].total).toBe(1);
+    expect(await syncNow('')).toEqual({ status: 'off' });
+  });
+});
+
+describe('sync — server', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-test-'));
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('merges what two devices push and persists it', async () => {
+    for (const k of Object.keys(store)) delete store[k];
+    const dataFile = path.join(dir, 'sync-data.json');
+    const server = createSyncServer({ dataFile, token: 'secret' });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const headers = { 'X-Sync-Token': 'secret' };
+
+    try {
+      // Another device already pushed a word to the space whose sync id this device enters
+      const other = { ...emptySyncState(), userWords: [word('user-9', '2026-03-01T00:00:00Z')] };
+      const pushed = await fetch(`${url}/api/sync/shared-space`, { method: 'POST', headers, body: JSON.stringify(other) });
+      expect(pushed.status).toBe(200);
+      joinSyncSpace('shared-space');
+
+      // This device syncs its own progress and receives the other's word
+      saveUserWords([]);
+      updateWordResult('en-0001', true);
+      const result = await syncNow(url, 'secret');
+      expect(result.status).toBe('ok');
+      expect(result.changed.userWords).toBe(true);
+      expect(loadUserWords().map((w) => w.id)).toEqual(['user-9']);
+
+      const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8')).spaces[getActiveProfile().syncId];
+      expect(saved.progress.words['en-0001'].total).toBe(1);
+      expect(saved.settings.uiLanguage).toBe(getSettings().uiLanguage);
+
+      const bad = await fetch(`${url}/api/sync`, { method: 'POST', headers, body: 'nope' });
+      expect(bad.status).toBe(400);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('refuses requests without the token and only allows the listed origins', async () => {
+    const dataFile = path.join(dir, 'sync-token.json');
+    const server = createSyncServer({ dataFile, token: 'secret', origins: ['http://localhost:5173'] });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/api/sync`;
+
+    try {
+      expect((await fetch(url)).status).toBe(401);
+      expect((await fetch(url, { headers: { 'X-Sync-Token': 'secre' } })).status).toBe(401);
+      expect((await fetch(url, { method: 'POST', body: '{}' })).status).toBe(401);
+      expect(fs.existsSync(dataFile)).toBe(false);
+
+      const allowed = await fetch(url, { headers: { 'X-Sync-Token': 'secret', Origin: 'http://localhost:5173' } });
+      expect(allowed.status).toBe(200);
+      expect(allowed.headers.get('access-control-allow-origin')).toBe('http://localhost:5173');
+      const foreign = await fetch(url, { headers: { 'X-Sync-Token': 'secret', Origin: 'https://example.com' } });
+      expect(foreign.headers.get('access-control-allow-origin')).toBeNull();
+      expect(() => createSyncServer({ dataFile })).toThrow('token');
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});